@@ -0,0 +1,118 @@
+/**
+ * @file
+ * Renders generated stories through component-renderer.js.
+ *
+ * The story args become a drupalSettings.componentEntity entry for a
+ * .component-react-root element, and Drupal.attachBehaviors() renders it,
+ * so props are normalised, validated and hydrated as on a Drupal page.
+ */
+
+import { createElement, useEffect, useRef } from 'react';
+
+/**
+ * Joins an object prop or "slots" and a member into an arg name, as in
+ * scripts/component-stories.js.
+ */
+const SEPARATOR = '__';
+
+/**
+ * Numbers the component roots, whose IDs key drupalSettings entries.
+ */
+let counter = 0;
+
+/**
+ * Build a drupalSettings.componentEntity entry from story args.
+ *
+ * Args of object prop members are put back together; an object none of whose
+ * members has a value is left out, as Drupal leaves out empty fields.
+ *
+ * @param {string} type - Component type
+ * @param {Object} args - Story args
+ * @returns {Object} Entry as in drupalSettings.componentEntity.components
+ */
+export function buildConfig(type, args) {
+  const props = {};
+  const slots = {};
+
+  Object.keys(args).forEach((key) => {
+    const value = args[key];
+    if (value === undefined || value === null) {
+      return;
+    }
+
+    const index = key.indexOf(SEPARATOR);
+    if (index === -1) {
+      props[key] = value;
+      return;
+    }
+
+    const name = key.slice(0, index);
+    const member = key.slice(index + SEPARATOR.length);
+    if (name === 'slots') {
+      if (value !== '') {
+        slots[member] = value;
+      }
+      return;
+    }
+    props[name] = { ...props[name], [member]: value };
+  });
+
+  return {
+    type,
+    props,
+    slots,
+    entityId: `storybook-${type}`,
+    viewMode: 'default',
+    hydration: 'full',
+    canEdit: false,
+  };
+}
+
+/**
+ * Renders one component through Drupal behaviors.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.type - Component type
+ * @param {Object} props.definition - Parsed component.yml
+ * @param {Object} props.args - Story args
+ * @returns {React.ReactElement}
+ */
+function DrupalComponent({ type, definition, args }) {
+  const container = useRef(null);
+
+  useEffect(() => {
+    // A wrapper per render, so the old root can be detached on its own.
+    const wrapper = document.createElement('div');
+    const element = document.createElement('div');
+    element.id = `component-story-${++counter}`;
+    element.className = 'component-react-root';
+    wrapper.appendChild(element);
+    container.current.appendChild(wrapper);
+
+    const settings = window.drupalSettings;
+    settings.componentEntity.components[element.id] = buildConfig(type, args);
+    settings.componentEntity.schemas[type] = definition;
+    window.Drupal.attachBehaviors(wrapper, settings);
+
+    return () => {
+      wrapper.remove();
+      delete settings.componentEntity.components[element.id];
+      // React can't unmount a root while it is committing this one.
+      setTimeout(() => window.Drupal.detachBehaviors(wrapper, settings, 'unload'));
+    };
+  }, [type, definition, args]);
+
+  return createElement('div', { ref: container, className: 'component-story' });
+}
+
+/**
+ * Render function of the generated stories.
+ *
+ * @param {Object} args - Story args
+ * @param {Object} context - Story context
+ * @returns {React.ReactElement}
+ */
+export function renderComponent(args, context) {
+  const { type, definition } = context.parameters.componentEntity;
+  return createElement(DrupalComponent, { type, definition, args });
+}
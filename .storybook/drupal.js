@@ -0,0 +1,196 @@
+/**
+ * @file
+ * Drupal, drupalSettings and once for Storybook.
+ *
+ * Stand-ins for what core/drupal, core/drupalSettings, core/once and the
+ * component_entity/react library put on a page, so the module's scripts run
+ * unchanged. Importing this file installs them; withDrupal() gives every
+ * story fresh settings.
+ */
+
+import React from 'react';
+import * as ReactDOM from 'react-dom/client';
+
+/**
+ * Settings every story starts with.
+ */
+const DEFAULT_SETTINGS = {
+  path: {
+    baseUrl: '/',
+    pathPrefix: '',
+    currentPath: 'storybook',
+    currentPathIsAdmin: false,
+    isFront: false,
+    currentLanguage: 'en',
+  },
+  user: {
+    uid: 0,
+    permissionsHash: '',
+  },
+  componentEntity: {
+    components: {},
+    schemas: {},
+  },
+};
+
+/**
+ * Replace placeholders in a string, like Drupal.formatString().
+ *
+ * @param {string} string - String with placeholders
+ * @param {Object} [args] - Replacements keyed by placeholder
+ * @returns {string}
+ */
+function formatString(string, args = {}) {
+  return Object.keys(args).reduce((result, key) => result.split(key).join(String(args[key])), string);
+}
+
+/**
+ * Select the elements a once() call applies to.
+ *
+ * @param {string|Element|Element[]|NodeList} selector - Selector or elements
+ * @param {Document|Element} context - Element to search in
+ * @returns {Element[]}
+ */
+function selectElements(selector, context) {
+  if (typeof selector !== 'string') {
+    return selector instanceof Element ? [selector] : Array.from(selector || []);
+  }
+  const elements = Array.from(context.querySelectorAll(selector));
+  if (context instanceof Element && context.matches(selector)) {
+    elements.unshift(context);
+  }
+  return elements;
+}
+
+/**
+ * Get the once() IDs an element is marked with.
+ *
+ * @param {Element} element - Element
+ * @returns {string[]}
+ */
+function onceIds(element) {
+  return (element.getAttribute('data-once') || '').split(' ').filter(Boolean);
+}
+
+/**
+ * Process elements only once per ID, like core/once.
+ *
+ * @param {string} id - Once ID
+ * @param {string|Element|Element[]|NodeList} selector - Selector or elements
+ * @param {Document|Element} [context] - Element to search in
+ * @returns {Element[]} The elements not processed with the ID before
+ */
+function once(id, selector, context = document) {
+  return selectElements(selector, context).filter((element) => {
+    const ids = onceIds(element);
+    if (ids.includes(id)) {
+      return false;
+    }
+    element.setAttribute('data-once', [...ids, id].join(' '));
+    return true;
+  });
+}
+
+/**
+ * Remove a once() mark from elements.
+ *
+ * @param {string} id - Once ID
+ * @param {string|Element|Element[]|NodeList} selector - Selector or elements
+ * @param {Document|Element} [context] - Element to search in
+ * @returns {Element[]} The elements that had the mark
+ */
+once.remove = function (id, selector, context = document) {
+  return selectElements(selector, context).filter((element) => {
+    const ids = onceIds(element);
+    if (!ids.includes(id)) {
+      return false;
+    }
+    const rest = ids.filter((other) => other !== id);
+    if (rest.length) {
+      element.setAttribute('data-once', rest.join(' '));
+    } else {
+      element.removeAttribute('data-once');
+    }
+    return true;
+  });
+};
+
+/**
+ * Run a method of every behavior, like Drupal.attachBehaviors() does.
+ *
+ * @param {string} method - "attach" or "detach"
+ * @param {Array} args - Arguments for the method
+ */
+function runBehaviors(method, args) {
+  Object.keys(window.Drupal.behaviors).forEach((name) => {
+    const behavior = window.Drupal.behaviors[name];
+    if (behavior && typeof behavior[method] === 'function') {
+      try {
+        behavior[method](...args);
+      } catch (error) {
+        console.error(`Drupal.behaviors.${name}.${method}() failed:`, error);
+      }
+    }
+  });
+}
+
+/**
+ * Install the globals, keeping what is already there.
+ */
+function installGlobals() {
+  window.React = window.React || React;
+  window.ReactDOM = window.ReactDOM || ReactDOM;
+
+  const Drupal = window.Drupal || {};
+  Drupal.behaviors = Drupal.behaviors || {};
+  Drupal.componentEntity = Drupal.componentEntity || {};
+  Drupal.attachBehaviors = function (context = document, settings = window.drupalSettings) {
+    runBehaviors('attach', [context, settings]);
+  };
+  Drupal.detachBehaviors = function (context = document, settings = window.drupalSettings, trigger = 'unload') {
+    runBehaviors('detach', [context, settings, trigger]);
+  };
+  Drupal.t = function (string, args) {
+    return formatString(string, args);
+  };
+  Drupal.formatPlural = function (count, singular, plural, args = {}) {
+    return formatString(Number(count) === 1 ? singular : plural, { '@count': count, ...args });
+  };
+  Drupal.url = function (path) {
+    return window.drupalSettings.path.baseUrl + window.drupalSettings.path.pathPrefix + path;
+  };
+  window.Drupal = Drupal;
+
+  window.drupalSettings = window.drupalSettings || JSON.parse(JSON.stringify(DEFAULT_SETTINGS));
+  window.once = window.once || once;
+}
+
+/**
+ * Decorator giving each story fresh drupalSettings.
+ *
+ * Stories can add settings with the "drupalSettings" parameter, such as
+ * componentEntity.csrfToken or path.currentLanguage.
+ *
+ * @param {Function} Story - Story to render
+ * @param {Object} context - Story context
+ * @returns {React.ReactElement}
+ */
+export function withDrupal(Story, context) {
+  installGlobals();
+
+  const settings = JSON.parse(JSON.stringify(DEFAULT_SETTINGS));
+  const overrides = context.parameters.drupalSettings || {};
+  Object.keys(overrides).forEach((key) => {
+    settings[key] = overrides[key] && typeof overrides[key] === 'object' && !Array.isArray(overrides[key])
+      ? { ...settings[key], ...overrides[key] }
+      : overrides[key];
+  });
+
+  // Replaced in place: scripts may hold on to the object.
+  Object.keys(window.drupalSettings).forEach((key) => delete window.drupalSettings[key]);
+  Object.assign(window.drupalSettings, settings);
+
+  return Story();
+}
+
+installGlobals();
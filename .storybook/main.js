@@ -0,0 +1,57 @@
+/**
+ * @file
+ * Storybook configuration.
+ *
+ * Hand-written stories live next to their components; the rest are generated
+ * from component.yml into .storybook/generated (see
+ * scripts/component-stories.js).
+ */
+
+const path = require('path');
+const webpack = require('webpack');
+
+const ComponentStoriesPlugin = require('../scripts/component-stories');
+
+const root = path.resolve(__dirname, '..');
+
+// The stories have to exist before Storybook indexes them; the plugin keeps
+// them up to date afterwards.
+ComponentStoriesPlugin.generateStories();
+
+module.exports = {
+  stories: [
+    '../components/**/*.stories.@(js|jsx|ts|tsx)',
+    './generated/*.stories.js',
+  ],
+
+  addons: ['@storybook/addon-essentials'],
+
+  framework: {
+    name: '@storybook/react-webpack5',
+    options: {},
+  },
+
+  webpackFinal: async (config) => {
+    config.resolve = config.resolve || {};
+    config.resolve.alias = {
+      ...config.resolve.alias,
+      // Bundled rather than external, so components share the instances the
+      // preview loads (see tsconfig.json paths).
+      '@component-entity/client': path.join(root, 'js/client/index.ts'),
+      '@component-entity/component-store': path.join(root, 'js/component-store.js'),
+      '@component-entity/drupal-react': path.join(root, 'js/drupal-react.js'),
+      '@component-entity/runtime': path.join(root, 'js/component-runtime.js'),
+      '@components': path.join(root, 'components'),
+      '@utils': path.join(root, 'js/utils'),
+      '@types': path.join(root, 'types'),
+    };
+
+    config.plugins.push(
+      // Stories show schema violations and hydration mismatches.
+      new webpack.DefinePlugin({ __DEV__: true }),
+      new ComponentStoriesPlugin()
+    );
+
+    return config;
+  },
+};
@@ -0,0 +1,29 @@
+/**
+ * @file
+ * Storybook preview.
+ *
+ * Loads the component_entity/react-renderer library in its order, after the
+ * react-renderer-debug library it depends on in debug mode, on top of the
+ * stand-ins for Drupal's globals, so stories go through the same code as a
+ * Drupal page.
+ */
+
+import { withDrupal } from './drupal';
+
+import '../js/render-comparison';
+import '../js/hydration-check';
+import '../js/component-registry';
+import '../js/component-store';
+import '../js/drupal-react';
+import '../js/component-runtime';
+import '../js/component-renderer';
+
+export default {
+  decorators: [withDrupal],
+  parameters: {
+    layout: 'fullscreen',
+    controls: {
+      expanded: true,
+    },
+  },
+};
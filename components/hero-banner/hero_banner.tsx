@@ -1,36 +1,9 @@
 import React, { FC, useState, useEffect, useCallback, useRef } from 'react';
-import './hero_banner.css';
 
-interface HeroBannerProps {
-  title: string;
-  subtitle?: string;
-  background_image?: {
-    src: string;
-    alt: string;
-    loading?: 'lazy' | 'eager';
-  };
-  background_color?: 'primary' | 'secondary' | 'dark' | 'light' | 'brand';
-  cta_button?: {
-    text: string;
-    url: string;
-    variant?: 'primary' | 'secondary' | 'outline';
-    target?: '_self' | '_blank';
-  };
-  alignment?: 'left' | 'center' | 'right';
-  overlay_opacity?: number;
-  min_height?: string;
-  drupal_context?: {
-    entity_id: string;
-    entity_type: string;
-    bundle: string;
-    view_mode: string;
-    can_edit?: boolean;
-  };
-  slots?: {
-    content?: React.ReactNode;
-    footer?: React.ReactNode;
-  };
-}
+import { useAnalytics, useDrupalContext, useTranslation } from '@component-entity/drupal-react';
+
+import type { HeroBannerProps } from '../../types/components/hero_banner';
+import './hero_banner.css';
 
 const HeroBanner: FC<HeroBannerProps> = ({
   title,
@@ -47,6 +20,9 @@ const HeroBanner: FC<HeroBannerProps> = ({
   const [isLoaded, setIsLoaded] = useState(false);
   const [isVisible, setIsVisible] = useState(false);
   const heroRef = useRef<HTMLElement>(null);
+  const { trackEvent } = useAnalytics();
+  const { basePath } = useDrupalContext();
+  const { Drupal } = useTranslation();
 
   // Intersection Observer for animations
   useEffect(() => {
@@ -74,9 +50,8 @@ const HeroBanner: FC<HeroBannerProps> = ({
 
   // CTA click handler with analytics
   const handleCtaClick = useCallback((e: React.MouseEvent<HTMLAnchorElement>) => {
-    // Track event if analytics available
-    if (window.gtag && cta_button) {
-      window.gtag('event', 'click', {
+    if (cta_button) {
+      trackEvent('click', {
         event_category: 'CTA',
         event_label: cta_button.text,
         component_type: 'hero_banner',
@@ -89,15 +64,15 @@ const HeroBanner: FC<HeroBannerProps> = ({
       e.preventDefault();
       window.open(cta_button.url, '_blank', 'noopener,noreferrer');
     }
-  }, [cta_button, drupal_context]);
+  }, [cta_button, drupal_context, trackEvent]);
 
   // Edit handler for Drupal integration
   const handleEdit = useCallback(() => {
     if (drupal_context && window.Drupal) {
-      const editUrl = `/admin/structure/component/${drupal_context.bundle}/${drupal_context.entity_id}/edit`;
+      const editUrl = `${basePath}admin/structure/component/${drupal_context.bundle}/${drupal_context.entity_id}/edit`;
       window.location.href = editUrl;
     }
-  }, [drupal_context]);
+  }, [basePath, drupal_context]);
 
   // Build CSS classes
   const heroClasses = [
@@ -183,12 +158,12 @@ const HeroBanner: FC<HeroBannerProps> = ({
             <button
               className="hero-banner__edit"
               onClick={handleEdit}
-              aria-label="Edit hero banner"
+              aria-label={Drupal.t('Edit hero banner')}
             >
               <svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor">
                 <path d="M12.146.854a.5.5 0 0 1 .708 0l2.292 2.292a.5.5 0 0 1 0 .708l-9 9a.5.5 0 0 1-.253.143l-3 .75a.5.5 0 0 1-.606-.606l.75-3a.5.5 0 0 1 .143-.253l9-9z"/>
               </svg>
-              Edit
+              {Drupal.t('Edit')}
             </button>
           )}
         </div>
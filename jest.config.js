@@ -10,10 +10,15 @@ module.exports = {
         jsx: 'react-jsx',
       },
     }],
+    '^.+\\.jsx?$': 'babel-jest',
   },
   
   // Module name mapping
   moduleNameMapper: {
+    '^@component-entity/drupal-react$': '<rootDir>/js/drupal-react.js',
+    '^@component-entity/component-store$': '<rootDir>/js/component-store.js',
+    '^@component-entity/runtime$': '<rootDir>/js/component-runtime.js',
+    '^@component-entity/client$': '<rootDir>/js/client/index.ts',
     '^@components/(.*)$': '<rootDir>/components/$1',
     '^@utils/(.*)$': '<rootDir>/js/utils/$1',
     '^@types/(.*)$': '<rootDir>/types/$1',
@@ -59,6 +64,7 @@ module.exports = {
   
   // Globals
   globals: {
+    __DEV__: true,
     Drupal: {},
     drupalSettings: {},
     jQuery: {},
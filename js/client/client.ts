@@ -0,0 +1,476 @@
+/**
+ * @file
+ * Client for the Component Entity REST resources.
+ */
+
+import { createResponseError, AccessDeniedError, NetworkError } from './errors';
+import { applySchema, entityToProps, propsToFields } from './props';
+import type {
+  BulkOperation,
+  BulkResult,
+  ClientOptions,
+  ComponentEntity,
+  ComponentListQuery,
+  ComponentPage,
+  ComponentSchema,
+  ComponentSummary,
+  ComponentType,
+  ComponentValues,
+  FieldDefinition,
+  PropsOf,
+  RenderOptions,
+  RenderResult,
+  RequestOptions,
+} from './types';
+
+/**
+ * Methods that need a CSRF token with cookie authentication.
+ */
+const UNSAFE_METHODS = ['POST', 'PATCH', 'PUT', 'DELETE'];
+
+/**
+ * Most components the bulk resource accepts per request.
+ */
+export const BULK_LIMIT = 100;
+
+/**
+ * Read the base URL from drupalSettings when running inside Drupal.
+ */
+const defaultBaseUrl = (): string => {
+  const settings = typeof window !== 'undefined'
+    ? (window as { drupalSettings?: { path?: { baseUrl?: string } } }).drupalSettings
+    : undefined;
+  return (settings && settings.path && settings.path.baseUrl) || '/';
+};
+
+/**
+ * Scalar value of a serialized base field.
+ */
+const baseValue = (raw: Record<string, unknown>, field: string, property = 'value'): unknown => {
+  const items = raw[field];
+  return Array.isArray(items) && items.length ? (items[0] as Record<string, unknown>)[property] ?? null : null;
+};
+
+/**
+ * String value of a serialized base field, or NULL.
+ */
+const baseString = (raw: Record<string, unknown>, field: string, property = 'value'): string | null => {
+  const value = baseValue(raw, field, property);
+  return value === null ? null : String(value);
+};
+
+/**
+ * Talks to the component REST resources and returns typed data.
+ *
+ * Handles CSRF tokens for cookie authentication, collection pagination,
+ * bulk operations and rendering, and throws typed errors (see errors.ts).
+ */
+export class ComponentEntityClient {
+  readonly baseUrl: string;
+
+  protected readonly options: ClientOptions;
+
+  protected readonly fetchImpl: typeof fetch;
+
+  protected csrfToken: Promise<string> | null;
+
+  protected readonly schemas: Map<string, ComponentSchema>;
+
+  protected readonly componentTypes = new Map<string, Promise<ComponentType>>();
+
+  constructor(options: ClientOptions = {}) {
+    const baseUrl = options.baseUrl || defaultBaseUrl();
+    this.baseUrl = baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`;
+    this.options = options;
+    this.fetchImpl = options.fetch || ((input, init) => fetch(input, init));
+    this.csrfToken = options.csrfToken ? Promise.resolve(options.csrfToken) : null;
+    this.schemas = new Map(Object.entries(options.schemas || {}));
+  }
+
+  /**
+   * Use a .component.yml schema to shape the props of a component type.
+   */
+  setSchema(type: string, schema: ComponentSchema): void {
+    this.schemas.set(type, schema);
+  }
+
+  /**
+   * Get the session CSRF token, fetching it once.
+   */
+  getCsrfToken(): Promise<string> {
+    if (!this.csrfToken) {
+      this.csrfToken = this.send('GET', 'session/token', {}, 'text')
+        .then((token) => String(token))
+        .catch((error) => {
+          // Let the next request try again.
+          this.csrfToken = null;
+          throw error;
+        });
+    }
+    return this.csrfToken;
+  }
+
+  /**
+   * Send a request to a path below the base URL and parse the JSON response.
+   *
+   * A rejected CSRF token is refreshed and the request retried once.
+   *
+   * @param method - HTTP method
+   * @param path - Path relative to the base URL, e.g. "api/components", or a
+   *   URL starting with the base URL, as Drupal generates them
+   * @param options - Query parameters, JSON body and abort signal
+   */
+  async request<T = unknown>(method: string, path: string, options: RequestOptions = {}): Promise<T> {
+    try {
+      return await this.send(method, path, options) as T;
+    }
+    catch (error) {
+      if (error instanceof AccessDeniedError && this.isCsrfError(error) && !this.options.csrfToken) {
+        this.csrfToken = null;
+        return await this.send(method, path, options) as T;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get a component with its fields shaped as props.
+   */
+  async getComponent<T extends string = string>(id: string | number, options: { signal?: AbortSignal } = {}): Promise<ComponentEntity<PropsOf<T>>> {
+    const raw = await this.request<Record<string, unknown>>('GET', `api/component/${encodeURIComponent(id)}`, options);
+    return this.toComponent<T>(raw);
+  }
+
+  /**
+   * Get one page of components.
+   */
+  async listComponents(query: ComponentListQuery = {}, options: { signal?: AbortSignal } = {}): Promise<ComponentPage> {
+    const page = await this.request<Omit<ComponentPage, 'hasNext'>>('GET', 'api/components', {
+      query: query as RequestOptions['query'],
+      signal: options.signal,
+    });
+    return { ...page, hasNext: page.offset + page.limit < page.total };
+  }
+
+  /**
+   * Iterate over every component matching a query, page by page.
+   */
+  async *paginate(query: ComponentListQuery = {}, options: { signal?: AbortSignal } = {}): AsyncGenerator<ComponentSummary> {
+    let offset = query.offset || 0;
+    for (;;) {
+      const page = await this.listComponents({ ...query, offset }, options);
+      yield* page.items;
+      if (!page.hasNext) {
+        return;
+      }
+      offset = page.offset + page.limit;
+    }
+  }
+
+  /**
+   * Collect every component matching a query.
+   */
+  async listAllComponents(query: ComponentListQuery = {}, options: { signal?: AbortSignal } = {}): Promise<ComponentSummary[]> {
+    const items: ComponentSummary[] = [];
+    for await (const item of this.paginate(query, options)) {
+      items.push(item);
+    }
+    return items;
+  }
+
+  /**
+   * Create a component.
+   */
+  async createComponent<T extends string>(type: T, values: ComponentValues<PropsOf<T>>): Promise<ComponentEntity<PropsOf<T>>> {
+    const body = await this.toEntityBody(type, values);
+    const raw = await this.request<Record<string, unknown>>('POST', 'api/component', { body });
+    return this.toComponent<T>(raw);
+  }
+
+  /**
+   * Update a component; only the given values change.
+   */
+  async updateComponent<T extends string>(id: string | number, type: T, values: ComponentValues<PropsOf<T>>): Promise<ComponentEntity<PropsOf<T>>> {
+    const body = await this.toEntityBody(type, values);
+    const raw = await this.request<Record<string, unknown>>('PATCH', `api/component/${encodeURIComponent(id)}`, { body });
+    return this.toComponent<T>(raw);
+  }
+
+  /**
+   * Delete a component.
+   */
+  async deleteComponent(id: string | number): Promise<void> {
+    await this.request('DELETE', `api/component/${encodeURIComponent(id)}`);
+  }
+
+  /**
+   * Render a component to HTML.
+   *
+   * Props or slots in the options are rendered instead of the stored values.
+   */
+  renderComponent(id: string | number, options: RenderOptions = {}): Promise<RenderResult> {
+    const path = `api/component/${encodeURIComponent(id)}/render`;
+
+    if (options.props || options.slots) {
+      return this.request<RenderResult>('POST', path, {
+        body: {
+          view_mode: options.viewMode,
+          render_method: options.renderMethod,
+          include_assets: options.includeAssets,
+          props: options.props || {},
+          slots: options.slots || {},
+        },
+        signal: options.signal,
+      });
+    }
+
+    const query: Record<string, string | number | undefined> = {
+      view_mode: options.viewMode,
+      render_method: options.renderMethod,
+      include_assets: options.includeAssets ? 1 : undefined,
+    };
+    Object.entries(options.context || {}).forEach(([key, value]) => {
+      query[`context_${key}`] = value;
+    });
+
+    return this.request<RenderResult>('GET', path, { query, signal: options.signal });
+  }
+
+  /**
+   * Run a bulk operation, splitting it into requests the resource accepts.
+   *
+   * Result indexes refer to positions in the given list.
+   */
+  async bulk(operation: BulkOperation, components: Array<Record<string, unknown> | string | number>): Promise<BulkResult> {
+    const result: BulkResult = { success: [], errors: [] };
+
+    for (let start = 0; start < components.length; start += BULK_LIMIT) {
+      const chunk = components.slice(start, start + BULK_LIMIT);
+      const response = await this.request<BulkResult>('POST', 'api/components/bulk', {
+        body: { operation, components: chunk },
+      });
+      response.success.forEach((item) => result.success.push({ ...item, index: item.index + start }));
+      response.errors.forEach((item) => result.errors.push({ ...item, index: item.index + start }));
+    }
+
+    return result;
+  }
+
+  /**
+   * Create several components of one or more types.
+   */
+  async bulkCreate(components: Array<{ type: string } & ComponentValues>): Promise<BulkResult> {
+    const bodies = await Promise.all(components.map(({ type, ...values }) => this.toEntityBody(type, values)));
+    // The bulk resource passes values to ComponentEntity::create(), which
+    // takes the bundle as a plain string.
+    return this.bulk('create', bodies.map((body, index) => ({ ...body, type: components[index].type })));
+  }
+
+  /**
+   * Delete several components.
+   */
+  bulkDelete(ids: Array<string | number>): Promise<BulkResult> {
+    return this.bulk('delete', ids);
+  }
+
+  /**
+   * Publish several components.
+   */
+  bulkPublish(ids: Array<string | number>): Promise<BulkResult> {
+    return this.bulk('publish', ids);
+  }
+
+  /**
+   * Unpublish several components.
+   */
+  bulkUnpublish(ids: Array<string | number>): Promise<BulkResult> {
+    return this.bulk('unpublish', ids);
+  }
+
+  /**
+   * Get a component type with its field definitions (cached).
+   */
+  getComponentType(type: string): Promise<ComponentType> {
+    if (!this.componentTypes.has(type)) {
+      const request = this.request<ComponentType>('GET', `api/component-type/${encodeURIComponent(type)}`);
+      request.catch(() => this.componentTypes.delete(type));
+      this.componentTypes.set(type, request);
+    }
+    return this.componentTypes.get(type) as Promise<ComponentType>;
+  }
+
+  /**
+   * List all component types.
+   */
+  listComponentTypes(): Promise<ComponentType[]> {
+    return this.request<ComponentType[]>('GET', 'api/component-types');
+  }
+
+  /**
+   * Shape a serialized entity as a ComponentEntity.
+   */
+  protected async toComponent<T extends string>(raw: Record<string, unknown>): Promise<ComponentEntity<PropsOf<T>>> {
+    const type = baseString(raw, 'type', 'target_id') || '';
+    const fields = await this.getFields(type);
+    const { props, slots } = entityToProps(raw, fields, this.baseUrl);
+
+    return {
+      id: String(baseValue(raw, 'id')),
+      uuid: baseString(raw, 'uuid') || '',
+      type,
+      name: baseString(raw, 'name') || '',
+      status: Boolean(baseValue(raw, 'status')),
+      renderMethod: baseString(raw, 'render_method'),
+      created: this.timestamp(baseValue(raw, 'created')),
+      changed: this.timestamp(baseValue(raw, 'changed')),
+      props: applySchema(props, this.schemas.get(type)) as PropsOf<T>,
+      slots,
+      raw,
+    };
+  }
+
+  /**
+   * Build a serialized entity for create and update requests.
+   */
+  protected async toEntityBody(type: string, values: ComponentValues): Promise<Record<string, unknown>> {
+    const fields = await this.getFields(type);
+    const body: Record<string, unknown> = {
+      type: [{ target_id: type }],
+      ...propsToFields(values.props as Record<string, unknown>, values.slots, fields),
+    };
+
+    if (values.name !== undefined) {
+      body.name = [{ value: values.name }];
+    }
+    if (values.status !== undefined) {
+      body.status = [{ value: values.status }];
+    }
+    if (values.renderMethod !== undefined) {
+      body.render_method = [{ value: values.renderMethod }];
+    }
+
+    return body;
+  }
+
+  /**
+   * Field definitions of a component type; empty when they cannot be read.
+   */
+  protected async getFields(type: string | null): Promise<Record<string, FieldDefinition>> {
+    if (!type) {
+      return {};
+    }
+    try {
+      return (await this.getComponentType(type)).fields || {};
+    }
+    catch {
+      // Props are still shaped, with field types guessed from the values.
+      return {};
+    }
+  }
+
+  /**
+   * Timestamps serialize as ISO dates; return seconds like the collection.
+   */
+  protected timestamp(value: unknown): number | null {
+    if (value === null || value === undefined) {
+      return null;
+    }
+    if (typeof value === 'number') {
+      return value;
+    }
+    const time = Date.parse(String(value));
+    return Number.isNaN(time) ? null : Math.floor(time / 1000);
+  }
+
+  /**
+   * Check whether a 403 came from CSRF protection.
+   */
+  protected isCsrfError(error: AccessDeniedError): boolean {
+    return /X-CSRF-Token/i.test(error.message);
+  }
+
+  /**
+   * Build the URL for a path and query.
+   */
+  protected buildUrl(path: string, query: RequestOptions['query'] = {}, format = true): string {
+    const params = new URLSearchParams();
+    Object.entries(query || {}).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) {
+        params.append(key, String(value));
+      }
+    });
+    if (format) {
+      params.set('_format', 'json');
+    }
+    const search = params.toString();
+    const relative = path.startsWith(this.baseUrl) ? path.slice(this.baseUrl.length) : path.replace(/^\//, '');
+    return `${this.baseUrl}${relative}${search ? `?${search}` : ''}`;
+  }
+
+  /**
+   * Send one request.
+   */
+  protected async send(method: string, path: string, options: RequestOptions = {}, type: 'json' | 'text' = 'json'): Promise<unknown> {
+    const auth = this.options.auth || { type: 'cookie' };
+    const headers: Record<string, string> = {
+      Accept: type === 'json' ? 'application/json' : 'text/plain',
+      ...this.options.headers,
+    };
+
+    if (auth.type === 'basic') {
+      headers.Authorization = `Basic ${btoa(`${auth.username}:${auth.password}`)}`;
+    }
+    else if (auth.type === 'bearer') {
+      headers.Authorization = `Bearer ${auth.token}`;
+    }
+    else if (UNSAFE_METHODS.includes(method)) {
+      headers['X-CSRF-Token'] = await this.getCsrfToken();
+    }
+
+    if (options.body !== undefined) {
+      headers['Content-Type'] = 'application/json';
+    }
+
+    let response: Response;
+    try {
+      response = await this.fetchImpl(this.buildUrl(path, options.query, type === 'json'), {
+        method,
+        headers,
+        credentials: this.options.credentials || 'same-origin',
+        body: options.body !== undefined ? JSON.stringify(options.body) : undefined,
+        signal: options.signal,
+      });
+    }
+    catch (error) {
+      throw new NetworkError(`${method} ${path} failed: ${error instanceof Error ? error.message : String(error)}`, error);
+    }
+
+    const text = await response.text();
+    if (type === 'text' && response.ok) {
+      return text;
+    }
+
+    let body: unknown = null;
+    if (text) {
+      try {
+        body = JSON.parse(text);
+      }
+      catch {
+        body = text;
+      }
+    }
+
+    if (!response.ok) {
+      throw createResponseError(response.status, body, `${method} ${path} failed with status ${response.status}`);
+    }
+
+    return body;
+  }
+}
+
+/**
+ * Create a client.
+ */
+export function createClient(options: ClientOptions = {}): ComponentEntityClient {
+  return new ComponentEntityClient(options);
+}
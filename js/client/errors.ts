@@ -0,0 +1,112 @@
+/**
+ * @file
+ * Errors thrown by the Component Entity client.
+ */
+
+/**
+ * Base class for every client error.
+ */
+export class ComponentEntityError extends Error {
+  /** HTTP status, or 0 when no response was received. */
+  readonly status: number;
+
+  /** Parsed response body, when there was one. */
+  readonly body: unknown;
+
+  constructor(message: string, status = 0, body: unknown = null) {
+    super(message);
+    this.name = 'ComponentEntityError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+/**
+ * The request never got a response (offline, CORS, DNS, ...).
+ */
+export class NetworkError extends ComponentEntityError {
+  readonly cause: unknown;
+
+  constructor(message: string, cause?: unknown) {
+    super(message);
+    this.name = 'NetworkError';
+    this.cause = cause;
+  }
+}
+
+/**
+ * 400 or 422: the request or the submitted entity was invalid.
+ */
+export class ValidationError extends ComponentEntityError {
+  constructor(message: string, status = 400, body: unknown = null) {
+    super(message, status, body);
+    this.name = 'ValidationError';
+  }
+}
+
+/**
+ * 401: the request was not authenticated.
+ */
+export class AuthenticationError extends ComponentEntityError {
+  constructor(message: string, body: unknown = null) {
+    super(message, 401, body);
+    this.name = 'AuthenticationError';
+  }
+}
+
+/**
+ * 403: the user may not perform the operation, or the CSRF token was rejected.
+ */
+export class AccessDeniedError extends ComponentEntityError {
+  constructor(message: string, body: unknown = null) {
+    super(message, 403, body);
+    this.name = 'AccessDeniedError';
+  }
+}
+
+/**
+ * 404: the component, component type or route does not exist.
+ */
+export class NotFoundError extends ComponentEntityError {
+  constructor(message: string, body: unknown = null) {
+    super(message, 404, body);
+    this.name = 'NotFoundError';
+  }
+}
+
+/**
+ * 5xx: Drupal failed to handle the request.
+ */
+export class ServerError extends ComponentEntityError {
+  constructor(message: string, status = 500, body: unknown = null) {
+    super(message, status, body);
+    this.name = 'ServerError';
+  }
+}
+
+/**
+ * Create the error matching an HTTP status.
+ *
+ * @param status - HTTP status
+ * @param body - Parsed response body; Drupal puts the reason in "message"
+ * @param fallback - Message when the body has none
+ */
+export function createResponseError(status: number, body: unknown, fallback: string): ComponentEntityError {
+  const message = body && typeof body === 'object' && typeof (body as { message?: unknown }).message === 'string'
+    ? (body as { message: string }).message
+    : fallback;
+
+  switch (status) {
+    case 400:
+    case 422:
+      return new ValidationError(message, status, body);
+    case 401:
+      return new AuthenticationError(message, body);
+    case 403:
+      return new AccessDeniedError(message, body);
+    case 404:
+      return new NotFoundError(message, body);
+    default:
+      return status >= 500 ? new ServerError(message, status, body) : new ComponentEntityError(message, status, body);
+  }
+}
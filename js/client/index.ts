@@ -0,0 +1,52 @@
+/**
+ * @file
+ * Component Entity client: typed access to the component REST resources.
+ *
+ * Bundled by webpack as dist/js/client.js (Drupal.componentEntity.client in
+ * the browser, the component_entity/client library in Drupal).
+ */
+
+import { BULK_LIMIT, ComponentEntityClient, createClient } from './client';
+import {
+  AccessDeniedError,
+  AuthenticationError,
+  ComponentEntityError,
+  NetworkError,
+  NotFoundError,
+  ServerError,
+  ValidationError,
+} from './errors';
+import { applySchema, entityToProps, propsToFields } from './props';
+
+export * from './types';
+export {
+  BULK_LIMIT,
+  ComponentEntityClient,
+  createClient,
+  AccessDeniedError,
+  AuthenticationError,
+  ComponentEntityError,
+  NetworkError,
+  NotFoundError,
+  ServerError,
+  ValidationError,
+  applySchema,
+  entityToProps,
+  propsToFields,
+};
+
+export default {
+  BULK_LIMIT,
+  ComponentEntityClient,
+  createClient,
+  AccessDeniedError,
+  AuthenticationError,
+  ComponentEntityError,
+  NetworkError,
+  NotFoundError,
+  ServerError,
+  ValidationError,
+  applySchema,
+  entityToProps,
+  propsToFields,
+};
@@ -0,0 +1,287 @@
+/**
+ * @file
+ * Shapes serialized component entities like the props Drupal renders with.
+ *
+ * Mirrors ComponentReactRenderer::extractProps(): "field_" prefixes are
+ * dropped, "_slot" fields become slots and each field type gets the same
+ * shape it has in drupalSettings. A .component.yml schema then maps keys to
+ * the declared prop names and coerces scalar types.
+ */
+
+import type { ComponentSchema, FieldDefinition } from './types';
+
+type FieldItem = Record<string, unknown>;
+
+/**
+ * Compare prop names regardless of case and separators.
+ */
+const propKey = (name: string): string => name.replace(/[-_]/g, '').toLowerCase();
+
+/**
+ * Resolve a link field URI to a browser URL.
+ */
+const linkUrl = (uri: string, baseUrl: string): string => {
+  if (uri.startsWith('internal:/')) {
+    return baseUrl + uri.slice('internal:/'.length);
+  }
+  if (uri.startsWith('route:<nolink>') || uri.startsWith('route:<none>')) {
+    return '';
+  }
+  return uri;
+};
+
+/**
+ * Shape one field item by field type.
+ */
+function itemValue(item: FieldItem, type: string, baseUrl: string): unknown {
+  switch (type) {
+    case 'json':
+      if (typeof item.value !== 'string') {
+        return item.value ?? null;
+      }
+      try {
+        return JSON.parse(item.value);
+      }
+      catch {
+        return null;
+      }
+
+    case 'boolean':
+      return Boolean(item.value);
+
+    case 'integer':
+      return parseInt(String(item.value), 10);
+
+    case 'decimal':
+    case 'float':
+      return parseFloat(String(item.value));
+
+    case 'entity_reference':
+      return {
+        id: String(item.target_id),
+        uuid: item.target_uuid,
+        type: item.target_type,
+        url: item.url,
+      };
+
+    case 'image':
+      return {
+        url: item.url,
+        alt: item.alt,
+        title: item.title,
+        width: item.width,
+        height: item.height,
+      };
+
+    case 'link':
+      return {
+        url: linkUrl(String(item.uri ?? ''), baseUrl),
+        title: item.title,
+        options: item.options ?? {},
+      };
+
+    case 'text':
+    case 'text_long':
+    case 'text_with_summary':
+      // "processed" is the text run through its text format.
+      return item.processed ?? item.value;
+
+    default:
+      return item.value !== undefined ? item.value : item;
+  }
+}
+
+/**
+ * Guess the field type of a field without a definition.
+ */
+function guessType(items: FieldItem[]): string {
+  const item = items[0] || {};
+  if ('uri' in item) {
+    return 'link';
+  }
+  if ('target_id' in item) {
+    return 'alt' in item ? 'image' : 'entity_reference';
+  }
+  if ('processed' in item) {
+    return 'text';
+  }
+  return 'string';
+}
+
+/**
+ * Turn serialized entity fields into props and slots.
+ *
+ * @param raw - The entity as serialized by Drupal's JSON normalizer
+ * @param fields - Field definitions from the component type resource
+ * @param baseUrl - Site base URL, for internal links
+ */
+export function entityToProps(
+  raw: Record<string, unknown>,
+  fields: Record<string, FieldDefinition> = {},
+  baseUrl = '/',
+): { props: Record<string, unknown>; slots: Record<string, string> } {
+  const props: Record<string, unknown> = {};
+  const slots: Record<string, string> = {};
+
+  Object.keys(raw).forEach((fieldName) => {
+    if (!fieldName.startsWith('field_')) {
+      return;
+    }
+
+    const value = raw[fieldName];
+    const items = Array.isArray(value) ? (value as FieldItem[]) : [];
+    const definition = fields[fieldName];
+
+    if (fieldName.includes('_slot')) {
+      if (items.length) {
+        slots[fieldName.replace('field_', '').replace('_slot', '')] = items
+          .map((item) => String(item.processed ?? item.value ?? ''))
+          .join('');
+      }
+      return;
+    }
+
+    const name = fieldName.replace('field_', '');
+    const type = definition ? definition.type : guessType(items);
+    const values = items.map((item) => itemValue(item, type, baseUrl));
+    const multiple = definition ? definition.cardinality !== 1 : values.length > 1;
+
+    if (multiple) {
+      props[name] = values;
+    }
+    else if (values.length) {
+      props[name] = values[0];
+    }
+    else if (definition) {
+      // Matches the NULL Drupal renders for empty structured fields.
+      props[name] = null;
+    }
+  });
+
+  return { props, slots };
+}
+
+/**
+ * Coerce a value to a schema type.
+ */
+function coerce(value: unknown, type: unknown): unknown {
+  if (value === null || value === undefined) {
+    return value;
+  }
+
+  switch (type) {
+    case 'boolean':
+      return typeof value === 'string' ? !['', '0', 'false'].includes(value.toLowerCase()) : Boolean(value);
+
+    case 'integer':
+    case 'number': {
+      if (typeof value !== 'string' || value.trim() === '') {
+        return value;
+      }
+      const number = type === 'integer' ? parseInt(value, 10) : parseFloat(value);
+      return Number.isNaN(number) ? value : number;
+    }
+
+    case 'string':
+      return typeof value === 'number' || typeof value === 'boolean' ? String(value) : value;
+
+    case 'object':
+    case 'array':
+      if (typeof value === 'string') {
+        try {
+          return JSON.parse(value);
+        }
+        catch {
+          return value;
+        }
+      }
+      return value;
+
+    default:
+      return value;
+  }
+}
+
+/**
+ * Rename props to the names declared in a schema and coerce their types.
+ *
+ * Props the schema does not declare are kept as they are.
+ *
+ * @param props - Props from entityToProps()
+ * @param schema - The component's .component.yml schema
+ */
+export function applySchema(props: Record<string, unknown>, schema?: ComponentSchema | null): Record<string, unknown> {
+  const declared = schema && schema.props && schema.props.properties;
+  if (!declared) {
+    return props;
+  }
+
+  const byKey = new Map<string, string>();
+  Object.keys(declared).forEach((name) => byKey.set(propKey(name), name));
+
+  const result: Record<string, unknown> = {};
+  Object.keys(props).forEach((name) => {
+    const target = name in declared ? name : byKey.get(propKey(name)) || name;
+    const definition = declared[target];
+    const type = definition && Array.isArray(definition.type) ? definition.type[0] : definition && definition.type;
+    result[target] = definition ? coerce(props[name], type) : props[name];
+  });
+
+  return result;
+}
+
+/**
+ * Turn props and slots into serialized entity fields.
+ *
+ * The reverse of entityToProps(), for create and update requests.
+ *
+ * @param props - Props keyed by prop name
+ * @param slots - Slot HTML keyed by slot name
+ * @param fields - Field definitions from the component type resource
+ */
+export function propsToFields(
+  props: Record<string, unknown> = {},
+  slots: Record<string, string> = {},
+  fields: Record<string, FieldDefinition> = {},
+): Record<string, FieldItem[]> {
+  const byKey = new Map<string, string>();
+  Object.keys(fields).forEach((fieldName) => byKey.set(propKey(fieldName.replace(/^field_/, '')), fieldName));
+
+  const values: Record<string, FieldItem[]> = {};
+
+  Object.keys(props).forEach((name) => {
+    const fieldName = byKey.get(propKey(name)) || `field_${name}`;
+    const definition = fields[fieldName];
+    const value = props[name];
+    const list = definition && definition.cardinality !== 1 && Array.isArray(value) ? value : [value];
+
+    values[fieldName] = list
+      .filter((item) => item !== null && item !== undefined)
+      .map((item): FieldItem => {
+        switch (definition && definition.type) {
+          case 'json':
+            return { value: JSON.stringify(item) };
+          case 'entity_reference':
+          case 'image': {
+            const reference = item as Record<string, unknown>;
+            return typeof item === 'object'
+              ? { target_id: reference.id ?? reference.target_id, ...(reference.alt !== undefined ? { alt: reference.alt } : {}) }
+              : { target_id: item };
+          }
+          case 'link': {
+            const link = item as Record<string, unknown>;
+            return typeof item === 'object' ? { uri: link.url ?? link.uri, title: link.title ?? '' } : { uri: item };
+          }
+          default:
+            return { value: item };
+        }
+      });
+  });
+
+  Object.keys(slots).forEach((name) => {
+    const fieldName = byKey.get(propKey(`${name}_slot`)) || `field_${name}_slot`;
+    values[fieldName] = [{ value: slots[name] }];
+  });
+
+  return values;
+}
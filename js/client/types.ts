@@ -0,0 +1,197 @@
+/**
+ * @file
+ * Types shared by the Component Entity client.
+ */
+
+/**
+ * Props of each component type, keyed by type.
+ *
+ * Empty here; augment it (or generate it from .component.yml files) to type
+ * props per component:
+ *
+ *   declare module '@component-entity/client' {
+ *     interface ComponentPropsMap {
+ *       hero_banner: HeroBannerProps;
+ *     }
+ *   }
+ */
+// eslint-disable-next-line @typescript-eslint/no-empty-interface
+export interface ComponentPropsMap {}
+
+/**
+ * Props of a component type, or a plain record for unknown types.
+ */
+export type PropsOf<T extends string> = T extends keyof ComponentPropsMap
+  ? ComponentPropsMap[T]
+  : Record<string, unknown>;
+
+/**
+ * Props schema and slot names from a .component.yml file.
+ */
+export interface ComponentSchema {
+  props?: {
+    properties?: Record<string, PropSchema>;
+    required?: string[];
+  };
+  slots?: string[] | Record<string, unknown>;
+}
+
+/**
+ * JSON schema of a single prop.
+ */
+export interface PropSchema {
+  type?: string | string[];
+  [keyword: string]: unknown;
+}
+
+export type ClientAuth =
+  | { type: 'cookie' }
+  | { type: 'basic'; username: string; password: string }
+  | { type: 'bearer'; token: string };
+
+export interface ClientOptions {
+  /** Site base URL ending in "/", e.g. "https://example.com/" (default: drupalSettings.path.baseUrl or "/"). */
+  baseUrl?: string;
+  /** Authentication (default: the session cookie). */
+  auth?: ClientAuth;
+  /** fetch credentials mode (default: "same-origin"; use "include" across origins). */
+  credentials?: RequestCredentials;
+  /** CSRF token to use instead of fetching /session/token. */
+  csrfToken?: string;
+  /** .component.yml schemas keyed by component type, used to shape props. */
+  schemas?: Record<string, ComponentSchema>;
+  /** fetch implementation (default: the global fetch). */
+  fetch?: typeof fetch;
+  /** Extra headers sent with every request. */
+  headers?: Record<string, string>;
+}
+
+export interface RequestOptions {
+  query?: Record<string, string | number | boolean | undefined | null>;
+  body?: unknown;
+  signal?: AbortSignal;
+}
+
+/**
+ * A component entity with its fields shaped as component props.
+ */
+export interface ComponentEntity<P = Record<string, unknown>> {
+  id: string;
+  uuid: string;
+  type: string;
+  name: string;
+  status: boolean;
+  renderMethod: string | null;
+  created: number | null;
+  changed: number | null;
+  props: P;
+  /** Slot HTML keyed by slot name. */
+  slots: Record<string, string>;
+  /** The entity as Drupal serialized it. */
+  raw: Record<string, unknown>;
+}
+
+/**
+ * A component in a collection listing.
+ */
+export interface ComponentSummary {
+  id: string;
+  uuid: string;
+  type: string;
+  name: string;
+  status: boolean;
+  render_method: string | null;
+  created: number;
+  changed: number;
+  author: { uid: string; name: string };
+  url: string;
+}
+
+export interface ComponentListQuery {
+  type?: string;
+  status?: boolean | 0 | 1;
+  render_method?: string;
+  created_after?: string;
+  created_before?: string;
+  uid?: string | number;
+  search?: string;
+  sort?: 'created' | 'changed' | 'name' | 'type' | 'status';
+  order?: 'ASC' | 'DESC';
+  limit?: number;
+  offset?: number;
+}
+
+export interface ComponentPage {
+  items: ComponentSummary[];
+  total: number;
+  limit: number;
+  offset: number;
+  links: { self: string; first: string; last: string; prev?: string; next?: string };
+  /** TRUE when another page follows. */
+  hasNext: boolean;
+}
+
+export interface RenderOptions {
+  viewMode?: string;
+  /** "twig" or "react"; defaults to the component type setting. */
+  renderMethod?: string;
+  includeAssets?: boolean;
+  /** Sent as context_* query parameters. */
+  context?: Record<string, string>;
+  /** Props and slots overriding the stored values (sent as POST). */
+  props?: Record<string, unknown>;
+  slots?: Record<string, unknown>;
+  signal?: AbortSignal;
+}
+
+export interface RenderResult {
+  id: string;
+  type: string;
+  render_method: string;
+  view_mode: string;
+  html: string;
+  assets?: {
+    css: Array<{ type: string; content: string }>;
+    js: unknown[];
+    libraries: string[];
+    settings?: Record<string, unknown>;
+  };
+  cache?: { tags: string[]; contexts: string[]; max_age: number };
+}
+
+export type BulkOperation = 'create' | 'update' | 'delete' | 'publish' | 'unpublish';
+
+export interface BulkResult {
+  success: Array<{ index: number; id: string | number; uuid?: string; action?: string }>;
+  errors: Array<{ index: number; id?: string | number; message: string }>;
+}
+
+export interface FieldDefinition {
+  label: string;
+  type: string;
+  required: boolean;
+  /** -1 for unlimited. */
+  cardinality: number;
+  settings: Record<string, unknown>;
+}
+
+export interface ComponentType {
+  id: string;
+  label: string;
+  description: string;
+  sdc_id: string;
+  rendering: Record<string, unknown>;
+  fields?: Record<string, FieldDefinition>;
+}
+
+/**
+ * Values for creating or updating a component.
+ */
+export interface ComponentValues<P = Record<string, unknown>> {
+  name?: string;
+  status?: boolean;
+  renderMethod?: string;
+  props?: Partial<P>;
+  /** Slot HTML keyed by slot name. */
+  slots?: Record<string, string>;
+}
@@ -0,0 +1,234 @@
+/**
+ * @file
+ * Inline editing of referenced components.
+ *
+ * ComponentReferenceFormatter renders the editors for fields that allow
+ * inline editing. The edit form and the component itself are loaded into
+ * the editor with Drupal AJAX; ComponentInlineEditForm answers saves with a
+ * componentEntityInlineEdit command.
+ */
+
+(function (Drupal, drupalSettings, once) {
+  'use strict';
+
+  /**
+   * Counter for the IDs of editor contents.
+   */
+  let editorCount = 0;
+
+  /**
+   * Inline editing for component reference fields.
+   */
+  Drupal.behaviors.componentEntityInlineEdit = {
+    attach(context) {
+      const inlineEditors = once('component-inline-edit', '.component-reference-inline-edit', context);
+
+      inlineEditors.forEach((editor) => {
+        const content = getContent(editor);
+        if (!content) {
+          return;
+        }
+        // Drupal AJAX inserts by ID; the same component can be shown twice.
+        editorCount++;
+        content.id = `component-inline-edit-${editor.dataset.entityId}-${editorCount}`;
+
+        editor.addEventListener('click', (event) => {
+          const target = event.target instanceof Element ? event.target : null;
+          if (!target) {
+            return;
+          }
+          if (target.closest('.component-inline-edit__button--edit')) {
+            enterEditMode(editor);
+          } else if (target.closest('.component-inline-edit__button--cancel')) {
+            event.preventDefault();
+            cancelEdit(editor);
+          }
+        });
+
+        // Dirty-state tracking
+        ['input', 'change'].forEach((type) => {
+          editor.addEventListener(type, (event) => {
+            if (editor.classList.contains('is-editing') && event.target instanceof Element && event.target.closest('form')) {
+              setDirty(editor, true);
+            }
+          });
+        });
+      });
+    },
+  };
+
+  /**
+   * Get the element holding the component or its edit form.
+   *
+   * @param {HTMLElement} editor - The inline editor
+   * @return {HTMLElement|null} The content element
+   */
+  function getContent(editor) {
+    return editor.querySelector('.component-reference-inline-edit__content');
+  }
+
+  /**
+   * Mark an editor as having unsaved changes, or not.
+   *
+   * @param {HTMLElement} editor - The inline editor
+   * @param {boolean} dirty - Whether there are unsaved changes
+   */
+  function setDirty(editor, dirty) {
+    editor.classList.toggle('is-dirty', dirty);
+  }
+
+  /**
+   * Load a URL into the editor's content with Drupal AJAX.
+   *
+   * @param {HTMLElement} editor - The inline editor
+   * @param {string} url - The URL returning the new content
+   * @return {Promise} Settles once the content is replaced
+   */
+  function load(editor, url) {
+    const ajax = Drupal.ajax({
+      url,
+      wrapper: getContent(editor).id,
+      method: 'html',
+      base: false,
+      element: false,
+      progress: { type: 'none' },
+    });
+
+    editor.classList.add('is-loading');
+    return Promise.resolve(ajax.execute()).finally(() => {
+      editor.classList.remove('is-loading');
+    });
+  }
+
+  /**
+   * Enter inline edit mode.
+   *
+   * @param {HTMLElement} editor - The inline editor
+   */
+  function enterEditMode(editor) {
+    if (editor.classList.contains('is-editing') || editor.classList.contains('is-loading')) {
+      return;
+    }
+
+    // The changed time the component was rendered with lets the server
+    // refuse saves over someone else's changes.
+    const url = new URL(editor.dataset.editUrl, window.location.href);
+    url.searchParams.set('view_mode', editor.dataset.viewMode || 'default');
+    url.searchParams.set('changed', editor.dataset.changed || '');
+
+    load(editor, url.pathname + url.search)
+      .then(() => {
+        editor.classList.add('is-editing');
+        const field = getContent(editor).querySelector('input:not([type="hidden"]), textarea, select');
+        if (field) {
+          field.focus();
+        }
+      })
+      .catch((error) => {
+        console.error('Failed to load inline edit form:', error);
+        Drupal.announce(Drupal.t('The edit form could not be loaded.'), 'assertive');
+      });
+  }
+
+  /**
+   * Cancel an inline edit, asking first if there are unsaved changes.
+   *
+   * @param {HTMLElement} editor - The inline editor
+   */
+  function cancelEdit(editor) {
+    if (editor.classList.contains('is-dirty') && !window.confirm(Drupal.t('Discard your unsaved changes to this component?'))) {
+      return;
+    }
+    exitEditMode(editor);
+  }
+
+  /**
+   * Exit inline edit mode.
+   *
+   * @param {HTMLElement} editor - The inline editor
+   */
+  function exitEditMode(editor) {
+    setDirty(editor, false);
+
+    // Reload the latest version, which further edits are checked against.
+    load(editor, editor.dataset.viewUrl)
+      .then(() => {
+        const inlineEdit = (drupalSettings.componentEntity || {}).inlineEdit || {};
+        const changed = (inlineEdit.changed || {})[editor.dataset.entityId];
+        if (changed) {
+          editor.dataset.changed = String(changed);
+        }
+        editor.classList.remove('is-editing', 'has-conflict');
+        focusEditButton(editor);
+      })
+      .catch((error) => {
+        console.error('Failed to reload component:', error);
+        Drupal.announce(Drupal.t('The component could not be reloaded.'), 'assertive');
+      });
+  }
+
+  /**
+   * Move focus back to the editor's edit button.
+   *
+   * @param {HTMLElement} editor - The inline editor
+   */
+  function focusEditButton(editor) {
+    const button = editor.querySelector('.component-inline-edit__button--edit');
+    if (button) {
+      button.focus();
+    }
+  }
+
+  /**
+   * Warn before leaving the page with unsaved inline edits.
+   */
+  window.addEventListener('beforeunload', (event) => {
+    if (document.querySelector('.component-reference-inline-edit.is-dirty')) {
+      event.preventDefault();
+      // Still required by some browsers.
+      event.returnValue = '';
+    }
+  });
+
+  /**
+   * Report the outcome of an inline edit.
+   *
+   * @param {Drupal.Ajax} ajax - The Drupal.Ajax object of the save button
+   * @param {Object} response - The command data
+   * @param {string} response.status - 'saved', 'conflict' or 'invalid'
+   * @param {string|null} response.html - The rendered component, once saved
+   * @param {number|null} response.changed - Changed time of the saved component
+   */
+  Drupal.AjaxCommands.prototype.componentEntityInlineEdit = function (ajax, response) {
+    const editor = ajax.element instanceof Element ? ajax.element.closest('.component-reference-inline-edit') : null;
+    if (!editor) {
+      return;
+    }
+
+    switch (response.status) {
+      case 'saved': {
+        const content = getContent(editor);
+        editor.dataset.changed = String(response.changed);
+        setDirty(editor, false);
+
+        Drupal.detachBehaviors(content, drupalSettings, 'unload');
+        content.innerHTML = response.html;
+        Drupal.attachBehaviors(content, drupalSettings);
+
+        editor.classList.remove('is-editing', 'has-conflict');
+        focusEditButton(editor);
+        Drupal.announce(Drupal.t('Component saved.'));
+        break;
+      }
+
+      case 'conflict':
+        editor.classList.add('has-conflict');
+        Drupal.announce(Drupal.t('This component was changed by someone else. Cancel and edit it again to work on the latest version.'), 'assertive');
+        break;
+
+      default:
+        Drupal.announce(Drupal.t('The component could not be saved. Check the form for errors.'), 'assertive');
+    }
+  };
+
+})(Drupal, drupalSettings, once);
@@ -0,0 +1,480 @@
+/**
+ * @file
+ * Component library browser.
+ *
+ * Renders the component types from the JSON index of
+ * ComponentLibraryController::index() and searches them with
+ * component-library-search.js. Users keep favourite types; the types they
+ * created components of last are listed as recently used.
+ */
+
+(function (Drupal, once) {
+  'use strict';
+
+  /**
+   * Client for Drupal requests, which fetches the CSRF token once for all
+   * browsers.
+   */
+  const client = Drupal.componentEntity.client.createClient();
+
+  /**
+   * Component library browser.
+   */
+  Drupal.behaviors.componentLibraryBrowser = {
+    attach(context) {
+      const browsers = once('component-browser', '.component-library-browser[data-index-url]', context);
+
+      browsers.forEach((element) => initializeLibraryBrowser(element));
+    },
+  };
+
+  /**
+   * Load the index and set up a browser.
+   *
+   * @param {HTMLElement} element - The browser
+   */
+  function initializeLibraryBrowser(element) {
+    const browser = {
+      element,
+      types: [],
+      favorites: new Set(),
+      recent: [],
+      query: '',
+      category: '',
+      tags: new Set(),
+    };
+
+    const searchInput = element.querySelector('.component-browser__search');
+    const categorySelect = element.querySelector('.component-browser__category');
+
+    if (searchInput) {
+      searchInput.addEventListener('input', () => {
+        browser.query = searchInput.value;
+        render(browser);
+      });
+      searchInput.addEventListener('keydown', (event) => {
+        if (event.key === 'ArrowDown') {
+          const link = element.querySelector('[data-list="results"] .component-browser__link');
+          if (link) {
+            event.preventDefault();
+            link.focus();
+          }
+        } else if (event.key === 'Escape' && searchInput.value) {
+          searchInput.value = '';
+          browser.query = '';
+          render(browser);
+        }
+      });
+    }
+
+    if (categorySelect) {
+      categorySelect.addEventListener('change', () => {
+        browser.category = categorySelect.value;
+        render(browser);
+      });
+    }
+
+    element.addEventListener('click', (event) => {
+      const target = event.target instanceof Element ? event.target : null;
+      if (!target) {
+        return;
+      }
+
+      const tagButton = target.closest('.component-browser__tag');
+      if (tagButton) {
+        const tag = tagButton.dataset.tag;
+        if (browser.tags.has(tag)) {
+          browser.tags.delete(tag);
+        } else {
+          browser.tags.add(tag);
+        }
+        render(browser);
+        // The facets were rendered again.
+        const button = Array.from(element.querySelectorAll('.component-browser__tag')).find((item) => item.dataset.tag === tag);
+        if (button) {
+          button.focus();
+        }
+        return;
+      }
+
+      const favoriteButton = target.closest('.component-browser__favorite');
+      if (favoriteButton) {
+        toggleFavorite(browser, favoriteButton.closest('.component-browser__item').dataset.componentType);
+        return;
+      }
+
+      // Opened from a field widget, the component is created in a dialog.
+      const link = target.closest('.component-browser__link');
+      if (link && element.dataset.targetField) {
+        event.preventDefault();
+        openCreateDialog(element, link.closest('.component-browser__item').dataset.componentType, browser.types);
+      }
+    });
+
+    element.addEventListener('keydown', (event) => {
+      const link = event.target instanceof Element ? event.target.closest('.component-browser__link') : null;
+      if (link) {
+        navigate(link, event);
+      }
+    });
+
+    client.request('GET', element.dataset.indexUrl)
+      .then((index) => {
+        browser.types = index.types || [];
+        browser.favorites = new Set(index.favorites || []);
+        browser.recent = index.recent || [];
+        render(browser);
+      })
+      .catch((error) => {
+        console.error(error);
+        setCount(browser, Drupal.t('The component library could not be loaded.'));
+      });
+  }
+
+  /**
+   * Render the facets, lists and result count of a browser.
+   *
+   * @param {Object} browser - The browser state
+   */
+  function render(browser) {
+    const search = Drupal.componentEntity.librarySearch;
+    const tags = Array.from(browser.tags);
+    const results = search.search(browser.types, {
+      query: browser.query,
+      category: browser.category,
+      tags,
+    });
+
+    // Each facet counts what choosing a value would leave.
+    renderCategories(browser, search.getFacets(search.search(browser.types, {
+      query: browser.query,
+      tags,
+    })).categories);
+    renderTags(browser, search.getFacets(results).tags);
+
+    // Shortcuts only while not searching.
+    const filtered = Boolean(browser.query.trim() || browser.category || tags.length);
+    const byId = new Map(browser.types.map((type) => [type.id, type]));
+    const pick = (ids) => {
+      return ids.map((id) => byId.get(id)).filter(Boolean);
+    };
+    renderList(browser, 'favorites', filtered ? [] : pick(Array.from(browser.favorites)));
+    renderList(browser, 'recent', filtered ? [] : pick(browser.recent));
+    renderList(browser, 'results', results);
+
+    setCount(browser, results.length
+      ? Drupal.formatPlural(results.length, '1 component', '@count components')
+      : Drupal.t('No components match your search.'));
+  }
+
+  /**
+   * Render the options of the category select.
+   *
+   * @param {Object} browser - The browser state
+   * @param {Array<{value: string, count: number}>} facets - Facet values
+   */
+  function renderCategories(browser, facets) {
+    const select = browser.element.querySelector('.component-browser__category');
+    if (!select) {
+      return;
+    }
+
+    // Keep the chosen category even when nothing else is left in it.
+    const categories = facets.slice();
+    if (browser.category && !categories.some((category) => category.value === browser.category)) {
+      categories.push({ value: browser.category, count: 0 });
+    }
+
+    Array.from(select.options).slice(1).forEach((option) => {
+      option.remove();
+    });
+    categories.forEach((category) => {
+      const option = document.createElement('option');
+      option.value = category.value;
+      option.textContent = category.value + ' (' + category.count + ')';
+      select.appendChild(option);
+    });
+    select.value = browser.category;
+  }
+
+  /**
+   * Render the tag facet buttons.
+   *
+   * @param {Object} browser - The browser state
+   * @param {Array<{value: string, count: number}>} facets - Facet values
+   */
+  function renderTags(browser, facets) {
+    const fieldset = browser.element.querySelector('.component-browser__tags');
+    const container = fieldset && fieldset.querySelector('.component-browser__tag-list');
+    if (!container) {
+      return;
+    }
+
+    // Keep the chosen tags even when no result has them.
+    const tags = facets.slice();
+    browser.tags.forEach((tag) => {
+      if (!tags.some((item) => item.value === tag)) {
+        tags.push({ value: tag, count: 0 });
+      }
+    });
+
+    container.textContent = '';
+    tags.forEach((tag) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'component-browser__tag';
+      button.dataset.tag = tag.value;
+      button.setAttribute('aria-pressed', String(browser.tags.has(tag.value)));
+      button.textContent = tag.value + ' (' + tag.count + ')';
+      container.appendChild(button);
+    });
+    fieldset.hidden = tags.length === 0;
+  }
+
+  /**
+   * Render the cards of one list.
+   *
+   * @param {Object} browser - The browser state
+   * @param {string} name - 'favorites', 'recent' or 'results'
+   * @param {Object[]} types - Index entries
+   */
+  function renderList(browser, name, types) {
+    const list = browser.element.querySelector('[data-list="' + name + '"]');
+    if (!list) {
+      return;
+    }
+    const section = list.closest('.component-browser__section');
+
+    list.textContent = '';
+    types.forEach((type, index) => {
+      list.appendChild(createCard(browser, type, index === 0));
+    });
+    if (name !== 'results' && section) {
+      section.hidden = types.length === 0;
+    }
+  }
+
+  /**
+   * Create the card of a component type.
+   *
+   * @param {Object} browser - The browser state
+   * @param {Object} type - The index entry
+   * @param {boolean} tabbable - Whether the card is its list's tab stop
+   * @return {HTMLElement} The list item
+   */
+  function createCard(browser, type, tabbable) {
+    const item = document.createElement('li');
+    item.className = 'component-browser__item';
+    item.dataset.componentType = type.id;
+
+    const link = document.createElement('a');
+    link.className = 'component-browser__link';
+    link.href = type.addUrl;
+    link.tabIndex = tabbable ? 0 : -1;
+
+    const thumbnail = document.createElement('span');
+    thumbnail.className = 'component-browser__thumbnail';
+    if (type.thumbnailUrl) {
+      // Rendered with the example props; scripts stay off.
+      const frame = document.createElement('iframe');
+      frame.src = type.thumbnailUrl;
+      frame.loading = 'lazy';
+      frame.tabIndex = -1;
+      frame.title = '';
+      frame.setAttribute('sandbox', 'allow-same-origin');
+      frame.setAttribute('aria-hidden', 'true');
+      thumbnail.appendChild(frame);
+    } else {
+      thumbnail.classList.add('component-browser__thumbnail--placeholder');
+      thumbnail.textContent = type.label.charAt(0).toUpperCase();
+    }
+    link.appendChild(thumbnail);
+
+    const name = document.createElement('span');
+    name.className = 'component-browser__name';
+    name.textContent = type.label;
+    link.appendChild(name);
+
+    if (type.description) {
+      const description = document.createElement('span');
+      description.className = 'component-browser__description';
+      description.textContent = type.description;
+      link.appendChild(description);
+    }
+
+    const meta = document.createElement('span');
+    meta.className = 'component-browser__meta';
+    meta.textContent = [type.category].concat(type.tags || []).join(' · ');
+    link.appendChild(meta);
+
+    item.appendChild(link);
+
+    const favorite = browser.favorites.has(type.id);
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'component-browser__favorite';
+    button.textContent = '★';
+    button.setAttribute('aria-pressed', String(favorite));
+    button.setAttribute('aria-label', favorite
+      ? Drupal.t('Remove @label from favourites', { '@label': type.label })
+      : Drupal.t('Add @label to favourites', { '@label': type.label }));
+    item.appendChild(button);
+
+    return item;
+  }
+
+  /**
+   * Move between cards with the arrow, Home and End keys.
+   *
+   * Each list is one tab stop; the arrow keys follow the grid, so up and
+   * down move by a row.
+   *
+   * @param {HTMLElement} link - The focused card link
+   * @param {KeyboardEvent} event - The keydown event
+   */
+  function navigate(link, event) {
+    const links = Array.from(link.closest('.component-browser__list').querySelectorAll('.component-browser__link'));
+    const index = links.indexOf(link);
+    const top = links[0].getBoundingClientRect().top;
+    const columns = Math.max(1, links.filter((item) => item.getBoundingClientRect().top === top).length);
+
+    let target;
+    switch (event.key) {
+      case 'ArrowRight':
+        target = index + 1;
+        break;
+
+      case 'ArrowLeft':
+        target = index - 1;
+        break;
+
+      case 'ArrowDown':
+        target = index + columns;
+        break;
+
+      case 'ArrowUp':
+        target = index - columns;
+        break;
+
+      case 'Home':
+        target = 0;
+        break;
+
+      case 'End':
+        target = links.length - 1;
+        break;
+
+      default:
+        return;
+    }
+
+    event.preventDefault();
+    target = Math.min(Math.max(target, 0), links.length - 1);
+    links.forEach((item, position) => {
+      item.tabIndex = position === target ? 0 : -1;
+    });
+    links[target].focus();
+  }
+
+  /**
+   * Add a component type to the favourites, or remove it.
+   *
+   * The browser updates straight away and reverts if the change cannot be
+   * saved.
+   *
+   * @param {Object} browser - The browser state
+   * @param {string} id - The component type ID
+   */
+  function toggleFavorite(browser, id) {
+    const type = browser.types.find((item) => item.id === id);
+    if (!type) {
+      return;
+    }
+
+    const favorite = !browser.favorites.has(id);
+    const apply = (value) => {
+      if (value) {
+        browser.favorites.add(id);
+      } else {
+        browser.favorites.delete(id);
+      }
+      render(browser);
+      focusFavorite(browser, id);
+    };
+    apply(favorite);
+
+    client.request('POST', type.favoriteUrl, { body: { favorite } })
+      .then(() => {
+        Drupal.announce(favorite
+          ? Drupal.t('@label added to favourites.', { '@label': type.label })
+          : Drupal.t('@label removed from favourites.', { '@label': type.label }));
+      })
+      .catch((error) => {
+        console.error(error);
+        apply(!favorite);
+        Drupal.announce(Drupal.t('Your favourites could not be saved.'), 'assertive');
+      });
+  }
+
+  /**
+   * Focus the favourite button of a type in the results, after rendering.
+   *
+   * @param {Object} browser - The browser state
+   * @param {string} id - The component type ID
+   */
+  function focusFavorite(browser, id) {
+    const item = Array.from(browser.element.querySelectorAll('[data-list="results"] .component-browser__item')).find((element) => element.dataset.componentType === id);
+    const button = item && item.querySelector('.component-browser__favorite');
+    if (button) {
+      button.focus();
+    }
+  }
+
+  /**
+   * Show the result count, or why there are no results.
+   *
+   * @param {Object} browser - The browser state
+   * @param {string} text - The text
+   */
+  function setCount(browser, text) {
+    const count = browser.element.querySelector('.component-browser__count');
+    if (count) {
+      count.textContent = text;
+    }
+  }
+
+  /**
+   * Open the add form of a component type in a dialog.
+   *
+   * Used when the browser was opened from a component reference widget;
+   * the form replaces the browser in its dialog, and the new component is
+   * added to the widget once saved.
+   *
+   * @param {HTMLElement} element - The browser
+   * @param {string} id - The component type ID
+   * @param {Object[]} types - Index entries
+   */
+  function openCreateDialog(element, id, types) {
+    const type = types.find((item) => item.id === id);
+    if (!type) {
+      return;
+    }
+
+    const url = new URL(type.dialogUrl, window.location.href);
+    url.searchParams.set('target', element.dataset.targetField);
+
+    const settings = {
+      url: url.pathname + url.search,
+      progress: { type: 'fullscreen' },
+    };
+    if (element.dataset.dialogType === 'off_canvas') {
+      settings.dialogType = 'dialog';
+      settings.dialogRenderer = 'off_canvas';
+    } else {
+      settings.dialogType = 'modal';
+      settings.dialog = { width: 960 };
+    }
+    Drupal.ajax(settings).execute();
+  }
+
+})(Drupal, once);
@@ -0,0 +1,274 @@
+/**
+ * @file
+ * Searching and faceting the component library index.
+ *
+ * The index comes from ComponentLibraryController::index(). Search terms
+ * match fuzzily against the label, machine name, tags, category and
+ * description of each component type; every term must match. Category and
+ * tag facets narrow the results further, all combined with AND.
+ */
+
+(function (root, factory) {
+  'use strict';
+
+  const api = factory();
+
+  // CommonJS (Jest, Node tooling).
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  }
+
+  // Browser global, used by component-library-browser.js.
+  if (root && root.Drupal) {
+    root.Drupal.componentEntity = root.Drupal.componentEntity || {};
+    root.Drupal.componentEntity.librarySearch = api;
+  }
+})(typeof window !== 'undefined' ? window : this, function () {
+  'use strict';
+
+  /**
+   * How much a match in each field of a type counts.
+   */
+  const FIELD_WEIGHTS = {
+    label: 3,
+    id: 2,
+    tags: 2,
+    category: 1.5,
+    description: 1,
+  };
+
+  /**
+   * Terms at least this long also match words one typo away.
+   */
+  const TYPO_MIN_LENGTH = 4;
+
+  /**
+   * Lowercase text and strip accents, so "Café" matches "cafe".
+   *
+   * @param {*} text - The text
+   * @returns {string} The normalized text
+   */
+  function normalize(text) {
+    return String(text == null ? '' : text)
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .trim();
+  }
+
+  /**
+   * Whether a character separates words.
+   *
+   * @param {string} char - The character
+   * @returns {boolean} TRUE for spaces, punctuation and the like
+   */
+  function isBoundary(char) {
+    return !/[a-z0-9]/.test(char);
+  }
+
+  /**
+   * Score how well a term matches a text.
+   *
+   * Substrings score highest, more so at the start of a word. Otherwise the
+   * term's characters must appear in order, scoring higher when they are
+   * consecutive or start words. Longer terms also match words one typo
+   * away.
+   *
+   * @param {string} term - The normalized search term
+   * @param {string} text - The normalized text
+   * @returns {number} The score, 0 if the term does not match
+   */
+  function fuzzyScore(term, text) {
+    if (!term || !text) {
+      return 0;
+    }
+
+    const index = text.indexOf(term);
+    if (index !== -1) {
+      let score = 100 + term.length;
+      if (text === term) {
+        score += 100;
+      } else if (index === 0) {
+        score += 50;
+      } else if (isBoundary(text[index - 1])) {
+        score += 30;
+      }
+      return score;
+    }
+
+    // Characters in order, e.g. "hrbn" in "hero banner".
+    let score = 0;
+    let position = 0;
+    let previous = -2;
+    let first = -1;
+    for (let i = 0; i < text.length && position < term.length; i++) {
+      if (text[i] !== term[position]) {
+        continue;
+      }
+      score += 1;
+      if (i === previous + 1) {
+        score += 5;
+      }
+      if (i === 0 || isBoundary(text[i - 1])) {
+        score += 8;
+      }
+      if (first === -1) {
+        first = i;
+      }
+      previous = i;
+      position++;
+    }
+    // Characters scattered over a long description are no match, and
+    // matches spread over long stretches count less.
+    const gaps = previous - first + 1 - term.length;
+    if (position === term.length && gaps <= term.length * 2) {
+      return Math.max(1, score - gaps * 0.5);
+    }
+
+    if (term.length >= TYPO_MIN_LENGTH) {
+      const words = text.split(/[^a-z0-9]+/);
+      if (words.some((word) => isOneEditAway(term, word))) {
+        return 10;
+      }
+    }
+    return 0;
+  }
+
+  /**
+   * Whether two words differ by at most one insertion, deletion,
+   * substitution or swap of neighbouring characters.
+   *
+   * @param {string} a - A word
+   * @param {string} b - Another word
+   * @returns {boolean} TRUE if the words are one edit apart
+   */
+  function isOneEditAway(a, b) {
+    if (Math.abs(a.length - b.length) > 1) {
+      return false;
+    }
+
+    let i = 0;
+    while (i < a.length && i < b.length && a[i] === b[i]) {
+      i++;
+    }
+    if (i === a.length && i === b.length) {
+      return true;
+    }
+
+    const rest = function (offsetA, offsetB) {
+      return a.slice(i + offsetA) === b.slice(i + offsetB);
+    };
+    if (a.length === b.length) {
+      return rest(1, 1)
+        || (a[i] === b[i + 1] && a[i + 1] === b[i] && a.slice(i + 2) === b.slice(i + 2));
+    }
+    return a.length > b.length ? rest(1, 0) : rest(0, 1);
+  }
+
+  /**
+   * Score a type against one search term, by its best matching field.
+   *
+   * @param {Object} type - The index entry
+   * @param {string} term - The normalized search term
+   * @returns {number} The score, 0 if no field matches
+   */
+  function scoreType(type, term) {
+    const fields = {
+      label: [type.label],
+      // "hero_banner" matches both as typed and as "hero banner".
+      id: [type.id, String(type.id || '').replace(/[_-]+/g, ' ')],
+      tags: type.tags || [],
+      category: [type.category],
+      description: [type.description],
+    };
+
+    let best = 0;
+    Object.keys(fields).forEach(function (field) {
+      fields[field].forEach(function (value) {
+        best = Math.max(best, fuzzyScore(term, normalize(value)) * FIELD_WEIGHTS[field]);
+      });
+    });
+    return best;
+  }
+
+  /**
+   * Search the index.
+   *
+   * @param {Object[]} types - Index entries
+   * @param {Object} [options] - Search options
+   * @param {string} [options.query] - Search terms, separated by spaces
+   * @param {string} [options.category] - Only types in this category
+   * @param {string[]} [options.tags] - Only types with all of these tags
+   * @returns {Object[]} Matching entries, best matches first; by label when
+   *   there is no query
+   */
+  function search(types, options) {
+    const settings = options || {};
+    const terms = normalize(settings.query).split(/\s+/).filter(Boolean);
+    const tags = settings.tags || [];
+
+    const results = [];
+    types.forEach(function (type) {
+      if (settings.category && type.category !== settings.category) {
+        return;
+      }
+      if (tags.some((tag) => !(type.tags || []).includes(tag))) {
+        return;
+      }
+
+      let score = 0;
+      for (const term of terms) {
+        const termScore = scoreType(type, term);
+        if (!termScore) {
+          return;
+        }
+        score += termScore;
+      }
+      results.push({ type, score });
+    });
+
+    return results
+      .sort(function (a, b) {
+        return b.score - a.score || String(a.type.label).localeCompare(String(b.type.label));
+      })
+      .map(function (result) {
+        return result.type;
+      });
+  }
+
+  /**
+   * Count the categories and tags of index entries.
+   *
+   * @param {Object[]} types - Index entries
+   * @returns {{categories: Array<{value: string, count: number}>, tags: Array<{value: string, count: number}>}}
+   *   Facet values sorted by name
+   */
+  function getFacets(types) {
+    const categories = new Map();
+    const tags = new Map();
+    types.forEach(function (type) {
+      if (type.category) {
+        categories.set(type.category, (categories.get(type.category) || 0) + 1);
+      }
+      (type.tags || []).forEach(function (tag) {
+        tags.set(tag, (tags.get(tag) || 0) + 1);
+      });
+    });
+
+    const toList = function (counts) {
+      return Array.from(counts, function (entry) {
+        return { value: entry[0], count: entry[1] };
+      }).sort(function (a, b) {
+        return a.value.localeCompare(b.value);
+      });
+    };
+    return { categories: toList(categories), tags: toList(tags) };
+  }
+
+  return {
+    normalize,
+    fuzzyScore,
+    search,
+    getFacets,
+  };
+});
@@ -0,0 +1,151 @@
+/**
+ * @file
+ * Page inside the live preview iframe of the component edit form.
+ *
+ * Renders the edited entity again when the form asks over postMessage and
+ * reports its height, so the form can size the iframe. See
+ * component-preview.js for the messages.
+ */
+
+(function (Drupal, drupalSettings, once) {
+  'use strict';
+
+  /**
+   * Send a message to the component edit form.
+   *
+   * @param {Object} message - The message
+   */
+  function postToParent(message) {
+    window.parent.postMessage(message, window.location.origin);
+  }
+
+  /**
+   * Report the height of the document to the form.
+   */
+  function reportSize() {
+    postToParent({
+      type: 'componentEntity:resize',
+      height: document.documentElement.scrollHeight,
+    });
+  }
+
+  /**
+   * Live preview frame.
+   */
+  Drupal.behaviors.componentEntityPreviewFrame = {
+    attach(context) {
+      const roots = once('component-preview-frame', '[data-component-preview-frame]', context);
+
+      roots.forEach((root) => {
+        if (window.parent === window) {
+          return;
+        }
+
+        const state = {
+          ajax: Drupal.ajax({
+            url: root.dataset.renderUrl,
+            base: false,
+            element: false,
+            progress: { type: 'none' },
+          }),
+          running: false,
+          pending: false,
+        };
+
+        window.addEventListener('message', (event) => {
+          if (event.source !== window.parent || event.origin !== window.location.origin || !event.data) {
+            return;
+          }
+
+          switch (event.data.type) {
+            case 'componentEntity:refresh':
+              refresh(state);
+              break;
+
+            case 'componentEntity:colorScheme':
+              document.documentElement.dataset.colorScheme = event.data.scheme;
+              document.documentElement.style.colorScheme = event.data.scheme;
+              break;
+          }
+        });
+
+        // The preview is not for browsing; links would replace it.
+        document.addEventListener('click', (event) => {
+          if (event.target instanceof Element && event.target.closest('a[href]')) {
+            event.preventDefault();
+          }
+        });
+
+        if (typeof ResizeObserver !== 'undefined') {
+          new ResizeObserver(reportSize).observe(document.documentElement);
+        }
+
+        postToParent({ type: 'componentEntity:ready' });
+        reportSize();
+      });
+    },
+  };
+
+  /**
+   * Render the edited entity again, one request at a time.
+   *
+   * @param {Object} state - The frame's Drupal.Ajax object and request state
+   */
+  function refresh(state) {
+    if (state.running) {
+      state.pending = true;
+      return;
+    }
+
+    state.running = true;
+    state.ajax.execute().always(() => {
+      state.running = false;
+      if (state.pending) {
+        state.pending = false;
+        refresh(state);
+      }
+    });
+  }
+
+  /**
+   * Update the preview.
+   *
+   * A mounted React root gets the new props in place, keeping component
+   * state and scroll position; anything else has its markup replaced.
+   *
+   * @param {Drupal.Ajax} ajax - The Drupal.Ajax object
+   * @param {Object} response - The command data
+   * @param {string} response.selector - Preview root selector
+   * @param {string} response.html - Rendered preview
+   * @param {string|null} response.componentId - ID of the React root
+   * @param {Object|null} response.config - drupalSettings entry of the root
+   */
+  Drupal.AjaxCommands.prototype.componentEntityPreview = function (ajax, response) {
+    const container = document.querySelector(response.selector);
+    if (!container) {
+      return;
+    }
+
+    const componentEntity = Drupal.componentEntity || {};
+    if (response.componentId && response.config) {
+      // Replace rather than merge, so removed values do not linger.
+      drupalSettings.componentEntity = drupalSettings.componentEntity || {};
+      drupalSettings.componentEntity.components = drupalSettings.componentEntity.components || {};
+      drupalSettings.componentEntity.components[response.componentId] = response.config;
+
+      const root = document.getElementById(response.componentId);
+      if (root && container.contains(root) && componentEntity.registry && componentEntity.registry.isMounted(root)) {
+        componentEntity.runtime.getRuntime().update(root, response.config).catch((error) => {
+          console.error('Failed to update preview:', error);
+        });
+        return;
+      }
+    }
+
+    Drupal.detachBehaviors(container, drupalSettings, 'unload');
+    container.innerHTML = response.html;
+    Drupal.attachBehaviors(container, drupalSettings);
+    reportSize();
+  };
+
+})(Drupal, drupalSettings, once);
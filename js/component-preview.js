@@ -0,0 +1,327 @@
+/**
+ * @file
+ * Component preview: device widths, zoom and color scheme.
+ *
+ * Previews with a frame URL render in a sandboxed same-origin iframe with the
+ * front-end theme, so media queries inside components see the real
+ * viewport width. The page and the frame talk over postMessage:
+ *
+ * - componentEntity:ready (frame) - the frame can receive messages
+ * - componentEntity:resize (frame) - the height of the frame's document
+ * - componentEntity:refresh (page) - render the edited entity again
+ * - componentEntity:colorScheme (page) - switch between 'light' and 'dark'
+ */
+
+(function (Drupal, once) {
+  'use strict';
+
+  /**
+   * Viewport width of previews until a device or width is chosen.
+   */
+  const DEFAULT_WIDTH = 1280;
+
+  /**
+   * Previews on the page, for routing frame messages.
+   */
+  const previews = [];
+
+  /**
+   * Component preview functionality.
+   */
+  Drupal.behaviors.componentEntityPreview = {
+    attach(context) {
+      const previewContainers = once('component-preview', '.component-preview', context);
+
+      previewContainers.forEach((container) => {
+        const preview = {
+          container,
+          stage: container.querySelector('.component-preview__container'),
+          viewport: container.querySelector('.component-preview__viewport'),
+          frame: container.querySelector('.component-preview__frame'),
+          width: DEFAULT_WIDTH,
+          zoom: 'fit',
+          height: 0,
+          colorScheme: 'light',
+          ready: false,
+          refreshPending: false,
+        };
+        if (!preview.frame) {
+          return;
+        }
+        preview.isFrame = preview.frame.tagName === 'IFRAME';
+        previews.push(preview);
+
+        const buttons = container.querySelectorAll('.component-preview__toggle');
+        const widthInput = container.querySelector('.component-preview__width-input');
+        const widthValue = container.querySelector('.component-preview__width-value');
+
+        const setWidth = (width) => {
+          preview.width = width;
+          if (widthInput) {
+            widthInput.value = String(width);
+          }
+          if (widthValue) {
+            widthValue.textContent = `${width}px`;
+          }
+
+          let mode = 'custom';
+          buttons.forEach((button) => {
+            const pressed = Number(button.dataset.previewWidth) === width;
+            button.setAttribute('aria-pressed', String(pressed));
+            if (pressed) {
+              mode = button.dataset.previewMode;
+            }
+          });
+          if (preview.stage) {
+            preview.stage.dataset.previewMode = mode;
+          }
+
+          layout(preview);
+        };
+
+        buttons.forEach((button) => {
+          button.addEventListener('click', () => {
+            setWidth(Number(button.dataset.previewWidth) || DEFAULT_WIDTH);
+          });
+        });
+
+        if (widthInput) {
+          widthInput.addEventListener('input', () => {
+            setWidth(Number(widthInput.value));
+          });
+        }
+
+        const zoomSelect = container.querySelector('.component-preview__zoom-select');
+        if (zoomSelect) {
+          zoomSelect.addEventListener('change', () => {
+            preview.zoom = zoomSelect.value;
+            layout(preview);
+          });
+        }
+
+        const schemeButton = container.querySelector('.component-preview__scheme');
+        if (schemeButton) {
+          if (window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches) {
+            preview.colorScheme = 'dark';
+          }
+          schemeButton.addEventListener('click', () => {
+            setColorScheme(preview, preview.colorScheme === 'dark' ? 'light' : 'dark');
+          });
+          setColorScheme(preview, preview.colorScheme);
+        }
+
+        const refreshButton = container.querySelector('.component-preview__refresh');
+        if (refreshButton) {
+          refreshButton.addEventListener('click', () => {
+            if (preview.isFrame) {
+              refreshFrame(preview);
+            } else {
+              refreshPreview(preview, refreshButton.dataset.refreshUrl);
+            }
+          });
+        }
+
+        setWidth(DEFAULT_WIDTH);
+      });
+    },
+  };
+
+  /**
+   * Size the preview for its viewport width and zoom.
+   *
+   * @param {Object} preview - The preview state
+   */
+  function layout(preview) {
+    const zoom = getZoom(preview);
+    const frame = preview.frame;
+
+    frame.style.width = `${preview.width}px`;
+    if (!preview.isFrame) {
+      // Inline previews cannot have a viewport of their own.
+      frame.style.maxWidth = '100%';
+      return;
+    }
+
+    frame.style.height = preview.height ? `${preview.height}px` : '';
+    frame.style.transform = zoom === 1 ? '' : `scale(${zoom})`;
+    if (preview.viewport) {
+      preview.viewport.style.width = `${Math.round(preview.width * zoom)}px`;
+      preview.viewport.style.height = preview.height ? `${Math.round(preview.height * zoom)}px` : '';
+    }
+  }
+
+  /**
+   * Get the zoom factor of a preview.
+   *
+   * @param {Object} preview - The preview state
+   * @return {number} The zoom factor, 1 for the actual size
+   */
+  function getZoom(preview) {
+    if (preview.zoom !== 'fit') {
+      return Number(preview.zoom) || 1;
+    }
+    if (!preview.stage) {
+      return 1;
+    }
+
+    // Fit scales wide viewports down to the available space.
+    const style = window.getComputedStyle(preview.stage);
+    const available = preview.stage.clientWidth - parseFloat(style.paddingLeft || '0') - parseFloat(style.paddingRight || '0');
+    return available > 0 ? Math.min(1, available / preview.width) : 1;
+  }
+
+  /**
+   * Switch the color scheme of a preview.
+   *
+   * The iframe's color-scheme decides what prefers-color-scheme matches
+   * inside it; the frame also marks its root for themes with their own
+   * switch.
+   *
+   * @param {Object} preview - The preview state
+   * @param {string} scheme - 'light' or 'dark'
+   */
+  function setColorScheme(preview, scheme) {
+    preview.colorScheme = scheme;
+
+    const button = preview.container.querySelector('.component-preview__scheme');
+    if (button) {
+      button.setAttribute('aria-pressed', String(scheme === 'dark'));
+    }
+    if (preview.isFrame) {
+      preview.frame.style.colorScheme = scheme;
+      postToFrame(preview, { type: 'componentEntity:colorScheme', scheme });
+    }
+  }
+
+  /**
+   * Ask the frame to render the edited entity again.
+   *
+   * @param {Object} preview - The preview state
+   */
+  function refreshFrame(preview) {
+    if (!preview.ready) {
+      // Sent once the frame has loaded.
+      preview.refreshPending = true;
+      return;
+    }
+    postToFrame(preview, { type: 'componentEntity:refresh' });
+  }
+
+  /**
+   * Send a message to the frame of a preview.
+   *
+   * @param {Object} preview - The preview state
+   * @param {Object} message - The message
+   */
+  function postToFrame(preview, message) {
+    if (preview.ready && preview.frame.contentWindow) {
+      preview.frame.contentWindow.postMessage(message, window.location.origin);
+    }
+  }
+
+  window.addEventListener('message', (event) => {
+    if (event.origin !== window.location.origin || !event.data) {
+      return;
+    }
+    const preview = previews.find((item) => item.isFrame && item.frame.contentWindow === event.source);
+    if (!preview) {
+      return;
+    }
+
+    switch (event.data.type) {
+      case 'componentEntity:ready':
+        preview.ready = true;
+        setColorScheme(preview, preview.colorScheme);
+        if (preview.refreshPending) {
+          preview.refreshPending = false;
+          refreshFrame(preview);
+        }
+        break;
+
+      case 'componentEntity:resize':
+        preview.height = Math.ceil(Number(event.data.height) || 0);
+        layout(preview);
+        break;
+    }
+  });
+
+  window.addEventListener('resize', () => {
+    previews.forEach((preview) => {
+      if (preview.zoom === 'fit') {
+        layout(preview);
+      }
+    });
+  });
+
+  /**
+   * Refresh the preview frame of the element matching the selector.
+   *
+   * Sent by ComponentEntityForm::ajaxPreview() once the edited entity is
+   * stored for the frame. Dispatches componentEntity:previewRefresh on the
+   * element afterwards.
+   *
+   * @param {Drupal.Ajax} ajax - The Drupal.Ajax object
+   * @param {Object} response - The command data
+   * @param {string} response.selector - Selector of the preview or its parent
+   */
+  Drupal.AjaxCommands.prototype.componentEntityPreviewRefresh = function (ajax, response) {
+    const element = document.querySelector(response.selector);
+    if (!element) {
+      return;
+    }
+    const container = element.matches('.component-preview') ? element : element.querySelector('.component-preview');
+    const preview = previews.find((item) => item.container === container);
+    if (preview && preview.isFrame) {
+      refreshFrame(preview);
+    }
+
+    // The render comparison reloads its frames from the same stored entity.
+    element.dispatchEvent(new CustomEvent('componentEntity:previewRefresh', { bubbles: true }));
+  };
+
+  /**
+   * Load an inline preview again.
+   *
+   * Previews of components without a frame URL render on the page itself;
+   * the refresh URL answers with their markup.
+   *
+   * @param {Object} preview - The preview state
+   * @param {string} url - The refresh URL
+   */
+  function refreshPreview(preview, url) {
+    const frame = preview.frame;
+    if (!url) {
+      return;
+    }
+
+    frame.classList.add('is-loading');
+    frame.innerHTML = '<div class="component-loading"><div class="component-loading__spinner"></div></div>';
+
+    fetch(url, {
+      method: 'GET',
+      headers: {
+        'X-Requested-With': 'XMLHttpRequest',
+      },
+    })
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`The preview returned ${response.status}`);
+        }
+        return response.text();
+      })
+      .then((html) => {
+        frame.innerHTML = html;
+        Drupal.attachBehaviors(frame);
+      })
+      .catch(() => {
+        const message = document.createElement('div');
+        message.className = 'component-error';
+        message.textContent = Drupal.t('The preview could not be refreshed.');
+        frame.replaceChildren(message);
+      })
+      .finally(() => {
+        frame.classList.remove('is-loading');
+      });
+  }
+
+})(Drupal, once);
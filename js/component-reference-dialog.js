@@ -0,0 +1,151 @@
+/**
+ * @file
+ * Creating components from a component reference widget.
+ *
+ * ComponentReferenceWidget opens the component library in a Drupal dialog;
+ * choosing a type loads its ComponentDialogForm into the same dialog. Once
+ * saved, the form answers with a componentEntityInsertReference command,
+ * which adds the new component to the widget.
+ */
+
+(function ($, Drupal, drupalSettings, once) {
+  'use strict';
+
+  /**
+   * Components waiting for an empty item in their widget, keyed by target.
+   */
+  const pending = new Map();
+
+  /**
+   * Functions returning focus to the widgets dialogs were opened from.
+   */
+  const focusReturns = new Map();
+
+  /**
+   * Remember where focus was when a widget opens its dialog.
+   */
+  Drupal.behaviors.componentReferenceDialog = {
+    attach(context) {
+      once('component-reference-dialog', '[data-component-reference-field]', context).forEach((field) => {
+        field.addEventListener('click', (event) => {
+          if (event.target instanceof Element && event.target.closest('.component-reference-create')) {
+            // One dialog is open at a time.
+            focusReturns.clear();
+            focusReturns.set(field.dataset.componentReferenceField, Drupal.componentEntity.focusManager.createFocusReturn(field));
+          }
+        });
+      });
+
+      // "Add another item" rebuilt a widget a component is waiting for.
+      pending.forEach((response, target) => {
+        const field = findField(target);
+        if (field && context instanceof Element && field.contains(context)) {
+          insertReference(field, response, false);
+        }
+      });
+    },
+  };
+
+  /**
+   * Move focus into the create form, to the first error once it has any.
+   */
+  Drupal.behaviors.componentDialogForm = {
+    attach(context) {
+      once('component-dialog-form', '.component-dialog-form', context).forEach((wrapper) => {
+        if (wrapper.closest('.ui-dialog-content')) {
+          Drupal.componentEntity.focusManager.focusFirst(wrapper);
+        }
+      });
+    },
+  };
+
+  // Drupal removes closed dialogs without detaching their behaviors.
+  $(window).on('dialog:beforeclose', (event, dialog, $element) => {
+    const element = $element && $element.get(0);
+    if (element && element.querySelector('.component-library-browser, .component-dialog-form')) {
+      Drupal.detachBehaviors(element, drupalSettings, 'unload');
+    }
+  });
+
+  // Dialogs return focus to the link that opened them; when the widget was
+  // rebuilt meanwhile, focus goes back into the widget instead.
+  $(window).on('dialog:afterclose', () => {
+    if (document.activeElement && document.activeElement !== document.body) {
+      return;
+    }
+    focusReturns.forEach((restore) => restore());
+  });
+
+  /**
+   * Find a component reference widget.
+   *
+   * @param {string} target - Its data-component-reference-field value
+   * @return {HTMLElement|null} The widget
+   */
+  function findField(target) {
+    return document.querySelector(`[data-component-reference-field="${CSS.escape(target)}"]`);
+  }
+
+  /**
+   * Add a component to the first empty item of a widget.
+   *
+   * When every item is filled, "Add another item" is pressed first; the
+   * component goes in once the widget has been rebuilt.
+   *
+   * @param {HTMLElement} field - The widget
+   * @param {Object} response - The componentEntityInsertReference command
+   * @param {boolean} addItem - Whether an item may be added
+   */
+  function insertReference(field, response, addItem) {
+    const target = response.target;
+    const input = Array.from(field.querySelectorAll('input.form-autocomplete')).find((element) => !element.disabled && !element.readOnly && element.value.trim() === '');
+
+    if (input) {
+      pending.delete(target);
+      input.value = response.value;
+      // The widget updates its preview on change.
+      input.dispatchEvent(new Event('change', { bubbles: true }));
+
+      // Focus returns to the link that opened the dialog, which "Add
+      // another item" may have rendered again.
+      const trigger = field.querySelector('.component-reference-create');
+      const restore = focusReturns.get(target);
+      focusReturns.delete(target);
+      if (restore) {
+        restore(trigger);
+      } else if (trigger) {
+        trigger.focus();
+      }
+      Drupal.announce(Drupal.t('@label was created and added.', { '@label': response.label }));
+      return;
+    }
+
+    const addMore = field.querySelector('.field-add-more-submit');
+    if (addItem && addMore && !addMore.disabled) {
+      pending.set(target, response);
+      // Drupal AJAX buttons submit on mousedown.
+      addMore.dispatchEvent(new MouseEvent('mousedown', { bubbles: true }));
+      return;
+    }
+
+    pending.delete(target);
+    Drupal.announce(Drupal.t('@label was created, but the field has no room for it.', { '@label': response.label }), 'assertive');
+  }
+
+  /**
+   * Add a newly created component to its widget.
+   *
+   * @param {Drupal.Ajax} ajax - The Drupal.Ajax object of the save button
+   * @param {Object} response - The command data
+   * @param {string} response.target - The widget's data-component-reference-field value
+   * @param {string} response.value - The value for the autocomplete input
+   * @param {string} response.label - The label of the component
+   */
+  Drupal.AjaxCommands.prototype.componentEntityInsertReference = function (ajax, response) {
+    const field = findField(response.target);
+    if (field) {
+      insertReference(field, response, true);
+    }
+  };
+
+})(jQuery, Drupal, drupalSettings, once);
@@ -0,0 +1,1167 @@
+/**
+ * @file
+ * Component registry for the Component Entity module.
+ * Tracks registered React components and renders them from data attributes.
+ */
+
+(function (root, factory) {
+  'use strict';
+
+  const isCommonJS = typeof module === 'object' && module.exports;
+  // Drupal only loads prop-validation.js in debug mode.
+  const api = isCommonJS
+    ? factory(require('./prop-validation'))
+    : factory(root && root.Drupal && root.Drupal.componentEntity ? root.Drupal.componentEntity.propValidation : null);
+
+  // CommonJS (Jest, Node tooling).
+  if (isCommonJS) {
+    module.exports = api;
+  }
+
+  // Browser global, shared by component-renderer.js and component bundles.
+  if (root && root.Drupal) {
+    root.Drupal.componentEntity = root.Drupal.componentEntity || {};
+    root.Drupal.componentEntity.ComponentRenderer = api.ComponentRenderer;
+    root.Drupal.componentEntity.isDebug = api.isDebug;
+    if (!(root.Drupal.componentEntity.registry instanceof api.ComponentRenderer)) {
+      root.Drupal.componentEntity.registry = new api.ComponentRenderer();
+    }
+  }
+})(typeof window !== 'undefined' ? window : this, function (propValidation) {
+  'use strict';
+
+  /**
+   * Whether development checks run.
+   *
+   * webpack's DefinePlugin replaces __DEV__ in bundles. Drupal loads the
+   * unbuilt sources, where the module sets drupalSettings.componentEntity.debug
+   * in debug mode instead. The SSR worker has neither.
+   *
+   * Exported, and exposed as Drupal.componentEntity.isDebug, for the checks
+   * in the react-renderer-debug library.
+   *
+   * @returns {boolean}
+   */
+  function isDebug() {
+    if (typeof __DEV__ !== 'undefined' && __DEV__) {
+      return true;
+    }
+    const settings = typeof window !== 'undefined' && window.drupalSettings;
+    return Boolean(settings && settings.componentEntity && settings.componentEntity.debug);
+  }
+
+  /**
+   * Separator between a namespace and a component name.
+   */
+  const NAMESPACE_SEPARATOR = ':';
+
+  /**
+   * Selector for elements rendered from data attributes.
+   */
+  const COMPONENT_SELECTOR = '[data-component-type][data-render-method="react"]';
+
+  /**
+   * Build the registry key for a component.
+   *
+   * @param {string} name - Component name, optionally "namespace:name"
+   * @param {string} [namespace] - Namespace (module or theme machine name)
+   * @returns {string}
+   */
+  const qualifyName = (name, namespace) => {
+    if (!namespace || name.indexOf(NAMESPACE_SEPARATOR) !== -1) {
+      return name;
+    }
+    return `${namespace}${NAMESPACE_SEPARATOR}${name}`;
+  };
+
+  /**
+   * Check whether an element contains server-rendered component markup.
+   *
+   * Loading placeholders and <noscript> fallbacks do not count: hydrating
+   * those would always mismatch.
+   *
+   * @param {HTMLElement} element - Component root element
+   * @returns {boolean}
+   */
+  const hasServerMarkup = (element) => {
+    return Array.prototype.some.call(element.children, (child) => {
+      return child.tagName !== 'NOSCRIPT' && !child.classList.contains('component-loading');
+    });
+  };
+
+  /**
+   * Events that trigger "interaction" hydration by default.
+   */
+  const DEFAULT_INTERACTION_EVENTS = ['mouseenter', 'focusin', 'touchstart', 'click'];
+
+  /**
+   * Milliseconds "idle" hydration waits without requestIdleCallback.
+   */
+  const IDLE_FALLBACK_DELAY = 200;
+
+  /**
+   * Hydration strategies, keyed by the react_config "hydration" value.
+   *
+   * Each strategy receives the component element, its hydration options and
+   * a callback that renders the component. It decides when to call it and
+   * returns a function that cancels anything still pending.
+   */
+  const hydrationStrategies = {
+    // Hydrate immediately.
+    full: (element, options, hydrate) => {
+      hydrate();
+    },
+
+    // Hydrate when the element scrolls near the viewport.
+    visible: (element, options, hydrate) => {
+      if (typeof window.IntersectionObserver === 'undefined') {
+        hydrate();
+        return null;
+      }
+
+      const observer = new window.IntersectionObserver((entries) => {
+        if (entries.some((entry) => entry.isIntersecting)) {
+          observer.disconnect();
+          hydrate();
+        }
+      }, { rootMargin: options.rootMargin || '200px' });
+      observer.observe(element);
+
+      return () => observer.disconnect();
+    },
+
+    // Hydrate once the main thread is idle, or after the timeout at most.
+    idle: (element, options, hydrate) => {
+      const timeout = Number(options.timeout) || 2000;
+
+      if (typeof window.requestIdleCallback === 'function') {
+        const handle = window.requestIdleCallback(hydrate, { timeout });
+        return () => window.cancelIdleCallback(handle);
+      }
+
+      // Safari has no requestIdleCallback: let the page settle briefly, but
+      // never for longer than the timeout.
+      const handle = window.setTimeout(() => hydrate(), Math.min(IDLE_FALLBACK_DELAY, timeout));
+      return () => window.clearTimeout(handle);
+    },
+
+    // Hydrate only while a media query matches, e.g. desktop-only widgets.
+    media: (element, options, hydrate) => {
+      if (!options.media || typeof window.matchMedia !== 'function') {
+        hydrate();
+        return null;
+      }
+
+      const query = window.matchMedia(options.media);
+      if (query.matches) {
+        hydrate();
+        return null;
+      }
+
+      const onChange = (event) => {
+        if (event.matches) {
+          query.removeEventListener('change', onChange);
+          hydrate();
+        }
+      };
+      query.addEventListener('change', onChange);
+
+      return () => query.removeEventListener('change', onChange);
+    },
+
+    // Hydrate on the first of a configurable list of events.
+    interaction: (element, options, hydrate) => {
+      // Nothing to interact with until the component renders.
+      if (!hasServerMarkup(element)) {
+        hydrate();
+        return null;
+      }
+
+      const events = Array.isArray(options.events) && options.events.length
+        ? options.events
+        : DEFAULT_INTERACTION_EVENTS;
+
+      const cancel = () => {
+        events.forEach((event) => element.removeEventListener(event, onInteraction));
+      };
+      const onInteraction = () => {
+        cancel();
+        hydrate();
+      };
+      events.forEach((event) => element.addEventListener(event, onInteraction, { passive: true }));
+
+      return cancel;
+    },
+
+    // Static output only: never attach to server markup.
+    none: (element, options, hydrate) => {
+      if (!hasServerMarkup(element)) {
+        hydrate();
+      }
+      return null;
+    },
+  };
+
+  // "partial" predates the configurable strategies.
+  hydrationStrategies.partial = hydrationStrategies.interaction;
+
+  /**
+   * Reduce a prop name to a case-insensitive key, so "entityId", "entity_id"
+   * and "entity-id" compare equal.
+   *
+   * @param {string} name - Prop name
+   * @returns {string}
+   */
+  const propKey = (name) => name.replace(/[-_]/g, '').toLowerCase();
+
+  /**
+   * Convert camelCase object keys to snake_case (one level deep).
+   *
+   * @param {Object} values - Object to convert
+   * @returns {Object}
+   */
+  const snakeCaseKeys = (values) => {
+    const result = {};
+    Object.keys(values).forEach((key) => {
+      result[key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase()] = values[key];
+    });
+    return result;
+  };
+
+  /**
+   * Coerce a string to the scalar type a schema declares.
+   *
+   * Drupal field values often arrive as strings ("0.4", "1").
+   *
+   * @param {*} value - Prop value
+   * @param {Object} schema - JSON schema for the value
+   * @returns {*}
+   */
+  const coerceValue = (value, schema) => {
+    if (typeof value !== 'string') {
+      return value;
+    }
+
+    switch (schema.type) {
+      case 'number':
+      case 'integer': {
+        const number = Number(value);
+        return value.trim() === '' || Number.isNaN(number) ? value : number;
+      }
+
+      case 'boolean':
+        if (value === 'true' || value === '1') {
+          return true;
+        }
+        if (value === 'false' || value === '0' || value === '') {
+          return false;
+        }
+        return value;
+
+      default:
+        return value;
+    }
+  };
+
+  /**
+   * Normalise a value against its JSON schema.
+   *
+   * @param {*} value - Prop value
+   * @param {Object} [schema] - JSON schema for the value
+   * @returns {*}
+   */
+  const normalizeValue = (value, schema) => {
+    if (!schema) {
+      return value;
+    }
+    if (Array.isArray(value)) {
+      return schema.items ? value.map((item) => normalizeValue(item, schema.items)) : value;
+    }
+    if (value && typeof value === 'object') {
+      return schema.properties ? normalizeObject(value, schema.properties) : value;
+    }
+    return coerceValue(value, schema);
+  };
+
+  /**
+   * Rename keys to the names a schema declares and fill in its defaults.
+   *
+   * Keys the schema does not know pass through unchanged. Defaults are only
+   * applied to objects that are present, so an optional object such as a
+   * button is never created from defaults alone.
+   *
+   * @param {Object} values - Props
+   * @param {Object} properties - JSON schema "properties"
+   * @returns {Object}
+   */
+  const normalizeObject = (values, properties) => {
+    const names = {};
+    Object.keys(properties).forEach((name) => {
+      names[propKey(name)] = name;
+    });
+
+    const result = {};
+    Object.keys(values).forEach((key) => {
+      const name = names[propKey(key)] || key;
+      // An exact match wins over a differently cased duplicate.
+      if (key !== name && Object.prototype.hasOwnProperty.call(result, name)) {
+        return;
+      }
+      result[name] = normalizeValue(values[key], properties[name]);
+    });
+
+    Object.keys(properties).forEach((name) => {
+      const schema = properties[name];
+      if ((result[name] === undefined || result[name] === null) && schema && schema.default !== undefined) {
+        result[name] = schema.default;
+      }
+    });
+
+    return result;
+  };
+
+  /**
+   * Retry policy for bundles loaded through the asset manifest.
+   */
+  const DEFAULT_LOAD_OPTIONS = {
+    retries: 3,
+    retryDelay: 500,
+  };
+
+  /**
+   * Promises for scripts and stylesheets added by load(), keyed by URL.
+   */
+  const assets = new Map();
+
+  /**
+   * Check whether a script or stylesheet is already on the page.
+   *
+   * Drupal appends cache-busting query strings, so only paths are compared.
+   *
+   * @param {string} selector - Tag selector
+   * @param {string} attribute - URL attribute
+   * @param {string} url - Asset URL
+   * @returns {boolean}
+   */
+  const isOnPage = (selector, attribute, url) => {
+    const path = new URL(url, document.baseURI).pathname;
+    return Array.prototype.some.call(document.querySelectorAll(`${selector}[${attribute}]`), (node) => {
+      return new URL(node.getAttribute(attribute), document.baseURI).pathname === path;
+    });
+  };
+
+  /**
+   * Add a script once. Failed scripts are removed so they can be retried.
+   *
+   * @param {string} url - Script URL
+   * @returns {Promise}
+   */
+  const loadScript = (url) => {
+    if (!assets.has(url)) {
+      if (isOnPage('script', 'src', url)) {
+        return Promise.resolve();
+      }
+
+      assets.set(url, new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = url;
+        script.async = false;
+        script.onload = () => resolve();
+        script.onerror = () => {
+          script.remove();
+          assets.delete(url);
+          reject(new Error(`Failed to load script ${url}`));
+        };
+        document.head.appendChild(script);
+      }));
+    }
+    return assets.get(url);
+  };
+
+  /**
+   * Preload a stylesheet and apply it once fetched.
+   *
+   * Never rejects: a missing stylesheet should not keep a component from
+   * rendering.
+   *
+   * @param {string} url - Stylesheet URL
+   * @returns {Promise}
+   */
+  const loadStylesheet = (url) => {
+    if (!assets.has(url)) {
+      if (isOnPage('link', 'href', url)) {
+        return Promise.resolve();
+      }
+
+      assets.set(url, new Promise((resolve) => {
+        const link = document.createElement('link');
+        link.rel = 'preload';
+        link.as = 'style';
+        link.href = url;
+        link.onload = () => {
+          link.onload = null;
+          link.rel = 'stylesheet';
+          resolve();
+        };
+        link.onerror = () => {
+          link.remove();
+          assets.delete(url);
+          console.warn(`Failed to load stylesheet ${url}`);
+          resolve();
+        };
+        document.head.appendChild(link);
+      }));
+    }
+    return assets.get(url);
+  };
+
+  /**
+   * Run a task, retrying with exponential backoff when it rejects.
+   *
+   * @param {Function} task - Returns a promise
+   * @param {number} retries - Retries after the first attempt
+   * @param {number} retryDelay - First retry delay in ms, doubled per retry
+   * @param {number} [attempt] - Current attempt
+   * @returns {Promise}
+   */
+  const withRetry = (task, retries, retryDelay, attempt = 0) => {
+    return task().catch((error) => {
+      if (attempt >= retries) {
+        throw error;
+      }
+      return new Promise((resolve) => setTimeout(resolve, retryDelay * 2 ** attempt))
+        .then(() => withRetry(task, retries, retryDelay, attempt + 1));
+    });
+  };
+
+  /**
+   * Registry and renderer for React components.
+   */
+  class ComponentRenderer {
+    constructor() {
+      this.definitions = new Map();
+      this.pending = new Map();
+      this.roots = new Map();
+      this.scheduled = new Map();
+      this.loading = new Map();
+      this.schemas = new Map();
+      this.lazyObserver = null;
+      this.hydrationStrategies = hydrationStrategies;
+      // Set by setReact() outside Drupal; the globals are used otherwise.
+      this.react = null;
+    }
+
+    /**
+     * Use React packages that are not browser globals.
+     *
+     * Decoupled apps bundle React themselves; inside Drupal the registry reads
+     * window.React, window.ReactDOM, window.ReactDOMServer (debug mode only)
+     * and Drupal.componentEntity.react.
+     *
+     * @param {Object} packages - React packages
+     * @param {Object} packages.React - react
+     * @param {Object} [packages.ReactDOM] - react-dom/client (or react-dom)
+     * @param {Object} [packages.ReactDOMServer] - react-dom/server, for the
+     *   hydration mismatch check
+     * @param {Object} [packages.shared] - drupal-react.js, for DrupalProvider
+     */
+    setReact({ React, ReactDOM, ReactDOMServer, shared }) {
+      this.react = { React, ReactDOM, ReactDOMServer, shared };
+    }
+
+    /**
+     * Get the React packages in use.
+     *
+     * @returns {Object} React, ReactDOM, ReactDOMServer and shared
+     *   (drupal-react.js)
+     */
+    getReact() {
+      if (this.react) {
+        return this.react;
+      }
+      const componentEntity = window.Drupal && window.Drupal.componentEntity;
+      return {
+        React: window.React,
+        ReactDOM: window.ReactDOM,
+        ReactDOMServer: window.ReactDOMServer,
+        shared: componentEntity && componentEntity.react,
+      };
+    }
+
+    /**
+     * Register a React component.
+     *
+     * @param {string} name - Component name (usually the component type)
+     * @param {React.ComponentType} component - React component
+     * @param {Object} [options] - Registration options
+     * @param {string} [options.namespace] - Namespace to register under
+     * @param {string} [options.version] - Component version
+     * @param {boolean} [options.replace] - Replace an existing registration
+     * @param {Object} [options.schema] - Schema from the component's .component.yml
+     * @returns {Object} The stored component definition
+     */
+    register(name, component, options = {}) {
+      if (!name || typeof name !== 'string') {
+        throw new Error('Component name must be a non-empty string');
+      }
+      if (!component) {
+        throw new Error(`Component ${name} must be a React component`);
+      }
+
+      const key = qualifyName(name, options.namespace);
+      if (this.definitions.has(key) && !options.replace) {
+        throw new Error(`Component ${key} is already registered`);
+      }
+
+      const separator = key.indexOf(NAMESPACE_SEPARATOR);
+      const definition = {
+        name: separator === -1 ? key : key.slice(separator + 1),
+        namespace: separator === -1 ? null : key.slice(0, separator),
+        version: options.version || null,
+        component,
+      };
+      this.definitions.set(key, definition);
+      if (options.schema) {
+        this.schemas.set(key, options.schema);
+      }
+
+      // Resolve anything waiting on this component.
+      if (this.pending.has(key)) {
+        this.pending.get(key).forEach(({ resolve }) => resolve(component));
+        this.pending.delete(key);
+      }
+
+      return definition;
+    }
+
+    /**
+     * Remove a registered component, with its schema.
+     *
+     * Promises still waiting in whenRegistered() are rejected.
+     *
+     * @param {string} name - Component name
+     * @param {string} [namespace] - Namespace
+     * @returns {boolean} TRUE if a component was removed
+     */
+    unregister(name, namespace) {
+      const key = qualifyName(name, namespace);
+      this.schemas.delete(key);
+      if (this.pending.has(key)) {
+        const error = new Error(`Component ${key} was unregistered`);
+        this.pending.get(key).forEach(({ reject }) => reject(error));
+        this.pending.delete(key);
+      }
+      return this.definitions.delete(key);
+    }
+
+    /**
+     * Check whether a component is registered.
+     *
+     * @param {string} name - Component name
+     * @param {string} [namespace] - Namespace
+     * @returns {boolean}
+     */
+    has(name, namespace) {
+      return this.definitions.has(qualifyName(name, namespace));
+    }
+
+    /**
+     * Get a registered component.
+     *
+     * @param {string} name - Component name
+     * @param {string} [namespace] - Namespace
+     * @returns {React.ComponentType|null}
+     */
+    get(name, namespace) {
+      const definition = this.getDefinition(name, namespace);
+      return definition ? definition.component : null;
+    }
+
+    /**
+     * Get the full definition (name, namespace, version) of a component.
+     *
+     * @param {string} name - Component name
+     * @param {string} [namespace] - Namespace
+     * @returns {Object|null}
+     */
+    getDefinition(name, namespace) {
+      return this.definitions.get(qualifyName(name, namespace)) || null;
+    }
+
+    /**
+     * Get all registered components keyed by name.
+     *
+     * @returns {Object}
+     */
+    getAll() {
+      const components = {};
+      this.definitions.forEach((definition, key) => {
+        components[key] = definition.component;
+      });
+      return components;
+    }
+
+    /**
+     * Load a component bundle from its asset manifest entry.
+     *
+     * Stylesheets are preloaded alongside the scripts, which run in manifest
+     * order; failed scripts are retried with exponential backoff.
+     *
+     * @param {string} name - Component type
+     * @param {Object} entry - Manifest entry from drupalSettings.componentEntity.manifest
+     * @param {string} entry.entry - Webpack entry name
+     * @param {string[]} entry.js - Script URLs in load order
+     * @param {string[]} [entry.css] - Stylesheet URLs
+     * @param {Object} [options] - Load options
+     * @param {number} [options.retries=3] - Retries after a failed script
+     * @param {number} [options.retryDelay=500] - First retry delay in ms
+     * @returns {Promise<React.ComponentType>}
+     */
+    load(name, entry, options = {}) {
+      if (this.has(name)) {
+        return Promise.resolve(this.get(name));
+      }
+      if (this.loading.has(name)) {
+        return this.loading.get(name);
+      }
+      if (!entry || !Array.isArray(entry.js) || !entry.js.length) {
+        return Promise.reject(new Error(`No asset manifest entry for component ${name}`));
+      }
+
+      const { retries, retryDelay } = { ...DEFAULT_LOAD_OPTIONS, ...options };
+      const scripts = withRetry(() => entry.js.reduce((previous, url) => {
+        return previous.then(() => loadScript(url));
+      }, Promise.resolve()), retries, retryDelay);
+      const styles = Promise.all((entry.css || []).map(loadStylesheet));
+
+      const promise = Promise.all([scripts, styles]).then(() => {
+        if (!this.has(name)) {
+          // Bundles that do not register themselves are still exposed by
+          // their UMD wrapper under the entry name.
+          const componentEntity = typeof window !== 'undefined' && window.Drupal && window.Drupal.componentEntity;
+          const exported = componentEntity && componentEntity[entry.entry];
+          if (!exported) {
+            throw new Error(`Component ${name} was not registered by its bundle`);
+          }
+          this.register(name, exported.default || exported);
+        }
+        return this.get(name);
+      });
+
+      // Forget the attempt either way; a later attach can try again.
+      this.loading.set(name, promise);
+      promise.then(() => this.loading.delete(name), () => this.loading.delete(name));
+
+      return promise;
+    }
+
+    /**
+     * Wait for a component to be registered.
+     *
+     * @param {string} name - Component name
+     * @param {string} [namespace] - Namespace
+     * @returns {Promise<React.ComponentType>}
+     */
+    whenRegistered(name, namespace) {
+      const key = qualifyName(name, namespace);
+      if (this.definitions.has(key)) {
+        return Promise.resolve(this.definitions.get(key).component);
+      }
+
+      return new Promise((resolve, reject) => {
+        if (!this.pending.has(key)) {
+          this.pending.set(key, []);
+        }
+        this.pending.get(key).push({ resolve, reject });
+      });
+    }
+
+    /**
+     * Set the schema props are normalised against.
+     *
+     * @param {string} name - Component name
+     * @param {Object} schema - Schema from the component's .component.yml:
+     *   "props" (JSON schema) and "slots"
+     * @param {string} [namespace] - Namespace
+     */
+    setSchema(name, schema, namespace) {
+      this.schemas.set(qualifyName(name, namespace), schema);
+    }
+
+    /**
+     * Get the schema of a component.
+     *
+     * @param {string} name - Component name
+     * @param {string} [namespace] - Namespace
+     * @returns {Object|null}
+     */
+    getSchema(name, namespace) {
+      return this.schemas.get(qualifyName(name, namespace)) || null;
+    }
+
+    /**
+     * Bring props into the shape a component's schema declares.
+     *
+     * Prop names take the case the schema uses (so "drupalContext" becomes
+     * "drupal_context" with snake_case keys when that is what the component
+     * declares), schema defaults fill in missing values, numeric and boolean
+     * strings are coerced and slot HTML becomes React nodes.
+     *
+     * @param {string} name - Component name
+     * @param {Object} props - Props as built from Drupal settings
+     * @returns {Object}
+     */
+    normalizeProps(name, props) {
+      const schema = this.getSchema(name);
+      const properties = (schema && schema.props && schema.props.properties) || {};
+      const input = { ...props };
+
+      const contextName = Object.keys(properties).find((key) => propKey(key) === 'drupalcontext');
+      if (contextName && contextName.indexOf('_') !== -1 && input.drupalContext) {
+        input.drupalContext = snakeCaseKeys(input.drupalContext);
+      }
+
+      const normalized = normalizeObject(input, properties);
+
+      if (normalized.slots && typeof normalized.slots === 'object') {
+        const slots = {};
+        Object.keys(normalized.slots).forEach((slot) => {
+          slots[slot] = this.htmlToReact(normalized.slots[slot]);
+        });
+        normalized.slots = slots;
+      }
+
+      return normalized;
+    }
+
+    /**
+     * Validate props against a component's schema.
+     *
+     * Development builds and Drupal's debug mode only (see isDebug()), with
+     * prop-validation.js; Drupal only loads it in debug mode, through the
+     * react-renderer-debug library. Pass normalised props so differences normalizeProps() already fixes
+     * (case, numeric strings) are not reported.
+     *
+     * @param {string} name - Component name
+     * @param {Object} props - Normalised props
+     * @returns {Object[]} Errors with path, message, expected and value
+     */
+    validateProps(name, props) {
+      if (!propValidation || !isDebug()) {
+        return [];
+      }
+
+      const schema = this.getSchema(name);
+      return schema && schema.props ? propValidation.validate(props, schema.props) : [];
+    }
+
+    /**
+     * Convert slot HTML into a React node.
+     *
+     * Only for trusted markup: Drupal has already rendered and filtered it.
+     *
+     * @param {string|Object|null} html - HTML string, {html}/{markup} object
+     *   or an existing React node
+     * @returns {React.ReactNode}
+     */
+    htmlToReact(html) {
+      let markup = html;
+      if (html && typeof html === 'object') {
+        if (!('html' in html) && !('markup' in html)) {
+          return html;
+        }
+        markup = html.html || html.markup;
+      }
+      if (typeof markup !== 'string' || markup.trim() === '') {
+        return null;
+      }
+
+      return this.getReact().React.createElement('div', {
+        className: 'component-slot',
+        dangerouslySetInnerHTML: { __html: markup },
+      });
+    }
+
+    /**
+     * Build props for an element from its data attributes.
+     *
+     * @param {HTMLElement} element - Component element
+     * @param {Object} [props] - Props overriding data-props
+     * @returns {Object|null} Props, or NULL when data-props is invalid
+     */
+    buildProps(element, props) {
+      const type = element.dataset.componentType;
+      let elementProps = {};
+
+      if (props) {
+        elementProps = props;
+      } else if (element.dataset.props) {
+        try {
+          elementProps = JSON.parse(element.dataset.props);
+        } catch (error) {
+          console.error(`Failed to parse props for component ${type}:`, error);
+          return null;
+        }
+      }
+
+      const drupalSettings = window.drupalSettings || {};
+      const componentSettings = (drupalSettings.componentEntity && drupalSettings.componentEntity.components) || {};
+
+      return this.normalizeProps(type, {
+        ...elementProps,
+        drupalContext: {
+          componentId: element.dataset.componentId,
+          componentType: type,
+          settings: componentSettings[element.id] || componentSettings[type] || {},
+        },
+      });
+    }
+
+    /**
+     * Build props from a drupalSettings component entry.
+     *
+     * Shared by component-renderer.js and the SSR worker so that server
+     * markup and client hydration see identical props.
+     *
+     * @param {Object} config - Entry from drupalSettings.componentEntity.components
+     * @returns {Object}
+     */
+    buildInstanceProps(config) {
+      return this.normalizeProps(config.type, {
+        ...config.props,
+        slots: { ...config.slots },
+        // Add Drupal-specific props
+        drupalContext: this.buildEntityContext(config),
+      });
+    }
+
+    /**
+     * Build the entity context for a drupalSettings component entry.
+     *
+     * Passed to components as drupalContext and provided to hooks through
+     * DrupalProvider.
+     *
+     * @param {Object} config - Entry from drupalSettings.componentEntity.components
+     * @returns {Object} entityId, entityType, bundle, viewMode and canEdit
+     */
+    buildEntityContext(config) {
+      return {
+        entityId: config.entityId,
+        entityType: 'component',
+        bundle: config.type,
+        viewMode: config.viewMode || 'default',
+        canEdit: Boolean(config.canEdit),
+      };
+    }
+
+    /**
+     * Wrap a React element in DrupalProvider.
+     *
+     * Leaves the element as is when the shared drupal-react package is not
+     * loaded.
+     *
+     * @param {React.ReactElement} reactElement - Element to wrap
+     * @param {Object|null} entity - Entity context
+     * @param {string} [scope] - Shared store scope (see component-store.js)
+     * @returns {React.ReactElement}
+     */
+    withDrupalProvider(reactElement, entity, scope) {
+      const { React, shared } = this.getReact();
+      if (!shared || !shared.DrupalProvider) {
+        return reactElement;
+      }
+      const providerProps = scope ? { entity, scope } : { entity };
+      return React.createElement(shared.DrupalProvider, providerProps, reactElement);
+    }
+
+    /**
+     * Render a component element.
+     *
+     * @param {HTMLElement} element - Element with data-component-type
+     * @param {Object} [props] - Props overriding data-props
+     * @param {string} [method] - Render method (render/hydrate)
+     * @returns {boolean} TRUE if the component was rendered
+     */
+    render(element, props, method = 'render') {
+      const type = element.dataset.componentType;
+      const Component = this.get(type);
+
+      if (!Component) {
+        return false;
+      }
+
+      const componentProps = this.buildProps(element, props);
+      if (!componentProps) {
+        return false;
+      }
+
+      try {
+        const entity = this.buildEntityContext({
+          type,
+          entityId: element.dataset.entityId || element.dataset.componentId,
+          viewMode: element.dataset.viewMode,
+        });
+        this.mount(this.getReact().React.createElement(Component, componentProps), element, method, entity);
+      } catch (error) {
+        console.error(`Failed to render component ${type}:`, error);
+        return false;
+      }
+
+      element.dataset.reactProcessed = 'true';
+      return true;
+    }
+
+    /**
+     * Hydrate a component element according to its data-hydration value.
+     *
+     * Options for the strategy are read from data-hydration-options (JSON).
+     *
+     * @param {HTMLElement} element - Element with data-component-type
+     * @param {Object} [props] - Props overriding data-props
+     * @returns {boolean} TRUE if the component was rendered immediately
+     */
+    hydrate(element, props) {
+      const strategy = element.dataset.hydration || 'full';
+      let options = {};
+
+      if (element.dataset.hydrationOptions) {
+        try {
+          options = JSON.parse(element.dataset.hydrationOptions);
+        } catch (error) {
+          console.error(`Failed to parse hydration options for component ${element.dataset.componentType}:`, error);
+        }
+      }
+
+      let rendered = false;
+      this.scheduleHydration(element, strategy, options, () => {
+        rendered = this.render(element, props, strategy === 'none' ? 'render' : 'hydrate');
+      });
+      return rendered;
+    }
+
+    /**
+     * Run a hydration callback according to a hydration strategy.
+     *
+     * @param {HTMLElement} element - Component root element
+     * @param {string} strategy - Key of hydrationStrategies
+     * @param {Object} options - Strategy options
+     * @param {Function} callback - Renders the component
+     */
+    scheduleHydration(element, strategy, options, callback) {
+      let run = this.hydrationStrategies[strategy];
+      if (!run) {
+        console.warn(`Unknown hydration strategy "${strategy}", using "full".`);
+        run = this.hydrationStrategies.full;
+      }
+
+      this.cancelHydration(element);
+
+      let done = false;
+      const cancel = run(element, options || {}, () => {
+        if (done) {
+          return;
+        }
+        done = true;
+        this.scheduled.delete(element);
+        callback();
+      });
+
+      if (!done && typeof cancel === 'function') {
+        this.scheduled.set(element, cancel);
+      }
+    }
+
+    /**
+     * Cancel a pending hydration.
+     *
+     * @param {HTMLElement} element - Component root element
+     * @returns {boolean} TRUE if a pending hydration was cancelled
+     */
+    cancelHydration(element) {
+      const cancel = this.scheduled.get(element);
+      if (!cancel) {
+        return false;
+      }
+
+      cancel();
+      this.scheduled.delete(element);
+      return true;
+    }
+
+    /**
+     * Check whether an element contains server-rendered component markup.
+     *
+     * @param {HTMLElement} element - Component root element
+     * @returns {boolean}
+     */
+    hasServerMarkup(element) {
+      return hasServerMarkup(element);
+    }
+
+    /**
+     * Render every component element within a context.
+     *
+     * @param {Element|Document} [context] - Context to search
+     * @returns {number} Number of rendered components
+     */
+    renderAll(context = document) {
+      let rendered = 0;
+      let hasLazy = false;
+
+      context.querySelectorAll(COMPONENT_SELECTOR).forEach((element) => {
+        if (element.dataset.reactProcessed === 'true') {
+          return;
+        }
+        if (element.dataset.lazy === 'true') {
+          hasLazy = true;
+          return;
+        }
+        if (this.render(element)) {
+          rendered++;
+        }
+      });
+
+      if (hasLazy) {
+        this.observeLazyComponents(context);
+      }
+
+      return rendered;
+    }
+
+    /**
+     * Render lazy components once they scroll into view.
+     *
+     * @param {Element|Document} [context] - Context to search
+     */
+    observeLazyComponents(context = document) {
+      const elements = context.querySelectorAll(`${COMPONENT_SELECTOR}[data-lazy="true"]`);
+
+      if (typeof window.IntersectionObserver === 'undefined') {
+        elements.forEach((element) => this.render(element));
+        return;
+      }
+
+      if (!this.lazyObserver) {
+        this.lazyObserver = new window.IntersectionObserver((entries) => {
+          entries.forEach((entry) => {
+            if (entry.isIntersecting) {
+              this.lazyObserver.unobserve(entry.target);
+              this.render(entry.target);
+            }
+          });
+        }, { rootMargin: '200px' });
+      }
+
+      elements.forEach((element) => this.lazyObserver.observe(element));
+    }
+
+    /**
+     * Mount a React element into a DOM element.
+     *
+     * Every mount is tracked as a React 18 root, so callers can re-render
+     * or clean up through render() and unmount().
+     *
+     * @param {React.ReactElement} reactElement - Element to mount
+     * @param {HTMLElement} element - Container element
+     * @param {string} [method] - Render method (render/hydrate)
+     * @param {Object} [entity] - Entity context for DrupalProvider
+     * @returns {Object} The tracked root
+     */
+    mount(reactElement, element, method = 'render', entity = null) {
+      const { ReactDOM } = this.getReact();
+      let root = this.roots.get(element);
+
+      // Every root gets the shared Drupal context and joins the store scope
+      // of its region.
+      const stores = window.Drupal && window.Drupal.componentEntity && window.Drupal.componentEntity.stores;
+      const wrapped = this.withDrupalProvider(reactElement, entity, stores ? stores.getScope(element) : null);
+
+      // Already mounted: update in place instead of creating a second root.
+      if (root) {
+        root.render(wrapped);
+        return root;
+      }
+
+      if (method === 'hydrate') {
+        root = ReactDOM.hydrateRoot(element, wrapped, {
+          onRecoverableError: (error, errorInfo) => this.reportHydrationError(element, error, errorInfo),
+        });
+      } else {
+        root = ReactDOM.createRoot(element);
+        root.render(wrapped);
+      }
+
+      this.roots.set(element, root);
+      return root;
+    }
+
+    /**
+     * Report a hydration mismatch React recovered from.
+     *
+     * @param {HTMLElement} element - Container element
+     * @param {Error} error - Error passed to onRecoverableError
+     * @param {Object} [errorInfo] - Error info (React 18.3+)
+     */
+    reportHydrationError(element, error, errorInfo) {
+      const type = element.dataset.componentType || element.dataset.component || element.id;
+      console.warn(`Hydration mismatch in component ${type}:`, error, errorInfo && errorInfo.componentStack);
+
+      element.dispatchEvent(new CustomEvent('component:hydration-error', {
+        detail: { type, error, componentStack: errorInfo && errorInfo.componentStack },
+        bubbles: true,
+      }));
+    }
+
+    /**
+     * Check whether an element is currently mounted.
+     *
+     * @param {HTMLElement} element - Container element
+     * @returns {boolean}
+     */
+    isMounted(element) {
+      return this.roots.has(element);
+    }
+
+    /**
+     * Unmount the component rendered into an element.
+     *
+     * @param {HTMLElement} element - Container element
+     * @returns {boolean} TRUE if a tracked root was unmounted
+     */
+    unmount(element) {
+      this.cancelHydration(element);
+
+      const root = this.roots.get(element);
+      if (!root) {
+        return false;
+      }
+
+      root.unmount();
+      this.roots.delete(element);
+      delete element.dataset.reactProcessed;
+      return true;
+    }
+
+    /**
+     * Attach the data-attribute renderer to Drupal behaviors.
+     */
+    attachBehaviors() {
+      window.Drupal.behaviors.componentEntityRenderer = {
+        attach: (context) => {
+          this.renderAll(context);
+        },
+
+        detach: (context, settings, trigger) => {
+          if (trigger !== 'unload') {
+            return;
+          }
+          context.querySelectorAll(COMPONENT_SELECTOR).forEach((element) => {
+            this.unmount(element);
+          });
+        },
+      };
+    }
+  }
+
+  return { ComponentRenderer, isDebug, default: ComponentRenderer };
+});
@@ -0,0 +1,107 @@
+/**
+ * @file
+ * Reports the output of a render comparison frame to the component form.
+ *
+ * Runs inside the frames of ComponentPreviewFrameController::compare().
+ * Once the output stops changing (React renders after the page loads), the
+ * frame sends its timings, sizes and serialized output to the form.
+ */
+
+(function (Drupal, once) {
+  'use strict';
+
+  /**
+   * How long the output must stay unchanged to count as rendered, in ms.
+   */
+  const SETTLE_DELAY = 250;
+
+  /**
+   * How long to wait for the output to settle at most, in ms.
+   */
+  const SETTLE_TIMEOUT = 10000;
+
+  /**
+   * Render comparison frame.
+   */
+  Drupal.behaviors.componentRenderComparisonFrame = {
+    attach(context) {
+      once('render-comparison-frame', '[data-render-comparison-frame]', context).forEach((root) => {
+        whenSettled(root, (renderedAt) => {
+          report(root, renderedAt);
+        });
+      });
+    },
+  };
+
+  /**
+   * Wait for the page to load and the output to stop changing.
+   *
+   * @param {HTMLElement} root - The frame root
+   * @param {Function} callback - Called with the time of the last change, in
+   *   ms since the frame started loading
+   */
+  function whenSettled(root, callback) {
+    let renderedAt = performance.now();
+    let timer = null;
+    let limit = null;
+    let settled = false;
+
+    const done = () => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      observer.disconnect();
+      clearTimeout(timer);
+      clearTimeout(limit);
+      callback(renderedAt);
+    };
+    const wait = () => {
+      clearTimeout(timer);
+      timer = setTimeout(done, SETTLE_DELAY);
+    };
+
+    const observer = new MutationObserver(() => {
+      renderedAt = performance.now();
+      wait();
+    });
+    observer.observe(root, { childList: true, subtree: true, attributes: true, characterData: true });
+
+    if (document.readyState === 'complete') {
+      wait();
+    } else {
+      window.addEventListener('load', () => {
+        renderedAt = Math.max(renderedAt, performance.now());
+        wait();
+      }, { once: true });
+    }
+    limit = setTimeout(done, SETTLE_TIMEOUT);
+  }
+
+  /**
+   * Send the results of the frame to the component form.
+   *
+   * @param {HTMLElement} root - The frame root
+   * @param {number} renderedAt - When the output last changed
+   */
+  function report(root, renderedAt) {
+    const navigation = performance.getEntriesByType('navigation')[0];
+    const documentBytes = navigation ? navigation.encodedBodySize : 0;
+    const resourceBytes = performance.getEntriesByType('resource').reduce((total, entry) => total + (entry.encodedBodySize || 0), 0);
+
+    // Each renderer wraps its output in one element.
+    const wrapper = root.firstElementChild;
+
+    window.parent.postMessage({
+      type: 'componentEntityRenderComparison',
+      renderer: root.dataset.renderComparisonFrame,
+      error: root.dataset.renderError || null,
+      serverTime: root.dataset.serverTime ? parseFloat(root.dataset.serverTime) : null,
+      serverBytes: root.dataset.serverBytes ? parseInt(root.dataset.serverBytes, 10) : null,
+      clientTime: Math.round(renderedAt),
+      totalBytes: documentBytes + resourceBytes,
+      tree: wrapper ? Drupal.componentEntity.renderComparison.serializeChildren(wrapper) : [],
+    }, window.location.origin);
+  }
+
+})(Drupal, once);
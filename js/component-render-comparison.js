@@ -0,0 +1,299 @@
+/**
+ * @file
+ * Render method comparison on the component edit form.
+ *
+ * Loads one frame per render method (see
+ * ComponentPreviewFrameController::compare()), collects what the frames
+ * report and lists how each method's output differs from the output of the
+ * component's render method.
+ */
+
+(function (Drupal, once) {
+  'use strict';
+
+  /**
+   * How long a frame gets to report, in ms.
+   */
+  const FRAME_TIMEOUT = 15000;
+
+  /**
+   * The most differences listed per render method.
+   */
+  const MAX_DIFFERENCES = 50;
+
+  /**
+   * The comparisons on the page.
+   */
+  const comparisons = [];
+
+  /**
+   * Render method comparison.
+   */
+  Drupal.behaviors.componentRenderComparison = {
+    attach(context) {
+      once('render-comparison', '.component-render-comparison', context).forEach(init);
+    },
+  };
+
+  // Results reported by component-render-comparison-frame.js.
+  window.addEventListener('message', (event) => {
+    if (event.origin !== window.location.origin || !event.data || event.data.type !== 'componentEntityRenderComparison') {
+      return;
+    }
+    comparisons.forEach((comparison) => {
+      comparison.methods.forEach((method) => {
+        if (method.frame.contentWindow === event.source) {
+          receive(comparison, method, event.data);
+        }
+      });
+    });
+  });
+
+  /**
+   * Set up a comparison.
+   *
+   * @param {HTMLElement} element - The comparison element
+   */
+  function init(element) {
+    const details = element.closest('details');
+    const comparison = {
+      element,
+      loaded: false,
+      methods: Array.from(element.querySelectorAll('.component-render-comparison__method')).map((section) => {
+        return {
+          section,
+          frame: section.querySelector('.component-render-comparison__frame'),
+          method: section.dataset.method,
+          label: section.querySelector('.component-render-comparison__title').textContent.trim(),
+          url: section.dataset.frameUrl,
+          result: null,
+          timer: null,
+        };
+      }),
+    };
+    comparisons.push(comparison);
+
+    const isOpen = () => !details || details.open;
+
+    // Frames only load once someone looks at them.
+    if (details) {
+      details.addEventListener('toggle', () => {
+        if (details.open && !comparison.loaded) {
+          run(comparison);
+        }
+      });
+    }
+    if (isOpen()) {
+      run(comparison);
+    }
+
+    element.querySelector('.component-render-comparison__run').addEventListener('click', () => {
+      run(comparison);
+    });
+
+    // The live preview stored new values.
+    document.addEventListener('componentEntity:previewRefresh', () => {
+      if (isOpen()) {
+        run(comparison);
+      } else {
+        comparison.loaded = false;
+      }
+    });
+
+    // The other methods are compared against the selected render method.
+    const form = element.closest('form');
+    if (form) {
+      form.addEventListener('change', (event) => {
+        if (event.target.name === 'render_method') {
+          element.dataset.renderMethod = event.target.value;
+          showDifferences(comparison);
+        }
+      });
+    }
+  }
+
+  /**
+   * Load the frames of a comparison.
+   *
+   * @param {Object} comparison - The comparison
+   */
+  function run(comparison) {
+    comparison.loaded = true;
+    setStatus(comparison, Drupal.t('Rendering with each render method...'));
+
+    comparison.methods.forEach((method) => {
+      clearTimeout(method.timer);
+      method.result = null;
+      method.section.classList.add('is-loading');
+      method.section.classList.remove('is-baseline');
+      method.section.querySelectorAll('[data-metric]').forEach((metric) => {
+        metric.textContent = '–';
+      });
+      method.section.querySelector('.component-render-comparison__diff').textContent = '';
+
+      method.timer = setTimeout(() => {
+        receive(comparison, method, { error: Drupal.t('The frame did not finish rendering.'), tree: [] });
+      }, FRAME_TIMEOUT);
+      // Setting the source again reloads the frame.
+      method.frame.src = method.url;
+    });
+  }
+
+  /**
+   * Show what a frame reported.
+   *
+   * @param {Object} comparison - The comparison
+   * @param {Object} method - The render method the frame renders with
+   * @param {Object} result - The report of the frame
+   */
+  function receive(comparison, method, result) {
+    if (method.result) {
+      return;
+    }
+    clearTimeout(method.timer);
+    method.result = result;
+    method.section.classList.remove('is-loading');
+
+    const formatTime = (time) => typeof time === 'number' ? Drupal.t('@time ms', { '@time': time }) : '–';
+    const formatBytes = (bytes) => typeof bytes === 'number' ? Drupal.componentEntity.renderComparison.formatBytes(bytes) : '–';
+    const metrics = {
+      serverTime: formatTime(result.serverTime),
+      clientTime: formatTime(result.clientTime),
+      serverBytes: formatBytes(result.serverBytes),
+      totalBytes: formatBytes(result.totalBytes),
+    };
+    method.section.querySelectorAll('[data-metric]').forEach((metric) => {
+      metric.textContent = metrics[metric.dataset.metric];
+    });
+
+    const done = comparison.methods.every((item) => item.result);
+    if (done) {
+      showDifferences(comparison);
+    }
+  }
+
+  /**
+   * List how each method differs from the selected render method.
+   *
+   * @param {Object} comparison - The comparison
+   */
+  function showDifferences(comparison) {
+    const methods = comparison.methods;
+    if (!methods.every((method) => method.result)) {
+      return;
+    }
+
+    // Without a frame for the selected method, compare against the first.
+    const selected = comparison.element.dataset.renderMethod;
+    const baseline = methods.find((method) => method.method === selected) || methods[0];
+    const args = { '@label': baseline.label };
+    let differing = 0;
+
+    methods.forEach((method) => {
+      const container = method.section.querySelector('.component-render-comparison__diff');
+      container.textContent = '';
+      method.section.classList.toggle('is-baseline', method === baseline);
+
+      if (method.result.error) {
+        differing += method === baseline ? 0 : 1;
+        container.appendChild(createMessage(Drupal.checkPlain(method.result.error), 'is-error'));
+        return;
+      }
+      if (method === baseline) {
+        container.appendChild(createMessage(Drupal.t('The others are compared against this output.'), 'is-baseline'));
+        return;
+      }
+      if (baseline.result.error) {
+        container.appendChild(createMessage(Drupal.t('There is no output of @label to compare against.', args), 'is-error'));
+        return;
+      }
+
+      const differences = Drupal.componentEntity.renderComparison.diff(baseline.result.tree, method.result.tree);
+      if (!differences.length) {
+        container.appendChild(createMessage(Drupal.t('Matches @label.', args), 'is-match'));
+        return;
+      }
+
+      differing++;
+      container.appendChild(createMessage(Drupal.formatPlural(differences.length, '1 difference from @label:', '@count differences from @label:', args), 'is-mismatch'));
+      const list = document.createElement('ul');
+      list.className = 'component-render-comparison__differences';
+      differences.slice(0, MAX_DIFFERENCES).forEach((difference) => {
+        const item = document.createElement('li');
+        const path = document.createElement('code');
+        path.textContent = difference.path;
+        item.appendChild(path);
+        item.insertAdjacentHTML('beforeend', ' ' + describeDifference(difference));
+        list.appendChild(item);
+      });
+      if (differences.length > MAX_DIFFERENCES) {
+        const more = document.createElement('li');
+        more.innerHTML = Drupal.t('...and @count more.', { '@count': differences.length - MAX_DIFFERENCES });
+        list.appendChild(more);
+      }
+      container.appendChild(list);
+    });
+
+    setStatus(comparison, differing
+      ? Drupal.formatPlural(differing, '1 render method differs from @label.', '@count render methods differ from @label.', args)
+      : Drupal.t('Every render method matches @label.', args));
+  }
+
+  /**
+   * Describe a difference found by diff().
+   *
+   * @param {Object} difference - The difference
+   * @return {string} The description, as HTML
+   */
+  function describeDifference(difference) {
+    const args = {
+      '@name': difference.name,
+      '@expected': difference.expected,
+      '@actual': difference.actual,
+    };
+    switch (difference.type) {
+      case 'added':
+        return Drupal.t('Extra @actual', args);
+
+      case 'removed':
+        return Drupal.t('Missing @expected', args);
+
+      case 'text':
+        return Drupal.t('Text "@actual" instead of "@expected"', args);
+
+      default:
+        if (difference.expected === null) {
+          return Drupal.t('Extra attribute @name="@actual"', args);
+        }
+        if (difference.actual === null) {
+          return Drupal.t('Missing attribute @name="@expected"', args);
+        }
+        return Drupal.t('@name="@actual" instead of "@expected"', args);
+    }
+  }
+
+  /**
+   * Create a message for the results of a method.
+   *
+   * @param {string} html - The message, as HTML
+   * @param {string} className - The state class
+   * @return {HTMLElement} The message
+   */
+  function createMessage(html, className) {
+    const message = document.createElement('p');
+    message.className = 'component-render-comparison__message ' + className;
+    message.innerHTML = html;
+    return message;
+  }
+
+  /**
+   * Update the status line, a live region.
+   *
+   * @param {Object} comparison - The comparison
+   * @param {string} html - The status, as HTML
+   */
+  function setStatus(comparison, html) {
+    comparison.element.querySelector('.component-render-comparison__status').innerHTML = html;
+  }
+
+})(Drupal, once);
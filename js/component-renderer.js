@@ -8,162 +8,106 @@
   'use strict';
 
   /**
-   * Component registry for all React components.
+   * Initialize the component entity namespace.
    */
-  const componentRegistry = {};
-  
+  Drupal.componentEntity = Drupal.componentEntity || {};
+
   /**
-   * Component instances for cleanup.
+   * Component registry for all React components (see component-registry.js).
    */
-  const componentInstances = new Map();
+  const componentRegistry = Drupal.componentEntity.registry;
 
   /**
-   * Initialize the component entity namespace.
+   * Runtime that resolves, normalises and mounts components (see
+   * component-runtime.js); these behaviors feed it from drupalSettings.
    */
-  Drupal.componentEntity = Drupal.componentEntity || {};
-
+  const runtime = Drupal.componentEntity.runtime.getRuntime();
+  
   /**
    * Register a React component.
    * 
    * @param {string} name - Component name
    * @param {React.Component|Function} component - React component
+   * @param {Object} [options] - Registration options (namespace, version, replace)
    */
-  Drupal.componentEntity.register = function(name, component) {
-    componentRegistry[name] = component;
-    console.log(`Registered component: ${name}`);
+  Drupal.componentEntity.register = function(name, component, options) {
+    return componentRegistry.register(name, component, options);
   };
 
   /**
    * Get a registered component.
    * 
    * @param {string} name - Component name
+   * @param {string} [namespace] - Namespace
    * @returns {React.Component|Function|null}
    */
-  Drupal.componentEntity.getComponent = function(name) {
-    return componentRegistry[name] || null;
+  Drupal.componentEntity.getComponent = function(name, namespace) {
+    return componentRegistry.get(name, namespace);
   };
 
   /**
-   * Load a component dynamically.
-   * 
-   * @param {string} componentName - Component name to load
-   * @returns {Promise}
+   * Hydration strategies keyed by name; add entries to define custom ones.
    */
-  const loadComponent = async (componentName) => {
-    try {
-      // Try to load from the compiled components directory
-      const module = await import(`/modules/custom/component_entity/dist/js/${componentName}.component.js`);
-      return module.default || module[componentName];
-    } catch (error) {
-      console.error(`Failed to load component ${componentName}:`, error);
-      return null;
-    }
-  };
+  Drupal.componentEntity.hydrationStrategies = componentRegistry.hydrationStrategies;
 
   /**
-   * Render a component with error boundary.
-   * 
-   * @param {Object} Component - React component
-   * @param {Object} props - Component props
-   * @param {HTMLElement} element - DOM element to render into
-   * @param {string} method - Render method (hydrate/render)
+   * Shared state and events for a scope (see component-store.js).
+   *
+   * Behaviors can use Drupal.componentEntity.stores.getStoreFor(element) to
+   * get the store of the region an element sits in.
+   *
+   * @param {string} [scope] - Scope name, "global" by default
+   * @returns {Object} The ComponentStore
    */
-  const renderComponent = (Component, props, element, method = 'render') => {
-    if (!window.React || !window.ReactDOM) {
-      console.error('React or ReactDOM not loaded');
-      return;
-    }
-
-    const React = window.React;
-    const ReactDOM = window.ReactDOM;
-
-    // Error boundary wrapper
-    class ErrorBoundary extends React.Component {
-      constructor(props) {
-        super(props);
-        this.state = { hasError: false, error: null };
-      }
-
-      static getDerivedStateFromError(error) {
-        return { hasError: true, error };
-      }
-
-      componentDidCatch(error, errorInfo) {
-        console.error('Component Error:', error, errorInfo);
-      }
-
-      render() {
-        if (this.state.hasError) {
-          return React.createElement('div', {
-            className: 'component-error',
-            role: 'alert'
-          }, 
-            React.createElement('p', null, 'This component encountered an error and cannot be displayed.'),
-            React.createElement('details', null,
-              React.createElement('summary', null, 'Error details'),
-              React.createElement('pre', null, this.state.error?.toString())
-            )
-          );
-        }
-        return this.props.children;
-      }
-    }
+  Drupal.componentEntity.getStore = function(scope) {
+    return Drupal.componentEntity.stores.getStore(scope);
+  };
 
-    // Wrap component in error boundary
-    const componentWithBoundary = React.createElement(
-      ErrorBoundary,
-      null,
-      React.createElement(Component, props)
-    );
+  /**
+   * Load a component bundle listed in the asset manifest.
+   *
+   * @param {string} name - Component type
+   * @returns {Promise<React.Component|Function>}
+   */
+  Drupal.componentEntity.load = function(name) {
+    const manifest = (drupalSettings.componentEntity && drupalSettings.componentEntity.manifest) || {};
+    return componentRegistry.load(name, manifest[name]);
+  };
 
-    // Choose render method
-    if (method === 'hydrate' && ReactDOM.hydrate) {
-      ReactDOM.hydrate(componentWithBoundary, element);
-    } else {
-      // For React 18+
-      if (ReactDOM.createRoot) {
-        const root = ReactDOM.createRoot(element);
-        root.render(componentWithBoundary);
-        componentInstances.set(element.id, root);
-      } else {
-        // Fallback for older React
-        ReactDOM.render(componentWithBoundary, element);
-      }
-    }
+  /**
+   * Set the fallback shown when a component type fails to render.
+   *
+   * @param {string} type - Component type
+   * @param {React.Component|Function|null} Fallback - Fallback component
+   */
+  Drupal.componentEntity.registerErrorFallback = function(type, Fallback) {
+    Drupal.componentEntity.react.registerErrorFallback(type, Fallback);
   };
 
   /**
-   * Process slots for React components.
-   * 
-   * @param {Object} slots - Raw slot HTML
-   * @returns {Object} Processed slots
+   * Replace the error reporter (defaults to the Drupal watchdog endpoint).
+   *
+   * @param {Function|null} reporter - Called with each error report
+   * @returns {Function|null} The previous reporter
    */
-  const processSlots = (slots) => {
-    const processedSlots = {};
-    
-    for (const [key, value] of Object.entries(slots || {})) {
-      // If slot is already rendered HTML, keep it
-      if (typeof value === 'string') {
-        processedSlots[key] = value;
-      } else if (value && typeof value === 'object') {
-        // If it's a render array or object, try to extract HTML
-        processedSlots[key] = value.html || value.markup || '';
-      }
-    }
-    
-    return processedSlots;
+  Drupal.componentEntity.setErrorReporter = function(reporter) {
+    return Drupal.componentEntity.react.setErrorReporter(reporter);
   };
 
   /**
    * Render React components on the page.
    */
   Drupal.behaviors.componentEntityReact = {
-    attach: function (context, settings) {
+    attach(context, settings) {
       // Check if we have components to render
       if (!settings.componentEntity || !settings.componentEntity.components) {
         return;
       }
 
+      // Schemas drive prop normalisation; the manifest lets the runtime load
+      // bundles no library provides.
+      runtime.applySettings(settings.componentEntity);
+
       // Find all component roots that haven't been processed
       const componentRoots = once('component-react', '.component-react-root', context);
       
@@ -176,43 +120,16 @@
           return;
         }
 
-        // Check if component is registered
-        let Component = componentRegistry[config.type];
-        
-        if (!Component) {
-          // Try to load dynamically if lazy loading is enabled
-          if (config.config && config.config.lazy) {
-            loadComponent(config.type).then((LoadedComponent) => {
-              if (LoadedComponent) {
-                componentRegistry[config.type] = LoadedComponent;
-                renderComponentInstance(element, LoadedComponent, config);
-              }
-            });
-            return;
-          } else {
-            console.error(`Component not registered: ${config.type}`);
-            return;
-          }
-        }
-
-        renderComponentInstance(element, Component, config);
+        renderComponentInstance(element, config);
       });
     },
 
-    detach: function (context, settings, trigger) {
+    detach(context, settings, trigger) {
       // Clean up React components on detach
       if (trigger === 'unload') {
         const componentRoots = context.querySelectorAll('.component-react-root');
         componentRoots.forEach(function(element) {
-          if (componentInstances.has(element.id)) {
-            const root = componentInstances.get(element.id);
-            if (root && root.unmount) {
-              root.unmount();
-            }
-            componentInstances.delete(element.id);
-          } else if (window.ReactDOM && window.ReactDOM.unmountComponentAtNode) {
-            window.ReactDOM.unmountComponentAtNode(element);
-          }
+          componentRegistry.unmount(element);
         });
       }
     }
@@ -220,70 +137,22 @@
 
   /**
    * Render a single component instance.
-   * 
+   *
+   * Registered components render right away; others are loaded through the
+   * webpack asset manifest first.
+   *
    * @param {HTMLElement} element - DOM element
-   * @param {Object} Component - React component
    * @param {Object} config - Component configuration
    */
-  function renderComponentInstance(element, Component, config) {
-    // Prepare props with processed slots
-    const props = {
-      ...config.props,
-      slots: processSlots(config.slots),
-      // Add Drupal-specific props
-      drupalContext: {
-        entityId: config.entityId,
-        entityType: 'component',
-        bundle: config.type,
-        viewMode: config.viewMode || 'default'
-      }
-    };
-
-    // Handle different hydration methods
-    const hydration = config.config?.hydration || 'full';
-    
-    switch (hydration) {
-      case 'full':
-        // Full hydration - make component interactive
-        renderComponent(Component, props, element, 'hydrate');
-        break;
-      
-      case 'partial':
-        // Partial hydration - selective interactivity
-        // Check if element has pre-rendered content
-        if (element.innerHTML.trim()) {
-          // Wait for user interaction before hydrating
-          const hydrateOnInteraction = () => {
-            renderComponent(Component, props, element, 'render');
-            element.removeEventListener('mouseenter', hydrateOnInteraction);
-            element.removeEventListener('focus', hydrateOnInteraction);
-          };
-          element.addEventListener('mouseenter', hydrateOnInteraction, { once: true });
-          element.addEventListener('focus', hydrateOnInteraction, { once: true });
-        } else {
-          renderComponent(Component, props, element, 'render');
-        }
-        break;
-      
-      case 'none':
-        // No hydration - static render only
-        if (!element.innerHTML.trim()) {
-          renderComponent(Component, props, element, 'render');
-        }
-        break;
-      
-      default:
-        renderComponent(Component, props, element, 'render');
-    }
-
-    // Mark as processed
-    element.dataset.reactProcessed = 'true';
-    
-    // Dispatch custom event
-    element.dispatchEvent(new CustomEvent('component:rendered', {
-      detail: { type: config.type, props: props },
-      bubbles: true
-    }));
+  function renderComponentInstance(element, config) {
+    runtime.renderConfig(element, config, {
+      // The runtime dispatches the DOM event; stores get it too.
+      onRendered(detail) {
+        Drupal.componentEntity.stores.getStoreFor(element).emit('component:rendered', { ...detail, id: element.id });
+      },
+    }).catch((error) => {
+      console.error(`Failed to render component ${config.type}:`, error);
+    });
   }
 
   /**
@@ -292,10 +161,8 @@
    */
   Drupal.componentEntity.htmlToReact = function(html) {
     if (!window.React) return null;
-    
-    return window.React.createElement('div', {
-      dangerouslySetInnerHTML: { __html: html }
-    });
+
+    return componentRegistry.htmlToReact(html);
   };
 
   /**
@@ -309,19 +176,10 @@
     if (!settings) return;
     
     // Unmount existing component
-    if (componentInstances.has(componentId)) {
-      const root = componentInstances.get(componentId);
-      if (root && root.unmount) {
-        root.unmount();
-      }
-      componentInstances.delete(componentId);
-    }
+    componentRegistry.unmount(element);
     
     // Re-render
-    const Component = componentRegistry[settings.type];
-    if (Component) {
-      renderComponentInstance(element, Component, settings);
-    }
+    renderComponentInstance(element, settings);
   };
 
   /**
@@ -329,8 +187,8 @@
    */
   Drupal.componentEntity.debug = function() {
     console.group('Component Entity Debug Info');
-    console.log('Registered components:', Object.keys(componentRegistry));
-    console.log('Active instances:', Array.from(componentInstances.keys()));
+    console.log('Registered components:', Object.keys(componentRegistry.getAll()));
+    console.log('Active instances:', Array.from(componentRegistry.roots.keys()).map((element) => element.id));
     console.log('Component settings:', drupalSettings.componentEntity);
     console.groupEnd();
   };
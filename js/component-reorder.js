@@ -0,0 +1,362 @@
+/**
+ * @file
+ * Reordering of component reference fields.
+ *
+ * ComponentReferenceFormatter marks the fields users may reorder. Components
+ * move with the "Move up" and "Move down" buttons, or by dragging their
+ * handles with Sortable.js from core/sortable. The new order is saved to /component/reorder and
+ * the last reorder can be undone.
+ */
+
+(function (Drupal, once, Sortable) {
+  'use strict';
+
+  /**
+   * Milliseconds without moves before the order is saved.
+   */
+  const SAVE_DELAY = 500;
+
+  /**
+   * Milliseconds the undo toast stays up.
+   */
+  const UNDO_TIMEOUT = 10000;
+
+  /**
+   * Client for Drupal requests, which fetches the CSRF token once for all
+   * fields.
+   */
+  const client = Drupal.componentEntity.client.createClient();
+
+  /**
+   * Reordering for component reference fields.
+   */
+  Drupal.behaviors.componentEntityReorder = {
+    attach(context) {
+      const fields = once('component-reorder', '.component-reorder', context);
+
+      fields.forEach((field) => {
+        const item = field.querySelector('.component-reorder__item');
+        if (!item) {
+          return;
+        }
+
+        const list = {
+          field,
+          container: item.parentElement,
+          saving: false,
+          pending: false,
+          batchStart: null,
+          toast: null,
+          toastTimer: null,
+        };
+        list.scheduleSave = debounce(() => {
+          save(list, false);
+        }, SAVE_DELAY);
+
+        getItems(list).forEach((element) => addControls(element));
+        updateControls(list);
+
+        list.container.addEventListener('click', (event) => {
+          const button = event.target instanceof Element ? event.target.closest('.component-reorder__move') : null;
+          const element = button && button.closest('.component-reorder__item');
+          if (element && element.parentElement === list.container) {
+            move(list, element, button.dataset.direction === 'up' ? -1 : 1, button);
+          }
+        });
+
+        new Sortable(list.container, {
+          animation: 150,
+          draggable: '.component-reorder__item',
+          handle: '.component-reorder__handle',
+          ghostClass: 'component--ghost',
+          chosenClass: 'component--chosen',
+          dragClass: 'component--drag',
+          onStart() {
+            startBatch(list);
+          },
+          onEnd(event) {
+            if (event.oldIndex === event.newIndex) {
+              return;
+            }
+            updateControls(list);
+            announcePosition(list, event.item);
+            list.scheduleSave();
+          },
+        });
+      });
+    },
+  };
+
+  /**
+   * Get the items of a field in their current order.
+   *
+   * @param {Object} list - The reorder state of the field
+   * @return {HTMLElement[]} The items
+   */
+  function getItems(list) {
+    return Array.from(list.container.children).filter((element) => element.classList.contains('component-reorder__item'));
+  }
+
+  /**
+   * Add the drag handle and move buttons to an item.
+   *
+   * @param {HTMLElement} item - The item
+   */
+  function addControls(item) {
+    const label = item.dataset.componentLabel || Drupal.t('component');
+    const controls = document.createElement('div');
+    controls.className = 'component-reorder__controls';
+
+    const handle = document.createElement('span');
+    handle.className = 'component-reorder__handle';
+    handle.title = Drupal.t('Drag to reorder');
+    handle.setAttribute('aria-hidden', 'true');
+    controls.appendChild(handle);
+
+    [
+      { direction: 'up', text: Drupal.t('Move up'), label: Drupal.t('Move @label up', { '@label': label }) },
+      { direction: 'down', text: Drupal.t('Move down'), label: Drupal.t('Move @label down', { '@label': label }) },
+    ].forEach((control) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = `component-reorder__move component-reorder__move--${control.direction}`;
+      button.dataset.direction = control.direction;
+      button.textContent = control.text;
+      button.setAttribute('aria-label', control.label);
+      controls.appendChild(button);
+    });
+
+    item.insertBefore(controls, item.firstChild);
+  }
+
+  /**
+   * Disable the buttons that cannot move their item any further.
+   *
+   * @param {Object} list - The reorder state of the field
+   */
+  function updateControls(list) {
+    const items = getItems(list);
+    items.forEach((item, index) => {
+      const up = item.querySelector('.component-reorder__move--up');
+      const down = item.querySelector('.component-reorder__move--down');
+      if (up) {
+        up.disabled = index === 0;
+      }
+      if (down) {
+        down.disabled = index === items.length - 1;
+      }
+    });
+  }
+
+  /**
+   * Move an item up or down by one position.
+   *
+   * @param {Object} list - The reorder state of the field
+   * @param {HTMLElement} item - The item to move
+   * @param {number} offset - -1 to move up, 1 to move down
+   * @param {HTMLElement} button - The button that was pressed
+   */
+  function move(list, item, offset, button) {
+    const items = getItems(list);
+    const index = items.indexOf(item);
+    const target = index + offset;
+    if (index < 0 || target < 0 || target >= items.length) {
+      return;
+    }
+
+    startBatch(list);
+    list.container.insertBefore(item, offset < 0 ? items[target] : items[target].nextSibling);
+    updateControls(list);
+
+    // Moving the item takes focus away; keep it on a usable button.
+    const other = item.querySelector(`.component-reorder__move--${offset < 0 ? 'down' : 'up'}`);
+    (button.disabled && other ? other : button).focus();
+
+    announcePosition(list, item);
+    list.scheduleSave();
+  }
+
+  /**
+   * Announce the new position of a moved item.
+   *
+   * @param {Object} list - The reorder state of the field
+   * @param {HTMLElement} item - The moved item
+   */
+  function announcePosition(list, item) {
+    const items = getItems(list);
+    Drupal.announce(Drupal.t('@label moved to position @position of @total.', {
+      '@label': item.dataset.componentLabel || Drupal.t('Component'),
+      '@position': items.indexOf(item) + 1,
+      '@total': items.length,
+    }));
+  }
+
+  /**
+   * Remember the order before the first move that is not saved yet.
+   *
+   * @param {Object} list - The reorder state of the field
+   */
+  function startBatch(list) {
+    if (!list.batchStart) {
+      list.batchStart = getItems(list);
+    }
+    // Undo would no longer restore what the toast refers to.
+    hideToast(list);
+  }
+
+  /**
+   * Save the current order of a field, one request at a time.
+   *
+   * @param {Object} list - The reorder state of the field
+   * @param {boolean} isUndo - Whether the order reverts the last reorder
+   */
+  function save(list, isUndo) {
+    // Moves made while a request runs are saved once it finishes.
+    if (list.saving) {
+      list.pending = true;
+      return;
+    }
+
+    const items = getItems(list);
+    const previous = list.batchStart;
+    list.batchStart = null;
+
+    const order = items.map((item) => ({ delta: Number(item.dataset.delta), id: item.dataset.targetId }));
+    if (order.every((entry, index) => entry.delta === index)) {
+      return;
+    }
+
+    list.saving = true;
+    list.field.classList.add('is-saving');
+
+    client.request('POST', list.field.dataset.reorderUrl, {
+      body: {
+        entity_type: list.field.dataset.hostEntityType,
+        entity_id: list.field.dataset.hostEntityId,
+        field_name: list.field.dataset.fieldName,
+        order,
+      },
+    })
+      .then(() => {
+        // The saved order is what later requests are checked against.
+        items.forEach((item, index) => {
+          item.dataset.delta = String(index);
+        });
+
+        if (isUndo) {
+          Drupal.announce(Drupal.t('Reorder undone.'));
+        } else {
+          Drupal.announce(Drupal.t('Component order saved.'));
+          if (previous && !list.pending && !list.batchStart) {
+            showToast(list, Drupal.t('Component order saved.'), previous);
+          }
+        }
+      })
+      .catch((error) => {
+        console.error('Failed to save component order:', error);
+        restore(list);
+        const message = error.status === 409
+          ? Drupal.t('The components were changed by someone else. Reload the page and try again.')
+          : Drupal.t('The new order could not be saved.');
+        Drupal.announce(message, 'assertive');
+        showToast(list, message, null);
+      })
+      .finally(() => {
+        list.saving = false;
+        list.field.classList.remove('is-saving');
+        if (list.pending) {
+          list.pending = false;
+          save(list, false);
+        }
+      });
+  }
+
+  /**
+   * Put the items of a field back in their saved order.
+   *
+   * @param {Object} list - The reorder state of the field
+   */
+  function restore(list) {
+    list.pending = false;
+    list.batchStart = null;
+    getItems(list)
+      .sort((a, b) => Number(a.dataset.delta) - Number(b.dataset.delta))
+      .forEach((item) => list.container.appendChild(item));
+    updateControls(list);
+  }
+
+  /**
+   * Show a message below a field, with an undo button for saved reorders.
+   *
+   * @param {Object} list - The reorder state of the field
+   * @param {string} message - The message
+   * @param {HTMLElement[]|null} previous - The items in their order before
+   *   the reorder, or NULL if there is nothing to undo
+   */
+  function showToast(list, message, previous) {
+    hideToast(list);
+
+    const toast = document.createElement('div');
+    toast.className = 'component-reorder__toast';
+    const text = document.createElement('span');
+    text.className = 'component-reorder__toast-message';
+    text.textContent = message;
+    toast.appendChild(text);
+
+    if (previous) {
+      const undo = document.createElement('button');
+      undo.type = 'button';
+      undo.className = 'component-reorder__undo';
+      undo.textContent = Drupal.t('Undo');
+      undo.addEventListener('click', () => {
+        hideToast(list);
+        previous.forEach((item) => list.container.appendChild(item));
+        updateControls(list);
+        save(list, true);
+      });
+      toast.appendChild(undo);
+    }
+
+    // The toast stays while the keyboard is on it.
+    const startTimer = () => {
+      list.toastTimer = setTimeout(() => hideToast(list), UNDO_TIMEOUT);
+    };
+    toast.addEventListener('focusin', () => {
+      clearTimeout(list.toastTimer);
+    });
+    toast.addEventListener('focusout', startTimer);
+
+    list.container.parentElement.insertBefore(toast, list.container.nextSibling);
+    list.toast = toast;
+    startTimer();
+  }
+
+  /**
+   * Remove the toast of a field, if any.
+   *
+   * @param {Object} list - The reorder state of the field
+   */
+  function hideToast(list) {
+    clearTimeout(list.toastTimer);
+    if (list.toast) {
+      list.toast.remove();
+      list.toast = null;
+    }
+  }
+
+  /**
+   * Utility: Debounce function.
+   */
+  function debounce(func, wait) {
+    let timeout;
+    return function executedFunction(...args) {
+      const later = () => {
+        clearTimeout(timeout);
+        func(...args);
+      };
+      clearTimeout(timeout);
+      timeout = setTimeout(later, wait);
+    };
+  }
+
+})(Drupal, once, Sortable);
@@ -0,0 +1,509 @@
+/**
+ * @file
+ * Framework-agnostic runtime for rendering component entities.
+ *
+ * Resolves components from the registry, normalises and validates their
+ * props, wraps them in the shared error boundary and schedules hydration.
+ * component-renderer.js drives it from drupalSettings; decoupled apps use
+ * <ComponentEntity id="..." /> or renderComponentEntity(), which fetch props
+ * and slots from the component render resource.
+ */
+
+(function (root, factory) {
+  'use strict';
+
+  const isCommonJS = typeof module === 'object' && module.exports;
+  const api = isCommonJS
+    ? factory(require('react'), require('./drupal-react'), require('./component-registry').ComponentRenderer, require('./hydration-check'), require('./client'), root)
+    : factory(root.React, root.Drupal.componentEntity.react, root.Drupal.componentEntity.ComponentRenderer, root.Drupal.componentEntity.hydrationCheck, root.Drupal.componentEntity.client, root);
+
+  // CommonJS (Jest, Node tooling, decoupled bundles).
+  if (isCommonJS) {
+    module.exports = api;
+  }
+
+  // Browser global, used by component-renderer.js.
+  if (root && root.Drupal) {
+    root.Drupal.componentEntity = root.Drupal.componentEntity || {};
+    root.Drupal.componentEntity.runtime = api;
+  }
+})(typeof window !== 'undefined' ? window : this, function (React, shared, ComponentRenderer, hydrationCheck, sdk, root) {
+  'use strict';
+
+  /**
+   * Runtime used when none is passed in.
+   */
+  let defaultRuntime = null;
+
+  /**
+   * Drop the "field_" prefix the React renderer plugin leaves on prop names.
+   *
+   * @param {Object} values - Props keyed by field name
+   * @returns {Object}
+   */
+  const stripFieldPrefixes = (values) => {
+    return Object.keys(values || {}).reduce((result, key) => {
+      result[key.replace(/^field_/, '')] = values[key];
+      return result;
+    }, {});
+  };
+
+  /**
+   * Build a component entry from the drupalSettings of a render response.
+   *
+   * ComponentReactRenderer sends "components" entries; the React renderer
+   * plugin sends "react" entries, which are mapped to the same shape.
+   *
+   * @param {Object} settings - drupalSettings.componentEntity of the response
+   * @param {Object} result - The render response
+   * @returns {Object|null} Entry as in drupalSettings.componentEntity.components
+   */
+  const configFromSettings = (settings, result) => {
+    const components = settings.components || {};
+    const componentId = Object.keys(components)[0];
+    if (componentId) {
+      return { ...components[componentId], id: componentId };
+    }
+
+    const react = settings.react || {};
+    const reactId = Object.keys(react)[0];
+    if (!reactId) {
+      return null;
+    }
+
+    const entry = react[reactId];
+    return {
+      id: reactId,
+      type: entry.componentType || result.type,
+      entityId: result.id,
+      viewMode: result.view_mode,
+      props: stripFieldPrefixes(entry.props),
+      slots: entry.slots || {},
+      hydration: entry.hydration,
+      hydrationOptions: {},
+      canEdit: false,
+    };
+  };
+
+  /**
+   * Renders component entries through a registry.
+   */
+  class ComponentRuntime {
+    /**
+     * @param {Object} [options] - Runtime options
+     * @param {Object} [options.registry] - ComponentRenderer (defaults to
+     *   Drupal.componentEntity.registry, or a new one outside Drupal)
+     * @param {Object} [options.ReactDOM] - react-dom/client, when it is not a
+     *   browser global
+     * @param {Object} [options.ReactDOMServer] - react-dom/server, for the
+     *   hydration mismatch check of development builds
+     * @param {Object} [options.client] - ComponentEntityClient for the
+     *   component render resource; created from the options below otherwise
+     * @param {string} [options.baseUrl] - Site base URL ending in "/"
+     *   (defaults to drupalSettings.path.baseUrl or "/")
+     * @param {Function} [options.fetch] - fetch implementation
+     * @param {string} [options.credentials] - fetch credentials mode
+     * @param {Object} [options.headers] - Extra request headers
+     * @param {Object} [options.schemas] - .component.yml schemas keyed by type
+     * @param {Object} [options.manifest] - Asset manifest entries keyed by type
+     * @param {Object} [options.settings] - drupalSettings for DrupalProvider
+     */
+    constructor(options = {}) {
+      const componentEntity = root && root.Drupal && root.Drupal.componentEntity;
+      const settings = options.settings || (root && root.drupalSettings) || {};
+
+      this.registry = options.registry || (componentEntity && componentEntity.registry) || new ComponentRenderer();
+      this.client = options.client || sdk.createClient({
+        baseUrl: options.baseUrl || (settings.path && settings.path.baseUrl) || '/',
+        fetch: options.fetch,
+        credentials: options.credentials,
+        headers: options.headers,
+      });
+      this.settings = settings;
+      this.manifest = {};
+
+      if (options.ReactDOM) {
+        this.registry.setReact({ React, ReactDOM: options.ReactDOM, ReactDOMServer: options.ReactDOMServer, shared });
+      }
+
+      this.applySettings({ schemas: options.schemas, manifest: options.manifest });
+    }
+
+    /**
+     * Take schemas and manifest entries from drupalSettings.componentEntity.
+     *
+     * @param {Object} settings - Object with optional schemas and manifest
+     */
+    applySettings(settings) {
+      // Schemas from .component.yml drive prop normalisation.
+      Object.entries(settings.schemas || {}).forEach(([type, schema]) => {
+        this.registry.setSchema(type, schema);
+      });
+      Object.assign(this.manifest, settings.manifest || {});
+    }
+
+    /**
+     * Fetch a component entry from the component render resource.
+     *
+     * @param {string|number} id - Component entity ID
+     * @param {Object} [options] - Request options
+     * @param {string} [options.viewMode] - View mode
+     * @param {Object} [options.context] - Sent as context_* query parameters
+     * @param {AbortSignal} [options.signal] - Abort signal
+     * @returns {Promise<Object>} The entry, the server html and the response
+     *   drupalSettings
+     */
+    fetchComponent(id, options = {}) {
+      return this.client.renderComponent(id, {
+        viewMode: options.viewMode || 'default',
+        renderMethod: 'react',
+        includeAssets: true,
+        context: options.context,
+        signal: options.signal,
+      }).then((result) => this.fromRenderResult(result));
+    }
+
+    /**
+     * Read the component entry from a render resource response.
+     *
+     * @param {Object} result - Response of GET api/component/{id}/render
+     * @returns {Object} config, html and settings
+     */
+    fromRenderResult(result) {
+      const settings = (result.assets && result.assets.settings) || {};
+      const componentEntity = settings.componentEntity || {};
+      const config = configFromSettings(componentEntity, result);
+      if (!config) {
+        throw new Error(`Component ${result.id} was not rendered with React`);
+      }
+
+      this.applySettings(componentEntity);
+      return {
+        config,
+        html: result.html,
+        settings: { ...this.settings, ...settings },
+      };
+    }
+
+    /**
+     * Get the React component for a component type.
+     *
+     * Loads the bundle through the asset manifest when it is not registered.
+     *
+     * @param {string} type - Component type
+     * @returns {Promise<React.ComponentType>}
+     */
+    resolveComponent(type) {
+      const Component = this.registry.get(type);
+      if (Component) {
+        return Promise.resolve(Component);
+      }
+      if (this.manifest[type]) {
+        return this.registry.load(type, this.manifest[type]);
+      }
+      return Promise.reject(new Error(`Component not registered: ${type}`));
+    }
+
+    /**
+     * Build props, entity context and schema violations for an entry.
+     *
+     * @param {Object} config - Entry as in drupalSettings.componentEntity.components
+     * @returns {Object} type, props, entity, validationErrors, hydration and
+     *   hydrationOptions
+     */
+    prepare(config) {
+      const props = this.registry.buildInstanceProps(config);
+
+      // Development builds check props against the .component.yml schema;
+      // production builds never report anything.
+      const validationErrors = this.registry.validateProps(config.type, props);
+      if (validationErrors.length) {
+        console.error(`Invalid props for component ${config.type}:\n` + validationErrors.map((error) => {
+          return `  ${error.path}: ${error.message}`;
+        }).join('\n'));
+      }
+
+      return {
+        type: config.type,
+        props,
+        entity: this.registry.buildEntityContext(config),
+        validationErrors,
+        // Strategy (full, partial, visible, idle, media, interaction, none)
+        // and options come from the component type's React settings.
+        hydration: config.hydration || (config.config && config.config.hydration) || 'full',
+        hydrationOptions: config.hydrationOptions || {},
+      };
+    }
+
+    /**
+     * Wrap a component in the shared error boundary.
+     *
+     * New props also clear a previous render error.
+     *
+     * @param {React.ComponentType} Component - React component
+     * @param {Object} instance - Result of prepare()
+     * @returns {React.ReactElement}
+     */
+    createElement(Component, instance) {
+      return React.createElement(
+        shared.ErrorBoundary,
+        {
+          type: instance.type,
+          entity: instance.entity,
+          validationErrors: instance.validationErrors,
+          hydrationMismatches: instance.hydrationMismatches || [],
+          resetKey: instance.props,
+        },
+        React.createElement(Component, instance.props)
+      );
+    }
+
+    /**
+     * Compare what an entry renders with the server markup of its element.
+     *
+     * Development builds and Drupal's debug mode only, in which the
+     * react-renderer-debug library adds hydration-check.js. Differences are
+     * logged, dispatched as "component:hydration-mismatch" on the element and
+     * shown on the error boundary's overlay.
+     *
+     * @param {HTMLElement} element - Component root element, before mounting
+     * @param {React.ComponentType} Component - React component
+     * @param {Object} instance - Result of prepare()
+     * @returns {Object[]} The differences, with path and message
+     */
+    checkHydration(element, Component, instance) {
+      if (!hydrationCheck) {
+        return [];
+      }
+
+      const stores = root && root.Drupal && root.Drupal.componentEntity && root.Drupal.componentEntity.stores;
+      const reactElement = this.registry.withDrupalProvider(
+        React.createElement(Component, instance.props),
+        instance.entity,
+        stores ? stores.getScope(element) : null
+      );
+      const result = hydrationCheck.check(element, reactElement, this.registry.getReact().ReactDOMServer);
+      if (!result || !result.differences.length) {
+        return [];
+      }
+
+      hydrationCheck.report(instance.type, result);
+      element.dispatchEvent(new CustomEvent('component:hydration-mismatch', {
+        detail: { type: instance.type, source: result.source, differences: result.differences },
+        bubbles: true,
+      }));
+      return result.differences.map(hydrationCheck.describe);
+    }
+
+    /**
+     * Render an entry into a DOM element once its hydration strategy allows.
+     *
+     * Hydrates server markup when there is some, renders from scratch
+     * otherwise, and dispatches "component:rendered" on the element.
+     *
+     * @param {HTMLElement} element - Component root element
+     * @param {React.ComponentType} Component - React component
+     * @param {Object} config - Entry as in drupalSettings.componentEntity.components
+     * @param {Object} [options] - Mount options
+     * @param {Function} [options.onRendered] - Called with the event detail
+     */
+    mount(element, Component, config, options = {}) {
+      const instance = this.prepare(config);
+      const registry = this.registry;
+
+      registry.scheduleHydration(element, instance.hydration, instance.hydrationOptions, () => {
+        // Without server markup there is nothing to hydrate, so render from scratch.
+        const method = instance.hydration !== 'none' && registry.hasServerMarkup(element) ? 'hydrate' : 'render';
+        instance.hydrationMismatches = this.checkHydration(element, Component, instance);
+        registry.mount(this.createElement(Component, instance), element, method, instance.entity);
+
+        element.dataset.reactProcessed = 'true';
+
+        const detail = { type: config.type, props: instance.props, hydration: instance.hydration };
+        element.dispatchEvent(new CustomEvent('component:rendered', {
+          detail,
+          bubbles: true,
+        }));
+        if (options.onRendered) {
+          options.onRendered(detail);
+        }
+      });
+    }
+
+    /**
+     * Resolve the component for an entry and mount it.
+     *
+     * Registered components mount synchronously.
+     *
+     * @param {HTMLElement} element - Component root element
+     * @param {Object} config - Entry as in drupalSettings.componentEntity.components
+     * @param {Object} [options] - Options for mount()
+     * @returns {Promise<void>}
+     */
+    renderConfig(element, config, options = {}) {
+      const Component = this.registry.get(config.type);
+      if (Component) {
+        this.mount(element, Component, config, options);
+        return Promise.resolve();
+      }
+      return this.resolveComponent(config.type).then((Loaded) => {
+        this.mount(element, Loaded, config, options);
+      });
+    }
+
+    /**
+     * Re-render a mounted root with a new entry.
+     *
+     * The new props go to the existing root instead of replacing its markup,
+     * so component state, focus and scroll position survive.
+     *
+     * @param {HTMLElement} element - Component root element
+     * @param {Object} config - Entry as in drupalSettings.componentEntity.components
+     * @returns {Promise<void>}
+     */
+    update(element, config) {
+      return this.resolveComponent(config.type).then((Component) => {
+        const instance = this.prepare(config);
+        this.registry.mount(this.createElement(Component, instance), element, 'render', instance.entity);
+      });
+    }
+
+    /**
+     * Fetch a component entity and render it into a DOM element.
+     *
+     * @param {HTMLElement} element - Container element
+     * @param {string|number} id - Component entity ID
+     * @param {Object} [options] - Options for fetchComponent() and mount()
+     * @returns {Promise<Object>} The fetched entry; unmount with unmount(element)
+     */
+    renderComponentEntity(element, id, options = {}) {
+      return this.fetchComponent(id, options)
+        .then(({ config }) => this.renderConfig(element, config, options).then(() => config));
+    }
+
+    /**
+     * Unmount a component rendered into a DOM element.
+     *
+     * @param {HTMLElement} element - Container element
+     * @returns {boolean} TRUE if a component was unmounted
+     */
+    unmount(element) {
+      return this.registry.unmount(element);
+    }
+  }
+
+  /**
+   * Get the runtime used when none is passed in.
+   *
+   * @returns {ComponentRuntime}
+   */
+  function getRuntime() {
+    if (!defaultRuntime) {
+      defaultRuntime = new ComponentRuntime();
+    }
+    return defaultRuntime;
+  }
+
+  /**
+   * Replace the runtime used when none is passed in.
+   *
+   * @param {Object} [options] - ComponentRuntime options
+   * @returns {ComponentRuntime}
+   */
+  function configureRuntime(options = {}) {
+    defaultRuntime = new ComponentRuntime(options);
+    return defaultRuntime;
+  }
+
+  /**
+   * Fetch a component entity and render it into a DOM element.
+   *
+   * @param {HTMLElement} element - Container element
+   * @param {string|number} id - Component entity ID
+   * @param {Object} [options] - Options for fetchComponent() and mount()
+   * @param {ComponentRuntime} [options.runtime] - Runtime to use
+   * @returns {Promise<Object>} The fetched entry
+   */
+  function renderComponentEntity(element, id, options = {}) {
+    return (options.runtime || getRuntime()).renderComponentEntity(element, id, options);
+  }
+
+  /**
+   * Hands a loading error to the enclosing error boundary.
+   *
+   * @param {Object} props - Component props
+   * @param {Error} props.error - Loading error
+   */
+  function LoadError({ error }) {
+    throw error;
+  }
+
+  /**
+   * Render a component entity inside a React app.
+   *
+   * Fetches the entity from the render resource, so it renders inside the
+   * host tree instead of hydrating Drupal's markup.
+   *
+   * @param {Object} props - Component props
+   * @param {string|number} props.id - Component entity ID
+   * @param {string} [props.viewMode] - View mode
+   * @param {Object} [props.context] - Sent as context_* query parameters
+   * @param {ComponentRuntime} [props.runtime] - Runtime to use
+   * @param {React.ReactNode} [props.loading] - Shown while fetching
+   * @param {React.ComponentType} [props.fallback] - Error fallback
+   * @returns {React.ReactElement|null}
+   */
+  function ComponentEntity({ id, viewMode, context, runtime, loading = null, fallback }) {
+    const activeRuntime = runtime || getRuntime();
+    const contextKey = JSON.stringify(context || {});
+    const [state, setState] = React.useState({ status: 'loading' });
+
+    React.useEffect(() => {
+      const controller = typeof AbortController === 'function' ? new AbortController() : null;
+      let active = true;
+
+      setState({ status: 'loading' });
+      activeRuntime.fetchComponent(id, { viewMode, context: JSON.parse(contextKey), signal: controller && controller.signal })
+        .then((loaded) => activeRuntime.resolveComponent(loaded.config.type).then((Component) => ({ ...loaded, Component })))
+        .then((loaded) => {
+          if (active) {
+            setState({ status: 'ready', ...loaded, instance: activeRuntime.prepare(loaded.config) });
+          }
+        }, (error) => {
+          if (active) {
+            setState({ status: 'error', error });
+          }
+        });
+
+      return () => {
+        active = false;
+        if (controller) {
+          controller.abort();
+        }
+      };
+    }, [activeRuntime, id, viewMode, contextKey]);
+
+    if (state.status === 'loading') {
+      return loading;
+    }
+
+    if (state.status === 'error') {
+      return React.createElement(shared.ErrorBoundary, { fallback },
+        React.createElement(LoadError, { error: state.error })
+      );
+    }
+
+    const element = activeRuntime.createElement(state.Component, state.instance);
+    return React.createElement(shared.DrupalProvider, { settings: state.settings, entity: state.instance.entity },
+      fallback ? React.cloneElement(element, { fallback }) : element
+    );
+  }
+
+  return {
+    ComponentRuntime,
+    ComponentEntity,
+    renderComponentEntity,
+    getRuntime,
+    configureRuntime,
+  };
+});
@@ -0,0 +1,300 @@
+/**
+ * @file
+ * Shared state and events for React islands on the same page.
+ *
+ * Every .component-react-root is a separate React tree. Stores let those
+ * trees, and plain Drupal behaviors, share state and events. Each scope has
+ * its own store; a root joins the scope named by the closest
+ * data-component-scope attribute, or the global scope when there is none.
+ */
+
+(function (root, factory) {
+  'use strict';
+
+  const api = factory(root);
+
+  // CommonJS (Jest, Node tooling).
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  }
+
+  // Browser global, used by drupal-react.js and Drupal behaviors.
+  if (root && root.Drupal) {
+    root.Drupal.componentEntity = root.Drupal.componentEntity || {};
+    root.Drupal.componentEntity.stores = api;
+  }
+})(typeof window !== 'undefined' ? window : this, function () {
+  'use strict';
+
+  /**
+   * Scope for roots outside any data-component-scope element.
+   */
+  const GLOBAL_SCOPE = 'global';
+
+  /**
+   * Wildcard key and event name: listeners receive every change or event.
+   */
+  const WILDCARD = '*';
+
+  /**
+   * Call listeners, logging errors so one listener cannot starve the rest.
+   *
+   * @param {Set<Function>|undefined} listeners - Listeners to call
+   * @param {Array} args - Arguments for each listener
+   * @param {string} label - Description used in error messages
+   */
+  const notify = (listeners, args, label) => {
+    if (!listeners) {
+      return;
+    }
+    // Copy so listeners may unsubscribe while being called.
+    Array.from(listeners).forEach((listener) => {
+      try {
+        listener(...args);
+      } catch (error) {
+        console.error(`Listener for ${label} failed:`, error);
+      }
+    });
+  };
+
+  /**
+   * Add a listener to a Set in a Map and return a function removing it.
+   *
+   * @param {Map<string, Set<Function>>} map - Listener map
+   * @param {string} name - Key or event name
+   * @param {Function} listener - Listener
+   * @returns {Function} Unsubscribe function
+   */
+  const addListener = (map, name, listener) => {
+    if (typeof listener !== 'function') {
+      throw new TypeError(`Listener for "${name}" must be a function`);
+    }
+    if (!map.has(name)) {
+      map.set(name, new Set());
+    }
+    map.get(name).add(listener);
+
+    return () => {
+      const listeners = map.get(name);
+      if (listeners) {
+        listeners.delete(listener);
+        if (!listeners.size) {
+          map.delete(name);
+        }
+      }
+    };
+  };
+
+  /**
+   * Key/value state and a pub-sub channel for one scope.
+   */
+  class ComponentStore {
+    /**
+     * @param {string} [scope] - Scope name
+     */
+    constructor(scope = GLOBAL_SCOPE) {
+      this.scope = scope;
+      this.state = {};
+      this.subscribers = new Map();
+      this.handlers = new Map();
+    }
+
+    /**
+     * Check whether a key has been set.
+     *
+     * @param {string} key - State key
+     * @returns {boolean}
+     */
+    has(key) {
+      return Object.prototype.hasOwnProperty.call(this.state, key);
+    }
+
+    /**
+     * Get the value of a key.
+     *
+     * @param {string} key - State key
+     * @returns {*} The value, or undefined if the key is unset
+     */
+    get(key) {
+      return this.state[key];
+    }
+
+    /**
+     * Get the whole state.
+     *
+     * The object is replaced on every change, so it can be compared by
+     * identity.
+     *
+     * @returns {Object}
+     */
+    getState() {
+      return this.state;
+    }
+
+    /**
+     * Set the value of a key and notify its subscribers.
+     *
+     * @param {string} key - State key
+     * @param {*|Function} value - New value, or a function of the previous one
+     * @returns {*} The new value
+     */
+    set(key, value) {
+      const previous = this.state[key];
+      const next = typeof value === 'function' ? value(previous) : value;
+
+      if (this.has(key) && Object.is(previous, next)) {
+        return next;
+      }
+
+      this.state = { ...this.state, [key]: next };
+      notify(this.subscribers.get(key), [next, key, previous], `"${key}" in scope "${this.scope}"`);
+      notify(this.subscribers.get(WILDCARD), [next, key, previous], `"${WILDCARD}" in scope "${this.scope}"`);
+      return next;
+    }
+
+    /**
+     * Remove a key and notify its subscribers with undefined.
+     *
+     * @param {string} key - State key
+     * @returns {boolean} TRUE if the key was set
+     */
+    delete(key) {
+      if (!this.has(key)) {
+        return false;
+      }
+
+      const previous = this.state[key];
+      const state = { ...this.state };
+      delete state[key];
+      this.state = state;
+      notify(this.subscribers.get(key), [undefined, key, previous], `"${key}" in scope "${this.scope}"`);
+      notify(this.subscribers.get(WILDCARD), [undefined, key, previous], `"${WILDCARD}" in scope "${this.scope}"`);
+      return true;
+    }
+
+    /**
+     * Listen for changes to a key, or to every key with "*".
+     *
+     * @param {string} key - State key
+     * @param {Function} listener - Called with (value, key, previous)
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(key, listener) {
+      return addListener(this.subscribers, key, listener);
+    }
+
+    /**
+     * Listen for an event, or for every event with "*".
+     *
+     * @param {string} event - Event name
+     * @param {Function} handler - Called with (detail, event)
+     * @returns {Function} Unsubscribe function
+     */
+    on(event, handler) {
+      return addListener(this.handlers, event, handler);
+    }
+
+    /**
+     * Stop listening for an event.
+     *
+     * @param {string} event - Event name
+     * @param {Function} handler - Handler passed to on()
+     */
+    off(event, handler) {
+      const handlers = this.handlers.get(event);
+      if (handlers) {
+        handlers.delete(handler);
+        if (!handlers.size) {
+          this.handlers.delete(event);
+        }
+      }
+    }
+
+    /**
+     * Send an event to every handler in this scope.
+     *
+     * @param {string} event - Event name
+     * @param {*} [detail] - Event payload
+     */
+    emit(event, detail) {
+      notify(this.handlers.get(event), [detail, event], `event "${event}" in scope "${this.scope}"`);
+      if (event !== WILDCARD) {
+        notify(this.handlers.get(WILDCARD), [detail, event], `event "${WILDCARD}" in scope "${this.scope}"`);
+      }
+    }
+
+    /**
+     * Clear the state and remove every listener.
+     */
+    reset() {
+      this.state = {};
+      this.subscribers.clear();
+      this.handlers.clear();
+    }
+  }
+
+  /**
+   * Stores keyed by scope.
+   */
+  const stores = new Map();
+
+  /**
+   * Get the store for a scope, creating it on first use.
+   *
+   * @param {string} [scope] - Scope name
+   * @returns {ComponentStore}
+   */
+  function getStore(scope) {
+    const name = scope || GLOBAL_SCOPE;
+    if (!stores.has(name)) {
+      stores.set(name, new ComponentStore(name));
+    }
+    return stores.get(name);
+  }
+
+  /**
+   * Get the scope an element belongs to.
+   *
+   * @param {Element} element - Element inside the page
+   * @returns {string} The closest data-component-scope value, or "global"
+   */
+  function getScope(element) {
+    const scoped = element && element.closest ? element.closest('[data-component-scope]') : null;
+    return (scoped && scoped.getAttribute('data-component-scope')) || GLOBAL_SCOPE;
+  }
+
+  /**
+   * Get the store for the scope an element belongs to.
+   *
+   * @param {Element} element - Element inside the page
+   * @returns {ComponentStore}
+   */
+  function getStoreFor(element) {
+    return getStore(getScope(element));
+  }
+
+  /**
+   * Reset and forget the store for a scope.
+   *
+   * @param {string} [scope] - Scope name
+   * @returns {boolean} TRUE if the store existed
+   */
+  function removeStore(scope) {
+    const name = scope || GLOBAL_SCOPE;
+    const store = stores.get(name);
+    if (!store) {
+      return false;
+    }
+    store.reset();
+    return stores.delete(name);
+  }
+
+  return {
+    GLOBAL_SCOPE,
+    ComponentStore,
+    getStore,
+    getScope,
+    getStoreFor,
+    removeStore,
+  };
+});
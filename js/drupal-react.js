@@ -0,0 +1,641 @@
+/**
+ * @file
+ * Drupal data for React components: DrupalProvider and hooks.
+ *
+ * Component bundles import this as "@component-entity/drupal-react". webpack
+ * treats that as an external resolved to Drupal.componentEntity.react, so
+ * every bundle shares this one copy and its context.
+ */
+
+(function (root, factory) {
+  'use strict';
+
+  const isCommonJS = typeof module === 'object' && module.exports;
+  const api = isCommonJS
+    ? factory(require('react'), require('./component-store'), require('./client'), root)
+    : factory(root.React, root.Drupal.componentEntity.stores, root.Drupal.componentEntity.client, root);
+
+  // CommonJS (Jest, Node tooling).
+  if (isCommonJS) {
+    module.exports = api;
+  }
+
+  // Browser global, used by component-renderer.js and as the webpack external.
+  if (root && root.Drupal) {
+    root.Drupal.componentEntity = root.Drupal.componentEntity || {};
+    root.Drupal.componentEntity.react = api;
+  }
+})(typeof window !== 'undefined' ? window : this, function (React, stores, sdk, root) {
+  'use strict';
+
+  /**
+   * Context shared by every component root.
+   */
+  const DrupalContext = React.createContext(null);
+  DrupalContext.displayName = 'DrupalContext';
+
+  /**
+   * Clients of the component REST resources keyed by site base path.
+   */
+  const clients = new Map();
+
+  /**
+   * Error fallback components keyed by component type.
+   */
+  const errorFallbacks = new Map();
+
+  /**
+   * Most error reports sent per page, so a render loop cannot flood the log.
+   */
+  const MAX_ERROR_REPORTS = 10;
+
+  /**
+   * Error reports sent so far on this page.
+   */
+  let errorReportCount = 0;
+
+  /**
+   * Minimal Drupal.t placeholder replacement for when Drupal is absent.
+   *
+   * @param {string} str - String with placeholders
+   * @param {Object} [args] - Placeholder replacements
+   * @returns {string}
+   */
+  const formatString = (str, args = {}) => {
+    return Object.keys(args).reduce((result, key) => result.split(key).join(args[key]), str);
+  };
+
+  /**
+   * Stand-in for Drupal's translation functions when Drupal is absent.
+   */
+  const untranslated = {
+    t(str, args) {
+      return formatString(str, args);
+    },
+    formatPlural(count, singular, plural, args) {
+      return formatString(count === 1 ? singular : plural, { '@count': String(count), ...args });
+    },
+  };
+
+  /**
+   * Read a dotted path such as "path.currentLanguage" from an object.
+   *
+   * @param {Object} object - Object to read from
+   * @param {string} path - Dotted path
+   * @returns {*}
+   */
+  const getPath = (object, path) => {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+  };
+
+  /**
+   * Build the value DrupalProvider makes available.
+   *
+   * @param {Object} [options] - Context options
+   * @param {Object} [options.settings] - drupalSettings (defaults to the global)
+   * @param {Object} [options.entity] - Entity context (entityId, entityType,
+   *   bundle, viewMode, canEdit)
+   * @param {Object} [options.Drupal] - Drupal (defaults to the global)
+   * @param {string} [options.scope] - Store scope (defaults to "global")
+   * @returns {Object}
+   */
+  function createDrupalContext(options = {}) {
+    const settings = options.settings || (root && root.drupalSettings) || {};
+    const path = settings.path || {};
+    const user = settings.user || {};
+
+    return {
+      Drupal: options.Drupal || (root && root.Drupal) || null,
+      settings,
+      language: path.currentLanguage || 'en',
+      basePath: path.baseUrl || '/',
+      pathPrefix: path.pathPrefix || '',
+      permissionsHash: user.permissionsHash || '',
+      entity: options.entity || null,
+      scope: options.scope || stores.GLOBAL_SCOPE,
+    };
+  }
+
+  /**
+   * Provide Drupal data to a component tree.
+   *
+   * component-renderer.js wraps every root in one; wrap components rendered
+   * elsewhere (tests, Storybook) to control what the hooks return.
+   *
+   * @param {Object} props - Provider props
+   * @param {Object} [props.value] - Complete context value
+   * @param {Object} [props.settings] - drupalSettings
+   * @param {Object} [props.entity] - Entity context
+   * @param {string} [props.scope] - Store scope
+   * @param {React.ReactNode} props.children - Component tree
+   * @returns {React.ReactElement}
+   */
+  function DrupalProvider({ value, settings, entity, scope, children }) {
+    const context = React.useMemo(() => {
+      return value || createDrupalContext({ settings, entity, scope });
+    }, [value, settings, entity, scope]);
+
+    return React.createElement(DrupalContext.Provider, { value: context }, children);
+  }
+
+  /**
+   * Get the Drupal context, falling back to the globals outside a provider.
+   *
+   * @returns {Object}
+   */
+  function useDrupalContext() {
+    return React.useContext(DrupalContext) || createDrupalContext();
+  }
+
+  /**
+   * Get drupalSettings, or the value at a dotted path within it.
+   *
+   * @param {string} [path] - Dotted path, e.g. "path.currentLanguage"
+   * @returns {*}
+   */
+  function useDrupalSettings(path) {
+    const { settings } = useDrupalContext();
+    return path ? getPath(settings, path) : settings;
+  }
+
+  /**
+   * Translate strings through Drupal.t and Drupal.formatPlural.
+   *
+   * Drupal's locale parser only picks up strings passed literally to
+   * Drupal.t() and Drupal.formatPlural(), so call them on the Drupal this
+   * returns: `const { Drupal } = useTranslation(); Drupal.t('Edit')`. Without
+   * Drupal (tests, Node) it only replaces placeholders. t() and
+   * formatPlural() are for strings registered elsewhere.
+   *
+   * @returns {{Drupal: Object, t: Function, formatPlural: Function, language: string}}
+   */
+  function useTranslation() {
+    const { Drupal, language } = useDrupalContext();
+
+    return React.useMemo(() => {
+      const translator = Drupal && Drupal.t ? Drupal : untranslated;
+      return {
+        Drupal: translator,
+        language,
+        t(str, args, options) {
+          return translator.t(str, args, options);
+        },
+        formatPlural(count, singular, plural, args, options) {
+          return translator.formatPlural(count, singular, plural, args, options);
+        },
+      };
+    }, [Drupal, language]);
+  }
+
+  /**
+   * Get the entity the component renders (entityId, entityType, bundle,
+   * viewMode, canEdit), or NULL outside a component root.
+   *
+   * @returns {Object|null}
+   */
+  function useEntityContext() {
+    return useDrupalContext().entity;
+  }
+
+  /**
+   * Get the client for a site, which fetches the CSRF token once per page.
+   *
+   * @param {string} basePath - Site base path
+   * @returns {Object|null} ComponentEntityClient, or NULL without the client
+   *   SDK (the SSR worker)
+   */
+  function getClient(basePath) {
+    if (!sdk) {
+      return null;
+    }
+    if (!clients.has(basePath)) {
+      clients.set(basePath, sdk.createClient({ baseUrl: basePath }));
+    }
+    return clients.get(basePath);
+  }
+
+  /**
+   * Get the CSRF token for unsafe requests to Drupal.
+   *
+   * Uses drupalSettings.componentEntity.csrfToken when the page provides one
+   * and otherwise fetches /session/token once per page.
+   *
+   * @returns {string|null} The token, or NULL while it loads
+   */
+  function useCsrfToken() {
+    const { basePath, settings } = useDrupalContext();
+    const preset = getPath(settings, 'componentEntity.csrfToken');
+    const [token, setToken] = React.useState(preset || null);
+
+    React.useEffect(() => {
+      const client = getClient(basePath);
+      if (token || !client) {
+        return undefined;
+      }
+
+      let active = true;
+      client.getCsrfToken().then((value) => {
+        if (active) {
+          setToken(value);
+        }
+      }, (error) => {
+        console.error('Failed to fetch CSRF token:', error);
+      });
+
+      return () => {
+        active = false;
+      };
+    }, [basePath, token]);
+
+    return token;
+  }
+
+  /**
+   * Report analytics events without reaching for tracker globals.
+   *
+   * Events go to gtag when the site loads it and are dropped otherwise.
+   *
+   * @returns {{trackEvent: Function}}
+   */
+  function useAnalytics() {
+    return React.useMemo(() => ({
+      trackEvent(action, params) {
+        if (root && typeof root.gtag === 'function') {
+          root.gtag('event', action, params);
+        }
+      },
+    }), []);
+  }
+
+  /**
+   * Get the shared store for the component's scope.
+   *
+   * @param {string} [scope] - Scope overriding the one from DrupalProvider
+   * @returns {Object} The ComponentStore
+   */
+  function useComponentStore(scope) {
+    const context = useDrupalContext();
+    return stores.getStore(scope || context.scope);
+  }
+
+  /**
+   * Read and write a value shared by every island in the same scope.
+   *
+   * Server rendering and hydration always see initialValue, so markup never
+   * depends on state left behind by other components.
+   *
+   * @param {string} key - State key
+   * @param {*} [initialValue] - Value while the key is unset
+   * @param {Object} [options] - Hook options
+   * @param {string} [options.scope] - Scope overriding the one from DrupalProvider
+   * @returns {Array} [value, setValue]
+   */
+  function useSharedState(key, initialValue, options = {}) {
+    const store = useComponentStore(options.scope);
+    const initialRef = React.useRef(initialValue);
+    initialRef.current = initialValue;
+
+    const subscribe = React.useCallback((listener) => store.subscribe(key, listener), [store, key]);
+    const getSnapshot = () => (store.has(key) ? store.get(key) : initialRef.current);
+    const getServerSnapshot = () => initialRef.current;
+
+    const value = React.useSyncExternalStore(subscribe, getSnapshot, getServerSnapshot);
+
+    const setValue = React.useCallback((next) => {
+      store.set(key, (previous) => {
+        const current = store.has(key) ? previous : initialRef.current;
+        return typeof next === 'function' ? next(current) : next;
+      });
+    }, [store, key]);
+
+    return [value, setValue];
+  }
+
+  /**
+   * Handle events emitted in the component's scope.
+   *
+   * The handler may change between renders without resubscribing.
+   *
+   * @param {string} event - Event name, or "*" for every event
+   * @param {Function} handler - Called with (detail, event)
+   * @param {Object} [options] - Hook options
+   * @param {string} [options.scope] - Scope overriding the one from DrupalProvider
+   * @returns {Function} emit(detail) for the same event
+   */
+  function useComponentEvent(event, handler, options = {}) {
+    const store = useComponentStore(options.scope);
+    const handlerRef = React.useRef(handler);
+    handlerRef.current = handler;
+
+    React.useEffect(() => {
+      return store.on(event, (detail, name) => {
+        if (handlerRef.current) {
+          handlerRef.current(detail, name);
+        }
+      });
+    }, [store, event]);
+
+    return React.useCallback((detail) => store.emit(event, detail), [store, event]);
+  }
+
+  /**
+   * Post an error report to the Drupal watchdog endpoint.
+   *
+   * The endpoint comes from drupalSettings.componentEntity.errorReporting.url;
+   * nothing is sent without it. Failures are ignored so reporting never
+   * causes further errors.
+   *
+   * @param {Object} report - Report built by reportError()
+   * @returns {Promise<void>}
+   */
+  function defaultErrorReporter(report) {
+    const context = createDrupalContext();
+    const url = getPath(context.settings, 'componentEntity.errorReporting.url');
+    const client = getClient(context.basePath);
+    if (!url || !client || typeof fetch !== 'function') {
+      return Promise.resolve();
+    }
+
+    // Sent with fetch() for keepalive, which the client does not support, so
+    // reports survive leaving the page.
+    const preset = getPath(context.settings, 'componentEntity.csrfToken');
+    return (preset ? Promise.resolve(preset) : client.getCsrfToken())
+      .then((token) => fetch(url, {
+        method: 'POST',
+        credentials: 'same-origin',
+        keepalive: true,
+        headers: {
+          'Content-Type': 'application/json',
+          'X-CSRF-Token': token,
+        },
+        body: JSON.stringify({
+          type: report.type,
+          entityId: report.entity ? report.entity.entityId : null,
+          message: report.message,
+          stack: report.stack,
+          componentStack: report.componentStack,
+          url: report.url,
+        }),
+      }))
+      .then(() => undefined, () => undefined);
+  }
+
+  /**
+   * Current error reporter.
+   */
+  let errorReporter = defaultErrorReporter;
+
+  /**
+   * Replace the error reporter, e.g. to send errors to an external service.
+   *
+   * @param {Function|null} reporter - Called with each report; NULL disables
+   *   reporting
+   * @returns {Function|null} The previous reporter, to chain or restore it
+   */
+  function setErrorReporter(reporter) {
+    const previous = errorReporter;
+    errorReporter = reporter;
+    return previous;
+  }
+
+  /**
+   * Report an error caught while rendering a component.
+   *
+   * @param {Error} error - Caught error
+   * @param {Object} [info] - Report details
+   * @param {string} [info.type] - Component type
+   * @param {Object} [info.entity] - Entity context
+   * @param {string} [info.componentStack] - React component stack
+   */
+  function reportError(error, info = {}) {
+    if (!errorReporter || errorReportCount >= MAX_ERROR_REPORTS) {
+      return;
+    }
+    errorReportCount++;
+
+    const report = {
+      error,
+      type: info.type || null,
+      entity: info.entity || null,
+      message: error && error.message ? error.message : String(error),
+      stack: error && error.stack ? error.stack : '',
+      componentStack: info.componentStack || '',
+      url: root && root.location ? root.location.href : '',
+    };
+
+    try {
+      // Reporters that send the error somewhere may return a promise.
+      Promise.resolve(errorReporter(report))
+        .catch((reporterError) => console.error('Error reporter failed:', reporterError));
+    } catch (reporterError) {
+      console.error('Error reporter failed:', reporterError);
+    }
+  }
+
+  /**
+   * Set the fallback shown when a component type fails to render.
+   *
+   * @param {string} type - Component type
+   * @param {Function|null} Fallback - Component receiving error, type,
+   *   showDetails, validationErrors and reset; NULL restores the default
+   */
+  function registerErrorFallback(type, Fallback) {
+    if (Fallback) {
+      errorFallbacks.set(type, Fallback);
+    } else {
+      errorFallbacks.delete(type);
+    }
+  }
+
+  /**
+   * List props that do not match the component schema, or other problems
+   * with a path and message.
+   *
+   * @param {Object} props - Component props
+   * @param {Object[]} props.errors - Schema violations or other problems
+   * @param {string} [props.summary] - Summary, "Invalid props" by default
+   * @returns {React.ReactElement}
+   */
+  function ValidationErrors({ errors, summary }) {
+    const { Drupal } = useTranslation();
+
+    return React.createElement('details', { open: true },
+      React.createElement('summary', null, summary || Drupal.t('Invalid props')),
+      React.createElement('ul', null, errors.map((error, index) =>
+        React.createElement('li', { key: index },
+          React.createElement('code', null, error.path),
+          `: ${error.message}`
+        )
+      ))
+    );
+  }
+
+  /**
+   * Overlay listing schema violations below a working component.
+   *
+   * @param {Object} props - Component props
+   * @param {Object[]} props.errors - Schema violations
+   * @returns {React.ReactElement}
+   */
+  function ValidationOverlay({ errors }) {
+    const { Drupal } = useTranslation();
+
+    return React.createElement('div', {
+      className: 'component-error component-error--validation',
+      role: 'alert',
+    },
+      React.createElement('p', null, Drupal.t('This component received props that do not match its schema.')),
+      React.createElement(ValidationErrors, { errors })
+    );
+  }
+
+  /**
+   * Overlay listing where the component renders differently from the
+   * server markup it hydrates (see hydration-check.js).
+   *
+   * @param {Object} props - Component props
+   * @param {Object[]} props.mismatches - Differences with path and message
+   * @returns {React.ReactElement}
+   */
+  function HydrationOverlay({ mismatches }) {
+    const { Drupal } = useTranslation();
+
+    return React.createElement('div', {
+      className: 'component-error component-error--hydration',
+      role: 'alert',
+    },
+      React.createElement('p', null, Drupal.t('This component renders differently from its server markup.')),
+      React.createElement(ValidationErrors, { errors: mismatches, summary: Drupal.t('Differences') })
+    );
+  }
+
+  /**
+   * Fallback shown for components without a registered one.
+   *
+   * The error itself is only shown to administrators; schema violations only
+   * exist in development builds.
+   *
+   * @param {Object} props - Fallback props
+   * @returns {React.ReactElement}
+   */
+  function DefaultErrorFallback({ error, showDetails, validationErrors }) {
+    const { Drupal } = useTranslation();
+
+    return React.createElement('div', {
+      className: 'component-error',
+      role: 'alert',
+    },
+      React.createElement('p', null, Drupal.t('This component encountered an error and cannot be displayed.')),
+      validationErrors.length ? React.createElement(ValidationErrors, { errors: validationErrors }) : null,
+      showDetails ? React.createElement('details', null,
+        React.createElement('summary', null, Drupal.t('Error details')),
+        React.createElement('pre', null, error ? error.toString() : '')
+      ) : null
+    );
+  }
+
+  /**
+   * Error boundary around every component root.
+   *
+   * Renders the fallback registered for the component type, reports the error
+   * and, in development builds, shows schema violations and hydration
+   * mismatches once mounted. A new resetKey (such as the props of a live
+   * preview) clears the error.
+   */
+  class ErrorBoundary extends React.Component {
+    constructor(props) {
+      super(props);
+      this.state = { error: null, showOverlays: false };
+      this.reset = () => this.setState({ error: null });
+    }
+
+    static getDerivedStateFromError(error) {
+      return { error };
+    }
+
+    componentDidMount() {
+      // Shown after mount so hydration still matches the server markup.
+      if (this.hasOverlays()) {
+        this.setState({ showOverlays: true });
+      }
+    }
+
+    componentDidUpdate(previousProps) {
+      if (this.state.error && previousProps.resetKey !== this.props.resetKey) {
+        this.reset();
+      }
+      if (!this.state.showOverlays && this.hasOverlays()) {
+        this.setState({ showOverlays: true });
+      }
+    }
+
+    hasOverlays() {
+      return Boolean((this.props.validationErrors && this.props.validationErrors.length)
+        || (this.props.hydrationMismatches && this.props.hydrationMismatches.length));
+    }
+
+    componentDidCatch(error, errorInfo) {
+      console.error('Component Error:', error, errorInfo);
+      reportError(error, {
+        type: this.props.type,
+        entity: this.props.entity || this.getContext().entity,
+        componentStack: errorInfo && errorInfo.componentStack,
+      });
+    }
+
+    getContext() {
+      return this.context || createDrupalContext();
+    }
+
+    render() {
+      const validationErrors = this.props.validationErrors || [];
+      const hydrationMismatches = this.props.hydrationMismatches || [];
+      const showDetails = Boolean(getPath(this.getContext().settings, 'componentEntity.errorReporting.showDetails'));
+
+      if (this.state.error) {
+        const Fallback = this.props.fallback || errorFallbacks.get(this.props.type) || DefaultErrorFallback;
+        return React.createElement(Fallback, {
+          error: this.state.error,
+          type: this.props.type,
+          showDetails,
+          validationErrors,
+          reset: this.reset,
+        });
+      }
+
+      // Always a fragment, so the overlays coming and going never remount
+      // the component.
+      return React.createElement(React.Fragment, null,
+        this.props.children,
+        this.state.showOverlays && validationErrors.length
+          ? React.createElement(ValidationOverlay, { errors: validationErrors })
+          : null,
+        this.state.showOverlays && hydrationMismatches.length
+          ? React.createElement(HydrationOverlay, { mismatches: hydrationMismatches })
+          : null
+      );
+    }
+  }
+
+  ErrorBoundary.contextType = DrupalContext;
+
+  return {
+    DrupalContext,
+    DrupalProvider,
+    createDrupalContext,
+    useDrupalContext,
+    useDrupalSettings,
+    useTranslation,
+    useEntityContext,
+    useCsrfToken,
+    useAnalytics,
+    useComponentStore,
+    useSharedState,
+    useComponentEvent,
+    ErrorBoundary,
+    DefaultErrorFallback,
+    registerErrorFallback,
+    setErrorReporter,
+    reportError,
+  };
+});
@@ -0,0 +1,150 @@
+/**
+ * @file
+ * Focus management for dialogs and content replaced over AJAX.
+ *
+ * Drupal's dialogs trap focus while open and return it to the element that
+ * opened them. This covers the rest: finding what can take focus, focusing
+ * into content that was just loaded, and returning focus somewhere sensible
+ * when the element it came from is gone.
+ */
+
+(function (root, factory) {
+  'use strict';
+
+  const api = factory();
+
+  // CommonJS (Jest, Node tooling).
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  }
+
+  // Browser global, used by the Drupal behaviors.
+  if (root && root.Drupal) {
+    root.Drupal.componentEntity = root.Drupal.componentEntity || {};
+    root.Drupal.componentEntity.focusManager = api;
+  }
+})(typeof window !== 'undefined' ? window : this, function () {
+  'use strict';
+
+  /**
+   * Elements that can take focus, before filtering out disabled and hidden
+   * ones.
+   */
+  const FOCUSABLE_SELECTOR = [
+    'a[href]',
+    'area[href]',
+    'button',
+    'input:not([type="hidden"])',
+    'select',
+    'textarea',
+    'iframe',
+    'audio[controls]',
+    'video[controls]',
+    'summary',
+    '[contenteditable]:not([contenteditable="false"])',
+    '[tabindex]',
+  ].join(', ');
+
+  /**
+   * Whether an element can be reached with the keyboard.
+   *
+   * @param {Element} element - The element
+   * @returns {boolean} TRUE if the element is enabled, shown and in the tab
+   *   order
+   */
+  function isFocusable(element) {
+    if (!element || !element.isConnected || !element.matches(FOCUSABLE_SELECTOR)) {
+      return false;
+    }
+    if (element.disabled || (element.closest('fieldset[disabled]') && !element.closest('legend'))) {
+      return false;
+    }
+    if (element.getAttribute('tabindex') !== null && element.tabIndex < 0) {
+      return false;
+    }
+    // Hidden, inert or inside a closed <details> other than its summary.
+    if (element.closest('[hidden], [inert]')) {
+      return false;
+    }
+    const details = element.parentElement && element.parentElement.closest('details:not([open])');
+    if (details && !(element.tagName === 'SUMMARY' && element.parentElement === details)) {
+      return false;
+    }
+    const view = element.ownerDocument.defaultView;
+    for (let current = element; current && current.nodeType === 1; current = current.parentElement) {
+      const style = view.getComputedStyle(current);
+      if (style.display === 'none' || (current === element && style.visibility === 'hidden')) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Find the elements within a container that can take focus.
+   *
+   * @param {Element} container - The container
+   * @returns {HTMLElement[]} The elements, in document order
+   */
+  function getFocusableElements(container) {
+    return Array.from(container.querySelectorAll(FOCUSABLE_SELECTOR)).filter(isFocusable);
+  }
+
+  /**
+   * Move focus into a container.
+   *
+   * Focuses the first field with an error, else the first element that can
+   * take focus. A container without any takes focus itself, so focus never
+   * stays behind on content that was replaced.
+   *
+   * @param {HTMLElement} container - The container
+   * @returns {HTMLElement} The element that was focused
+   */
+  function focusFirst(container) {
+    const invalid = Array.from(container.querySelectorAll('[aria-invalid="true"], .error')).find(isFocusable);
+    const target = invalid || getFocusableElements(container)[0];
+    if (target) {
+      target.focus();
+      return target;
+    }
+
+    if (!container.hasAttribute('tabindex')) {
+      container.setAttribute('tabindex', '-1');
+    }
+    container.focus();
+    return container;
+  }
+
+  /**
+   * Remember where focus is, to return it there later.
+   *
+   * @param {HTMLElement} [fallback] - Where to return focus if the element
+   *   that had it is gone by then
+   * @returns {function(HTMLElement=): (HTMLElement|null)} Returns focus, to
+   *   the given element if it can take focus, and returns the element that
+   *   was focused
+   */
+  function createFocusReturn(fallback) {
+    const previous = document.activeElement;
+
+    return (preferred) => {
+      const target = [preferred, previous, fallback].find((element) => element && element !== document.body && isFocusable(element));
+      if (target) {
+        target.focus();
+        return target;
+      }
+      if (fallback && fallback.isConnected) {
+        return focusFirst(fallback);
+      }
+      return null;
+    };
+  }
+
+  return {
+    FOCUSABLE_SELECTOR,
+    isFocusable,
+    getFocusableElements,
+    focusFirst,
+    createFocusReturn,
+  };
+});
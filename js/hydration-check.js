@@ -0,0 +1,191 @@
+/**
+ * @file
+ * Hydration mismatch check for development builds and debug mode.
+ *
+ * ComponentReactRenderer puts server markup into .component-react-root: the
+ * SSR output, or the Twig fallback inside <noscript> for progressive
+ * enhancement. Before a component mounts, component-runtime.js renders it
+ * off-DOM with the same props and compares the result with that markup, so
+ * Twig and React templates drifting apart show up while developing.
+ */
+
+(function (root, factory) {
+  'use strict';
+
+  const isCommonJS = typeof module === 'object' && module.exports;
+  // component-registry.js loads after this library, so its isDebug() is
+  // looked up when called.
+  const api = isCommonJS
+    ? factory(require('./render-comparison'), require('./component-registry').isDebug)
+    : factory(root.Drupal.componentEntity.renderComparison, () => root.Drupal.componentEntity.isDebug());
+
+  // CommonJS (Jest, Node tooling).
+  if (isCommonJS) {
+    module.exports = api;
+  }
+
+  // Browser global, used by component-runtime.js.
+  if (root && root.Drupal) {
+    root.Drupal.componentEntity = root.Drupal.componentEntity || {};
+    root.Drupal.componentEntity.hydrationCheck = api;
+  }
+})(typeof window !== 'undefined' ? window : this, function (comparison, isDebug) {
+  'use strict';
+
+  /**
+   * Get the Twig fallback of a component root.
+   *
+   * With scripting enabled, browsers keep the content of <noscript> as text,
+   * so it is parsed again.
+   *
+   * @param {HTMLElement} element - Component root element
+   * @returns {Element|null} The element holding the fallback markup
+   */
+  function getTwigFallback(element) {
+    const noscript = Array.prototype.find.call(element.children, (child) => child.tagName === 'NOSCRIPT');
+    if (!noscript) {
+      return null;
+    }
+    if (noscript.children.length) {
+      return noscript.querySelector('[data-twig-fallback]');
+    }
+    const template = document.createElement('template');
+    template.innerHTML = noscript.textContent;
+    return template.content.querySelector('[data-twig-fallback]');
+  }
+
+  /**
+   * Serialize the server markup of a component root.
+   *
+   * @param {HTMLElement} element - Component root element
+   * @returns {{source: string, tree: Object[]}|null} The markup as serialized
+   *   by render-comparison.js, with its source ("ssr" or "twig"); NULL when
+   *   there is none
+   */
+  function getServerMarkup(element) {
+    // Same rule as hasServerMarkup() in component-registry.js.
+    const rendered = Array.prototype.some.call(element.children, (child) => {
+      return child.tagName !== 'NOSCRIPT' && !child.classList.contains('component-loading');
+    });
+    if (rendered) {
+      return { source: 'ssr', tree: comparison.serializeChildren(element) };
+    }
+
+    const fallback = getTwigFallback(element);
+    return fallback ? { source: 'twig', tree: comparison.serializeChildren(fallback) } : null;
+  }
+
+  /**
+   * Render a React element to markup and serialize it.
+   *
+   * The element is rendered to a string, as on the server, so its effects do
+   * not run before it mounts for real. The markup is parsed into an inert
+   * template, which loads no images.
+   *
+   * @param {React.ReactElement} reactElement - Element to render
+   * @param {Object} [ReactDOMServer] - react-dom/server
+   * @returns {Object[]|null} The serialized output; NULL without
+   *   react-dom/server
+   */
+  function renderOffDom(reactElement, ReactDOMServer) {
+    if (!ReactDOMServer || typeof ReactDOMServer.renderToString !== 'function') {
+      return null;
+    }
+
+    const template = document.createElement('template');
+    template.innerHTML = ReactDOMServer.renderToString(reactElement);
+    return comparison.serializeChildren(template.content);
+  }
+
+  /**
+   * Compare what a component renders with the server markup of its root.
+   *
+   * Development builds and Drupal's debug mode only.
+   *
+   * @param {HTMLElement} element - Component root element, before mounting
+   * @param {React.ReactElement} reactElement - The element about to be mounted
+   * @param {Object} [ReactDOMServer] - react-dom/server
+   * @returns {{source: string, differences: Object[]}|null} The differences
+   *   found by diff() in render-comparison.js, with the source of the server
+   *   markup; NULL when there was nothing to compare
+   */
+  function check(element, reactElement, ReactDOMServer) {
+    if (!isDebug()) {
+      return null;
+    }
+
+    const server = getServerMarkup(element);
+    if (!server) {
+      return null;
+    }
+
+    let tree;
+    try {
+      tree = renderOffDom(reactElement, ReactDOMServer);
+    } catch (error) {
+      // Mounting reports the error.
+      return null;
+    }
+    if (!tree) {
+      return null;
+    }
+
+    return { source: server.source, differences: comparison.diff(server.tree, tree) };
+  }
+
+  /**
+   * Describe a difference found by check().
+   *
+   * @param {Object} difference - The difference
+   * @returns {{path: string, message: string}} The difference, shaped like
+   *   the schema violations shown on the component overlay
+   */
+  function describe(difference) {
+    let message;
+    switch (difference.type) {
+      case 'added':
+        message = `${difference.actual} only in the React output`;
+        break;
+
+      case 'removed':
+        message = `${difference.expected} missing from the React output`;
+        break;
+
+      case 'text':
+        message = `text "${difference.actual}" instead of "${difference.expected}"`;
+        break;
+
+      default:
+        if (difference.expected === null) {
+          message = `attribute ${difference.name}="${difference.actual}" only in the React output`;
+        } else if (difference.actual === null) {
+          message = `attribute ${difference.name}="${difference.expected}" missing from the React output`;
+        } else {
+          message = `attribute ${difference.name}="${difference.actual}" instead of "${difference.expected}"`;
+        }
+    }
+    return { path: difference.path || '(root)', message };
+  }
+
+  /**
+   * Log the differences found by check() to the console.
+   *
+   * @param {string} type - Component type
+   * @param {Object} result - Result of check()
+   */
+  function report(type, result) {
+    const label = result.source === 'twig' ? 'Twig fallback' : 'server-rendered markup';
+    console.warn(`Component ${type} renders differently from its ${label}:\n` + result.differences.map((difference) => {
+      const item = describe(difference);
+      return `  ${item.path}: ${item.message}`;
+    }).join('\n'));
+  }
+
+  return {
+    getServerMarkup,
+    renderOffDom,
+    check,
+    describe,
+    report,
+  };
+});
@@ -0,0 +1,149 @@
+/**
+ * @file
+ * Prop validation against component.yml schemas.
+ *
+ * ComponentRenderer.validateProps() checks the props of each component with
+ * it in development builds and debug mode. Drupal loads it from the
+ * react-renderer-debug library, so it is only on the page in debug mode.
+ */
+
+(function (root, factory) {
+  'use strict';
+
+  const api = factory();
+
+  // CommonJS (Jest, Node tooling).
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  }
+
+  // Browser global, used by component-registry.js.
+  if (root && root.Drupal) {
+    root.Drupal.componentEntity = root.Drupal.componentEntity || {};
+    root.Drupal.componentEntity.propValidation = api;
+  }
+})(typeof window !== 'undefined' ? window : this, function () {
+  'use strict';
+
+  /**
+   * Describe the JSON schema type of a value.
+   *
+   * @param {*} value - Value to describe
+   * @returns {string}
+   */
+  const schemaType = (value) => {
+    if (value === null) {
+      return 'null';
+    }
+    if (Array.isArray(value)) {
+      return 'array';
+    }
+    return typeof value;
+  };
+
+  /**
+   * Check a value against a JSON schema type.
+   *
+   * Types JSON schema does not define (SDC allows PHP class names such as
+   * Drupal\Core\Template\Attribute) always match.
+   *
+   * @param {*} value - Value to check
+   * @param {string} type - JSON schema type
+   * @returns {boolean}
+   */
+  const matchesType = (value, type) => {
+    switch (type) {
+      case 'integer':
+        return Number.isInteger(value);
+      case 'number':
+        return typeof value === 'number' && !Number.isNaN(value);
+      case 'string':
+      case 'boolean':
+      case 'object':
+      case 'array':
+      case 'null':
+        return schemaType(value) === type;
+      default:
+        return true;
+    }
+  };
+
+  /**
+   * Collect the ways a value violates its JSON schema.
+   *
+   * Supports the keywords .component.yml files use: type, enum, required,
+   * properties, items, minimum and maximum.
+   *
+   * @param {*} value - Value to validate
+   * @param {Object} schema - JSON schema
+   * @param {string} path - Path of the value, e.g. "cta_button.variant"
+   * @param {Object[]} errors - Collected errors
+   */
+  const validateValue = (value, schema, path, errors) => {
+    if (!schema || value === undefined) {
+      return;
+    }
+
+    const label = path || '(props)';
+    const types = [].concat(schema.type || []);
+    if (types.length && !types.some((type) => matchesType(value, type))) {
+      errors.push({
+        path: label,
+        message: `expected ${types.join(' or ')}, got ${schemaType(value)}`,
+        expected: types,
+        value,
+      });
+      return;
+    }
+
+    if (Array.isArray(schema.enum) && !schema.enum.some((allowed) => allowed === value)) {
+      errors.push({
+        path: label,
+        message: `expected one of ${schema.enum.map((allowed) => JSON.stringify(allowed)).join(', ')}, got ${JSON.stringify(value)}`,
+        expected: schema.enum,
+        value,
+      });
+      return;
+    }
+
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push({ path: label, message: `expected at least ${schema.minimum}, got ${value}`, expected: schema.minimum, value });
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push({ path: label, message: `expected at most ${schema.maximum}, got ${value}`, expected: schema.maximum, value });
+      }
+    }
+
+    if (Array.isArray(value)) {
+      value.forEach((item, index) => validateValue(item, schema.items, `${label}[${index}]`, errors));
+      return;
+    }
+
+    if (value && typeof value === 'object') {
+      (schema.required || []).forEach((name) => {
+        if (value[name] === undefined || value[name] === null) {
+          errors.push({ path: path ? `${path}.${name}` : name, message: 'is required', expected: 'value', value: value[name] });
+        }
+      });
+      Object.keys(schema.properties || {}).forEach((name) => {
+        validateValue(value[name], schema.properties[name], path ? `${path}.${name}` : name, errors);
+      });
+    }
+  };
+
+  /**
+   * Validate props against the props schema of a component.
+   *
+   * @param {Object} props - Normalised props
+   * @param {Object} schema - The "props" JSON schema of the component
+   * @returns {Object[]} Errors with path, message, expected and value
+   */
+  function validate(props, schema) {
+    const errors = [];
+    validateValue(props, schema, '', errors);
+    return errors;
+  }
+
+  return { validate };
+});
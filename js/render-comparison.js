@@ -0,0 +1,293 @@
+/**
+ * @file
+ * Comparing the output of render methods.
+ *
+ * The render comparison of the component edit form renders a component with
+ * each render method in its own frame. Each frame serializes its output
+ * with serialize(); the form lists the differences diff() finds between
+ * each method and the selected one.
+ */
+
+(function (root, factory) {
+  'use strict';
+
+  const api = factory();
+
+  // CommonJS (Jest, Node tooling).
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  }
+
+  // Browser global, used by the comparison and its frames.
+  if (root && root.Drupal) {
+    root.Drupal.componentEntity = root.Drupal.componentEntity || {};
+    root.Drupal.componentEntity.renderComparison = api;
+  }
+})(typeof window !== 'undefined' ? window : this, function () {
+  'use strict';
+
+  /**
+   * Attributes Drupal and React add for their own bookkeeping.
+   */
+  const IGNORED_ATTRIBUTES = [
+    'data-once',
+    'data-drupal-selector',
+    'data-reactroot',
+    'data-react-checksum',
+  ];
+
+  /**
+   * Elements that are not part of what is shown.
+   */
+  const IGNORED_ELEMENTS = ['SCRIPT', 'NOSCRIPT', 'STYLE', 'TEMPLATE'];
+
+  /**
+   * Normalize an attribute value, so equivalent values compare equal.
+   *
+   * @param {string} name - The attribute name
+   * @param {string} value - The attribute value
+   * @returns {string} The normalized value
+   */
+  function normalizeAttribute(name, value) {
+    if (name === 'class') {
+      return value.split(/\s+/).filter(Boolean).sort().join(' ');
+    }
+    if (name === 'style') {
+      return value.split(';')
+        .map((declaration) => declaration.split(':').map((part) => part.trim()).join(': '))
+        .filter((declaration) => declaration !== '')
+        .sort()
+        .join('; ');
+    }
+    return value.replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Serialize a DOM node for comparison.
+   *
+   * Whitespace is collapsed, and empty text, comments, scripts and the
+   * bookkeeping attributes of Drupal and React are left out.
+   *
+   * @param {Node} node - The node
+   * @returns {Object|null} The tree: {tag, attributes, children} for
+   *   elements, {text} for text; NULL for nodes that are left out
+   */
+  function serialize(node) {
+    if (node.nodeType === 3) {
+      const text = node.textContent.replace(/\s+/g, ' ').trim();
+      return text === '' ? null : { text };
+    }
+    if (node.nodeType !== 1 || IGNORED_ELEMENTS.includes(node.tagName)) {
+      return null;
+    }
+
+    const attributes = {};
+    Array.from(node.attributes)
+      .filter((attribute) => !IGNORED_ATTRIBUTES.includes(attribute.name))
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .forEach((attribute) => {
+        attributes[attribute.name] = normalizeAttribute(attribute.name, attribute.value);
+      });
+
+    return {
+      tag: node.tagName.toLowerCase(),
+      attributes,
+      children: serializeChildren(node),
+    };
+  }
+
+  /**
+   * Serialize the children of a DOM node.
+   *
+   * Adjacent text nodes, as left behind by React, are merged first.
+   *
+   * @param {Node} node - The node
+   * @returns {Object[]} The serialized children
+   */
+  function serializeChildren(node) {
+    const children = [];
+    Array.from(node.childNodes).forEach((child) => {
+      const item = serialize(child);
+      if (!item) {
+        return;
+      }
+      const last = children[children.length - 1];
+      if (item.text !== undefined && last && last.text !== undefined) {
+        last.text += ' ' + item.text;
+      } else {
+        children.push(item);
+      }
+    });
+    return children;
+  }
+
+  /**
+   * Describe a serialized node in a difference.
+   *
+   * @param {Object} node - The node
+   * @returns {string} The tag, or the text in quotes
+   */
+  function describe(node) {
+    return node.text !== undefined ? '"' + node.text + '"' : '<' + node.tag + '>';
+  }
+
+  /**
+   * The key nodes are aligned by: their tag, or #text.
+   *
+   * @param {Object} node - The node
+   * @returns {string} The key
+   */
+  function keyOf(node) {
+    return node.text !== undefined ? '#text' : node.tag;
+  }
+
+  /**
+   * Align two lists of nodes by their keys, keeping their order.
+   *
+   * @param {Object[]} a - The expected nodes
+   * @param {Object[]} b - The actual nodes
+   * @returns {Array<Array<number>>} Pairs of indexes into a and b; -1 where a
+   *   node has no counterpart
+   */
+  function align(a, b) {
+    // Longest common subsequence of the keys.
+    const lengths = [];
+    for (let i = 0; i <= a.length; i++) {
+      lengths.push(new Array(b.length + 1).fill(0));
+    }
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lengths[i][j] = keyOf(a[i]) === keyOf(b[j])
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    const pairs = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (keyOf(a[i]) === keyOf(b[j])) {
+        pairs.push([i++, j++]);
+      } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+        pairs.push([i++, -1]);
+      } else {
+        pairs.push([-1, j++]);
+      }
+    }
+    while (i < a.length) {
+      pairs.push([i++, -1]);
+    }
+    while (j < b.length) {
+      pairs.push([-1, j++]);
+    }
+    return pairs;
+  }
+
+  /**
+   * Compare two serialized nodes.
+   *
+   * @param {Object} expected - The node in the output compared against
+   * @param {Object} actual - The node in the other output
+   * @param {string} path - Where the nodes are
+   * @param {Object[]} differences - Collects the differences
+   */
+  function compareNodes(expected, actual, path, differences) {
+    if (expected.text !== undefined || actual.text !== undefined) {
+      if (expected.text !== actual.text) {
+        differences.push({ type: 'text', path, expected: expected.text, actual: actual.text });
+      }
+      return;
+    }
+
+    const names = Object.keys(Object.assign({}, expected.attributes, actual.attributes)).sort();
+    names.forEach((name) => {
+      const a = expected.attributes[name];
+      const b = actual.attributes[name];
+      if (a !== b) {
+        differences.push({
+          type: 'attribute',
+          path,
+          name,
+          expected: a === undefined ? null : a,
+          actual: b === undefined ? null : b,
+        });
+      }
+    });
+
+    compareChildren(expected.children, actual.children, path, differences);
+  }
+
+  /**
+   * Compare the children of two serialized nodes.
+   *
+   * @param {Object[]} expected - The children compared against
+   * @param {Object[]} actual - The other children
+   * @param {string} path - Where the parents are
+   * @param {Object[]} differences - Collects the differences
+   */
+  function compareChildren(expected, actual, path, differences) {
+    const counts = {};
+    const childPath = (node) => {
+      const key = keyOf(node);
+      counts[key] = (counts[key] || 0) + 1;
+      const step = key === '#text' ? 'text()' : key + (counts[key] > 1 ? ':nth-of-type(' + counts[key] + ')' : '');
+      return path ? path + ' > ' + step : step;
+    };
+
+    align(expected, actual).forEach((pair) => {
+      if (pair[1] === -1) {
+        const node = expected[pair[0]];
+        differences.push({ type: 'removed', path: childPath(node), expected: describe(node), actual: null });
+      } else if (pair[0] === -1) {
+        const node = actual[pair[1]];
+        differences.push({ type: 'added', path: path ? path + ' > ' + keyOf(node) : keyOf(node), expected: null, actual: describe(node) });
+      } else {
+        compareNodes(expected[pair[0]], actual[pair[1]], childPath(expected[pair[0]]), differences);
+      }
+    });
+  }
+
+  /**
+   * List the differences between two outputs.
+   *
+   * @param {Object[]} expected - Serialized nodes of the output compared
+   *   against
+   * @param {Object[]} actual - Serialized nodes of the other output
+   * @returns {Array<{type: string, path: string, name: (string|undefined), expected: (string|null), actual: (string|null)}>}
+   *   The differences: 'added' and 'removed' nodes, changed 'text' and
+   *   changed 'attribute' values, in document order
+   */
+  function diff(expected, actual) {
+    const differences = [];
+    compareChildren(expected, actual, '', differences);
+    return differences;
+  }
+
+  /**
+   * Format a size in bytes.
+   *
+   * @param {number} bytes - The size
+   * @returns {string} The size, e.g. "512 B" or "1.5 KB"
+   */
+  function formatBytes(bytes) {
+    if (bytes < 1024) {
+      return bytes + ' B';
+    }
+    const units = ['KB', 'MB'];
+    let size = bytes / 1024;
+    let unit = 0;
+    while (size >= 1024 && unit < units.length - 1) {
+      size /= 1024;
+      unit++;
+    }
+    return (Math.round(size * 10) / 10) + ' ' + units[unit];
+  }
+
+  return {
+    serialize,
+    serializeChildren,
+    diff,
+    formatBytes,
+  };
+});
@@ -0,0 +1,48 @@
+/**
+ * @file
+ * Finds the React components of the module.
+ *
+ * webpack.config.js makes an entry of each; component-stories.js generates
+ * their Storybook stories. Tests, specs and stories next to a component are
+ * not components.
+ */
+
+'use strict';
+
+const path = require('path');
+
+const glob = require('glob');
+
+const ROOT = path.resolve(__dirname, '..');
+
+/**
+ * Component files, relative to the module root.
+ */
+const PATTERN = 'components/**/*.{jsx,tsx}';
+
+/**
+ * Files matching the pattern that are no components.
+ */
+const IGNORE = [
+  '**/node_modules/**',
+  '**/*.test.{jsx,tsx}',
+  '**/*.spec.{jsx,tsx}',
+  '**/*.stories.{jsx,tsx}',
+];
+
+/**
+ * Find the component files below a module root.
+ *
+ * @param {string} [root] - Module root
+ * @returns {string[]} Paths relative to the root, starting with "./"
+ */
+function findComponentFiles(root = ROOT) {
+  // Matched without the "./" prefix, which the ignore patterns would miss.
+  return glob.sync(PATTERN, { cwd: root, ignore: IGNORE }).sort().map((file) => `./${file}`);
+}
+
+module.exports = {
+  PATTERN,
+  IGNORE,
+  findComponentFiles,
+};
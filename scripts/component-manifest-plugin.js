@@ -0,0 +1,108 @@
+/**
+ * @file
+ * Webpack plugin that writes dist/component-manifest.json.
+ *
+ * The manifest maps each component type to the files of its entrypoint, in
+ * load order and relative to dist/:
+ *
+ *   {
+ *     "components": {
+ *       "hero_banner": {
+ *         "entry": "hero-banner.hero_banner",
+ *         "js": ["js/runtime.js", "js/vendor.js", "js/hero-banner.hero_banner.js"],
+ *         "css": ["css/hero-banner.hero_banner.css"]
+ *       }
+ *     }
+ *   }
+ *
+ * Other entrypoints, such as the client SDK, can be listed under "libraries"
+ * in the same shape, keyed by library name.
+ *
+ * ComponentAssetManifest reads it so Drupal never has to guess bundle names.
+ */
+
+'use strict';
+
+const PLUGIN_NAME = 'ComponentManifestPlugin';
+
+/**
+ * Map entrypoints to their files, keyed by the names given for them.
+ *
+ * @param {Map<string, Object>} entrypoints - compilation.entrypoints
+ * @param {Object<string, string>} names - Entry name to manifest key
+ * @returns {Object}
+ */
+function mapEntrypoints(entrypoints, names) {
+  const entries = {};
+
+  Object.keys(names).sort().forEach((entryName) => {
+    const entrypoint = entrypoints.get(entryName);
+    if (!entrypoint) {
+      return;
+    }
+
+    const files = entrypoint.getFiles()
+      .filter((file) => !file.endsWith('.map') && !file.includes('.hot-update.'));
+
+    entries[names[entryName]] = {
+      entry: entryName,
+      js: files.filter((file) => file.endsWith('.js')),
+      css: files.filter((file) => file.endsWith('.css')),
+    };
+  });
+
+  return entries;
+}
+
+/**
+ * Build the manifest from compiled entrypoints.
+ *
+ * @param {Map<string, Object>} entrypoints - compilation.entrypoints
+ * @param {Object<string, string>} components - Entry name to component type
+ * @param {Object<string, string>} [libraries] - Entry name to library name
+ * @returns {Object}
+ */
+function buildManifest(entrypoints, components, libraries) {
+  const manifest = { components: mapEntrypoints(entrypoints, components) };
+
+  if (libraries) {
+    manifest.libraries = mapEntrypoints(entrypoints, libraries);
+  }
+
+  return manifest;
+}
+
+/**
+ * Emits the component asset manifest.
+ */
+class ComponentManifestPlugin {
+  /**
+   * @param {Object} options - Plugin options
+   * @param {Object<string, string>} options.components - Entry name to component type
+   * @param {Object<string, string>} [options.libraries] - Entry name to library name
+   * @param {string} [options.filename] - Output file relative to output.path
+   */
+  constructor(options = {}) {
+    this.components = options.components || {};
+    this.libraries = options.libraries;
+    this.filename = options.filename || 'component-manifest.json';
+  }
+
+  apply(compiler) {
+    const { Compilation, sources } = compiler.webpack;
+
+    compiler.hooks.thisCompilation.tap(PLUGIN_NAME, (compilation) => {
+      compilation.hooks.processAssets.tap({
+        name: PLUGIN_NAME,
+        // Runs after CSS extraction and minification so every file exists.
+        stage: Compilation.PROCESS_ASSETS_STAGE_REPORT,
+      }, () => {
+        const manifest = buildManifest(compilation.entrypoints, this.components, this.libraries);
+        compilation.emitAsset(this.filename, new sources.RawSource(JSON.stringify(manifest, null, 2)));
+      });
+    });
+  }
+}
+
+module.exports = ComponentManifestPlugin;
+module.exports.buildManifest = buildManifest;
@@ -0,0 +1,373 @@
+#!/usr/bin/env node
+/**
+ * @file
+ * Compiles component.yml prop and slot schemas into TypeScript declarations.
+ *
+ * Each components/**\/{id}.component.yml becomes types/components/{id}.d.ts,
+ * exporting {Name}Props (and {Name}Slots when the component has slots):
+ *
+ *   import type { HeroBannerProps } from '../../types/components/hero_banner';
+ *
+ *   const HeroBanner: FC<HeroBannerProps> = ({ title, slots = {} }) => ...
+ *
+ * Enums become unions of literals, nested objects inline types, and required
+ * props non-optional members; titles, descriptions and defaults carry over as
+ * doc comments. Components typed this way fail `npm run type-check` when
+ * their YAML and TSX disagree.
+ *
+ * Runs before type-check (npm run types) and as a webpack plugin, which
+ * regenerates the declarations when a component.yml changes in watch mode.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const yaml = require('js-yaml');
+
+const PLUGIN_NAME = 'ComponentPropTypesPlugin';
+
+const ROOT = path.resolve(__dirname, '..');
+
+/**
+ * Default directories, relative to the module root.
+ */
+const DEFAULTS = {
+  components: path.join(ROOT, 'components'),
+  output: path.join(ROOT, 'types', 'components'),
+};
+
+/**
+ * Keys of the entity context ComponentRegistry passes as drupalContext.
+ */
+const ENTITY_CONTEXT = [
+  ['entityId', 'string | number'],
+  ['entityType', 'string'],
+  ['bundle', 'string'],
+  ['viewMode', 'string'],
+  ['canEdit', 'boolean'],
+];
+
+/**
+ * Get the PascalCase name of a component, as ReactGeneratorService does.
+ *
+ * @param {string} id - Component ID
+ * @returns {string}
+ */
+function typeName(id) {
+  return id.split(/[^a-zA-Z0-9]+/).filter(Boolean).map((part) => part.charAt(0).toUpperCase() + part.slice(1)).join('');
+}
+
+/**
+ * Format a value as a TypeScript literal.
+ *
+ * @param {*} value - Value
+ * @returns {string}
+ */
+function literal(value) {
+  if (typeof value === 'string') {
+    return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Format a property name, quoting it when it is not an identifier.
+ *
+ * @param {string} name - Property name
+ * @returns {string}
+ */
+function propertyName(name) {
+  return /^[A-Za-z_$][\w$]*$/.test(name) ? name : literal(name);
+}
+
+/**
+ * Render the doc comment of a property.
+ *
+ * @param {Object} schema - Property schema
+ * @param {string} indent - Indentation
+ * @returns {string[]} Lines, none when there is nothing to document
+ */
+function docComment(schema, indent) {
+  const lines = [];
+  const summary = [schema.title, schema.description].filter(Boolean).join(': ');
+  if (summary) {
+    lines.push(summary.replace(/\*\//g, '*\\/'));
+  }
+  if (schema.default !== undefined) {
+    lines.push(`@default ${literal(schema.default)}`);
+  }
+  if (lines.length < 2) {
+    return lines.map((line) => `${indent}/** ${line} */`);
+  }
+  return [`${indent}/**`, ...lines.map((line) => `${indent} * ${line}`), `${indent} */`];
+}
+
+/**
+ * Whether a property is required.
+ *
+ * Both the JSON Schema "required" list and the "required: true" flag
+ * ComponentSyncService reads count.
+ *
+ * @param {Object} parent - Object schema
+ * @param {string} name - Property name
+ * @returns {boolean}
+ */
+function isRequired(parent, name) {
+  const schema = parent.properties[name];
+  return (Array.isArray(parent.required) && parent.required.includes(name)) || Boolean(schema && schema.required === true);
+}
+
+/**
+ * Render the members of an object type.
+ *
+ * @param {Array<[string, string, boolean, Object]>} members - Name, type,
+ *   whether it is required and the schema to document it with
+ * @param {string} indent - Indentation of the members
+ * @returns {string[]}
+ */
+function renderMembers(members, indent) {
+  const lines = [];
+  members.forEach(([name, type, required, schema]) => {
+    lines.push(...docComment(schema || {}, indent));
+    lines.push(`${indent}${propertyName(name)}${required ? '' : '?'}: ${type};`);
+  });
+  return lines;
+}
+
+/**
+ * Compile the properties of an object schema into members.
+ *
+ * @param {Object} schema - Object schema with properties
+ * @param {string} indent - Indentation of the members
+ * @returns {string[]}
+ */
+function compileMembers(schema, indent) {
+  return renderMembers(Object.keys(schema.properties).map((name) => {
+    const property = schema.properties[name] || {};
+    return [name, compileType(property, indent), isRequired(schema, name), property];
+  }), indent);
+}
+
+/**
+ * Compile a JSON Schema into a TypeScript type.
+ *
+ * @param {Object} schema - Schema
+ * @param {string} indent - Indentation of the line the type starts on
+ * @returns {string}
+ */
+function compileType(schema, indent) {
+  if (!schema || typeof schema !== 'object') {
+    return 'unknown';
+  }
+  if (Array.isArray(schema.enum) && schema.enum.length) {
+    return schema.enum.map(literal).join(' | ');
+  }
+  if (schema.const !== undefined) {
+    return literal(schema.const);
+  }
+
+  const types = (Array.isArray(schema.type) ? schema.type : [schema.type]).map((type) => {
+    switch (type) {
+      case 'string':
+        return 'string';
+
+      case 'number':
+      case 'integer':
+        return 'number';
+
+      case 'boolean':
+        return 'boolean';
+
+      case 'null':
+        return 'null';
+
+      case 'array': {
+        const item = compileType(schema.items, indent);
+        return item.includes(' | ') ? `Array<${item}>` : `${item}[]`;
+      }
+
+      case 'object':
+        if (!schema.properties || !Object.keys(schema.properties).length) {
+          return 'Record<string, unknown>';
+        }
+        return ['{', ...compileMembers(schema, `${indent}  `), `${indent}}`].join('\n');
+
+      default:
+        return 'unknown';
+    }
+  });
+
+  return Array.from(new Set(types)).join(' | ');
+}
+
+/**
+ * Get the type of the entity context prop, when the schema leaves it open.
+ *
+ * ComponentRegistry::normalizeProps() passes snake_case keys to components
+ * declaring "drupal_context".
+ *
+ * @param {string} name - Prop name
+ * @param {Object} schema - Prop schema
+ * @param {string} indent - Indentation of the prop
+ * @returns {string|null} The type; NULL when this is not the context prop
+ */
+function entityContextType(name, schema, indent) {
+  if (name.replace(/_/g, '').toLowerCase() !== 'drupalcontext' || (schema && schema.properties)) {
+    return null;
+  }
+  const snakeCase = name.includes('_');
+  const members = ENTITY_CONTEXT.map(([key, type]) => {
+    return [snakeCase ? key.replace(/[A-Z]/g, (letter) => `_${letter.toLowerCase()}`) : key, type, true];
+  });
+  return ['{', ...renderMembers(members, `${indent}  `), `${indent}}`].join('\n');
+}
+
+/**
+ * Compile a component definition into a TypeScript declaration.
+ *
+ * @param {string} id - Component ID
+ * @param {Object} definition - Parsed component.yml
+ * @param {string} [source] - Path of the component.yml, for the header
+ * @returns {string} The .d.ts
+ */
+function compileComponent(id, definition, source) {
+  const name = typeName(id);
+  const props = definition.props && definition.props.properties ? definition.props : { properties: {} };
+  const slots = definition.slots || {};
+  const lines = [
+    '/**',
+    ` * Props of the ${definition.name || id} component (${id}).`,
+    ' *',
+    ` * Generated from ${source || `${id}.component.yml`} by`,
+    ' * scripts/component-prop-types.js; run `npm run types` after changing it.',
+    ' */',
+    '',
+  ];
+
+  const slotNames = Object.keys(slots);
+  if (slotNames.length) {
+    lines.push("import type { ReactNode } from 'react';", '');
+    lines.push(`export interface ${name}Slots {`);
+    lines.push(...renderMembers(slotNames.map((slot) => {
+      return [slot, 'ReactNode', Boolean(slots[slot] && slots[slot].required), slots[slot]];
+    }), '  '));
+    lines.push('}', '');
+  }
+
+  lines.push(`export interface ${name}Props {`);
+  lines.push(...renderMembers(Object.keys(props.properties).map((prop) => {
+    const schema = props.properties[prop] || {};
+    const type = entityContextType(prop, schema, '  ') || compileType(schema, '  ');
+    return [prop, type, isRequired(props, prop), schema];
+  }), '  '));
+  if (slotNames.length) {
+    lines.push(`  slots?: ${name}Slots;`);
+  }
+  lines.push('}', '');
+
+  return lines.join('\n');
+}
+
+/**
+ * Find the component definitions in a directory.
+ *
+ * @param {string} dir - Directory to search
+ * @returns {string[]} Paths of the component.yml files, sorted
+ */
+function findDefinitions(dir) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  const files = [];
+  fs.readdirSync(dir, { withFileTypes: true }).forEach((entry) => {
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory() && entry.name !== 'node_modules') {
+      files.push(...findDefinitions(file));
+    } else if (entry.isFile() && entry.name.endsWith('.component.yml')) {
+      files.push(file);
+    }
+  });
+  return files.sort();
+}
+
+/**
+ * Write the declarations of every component.
+ *
+ * Empty definitions, such as placeholders, are skipped, and files that would
+ * not change are left alone so watchers don't fire.
+ *
+ * @param {Object} [options] - Directories (components, output)
+ * @returns {{sources: string[], written: string[]}} The component.yml files
+ *   read and the declarations written
+ */
+function generatePropTypes(options = {}) {
+  const { components, output } = { ...DEFAULTS, ...options };
+  const sources = findDefinitions(components);
+  const written = [];
+
+  sources.forEach((source) => {
+    let definition;
+    try {
+      definition = yaml.load(fs.readFileSync(source, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot parse ${path.relative(ROOT, source)}: ${error.message}`);
+    }
+    if (!definition || typeof definition !== 'object') {
+      return;
+    }
+
+    const id = path.basename(source, '.component.yml');
+    const file = path.join(output, `${id}.d.ts`);
+    const content = compileComponent(id, definition, path.relative(ROOT, source).split(path.sep).join('/'));
+    if (fs.existsSync(file) && fs.readFileSync(file, 'utf8') === content) {
+      return;
+    }
+    fs.mkdirSync(output, { recursive: true });
+    fs.writeFileSync(file, content);
+    written.push(file);
+  });
+
+  return { sources, written };
+}
+
+/**
+ * Keeps the component prop types up to date during builds.
+ */
+class ComponentPropTypesPlugin {
+  /**
+   * @param {Object} [options] - Plugin options
+   * @param {string} [options.components] - Directory of the components
+   * @param {string} [options.output] - Directory to write declarations to
+   */
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  apply(compiler) {
+    compiler.hooks.thisCompilation.tap(PLUGIN_NAME, (compilation) => {
+      try {
+        const { sources } = generatePropTypes(this.options);
+        // Watch mode recompiles, and so regenerates, when a definition changes.
+        sources.forEach((source) => compilation.fileDependencies.add(source));
+      } catch (error) {
+        compilation.errors.push(new compiler.webpack.WebpackError(`${PLUGIN_NAME}: ${error.message}`));
+      }
+    });
+  }
+}
+
+module.exports = ComponentPropTypesPlugin;
+module.exports.compileComponent = compileComponent;
+module.exports.generatePropTypes = generatePropTypes;
+
+if (require.main === module) {
+  try {
+    const { sources, written } = generatePropTypes();
+    process.stdout.write(`Checked ${sources.length} component definitions, updated ${written.length} declarations.\n`);
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  }
+}
@@ -0,0 +1,725 @@
+#!/usr/bin/env node
+/**
+ * @file
+ * Derives component.yml prop and slot schemas from React components.
+ *
+ * The reverse of component-prop-types.js, for components written React
+ * first: the TypeScript compiler reads the props of a component's default
+ * export and the tool creates or updates the .component.yml next to it, so
+ * ComponentSyncService and BiDirectionalSyncService can turn the props into
+ * fields.
+ *
+ * - Props types become JSON Schema types; unions of literals become enums.
+ * - Doc comments become descriptions, @example tags examples and @default
+ *   tags (or defaults in the props destructuring) defaults.
+ * - The members of the "slots" prop become slots.
+ * - Callbacks and React-only props (children, className, style) are left out.
+ *
+ * Existing YAML is merged: what it lacks is added, and titles, descriptions
+ * and keys the TSX doesn't describe are kept. Props only in the YAML and
+ * values the TSX contradicts are reported as conflicts, and the file is left
+ * alone unless --force lets the TSX win.
+ *
+ * Usage:
+ *   npm run schema                                  (every component)
+ *   npm run schema -- components/promo_card/promo_card.tsx [--force]
+ *   npm run schema -- --check                       (fail when out of date)
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { isDeepStrictEqual } = require('util');
+
+const yaml = require('js-yaml');
+const ts = require('typescript');
+
+const ROOT = path.resolve(__dirname, '..');
+
+/**
+ * Default options, overridable by CLI flags.
+ */
+const DEFAULTS = {
+  components: path.join(ROOT, 'components'),
+  force: false,
+  check: false,
+};
+
+/**
+ * Props React consumes itself, which are no Drupal props.
+ */
+const REACT_ONLY = ['children', 'className', 'style', 'key', 'ref'];
+
+/**
+ * The prop ComponentReactRenderer fills with the entity context.
+ */
+const DRUPAL_CONTEXT = {
+  type: 'object',
+  title: 'Drupal Context',
+  description: 'Drupal-specific metadata',
+};
+
+/**
+ * Keys of a schema the YAML owns once it has them.
+ */
+const YAML_OWNED = ['title', 'description'];
+
+/**
+ * How deep nested object props are described.
+ */
+const MAX_DEPTH = 5;
+
+/**
+ * Parse CLI flags into options.
+ *
+ * @param {string[]} argv - Process arguments
+ * @returns {Object}
+ */
+function parseArgs(argv) {
+  const options = { ...DEFAULTS, files: [] };
+
+  argv.forEach((arg) => {
+    const flag = arg.replace(/^--/, '');
+    if (arg.startsWith('--') && typeof DEFAULTS[flag] === 'boolean') {
+      options[flag] = true;
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown argument: ${arg}`);
+    } else {
+      options.files.push(path.resolve(arg));
+    }
+  });
+
+  return options;
+}
+
+/**
+ * Turn a component ID into a label.
+ *
+ * @param {string} id - Component ID
+ * @returns {string}
+ */
+function titleCase(id) {
+  return id.split('_').filter(Boolean).map((part) => part.charAt(0).toUpperCase() + part.slice(1)).join(' ');
+}
+
+/**
+ * Get the label ComponentSyncService gives a prop or slot without a title.
+ *
+ * @param {string} name - Prop or slot name
+ * @returns {string}
+ */
+function humanize(name) {
+  const label = name.replace(/_/g, ' ');
+  return label.charAt(0).toUpperCase() + label.slice(1);
+}
+
+/**
+ * Find the React components below a directory.
+ *
+ * @param {string} dir - Directory to search
+ * @returns {string[]} Paths of the .tsx files, without tests and stories
+ */
+function findComponents(dir) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  const files = [];
+  fs.readdirSync(dir, { withFileTypes: true }).forEach((entry) => {
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory() && entry.name !== 'node_modules') {
+      files.push(...findComponents(file));
+    } else if (entry.isFile() && /\.tsx$/.test(entry.name) && !/\.(test|spec|stories)\.tsx$/.test(entry.name)) {
+      files.push(file);
+    }
+  });
+  return files.sort();
+}
+
+/**
+ * Create a TypeScript program for components, with the module's settings.
+ *
+ * @param {string[]} files - Component files
+ * @returns {ts.Program}
+ */
+function createProgram(files) {
+  const config = ts.readConfigFile(path.join(ROOT, 'tsconfig.json'), ts.sys.readFile);
+  const parsed = ts.parseJsonConfigFileContent(config.config, ts.sys, ROOT);
+  // Ambient declarations, such as the @component-entity/* modules.
+  const declarations = parsed.fileNames.filter((file) => file.endsWith('.d.ts'));
+  return ts.createProgram([...files, ...declarations], { ...parsed.options, noEmit: true });
+}
+
+/**
+ * Parse the text of a @default or @example tag.
+ *
+ * @param {string} text - Tag text
+ * @returns {*} The value: JSON, a quoted string or the text as is
+ */
+function parseTagValue(text) {
+  const value = text.trim();
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    const quoted = value.match(/^'(.*)'$/s);
+    return quoted ? quoted[1].replace(/\\'/g, "'") : value;
+  }
+}
+
+/**
+ * Read the doc comment of a symbol.
+ *
+ * Comments read like the ones component-prop-types.js writes: "Title:
+ * Description", a bare label as the title, or a sentence as the description.
+ *
+ * @param {ts.Symbol} symbol - Symbol
+ * @param {ts.TypeChecker} checker - Type checker
+ * @returns {{title: string, description: string, tags: Object<string, string[]>}}
+ */
+function readDocs(symbol, checker) {
+  const tags = {};
+  symbol.getJsDocTags(checker).forEach((tag) => {
+    tags[tag.name] = tags[tag.name] || [];
+    tags[tag.name].push(ts.displayPartsToString(tag.text));
+  });
+
+  const text = ts.displayPartsToString(symbol.getDocumentationComment(checker)).trim();
+  const labelled = text.match(/^([^:.\n]{1,60}): (.+)$/s);
+  if (labelled) {
+    return { title: labelled[1], description: labelled[2].trim(), tags };
+  }
+  if (text && text.length <= 60 && !/[\n.!?]/.test(text)) {
+    return { title: text, description: '', tags };
+  }
+  return { title: '', description: text, tags };
+}
+
+/**
+ * Get the value of a literal expression.
+ *
+ * @param {ts.Expression} node - Expression
+ * @returns {*} The value; undefined when it is no literal
+ */
+function literalValue(node) {
+  if (ts.isStringLiteral(node) || ts.isNoSubstitutionTemplateLiteral(node)) {
+    return node.text;
+  }
+  if (ts.isNumericLiteral(node)) {
+    return Number(node.text);
+  }
+  if (ts.isPrefixUnaryExpression(node) && node.operator === ts.SyntaxKind.MinusToken && ts.isNumericLiteral(node.operand)) {
+    return -Number(node.operand.text);
+  }
+  if (node.kind === ts.SyntaxKind.TrueKeyword) {
+    return true;
+  }
+  if (node.kind === ts.SyntaxKind.FalseKeyword) {
+    return false;
+  }
+  return undefined;
+}
+
+/**
+ * Read the defaults a component gives its props when destructuring them.
+ *
+ * @param {ts.Declaration} declaration - Declaration of the component
+ * @returns {Object} Default values keyed by prop name
+ */
+function readDestructuringDefaults(declaration) {
+  let component = declaration;
+  if (ts.isVariableDeclaration(declaration)) {
+    component = declaration.initializer;
+  }
+  const defaults = {};
+  if (!component || !(ts.isArrowFunction(component) || ts.isFunctionExpression(component) || ts.isFunctionDeclaration(component))) {
+    return defaults;
+  }
+  const parameter = component.parameters[0];
+  if (!parameter || !ts.isObjectBindingPattern(parameter.name)) {
+    return defaults;
+  }
+  parameter.name.elements.forEach((element) => {
+    const name = element.propertyName || element.name;
+    if (!element.initializer || !ts.isIdentifier(name)) {
+      return;
+    }
+    const value = literalValue(element.initializer);
+    if (value !== undefined) {
+      defaults[name.text] = value;
+    }
+  });
+  return defaults;
+}
+
+/**
+ * Describe a TypeScript type as a JSON Schema.
+ *
+ * @param {ts.Type} type - Type
+ * @param {ts.TypeChecker} checker - Type checker
+ * @param {number} depth - Nesting depth
+ * @returns {Object|null} The schema; NULL for types props can't have, such
+ *   as functions
+ */
+function describeType(type, checker, depth) {
+  const { TypeFlags } = ts;
+
+  if (type.isUnion()) {
+    const types = type.types.filter((member) => !(member.flags & (TypeFlags.Undefined | TypeFlags.Null | TypeFlags.Void)));
+    if (types.length && types.every((member) => member.isStringLiteral())) {
+      return { type: 'string', enum: types.map((member) => member.value) };
+    }
+    if (types.length && types.every((member) => member.isNumberLiteral())) {
+      return { type: 'number', enum: types.map((member) => member.value) };
+    }
+    if (types.length && types.every((member) => member.flags & TypeFlags.BooleanLiteral)) {
+      return { type: 'boolean' };
+    }
+    if (types.length === 1) {
+      return describeType(types[0], checker, depth);
+    }
+    const schemas = types.map((member) => describeType(member, checker, depth));
+    if (schemas.every((schema) => schema && typeof schema.type === 'string' && !schema.enum && !schema.properties)) {
+      return { type: Array.from(new Set(schemas.map((schema) => schema.type))) };
+    }
+    return null;
+  }
+
+  if (type.isStringLiteral()) {
+    return { type: 'string', enum: [type.value] };
+  }
+  if (type.isNumberLiteral()) {
+    return { type: 'number', enum: [type.value] };
+  }
+  if (type.flags & TypeFlags.StringLike) {
+    return { type: 'string' };
+  }
+  if (type.flags & TypeFlags.NumberLike) {
+    return { type: 'number' };
+  }
+  if (type.flags & TypeFlags.BooleanLike) {
+    return { type: 'boolean' };
+  }
+  if (!(type.flags & TypeFlags.Object) || type.getCallSignatures().length) {
+    return null;
+  }
+
+  if (checker.isArrayType(type) || checker.isTupleType(type)) {
+    const [item] = checker.getTypeArguments(type);
+    const items = item ? describeType(item, checker, depth + 1) : null;
+    return items ? { type: 'array', items } : { type: 'array' };
+  }
+
+  const properties = checker.getPropertiesOfType(type);
+  if (!properties.length || depth >= MAX_DEPTH) {
+    return { type: 'object' };
+  }
+  return { type: 'object', ...describeProperties(properties, checker, {}, depth + 1).schema };
+}
+
+/**
+ * Describe the properties of an object type.
+ *
+ * @param {ts.Symbol[]} properties - Properties
+ * @param {ts.TypeChecker} checker - Type checker
+ * @param {Object} defaults - Default values keyed by property name
+ * @param {number} depth - Nesting depth
+ * @returns {{schema: Object, skipped: string[]}} The "required" and
+ *   "properties" of the schema, and the properties left out
+ */
+function describeProperties(properties, checker, defaults, depth) {
+  const schema = { properties: {} };
+  const required = [];
+  const skipped = [];
+
+  properties.forEach((symbol) => {
+    const name = symbol.getName();
+    const declaration = symbol.valueDeclaration || (symbol.declarations || [])[0];
+    const type = checker.getTypeOfSymbolAtLocation(symbol, declaration);
+    const property = describeType(type, checker, depth);
+    if (!property) {
+      skipped.push(name);
+      return;
+    }
+
+    const docs = readDocs(symbol, checker);
+    if (docs.title) {
+      property.title = docs.title;
+    }
+    if (docs.description) {
+      property.description = docs.description;
+    }
+    if (docs.tags.default) {
+      property.default = parseTagValue(docs.tags.default[0]);
+    } else if (defaults[name] !== undefined) {
+      property.default = defaults[name];
+    }
+    if (docs.tags.example) {
+      property.examples = docs.tags.example.map(parseTagValue);
+    }
+
+    schema.properties[name] = property;
+    if (!(symbol.flags & ts.SymbolFlags.Optional)) {
+      required.push(name);
+    }
+  });
+
+  if (required.length) {
+    return { schema: { required, properties: schema.properties }, skipped };
+  }
+  return { schema, skipped };
+}
+
+/**
+ * Find the props type of a component file.
+ *
+ * That is the first parameter of the default export, or else an exported
+ * interface or type alias named after the component.
+ *
+ * @param {ts.SourceFile} sourceFile - Component file
+ * @param {ts.TypeChecker} checker - Type checker
+ * @param {string} id - Component ID
+ * @returns {{type: ts.Type, declaration: ts.Declaration|null}|null}
+ */
+function findPropsType(sourceFile, checker, id) {
+  const moduleSymbol = checker.getSymbolAtLocation(sourceFile);
+  if (!moduleSymbol) {
+    return null;
+  }
+  const exports = checker.getExportsOfModule(moduleSymbol);
+
+  const defaultExport = exports.find((symbol) => symbol.getName() === 'default');
+  if (defaultExport) {
+    const component = defaultExport.flags & ts.SymbolFlags.Alias ? checker.getAliasedSymbol(defaultExport) : defaultExport;
+    const declaration = component.valueDeclaration;
+    if (declaration) {
+      const [signature] = checker.getTypeOfSymbolAtLocation(component, declaration).getCallSignatures();
+      const [props] = signature ? signature.getParameters() : [];
+      if (props) {
+        return { type: checker.getTypeOfSymbolAtLocation(props, declaration), declaration };
+      }
+    }
+  }
+
+  const name = `${titleCase(id).replace(/ /g, '')}Props`;
+  const props = exports.find((symbol) => symbol.getName() === name);
+  return props ? { type: checker.getDeclaredTypeOfSymbol(props), declaration: null } : null;
+}
+
+/**
+ * Derive the component definition of a React component.
+ *
+ * @param {string} file - Path of the .tsx
+ * @param {ts.Program} [program] - Program containing the file
+ * @returns {{id: string, definition: Object|null, notes: string[]}} The
+ *   definition (NULL when no props type was found) and what was left out
+ */
+function deriveDefinition(file, program = createProgram([file])) {
+  const id = path.basename(file).replace(/\.tsx$/, '');
+  const checker = program.getTypeChecker();
+  const sourceFile = program.getSourceFile(file);
+  const found = sourceFile ? findPropsType(sourceFile, checker, id) : null;
+  if (!found) {
+    return { id, definition: null, notes: ['No default export or exported props type found.'] };
+  }
+
+  const notes = [];
+  const defaults = found.declaration ? readDestructuringDefaults(found.declaration) : {};
+  const properties = checker.getPropertiesOfType(found.type).filter((symbol) => {
+    if (REACT_ONLY.includes(symbol.getName())) {
+      notes.push(`${symbol.getName()}: React-only prop, left out.`);
+      return false;
+    }
+    return symbol.getName() !== 'slots';
+  });
+
+  const { schema, skipped } = describeProperties(properties, checker, defaults, 1);
+  skipped.forEach((name) => notes.push(`${name}: no JSON Schema type (callbacks can't come from Drupal), left out.`));
+  Object.keys(schema.properties).forEach((name) => {
+    if (name.replace(/_/g, '').toLowerCase() === 'drupalcontext') {
+      schema.properties[name] = { ...DRUPAL_CONTEXT };
+    }
+  });
+
+  const definition = { props: { type: 'object', ...schema } };
+
+  const slotsSymbol = checker.getPropertyOfType(found.type, 'slots');
+  if (slotsSymbol) {
+    const slotsType = checker.getNonNullableType(checker.getTypeOfSymbolAtLocation(slotsSymbol, sourceFile));
+    definition.slots = {};
+    checker.getPropertiesOfType(slotsType).forEach((symbol) => {
+      const docs = readDocs(symbol, checker);
+      const slot = { title: docs.title || humanize(symbol.getName()) };
+      if (docs.description) {
+        slot.description = docs.description;
+      }
+      if (!(symbol.flags & ts.SymbolFlags.Optional)) {
+        slot.required = true;
+      }
+      definition.slots[symbol.getName()] = slot;
+    });
+  }
+
+  return { id, definition, notes };
+}
+
+/**
+ * Whether a YAML value agrees with the value derived from the TSX.
+ *
+ * @param {string} key - Schema key
+ * @param {*} current - Value in the YAML
+ * @param {*} derived - Value derived from the TSX
+ * @returns {boolean}
+ */
+function agrees(key, current, derived) {
+  if (key === 'type') {
+    // TypeScript has no integers.
+    return isDeepStrictEqual(current, derived) || (current === 'integer' && derived === 'number');
+  }
+  if (key === 'enum' && Array.isArray(current) && Array.isArray(derived)) {
+    return isDeepStrictEqual([...current].sort(), [...derived].sort());
+  }
+  return isDeepStrictEqual(current, derived);
+}
+
+/**
+ * Merge a derived schema into the YAML one.
+ *
+ * @param {Object} current - Schema in the YAML
+ * @param {Object} derived - Schema derived from the TSX
+ * @param {string} at - Path of the schema, for conflicts
+ * @param {Object} context - Conflicts found so far and the force flag
+ * @returns {Object} The merged schema
+ */
+function mergeSchema(current, derived, at, context) {
+  const merged = { ...current };
+
+  Object.keys(derived).forEach((key) => {
+    if (key === 'properties') {
+      merged.properties = mergeProperties(current.properties || {}, derived.properties, current.required, derived.required, at, context);
+      return;
+    }
+    if (key === 'required') {
+      // Compared per property by mergeProperties().
+      if (!current.required || context.force) {
+        merged.required = derived.required;
+      }
+      return;
+    }
+    if (key === 'items' && current.items) {
+      merged.items = mergeSchema(current.items, derived.items, `${at}[]`, context);
+      return;
+    }
+    if (current[key] === undefined) {
+      merged[key] = derived[key];
+      return;
+    }
+    if (YAML_OWNED.includes(key) || agrees(key, current[key], derived[key])) {
+      return;
+    }
+    context.conflicts.push({ path: at, key, yaml: current[key], tsx: derived[key] });
+    if (context.force) {
+      merged[key] = derived[key];
+    }
+  });
+
+  return merged;
+}
+
+/**
+ * Merge derived properties into the YAML ones.
+ *
+ * @param {Object} current - Properties in the YAML
+ * @param {Object} derived - Properties derived from the TSX
+ * @param {string[]|undefined} currentRequired - Required properties in the YAML
+ * @param {string[]|undefined} derivedRequired - Required properties in the TSX
+ * @param {string} at - Path of the parent schema, for conflicts
+ * @param {Object} context - Conflicts found so far and the force flag
+ * @returns {Object} The merged properties
+ */
+function mergeProperties(current, derived, currentRequired, derivedRequired, at, context) {
+  const merged = {};
+  const prefix = at ? `${at}.` : '';
+
+  Object.keys(current).forEach((name) => {
+    if (derived[name]) {
+      merged[name] = mergeSchema(current[name] || {}, derived[name], `${prefix}${name}`, context);
+      if (currentRequired) {
+        const required = currentRequired.includes(name) || Boolean(current[name] && current[name].required === true);
+        const tsxRequired = (derivedRequired || []).includes(name);
+        if (required !== tsxRequired) {
+          context.conflicts.push({ path: `${prefix}${name}`, key: 'required', yaml: required, tsx: tsxRequired });
+        }
+      }
+      return;
+    }
+    context.conflicts.push({ path: `${prefix}${name}`, key: null, yaml: current[name], tsx: undefined });
+    if (!context.force) {
+      merged[name] = current[name];
+    }
+  });
+
+  Object.keys(derived).forEach((name) => {
+    if (!current[name]) {
+      merged[name] = derived[name];
+    }
+  });
+
+  return merged;
+}
+
+/**
+ * Merge a derived definition into an existing one.
+ *
+ * @param {Object|null} current - Definition in the YAML, if any
+ * @param {Object} derived - Definition derived from the TSX
+ * @param {Object} [options] - Merge options
+ * @param {boolean} [options.force] - Let the TSX win conflicts
+ * @returns {{definition: Object, conflicts: Object[]}}
+ */
+function mergeDefinition(current, derived, options = {}) {
+  const context = { conflicts: [], force: Boolean(options.force) };
+  const definition = { ...(current || {}) };
+
+  const props = mergeSchema(definition.props || {}, derived.props, '', context);
+  // A required list the TSX no longer backs goes along with its props.
+  if (props.required) {
+    props.required = props.required.filter((name) => props.properties && props.properties[name]);
+    if (!props.required.length) {
+      delete props.required;
+    }
+  }
+  definition.props = props;
+
+  if (derived.slots || definition.slots) {
+    const slots = {};
+    const currentSlots = definition.slots || {};
+    const derivedSlots = derived.slots || {};
+    Object.keys(currentSlots).forEach((name) => {
+      if (!derivedSlots[name]) {
+        context.conflicts.push({ path: `slots.${name}`, key: null, yaml: currentSlots[name], tsx: undefined });
+        if (!context.force) {
+          slots[name] = currentSlots[name];
+        }
+        return;
+      }
+      slots[name] = mergeSchema(currentSlots[name] || {}, derivedSlots[name], `slots.${name}`, context);
+    });
+    Object.keys(derivedSlots).forEach((name) => {
+      if (!currentSlots[name]) {
+        slots[name] = derivedSlots[name];
+      }
+    });
+    if (Object.keys(slots).length) {
+      definition.slots = slots;
+    } else {
+      delete definition.slots;
+    }
+  }
+
+  return { definition, conflicts: context.conflicts };
+}
+
+/**
+ * Describe a conflict for the console.
+ *
+ * @param {Object} conflict - Conflict found by mergeDefinition()
+ * @returns {string}
+ */
+function describeConflict(conflict) {
+  if (conflict.key === null) {
+    return `${conflict.path}: only in the YAML`;
+  }
+  return `${conflict.path}: ${conflict.key} is ${JSON.stringify(conflict.yaml)} in the YAML, ${JSON.stringify(conflict.tsx)} in the TSX`;
+}
+
+/**
+ * Create or update the component.yml of a React component.
+ *
+ * @param {string} file - Path of the .tsx
+ * @param {Object} [options] - Options (force, check, program)
+ * @returns {Object} The component.yml path, its status ("created", "updated",
+ *   "unchanged", "conflict" or "skipped"), conflicts and notes
+ */
+function updateComponentYml(file, options = {}) {
+  const { id, definition: derived, notes } = deriveDefinition(file, options.program);
+  const ymlFile = path.join(path.dirname(file), `${id}.component.yml`);
+  if (!derived) {
+    return { file: ymlFile, status: 'skipped', conflicts: [], notes };
+  }
+
+  const source = fs.existsSync(ymlFile) ? fs.readFileSync(ymlFile, 'utf8') : '';
+  const current = source.trim() ? yaml.load(source) : null;
+
+  let definition;
+  let conflicts = [];
+  if (current) {
+    ({ definition, conflicts } = mergeDefinition(current, derived, options));
+  } else {
+    const hasTwig = fs.existsSync(path.join(path.dirname(file), `${id}.html.twig`));
+    definition = {
+      name: titleCase(id),
+      status: 'stable',
+      ...derived,
+      rendering: { twig: hasTwig, react: true, default: 'react' },
+    };
+  }
+
+  if (conflicts.length && !options.force) {
+    return { file: ymlFile, status: 'conflict', conflicts, notes };
+  }
+  if (current && isDeepStrictEqual(current, definition)) {
+    return { file: ymlFile, status: 'unchanged', conflicts, notes };
+  }
+
+  if (!options.check) {
+    // Keep the comments heading the file.
+    const header = (source.match(/^(?:#.*\n|\s*\n)*/) || [''])[0];
+    fs.writeFileSync(ymlFile, header + yaml.dump(definition, { lineWidth: -1, noRefs: true }));
+  }
+  return { file: ymlFile, status: current ? 'updated' : 'created', conflicts, notes };
+}
+
+/**
+ * Update the component.yml files from the command line.
+ */
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const files = options.files.length ? options.files : findComponents(options.components);
+  const program = createProgram(files);
+  let failed = false;
+
+  files.forEach((file) => {
+    const result = updateComponentYml(file, { ...options, program });
+    const relative = path.relative(process.cwd(), result.file);
+    process.stdout.write(`${result.status}: ${relative}\n`);
+    result.notes.forEach((note) => process.stdout.write(`  ${note}\n`));
+    result.conflicts.forEach((conflict) => process.stdout.write(`  ${describeConflict(conflict)}\n`));
+
+    if (result.status === 'conflict') {
+      failed = true;
+      process.stdout.write('  Resolve the conflicts in the YAML or the TSX, or rerun with --force to take the TSX.\n');
+    } else if (options.check && (result.status === 'created' || result.status === 'updated')) {
+      failed = true;
+    }
+  });
+
+  process.exitCode = failed ? 1 : 0;
+}
+
+module.exports = {
+  parseArgs,
+  createProgram,
+  deriveDefinition,
+  mergeDefinition,
+  describeConflict,
+  updateComponentYml,
+};
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  }
+}
@@ -0,0 +1,385 @@
+#!/usr/bin/env node
+/**
+ * @file
+ * Generates Storybook stories from component.yml definitions.
+ *
+ * Every component webpack builds (see component-files.js) gets
+ * .storybook/generated/{id}.stories.js, which renders it through
+ * component-renderer.js the way a Drupal page does:
+ *
+ *   SDC/Hero Banner
+ *     Default     first example of each prop and slot
+ *     Example2    second example, falling back to the first
+ *
+ * Controls come from the prop schema: enums are selects, numbers with a
+ * minimum and maximum ranges, and the members of object props are controls of
+ * their own, grouped under the prop's title. Slots take HTML, like the markup
+ * Drupal renders into them.
+ *
+ * Runs when Storybook starts (.storybook/main.js) and as a webpack plugin in
+ * Storybook's build, which regenerates the stories when a component.yml
+ * changes.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const yaml = require('js-yaml');
+
+const { findComponentFiles } = require('./component-files');
+
+const PLUGIN_NAME = 'ComponentStoriesPlugin';
+
+const ROOT = path.resolve(__dirname, '..');
+
+/**
+ * Default directories.
+ */
+const DEFAULTS = {
+  root: ROOT,
+  output: path.join(ROOT, '.storybook', 'generated'),
+};
+
+/**
+ * Joins an object prop or "slots" and a member into an arg name.
+ *
+ * .storybook/component-story.js splits arg names on the same separator.
+ */
+const SEPARATOR = '__';
+
+/**
+ * Turn a component ID into a label.
+ *
+ * @param {string} id - Component ID
+ * @returns {string}
+ */
+function titleCase(id) {
+  return id.split('_').filter(Boolean).map((part) => part.charAt(0).toUpperCase() + part.slice(1)).join(' ');
+}
+
+/**
+ * Whether a prop is the entity context, which the renderer fills in.
+ *
+ * @param {string} name - Prop name
+ * @returns {boolean}
+ */
+function isDrupalContext(name) {
+  return name.replace(/_/g, '').toLowerCase() === 'drupalcontext';
+}
+
+/**
+ * Get the Storybook control for a schema.
+ *
+ * @param {Object} schema - Prop schema
+ * @returns {Object} control, and options for enums
+ */
+function controlFor(schema) {
+  if (Array.isArray(schema.enum)) {
+    return { control: 'select', options: schema.enum };
+  }
+
+  const type = Array.isArray(schema.type) ? schema.type.find((name) => name !== 'null') : schema.type;
+  if (type === 'boolean') {
+    return { control: 'boolean' };
+  }
+  if (type === 'integer' || type === 'number') {
+    const control = { type: 'number' };
+    if (typeof schema.minimum === 'number') {
+      control.min = schema.minimum;
+    }
+    if (typeof schema.maximum === 'number') {
+      control.max = schema.maximum;
+    }
+    if (schema.multipleOf || type === 'integer') {
+      control.step = schema.multipleOf || 1;
+    }
+    if ('min' in control && 'max' in control) {
+      control.type = 'range';
+      control.step = control.step || (control.max - control.min) / 100;
+    }
+    return { control };
+  }
+  if (type === 'object' || type === 'array') {
+    return { control: 'object' };
+  }
+  return { control: 'text' };
+}
+
+/**
+ * List the args of a component.
+ *
+ * @param {Object} definition - Parsed component.yml
+ * @returns {Object[]} Args with key, name, schema, category and, for members
+ *   of object props, the schema of the prop
+ */
+function listArgs(definition) {
+  const properties = (definition.props && definition.props.properties) || {};
+  const args = [];
+
+  Object.keys(properties).forEach((name) => {
+    const schema = properties[name] || {};
+    if (isDrupalContext(name)) {
+      return;
+    }
+    if (schema.type === 'object' && schema.properties) {
+      const category = schema.title || titleCase(name);
+      Object.keys(schema.properties).forEach((member) => {
+        args.push({ key: `${name}${SEPARATOR}${member}`, name: member, schema: schema.properties[member] || {}, category, parent: schema });
+      });
+      return;
+    }
+    args.push({ key: name, name, schema, category: null, parent: null });
+  });
+
+  Object.keys(definition.slots || {}).forEach((name) => {
+    const slot = definition.slots[name] || {};
+    args.push({ key: `slots${SEPARATOR}${name}`, name, schema: { ...slot, type: 'string' }, category: 'Slots', parent: null });
+  });
+
+  return args;
+}
+
+/**
+ * Pick an example by index, falling back to the first.
+ *
+ * @param {Array|undefined} examples - Examples of a schema
+ * @param {number} index - Story index
+ * @returns {*} The example; undefined when there are none
+ */
+function pickExample(examples, index) {
+  if (!Array.isArray(examples) || !examples.length) {
+    return undefined;
+  }
+  return index < examples.length ? examples[index] : examples[0];
+}
+
+/**
+ * Build the argTypes, default args and story args of a component.
+ *
+ * @param {Object} definition - Parsed component.yml
+ * @returns {{argTypes: Object, args: Object, stories: Object[]}} One args
+ *   object per story, the first being the default story
+ */
+function storyArgs(definition) {
+  const list = listArgs(definition);
+  const argTypes = {};
+  const args = {};
+
+  list.forEach((arg) => {
+    const argType = { name: arg.name, ...controlFor(arg.schema) };
+    const description = arg.schema.description || arg.schema.title;
+    if (description) {
+      argType.description = description;
+    }
+    if (arg.category || arg.schema.default !== undefined) {
+      argType.table = {};
+      if (arg.category) {
+        argType.table.category = arg.category;
+      }
+      if (arg.schema.default !== undefined) {
+        argType.table.defaultValue = { summary: JSON.stringify(arg.schema.default) };
+      }
+    }
+    argTypes[arg.key] = argType;
+
+    // Defaults of members would make up objects the component doesn't get
+    // without its required members; they only show in the table.
+    if (arg.schema.default !== undefined && !arg.parent) {
+      args[arg.key] = arg.schema.default;
+    }
+  });
+
+  const count = list.reduce((max, arg) => {
+    const own = Array.isArray(arg.schema.examples) ? arg.schema.examples.length : 0;
+    const parent = arg.parent && Array.isArray(arg.parent.examples) ? arg.parent.examples.length : 0;
+    return Math.max(max, own, parent);
+  }, 1);
+
+  const stories = [];
+  for (let index = 0; index < count; index++) {
+    const values = {};
+    list.forEach((arg) => {
+      let value = pickExample(arg.schema.examples, index);
+      if (value === undefined && arg.parent) {
+        const example = pickExample(arg.parent.examples, index);
+        value = example && typeof example === 'object' ? example[arg.name] : undefined;
+      }
+      if (value !== undefined) {
+        values[arg.key] = value;
+      }
+    });
+    stories.push(values);
+  }
+
+  return { argTypes, args, stories };
+}
+
+/**
+ * Format a value as a JavaScript literal.
+ *
+ * @param {*} value - JSON value
+ * @param {string} indent - Indentation of the line the value starts on
+ * @returns {string}
+ */
+function literal(value, indent) {
+  return JSON.stringify(value, null, 2).replace(/\n/g, `\n${indent}`);
+}
+
+/**
+ * Compile the stories of a component.
+ *
+ * @param {string} id - Component ID
+ * @param {Object} definition - Parsed component.yml
+ * @param {Object} paths - Paths, relative to the stories file
+ * @param {string} paths.component - Component module, without extension
+ * @param {string} paths.source - component.yml, relative to the module root
+ * @returns {string} The CSF module
+ */
+function compileStories(id, definition, paths) {
+  const { argTypes, args, stories } = storyArgs(definition);
+
+  const parameters = { componentEntity: { type: id, definition } };
+  if (definition.description) {
+    parameters.docs = { description: { component: definition.description } };
+  }
+
+  const lines = [
+    `// Generated by scripts/component-stories.js from ${paths.source}.`,
+    '// Do not edit: change the examples in the component.yml instead.',
+    '',
+    `import '${paths.component}';`,
+    "import { renderComponent } from '../component-story';",
+    '',
+    'export default {',
+    `  title: ${JSON.stringify(`SDC/${definition.name || titleCase(id)}`)},`,
+    '  render: renderComponent,',
+    `  parameters: ${literal(parameters, '  ')},`,
+    `  argTypes: ${literal(argTypes, '  ')},`,
+    `  args: ${literal(args, '  ')},`,
+    '};',
+  ];
+
+  stories.forEach((values, index) => {
+    lines.push('', `export const ${index ? `Example${index + 1}` : 'Default'} = {`, `  args: ${literal(values, '  ')},`, '};');
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Get a path relative to a directory, as an import specifier.
+ *
+ * @param {string} from - Directory
+ * @param {string} to - Target path
+ * @returns {string}
+ */
+function importPath(from, to) {
+  const relative = path.relative(from, to).split(path.sep).join('/');
+  return relative.startsWith('.') ? relative : `./${relative}`;
+}
+
+/**
+ * Write the stories of every component.
+ *
+ * Empty components, such as placeholders, register nothing and are skipped.
+ * Files that would not change are left alone so watchers don't fire, and
+ * stories of removed components are deleted.
+ *
+ * @param {Object} [options] - Directories (root, output)
+ * @returns {{sources: string[], written: string[], removed: string[]}} The
+ *   component.yml files read, and the stories written and deleted
+ */
+function generateStories(options = {}) {
+  const { root, output } = { ...DEFAULTS, ...options };
+  const sources = [];
+  const written = [];
+  const expected = new Set();
+
+  findComponentFiles(root).forEach((relative) => {
+    const componentFile = path.resolve(root, relative);
+    if (!fs.readFileSync(componentFile, 'utf8').trim()) {
+      return;
+    }
+
+    const id = path.basename(componentFile).replace(/\.(jsx|tsx)$/, '');
+    const source = path.join(path.dirname(componentFile), `${id}.component.yml`);
+    let definition = null;
+    if (fs.existsSync(source)) {
+      sources.push(source);
+      try {
+        definition = yaml.load(fs.readFileSync(source, 'utf8'));
+      } catch (error) {
+        throw new Error(`Cannot parse ${path.relative(root, source)}: ${error.message}`);
+      }
+    }
+
+    const file = path.join(output, `${id}.stories.js`);
+    expected.add(file);
+    const content = compileStories(id, definition && typeof definition === 'object' ? definition : {}, {
+      component: importPath(output, componentFile.replace(/\.(jsx|tsx)$/, '')),
+      source: path.relative(root, source).split(path.sep).join('/'),
+    });
+    if (fs.existsSync(file) && fs.readFileSync(file, 'utf8') === content) {
+      return;
+    }
+    fs.mkdirSync(output, { recursive: true });
+    fs.writeFileSync(file, content);
+    written.push(file);
+  });
+
+  const removed = [];
+  if (fs.existsSync(output)) {
+    fs.readdirSync(output).forEach((name) => {
+      const file = path.join(output, name);
+      if (name.endsWith('.stories.js') && !expected.has(file)) {
+        fs.unlinkSync(file);
+        removed.push(file);
+      }
+    });
+  }
+
+  return { sources, written, removed };
+}
+
+/**
+ * Keeps the generated stories up to date in Storybook builds.
+ */
+class ComponentStoriesPlugin {
+  /**
+   * @param {Object} [options] - Plugin options
+   * @param {string} [options.root] - Module root
+   * @param {string} [options.output] - Directory to write stories to
+   */
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  apply(compiler) {
+    compiler.hooks.thisCompilation.tap(PLUGIN_NAME, (compilation) => {
+      try {
+        const { sources } = generateStories(this.options);
+        // Watch mode recompiles, and so regenerates, when a definition changes.
+        sources.forEach((source) => compilation.fileDependencies.add(source));
+      } catch (error) {
+        compilation.errors.push(new compiler.webpack.WebpackError(`${PLUGIN_NAME}: ${error.message}`));
+      }
+    });
+  }
+}
+
+module.exports = ComponentStoriesPlugin;
+module.exports.storyArgs = storyArgs;
+module.exports.compileStories = compileStories;
+module.exports.generateStories = generateStories;
+
+if (require.main === module) {
+  try {
+    const { written, removed } = generateStories();
+    process.stdout.write(`Wrote ${written.length} and removed ${removed.length} generated stories.\n`);
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  }
+}
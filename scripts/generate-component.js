@@ -0,0 +1,958 @@
+#!/usr/bin/env node
+/**
+ * @file
+ * Scaffolds a component without a running Drupal site.
+ *
+ * Writes the files SdcGeneratorService and ReactGeneratorService generate
+ * for a component type into components/{name}/: the .component.yml, Twig
+ * template, TypeScript component, CSS, Storybook story and test, plus its
+ * prop types in types/components/ (see component-prop-types.js). Props and
+ * slots are named the way ComponentSyncService turns them into fields, so
+ * running component:sync afterwards creates the matching component type.
+ *
+ * Usage:
+ *   npm run generate -- promo_card
+ *   npm run generate -- promo_card --spec promo_card.json [--force]
+ *   npm run generate -- promo_card --dir path/to/components [--types path/to/types]
+ *
+ * Spec (props may use SDC or Drupal field types):
+ *   {
+ *     "label": "Promo Card",
+ *     "description": "A teaser with a call to action",
+ *     "group": "Marketing",
+ *     "props": {
+ *       "title": { "type": "string", "required": true },
+ *       "variant": { "type": "string", "enum": ["default", "featured"], "default": "default" }
+ *     },
+ *     "slots": { "content": { "title": "Content" } },
+ *     "rendering": { "twig": true, "react": true, "default": "react" }
+ *   }
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const yaml = require('js-yaml');
+const prompts = require('prompts');
+
+const { compileComponent } = require('./component-prop-types');
+
+const ROOT = path.resolve(__dirname, '..');
+
+/**
+ * Default generator options, overridable by CLI flags.
+ */
+const DEFAULTS = {
+  dir: path.join(ROOT, 'components'),
+  types: path.join(ROOT, 'types', 'components'),
+  spec: '',
+  force: false,
+};
+
+/**
+ * Prop types a spec can use as is.
+ */
+const PROP_TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array'];
+
+/**
+ * Prop types of Drupal field types, as mapped by SdcGeneratorService.
+ */
+const FIELD_TYPES = {
+  string_long: 'string',
+  text: 'string',
+  text_long: 'string',
+  text_with_summary: 'string',
+  email: 'string',
+  telephone: 'string',
+  uri: 'string',
+  datetime: 'string',
+  list_string: 'string',
+  decimal: 'number',
+  float: 'number',
+  timestamp: 'number',
+  list_integer: 'number',
+  list_float: 'number',
+  link: 'object',
+  entity_reference: 'object',
+  entity_reference_revisions: 'object',
+  image: 'object',
+  file: 'object',
+  map: 'object',
+  json: 'object',
+};
+
+/**
+ * The prop ComponentReactRenderer fills with the entity context.
+ */
+const DRUPAL_CONTEXT = {
+  type: 'object',
+  title: 'Drupal Context',
+  description: 'Drupal-specific metadata',
+};
+
+/**
+ * Props rendered as the heading of a component.
+ */
+const HEADINGS = ['title', 'heading'];
+
+/**
+ * A spec can't be generated, or would overwrite existing files.
+ */
+class GeneratorError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'GeneratorError';
+  }
+}
+
+/**
+ * Parse CLI flags into options.
+ *
+ * @param {string[]} argv - Process arguments
+ * @returns {Object}
+ */
+function parseArgs(argv) {
+  const options = { ...DEFAULTS, name: '' };
+
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i].replace(/^--/, '');
+    if (flag === 'force') {
+      options.force = true;
+    } else if (argv[i].startsWith('--') && Object.prototype.hasOwnProperty.call(DEFAULTS, flag) && argv[i + 1] !== undefined) {
+      options[flag] = path.resolve(argv[++i]);
+    } else if (!argv[i].startsWith('--') && !options.name) {
+      options.name = argv[i];
+    } else {
+      throw new GeneratorError(`Unknown argument: ${argv[i]}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Turn a name into a machine name, like ComponentSyncService::generateBundleName().
+ *
+ * @param {string} name - Component name, label or SDC ID
+ * @returns {string} Lowercase letters, digits and underscores, at most 32
+ */
+function machineName(name) {
+  return String(name)
+    .replace(/^.*:/, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9_]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .substring(0, 32);
+}
+
+/**
+ * Get the prop name of a field name, like SdcGeneratorService::getPropName().
+ *
+ * @param {string} name - Prop or field name
+ * @returns {string}
+ */
+function propName(name) {
+  return machineName(name).replace(/^field_/, '');
+}
+
+/**
+ * Get the slot name of a field name, like SdcGeneratorService does.
+ *
+ * @param {string} name - Slot or field name
+ * @returns {string}
+ */
+function slotName(name) {
+  return machineName(name).replace(/^field_/, '').replace(/_slot$/, '');
+}
+
+/**
+ * Get the React component name, like ReactGeneratorService::getComponentName().
+ *
+ * @param {string} id - Component machine name
+ * @returns {string} The name in PascalCase
+ */
+function componentName(id) {
+  return id.split('_').filter(Boolean).map((part) => part.charAt(0).toUpperCase() + part.slice(1)).join('');
+}
+
+/**
+ * Get the label ComponentSyncService gives a prop or slot without a title.
+ *
+ * @param {string} name - Prop or slot name
+ * @returns {string}
+ */
+function humanize(name) {
+  const label = name.replace(/_/g, ' ');
+  return label.charAt(0).toUpperCase() + label.slice(1);
+}
+
+/**
+ * Get the BEM class of an element of a component.
+ *
+ * @param {string} id - Component machine name
+ * @param {string} [element] - Prop or slot name
+ * @returns {string}
+ */
+function className(id, element) {
+  const block = id.replace(/_/g, '-');
+  return element ? `${block}__${element.replace(/_/g, '-')}` : block;
+}
+
+/**
+ * List props or slots keyed by name, or given as an array with names.
+ *
+ * @param {Object|Object[]|undefined} items - Props or slots of a spec
+ * @returns {Array<[string, Object]>}
+ */
+function entries(items) {
+  if (!items) {
+    return [];
+  }
+  if (Array.isArray(items)) {
+    return items.map((item) => [item.name, item]);
+  }
+  return Object.entries(items).map(([name, item]) => [name, item || {}]);
+}
+
+/**
+ * Check a spec and fill in what it leaves out.
+ *
+ * @param {string} name - Component name from the command line
+ * @param {Object} [spec] - Spec from a JSON file or the prompts
+ * @returns {Object} The normalized spec
+ */
+function normalizeSpec(name, spec = {}) {
+  const id = machineName(name || spec.name || '');
+  if (!id) {
+    throw new GeneratorError('A component name is required.');
+  }
+  if (!/^[a-z]/.test(id)) {
+    throw new GeneratorError(`Component names must start with a letter: ${id}`);
+  }
+
+  const names = new Set(['drupal_context', 'slots']);
+  const claim = (item) => {
+    if (!item || names.has(item)) {
+      throw new GeneratorError(item ? `The name "${item}" is taken.` : 'Props and slots need a name.');
+    }
+    names.add(item);
+    return item;
+  };
+
+  const props = entries(spec.props).map(([key, prop]) => {
+    const itemName = claim(propName(key || ''));
+    const type = PROP_TYPES.includes(prop.type) ? prop.type : (FIELD_TYPES[prop.type] || 'string');
+    return {
+      name: itemName,
+      type,
+      title: prop.title || humanize(itemName),
+      description: prop.description || '',
+      required: Boolean(prop.required),
+      enum: Array.isArray(prop.enum) && prop.enum.length ? prop.enum : null,
+      default: prop.default,
+      examples: Array.isArray(prop.examples) ? prop.examples : [],
+    };
+  });
+
+  const slots = entries(spec.slots).map(([key, slot]) => {
+    const itemName = claim(slotName(key || ''));
+    return {
+      name: itemName,
+      title: slot.title || humanize(itemName),
+      description: slot.description || '',
+      required: Boolean(slot.required),
+    };
+  });
+
+  const rendering = { twig: true, react: true, ...spec.rendering };
+  if (!rendering.twig && !rendering.react) {
+    throw new GeneratorError('Enable at least one of the Twig and React render methods.');
+  }
+  rendering.default = rendering.default || (rendering.react ? 'react' : 'twig');
+  if (!rendering[rendering.default]) {
+    throw new GeneratorError(`The default render method "${rendering.default}" is not enabled.`);
+  }
+
+  return {
+    id,
+    component: componentName(id),
+    label: spec.label || humanize(id),
+    description: spec.description || '',
+    group: spec.group || '',
+    props,
+    slots,
+    rendering: { twig: Boolean(rendering.twig), react: Boolean(rendering.react), default: rendering.default },
+  };
+}
+
+/**
+ * Whether a prop gets its own element in the markup.
+ *
+ * As in ReactGeneratorService, those are the string props; strings with
+ * allowed values become modifier classes of the component instead.
+ *
+ * @param {Object} prop - Normalized prop
+ * @returns {boolean}
+ */
+function isRendered(prop) {
+  return prop.type === 'string' && !prop.enum;
+}
+
+/**
+ * Whether a prop becomes a modifier class of the component.
+ *
+ * @param {Object} prop - Normalized prop
+ * @returns {boolean}
+ */
+function isModifier(prop) {
+  return prop.type === 'string' && Boolean(prop.enum);
+}
+
+/**
+ * Format a value as a TypeScript literal.
+ *
+ * @param {*} value - Value
+ * @returns {string}
+ */
+function literal(value) {
+  if (typeof value === 'string') {
+    return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Format a prop as a JSX attribute.
+ *
+ * @param {string} name - Prop name
+ * @param {*} value - Value
+ * @returns {string}
+ */
+function jsxAttribute(name, value) {
+  return typeof value === 'string' ? `${name}="${value.replace(/"/g, '&quot;')}"` : `${name}={${literal(value)}}`;
+}
+
+/**
+ * Format a string as a Twig string literal.
+ *
+ * @param {string} value - Value
+ * @returns {string}
+ */
+function twigLiteral(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+/**
+ * Get a value to show a prop with in stories and tests.
+ *
+ * @param {Object} prop - Normalized prop
+ * @returns {*}
+ */
+function sampleValue(prop) {
+  if (prop.examples.length) {
+    return prop.examples[0];
+  }
+  if (prop.default !== undefined) {
+    return prop.default;
+  }
+  if (prop.enum) {
+    return prop.enum[0];
+  }
+  return { string: prop.title, number: 1, integer: 1, boolean: true, object: {}, array: [] }[prop.type];
+}
+
+/**
+ * Render the SDC definition.
+ *
+ * @param {Object} spec - Normalized spec
+ * @returns {string} The .component.yml
+ */
+function renderComponentYml(spec) {
+  const properties = {};
+  spec.props.forEach((prop) => {
+    const schema = { type: prop.type, title: prop.title };
+    if (prop.description) {
+      schema.description = prop.description;
+    }
+    if (prop.enum) {
+      schema.enum = prop.enum;
+    }
+    if (prop.default !== undefined) {
+      schema.default = prop.default;
+    }
+    if (prop.examples.length) {
+      schema.examples = prop.examples;
+    }
+    properties[prop.name] = schema;
+  });
+  properties.drupal_context = DRUPAL_CONTEXT;
+
+  const definition = {
+    name: spec.label,
+    description: spec.description,
+    status: 'stable',
+  };
+  if (spec.group) {
+    definition.group = spec.group;
+  }
+
+  definition.props = { type: 'object' };
+  const required = spec.props.filter((prop) => prop.required).map((prop) => prop.name);
+  if (required.length) {
+    definition.props.required = required;
+  }
+  definition.props.properties = properties;
+
+  if (spec.slots.length) {
+    definition.slots = {};
+    spec.slots.forEach((slot) => {
+      definition.slots[slot.name] = { title: slot.title };
+      if (slot.description) {
+        definition.slots[slot.name].description = slot.description;
+      }
+      if (slot.required) {
+        definition.slots[slot.name].required = true;
+      }
+    });
+  }
+
+  definition.rendering = spec.rendering;
+
+  return '# Generated by npm run generate\n\n' + yaml.dump(definition, { lineWidth: -1, noRefs: true });
+}
+
+/**
+ * Render the Twig template.
+ *
+ * The markup matches the React component, so hydration-check.js finds no
+ * differences between the two until either is changed.
+ *
+ * @param {Object} spec - Normalized spec
+ * @returns {string} The .html.twig
+ */
+function renderTwig(spec) {
+  const lines = [
+    '{#',
+    '/**',
+    ' * @file',
+    ` * ${spec.label} component template.`,
+    ' *',
+    ' * Available variables:',
+  ];
+  spec.props.forEach((prop) => {
+    const values = prop.enum ? ` (${prop.enum.join(', ')})` : '';
+    lines.push(` * - ${prop.name}: ${prop.description || prop.title}${values}`);
+  });
+  lines.push(' * - attributes: HTML attributes for the component');
+  if (spec.slots.length) {
+    lines.push(` * - slots: Content slots (${spec.slots.map((slot) => slot.name).join(', ')})`);
+  }
+  lines.push(' */', '#}');
+
+  const modifiers = spec.props.filter(isModifier).map((prop) => {
+    const modifier = `'${className(spec.id)}--' ~ `;
+    return prop.default !== undefined
+      ? `  ${modifier}(${prop.name}|default(${twigLiteral(prop.default)})),`
+      : `  ${prop.name} ? ${modifier}${prop.name},`;
+  });
+  lines.push('{% set classes = [', `  '${className(spec.id)}',`, ...modifiers, '] %}');
+
+  spec.props.filter((prop) => isRendered(prop) && prop.default !== undefined).forEach((prop) => {
+    lines.push(`{% set ${prop.name} = ${prop.name}|default(${twigLiteral(prop.default)}) %}`);
+  });
+
+  lines.push('', '<div{{ attributes.addClass(classes) }}>');
+  spec.props.filter(isRendered).forEach((prop) => {
+    const tag = HEADINGS.includes(prop.name) ? 'h2' : 'div';
+    const element = HEADINGS.includes(prop.name) ? 'title' : prop.name;
+    lines.push(
+      `  {% if ${prop.name} %}`,
+      `    <${tag} class="${className(spec.id, element)}">`,
+      `      {{ ${prop.name} }}`,
+      `    </${tag}>`,
+      '  {% endif %}',
+    );
+  });
+  spec.slots.forEach((slot) => {
+    lines.push(
+      `  {% if slots.${slot.name} %}`,
+      `    <div class="${className(spec.id, slot.name)}">`,
+      `      {{ slots.${slot.name} }}`,
+      '    </div>',
+      '  {% endif %}',
+    );
+  });
+  lines.push('</div>', '');
+
+  return lines.join('\n');
+}
+
+/**
+ * Render the React component.
+ *
+ * @param {Object} spec - Normalized spec
+ * @param {string} [typesImport] - Import path of the prop type declarations
+ * @returns {string} The .tsx
+ */
+function renderTsx(spec, typesImport = '../../types/components') {
+  const name = spec.component;
+  const lines = [
+    '/**',
+    ` * ${spec.label} Component`,
+    ' *',
+    ' * Generated by npm run generate.',
+    ' */',
+    '',
+    "import type { FC } from 'react';",
+    '',
+    `import type { ${name}Props } from '${typesImport}/${spec.id}';`,
+    `import './${spec.id}.css';`,
+    '',
+  ];
+
+  // Only what the markup uses is destructured.
+  lines.push(`const ${name}: FC<${name}Props> = ({`);
+  spec.props.filter((prop) => isRendered(prop) || isModifier(prop)).forEach((prop) => {
+    lines.push(prop.default !== undefined ? `  ${prop.name} = ${literal(prop.default)},` : `  ${prop.name},`);
+  });
+  if (spec.slots.length) {
+    lines.push('  slots = {},');
+  }
+  lines.push('}) => {');
+
+  const block = className(spec.id);
+  lines.push('  const classes = [', `    '${block}',`);
+  spec.props.filter(isModifier).forEach((prop) => {
+    lines.push(prop.default !== undefined
+      ? `    \`${block}--\${${prop.name}}\`,`
+      : `    ${prop.name} && \`${block}--\${${prop.name}}\`,`);
+  });
+  lines.push("  ].filter(Boolean).join(' ');", '', '  return (', '    <div className={classes}>');
+
+  spec.props.filter(isRendered).forEach((prop) => {
+    const tag = HEADINGS.includes(prop.name) ? 'h2' : 'div';
+    const element = HEADINGS.includes(prop.name) ? 'title' : prop.name;
+    lines.push(
+      `      {${prop.name} && (`,
+      `        <${tag} className="${className(spec.id, element)}">`,
+      `          {${prop.name}}`,
+      `        </${tag}>`,
+      '      )}',
+    );
+  });
+  spec.slots.forEach((slot) => {
+    lines.push(
+      `      {slots.${slot.name} && (`,
+      `        <div className="${className(spec.id, slot.name)}">`,
+      `          {slots.${slot.name}}`,
+      '        </div>',
+      '      )}',
+    );
+  });
+  lines.push(
+    '    </div>',
+    '  );',
+    '};',
+    '',
+    '// Register with Drupal Component Entity',
+    "if (typeof window !== 'undefined' && window.Drupal?.componentEntity) {",
+    `  window.Drupal.componentEntity.register('${spec.id}', ${name});`,
+    '}',
+    '',
+    `export default ${name};`,
+    '',
+  );
+
+  return lines.join('\n');
+}
+
+/**
+ * Render the styles, like ReactGeneratorService::generateStylesFile().
+ *
+ * @param {Object} spec - Normalized spec
+ * @returns {string} The .css
+ */
+function renderCss(spec) {
+  const lines = [
+    '/**',
+    ` * Styles for ${spec.label} Component`,
+    ' */',
+    '',
+    `.${className(spec.id)} {`,
+    '  /* Container styles */',
+    '  position: relative;',
+    '  padding: 1rem;',
+    '}',
+  ];
+  spec.props.filter(isRendered).forEach((prop) => {
+    if (HEADINGS.includes(prop.name)) {
+      lines.push('', `.${className(spec.id, 'title')} {`, '  font-size: 2rem;', '  font-weight: bold;', '  margin-bottom: 1rem;', '}');
+    } else {
+      lines.push('', `.${className(spec.id, prop.name)} {`, `  /* Styles for ${prop.title} */`, '  margin-bottom: 0.5rem;', '}');
+    }
+  });
+  spec.slots.forEach((slot) => {
+    lines.push('', `.${className(spec.id, slot.name)} {`, `  /* Styles for ${slot.title} */`, '  margin-bottom: 0.5rem;', '}');
+  });
+  lines.push('');
+
+  return lines.join('\n');
+}
+
+/**
+ * Render an object literal of props.
+ *
+ * @param {Array<[string, string]>} props - Prop names and their source
+ * @param {string} indent - Indentation of the properties
+ * @returns {string}
+ */
+function objectLiteral(props, indent) {
+  if (!props.length) {
+    return '{}';
+  }
+  const closing = indent.slice(2);
+  return `{\n${props.map(([key, value]) => `${indent}${key}: ${value},`).join('\n')}\n${closing}}`;
+}
+
+/**
+ * Render the Storybook story.
+ *
+ * @param {Object} spec - Normalized spec
+ * @returns {string} The .stories.tsx
+ */
+function renderStory(spec) {
+  const name = spec.component;
+  const argTypes = spec.props.filter((prop) => prop.enum).map((prop) => {
+    return [prop.name, `{\n      control: 'select',\n      options: [${prop.enum.map(literal).join(', ')}],\n    }`];
+  });
+  const args = spec.props
+    .filter((prop) => prop.required || isRendered(prop) || prop.examples.length)
+    .map((prop) => [prop.name, literal(sampleValue(prop))]);
+
+  const lines = [
+    "import type { Meta, StoryObj } from '@storybook/react';",
+    '',
+    `import ${name} from './${spec.id}';`,
+    '',
+    `const meta: Meta<typeof ${name}> = {`,
+    `  title: 'Components/${name}',`,
+    `  component: ${name},`,
+  ];
+  if (argTypes.length) {
+    lines.push(`  argTypes: ${objectLiteral(argTypes, '    ')},`);
+  }
+  lines.push(
+    '};',
+    '',
+    'export default meta;',
+    `type Story = StoryObj<typeof ${name}>;`,
+    '',
+    'export const Default: Story = {',
+    `  args: ${objectLiteral(args, '    ')},`,
+    '};',
+  );
+  if (spec.slots.length) {
+    const slots = spec.slots.map((slot) => [slot.name, `<p>${slot.title}</p>`]);
+    lines.push(
+      '',
+      'export const WithSlots: Story = {',
+      '  args: {',
+      '    ...Default.args,',
+      `    slots: ${objectLiteral(slots, '      ')},`,
+      '  },',
+      '};',
+    );
+  }
+  lines.push('');
+
+  return lines.join('\n');
+}
+
+/**
+ * Render the test.
+ *
+ * @param {Object} spec - Normalized spec
+ * @returns {string} The .test.tsx
+ */
+function renderTest(spec) {
+  const name = spec.component;
+  const required = spec.props.filter((prop) => prop.required).map((prop) => [prop.name, literal(sampleValue(prop))]);
+  const lines = [
+    "import { render, screen } from '@testing-library/react';",
+    "import type { ComponentProps } from 'react';",
+    '',
+    `import ${name} from './${spec.id}';`,
+    '',
+    `describe('${name} Component', () => {`,
+    `  const defaultProps: ComponentProps<typeof ${name}> = ${objectLiteral(required, '    ')};`,
+    '',
+    "  it('renders with required props', () => {",
+    `    const { container } = render(<${name} {...defaultProps} />);`,
+    `    expect(container.firstChild).toHaveClass('${className(spec.id)}');`,
+    '  });',
+  ];
+  spec.props.filter(isRendered).forEach((prop) => {
+    const value = `Test ${prop.title}`;
+    lines.push(
+      '',
+      `  it('renders ${prop.name}', () => {`,
+      `    render(<${name} {...defaultProps} ${jsxAttribute(prop.name, value)} />);`,
+      `    expect(screen.getByText(${literal(value)})).toBeInTheDocument();`,
+      '  });',
+    );
+  });
+  spec.props.filter(isModifier).forEach((prop) => {
+    const value = prop.enum[prop.enum.length - 1];
+    lines.push(
+      '',
+      `  it('applies the ${prop.name} modifier', () => {`,
+      `    const { container } = render(<${name} {...defaultProps} ${jsxAttribute(prop.name, value)} />);`,
+      `    expect(container.firstChild).toHaveClass(${literal(`${className(spec.id)}--${value}`)});`,
+      '  });',
+    );
+  });
+  if (spec.slots.length) {
+    const slots = spec.slots.map((slot) => `${slot.name}: <div>${slot.title} slot</div>`).join(', ');
+    lines.push(
+      '',
+      "  it('renders slots when provided', () => {",
+      `    render(<${name} {...defaultProps} slots={{ ${slots} }} />);`,
+    );
+    spec.slots.forEach((slot) => {
+      lines.push(`    expect(screen.getByText(${literal(`${slot.title} slot`)})).toBeInTheDocument();`);
+    });
+    lines.push('  });');
+  }
+  lines.push('});', '');
+
+  return lines.join('\n');
+}
+
+/**
+ * Render every file of a component.
+ *
+ * @param {Object} spec - Normalized spec
+ * @param {string} [typesImport] - Import path of the prop type declarations
+ * @returns {Object<string, string>} File contents keyed by file name
+ */
+function generateFiles(spec, typesImport) {
+  const files = {
+    [`${spec.id}.component.yml`]: renderComponentYml(spec),
+    [`${spec.id}.css`]: renderCss(spec),
+  };
+  if (spec.rendering.twig) {
+    files[`${spec.id}.html.twig`] = renderTwig(spec);
+  }
+  if (spec.rendering.react) {
+    files[`${spec.id}.tsx`] = renderTsx(spec, typesImport);
+    files[`${spec.id}.stories.tsx`] = renderStory(spec);
+    files[`${spec.id}.test.tsx`] = renderTest(spec);
+  }
+  return files;
+}
+
+/**
+ * Write the files of a component.
+ *
+ * Nothing is written when a file exists with content, unless forced. Empty
+ * placeholder files are replaced. React components also get their prop
+ * types, which are generated and so always replaced.
+ *
+ * @param {Object} spec - Normalized spec
+ * @param {Object} [options] - Generator options (dir, types, force)
+ * @returns {string[]} Paths of the written files
+ */
+function writeComponent(spec, options = {}) {
+  const { dir, types, force } = { ...DEFAULTS, ...options };
+  const directory = path.join(dir, spec.id);
+  const typesImport = path.relative(directory, types).split(path.sep).join('/');
+  const generated = generateFiles(spec, typesImport);
+  const files = Object.entries(generated).map(([file, content]) => [path.join(directory, file), content]);
+
+  if (!force) {
+    const existing = files.filter(([file]) => fs.existsSync(file) && fs.statSync(file).size > 0);
+    if (existing.length) {
+      throw new GeneratorError(`Files exist, use --force to overwrite them:\n${existing.map(([file]) => `  ${file}`).join('\n')}`);
+    }
+  }
+
+  if (spec.rendering.react) {
+    const source = `${spec.id}.component.yml`;
+    const definition = yaml.load(generated[source]);
+    files.push([path.join(types, `${spec.id}.d.ts`), compileComponent(spec.id, definition, path.relative(ROOT, path.join(directory, source)).split(path.sep).join('/'))]);
+  }
+
+  fs.mkdirSync(directory, { recursive: true });
+  fs.mkdirSync(types, { recursive: true });
+  files.forEach(([file, content]) => fs.writeFileSync(file, content));
+  return files.map(([file]) => file);
+}
+
+/**
+ * Parse a default value entered at a prompt.
+ *
+ * @param {string} value - The answer
+ * @param {string} type - Prop type
+ * @returns {*} The value; undefined when there is none
+ */
+function parseDefault(value, type) {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  switch (type) {
+    case 'number':
+    case 'integer':
+      return Number(value);
+
+    case 'boolean':
+      return value === 'true';
+
+    case 'object':
+    case 'array':
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        throw new GeneratorError(`The default is not valid JSON: ${value}`);
+      }
+
+    default:
+      return value;
+  }
+}
+
+/**
+ * Ask for a spec in the terminal.
+ *
+ * @param {string} name - Component name from the command line
+ * @returns {Promise<Object>} The spec, to normalize
+ */
+async function promptSpec(name) {
+  const options = {
+    onCancel: () => {
+      throw new GeneratorError('Cancelled.');
+    },
+  };
+
+  const spec = await prompts([
+    { type: name ? null : 'text', name: 'name', message: 'Machine name' },
+    { type: 'text', name: 'label', message: 'Label', initial: (prev) => humanize(machineName(name || prev)) },
+    { type: 'text', name: 'description', message: 'Description' },
+    { type: 'text', name: 'group', message: 'Group' },
+  ], options);
+
+  spec.props = {};
+  for (;;) {
+    const { prop } = await prompts({ type: 'text', name: 'prop', message: 'Prop name (leave empty when done)' }, options);
+    if (!prop) {
+      break;
+    }
+    const answers = await prompts([
+      { type: 'select', name: 'type', message: 'Type', choices: PROP_TYPES.map((type) => ({ title: type, value: type })) },
+      { type: 'text', name: 'title', message: 'Title', initial: humanize(propName(prop)) },
+      { type: 'text', name: 'description', message: 'Description' },
+      { type: 'confirm', name: 'required', message: 'Required?', initial: false },
+      { type: (prev, values) => (values.type === 'string' ? 'list' : null), name: 'enum', message: 'Allowed values, comma-separated (leave empty for any)' },
+      { type: 'text', name: 'default', message: 'Default (leave empty for none)' },
+    ], options);
+    spec.props[prop] = {
+      ...answers,
+      enum: (answers.enum || []).filter(Boolean),
+      default: parseDefault(answers.default, answers.type),
+    };
+  }
+
+  spec.slots = {};
+  for (;;) {
+    const { slot } = await prompts({ type: 'text', name: 'slot', message: 'Slot name (leave empty when done)' }, options);
+    if (!slot) {
+      break;
+    }
+    spec.slots[slot] = await prompts([
+      { type: 'text', name: 'title', message: 'Title', initial: humanize(slotName(slot)) },
+      { type: 'text', name: 'description', message: 'Description' },
+      { type: 'confirm', name: 'required', message: 'Required?', initial: false },
+    ], options);
+  }
+
+  const { methods } = await prompts({
+    type: 'multiselect',
+    name: 'methods',
+    message: 'Render methods',
+    choices: [
+      { title: 'Twig', value: 'twig', selected: true },
+      { title: 'React', value: 'react', selected: true },
+    ],
+    min: 1,
+  }, options);
+  const { method } = await prompts({
+    type: methods.length > 1 ? 'select' : null,
+    name: 'method',
+    message: 'Default render method',
+    choices: methods.map((value) => ({ title: value === 'twig' ? 'Twig' : 'React', value })),
+  }, options);
+  spec.rendering = {
+    twig: methods.includes('twig'),
+    react: methods.includes('react'),
+    default: method || methods[0],
+  };
+
+  return spec;
+}
+
+/**
+ * Read a spec, from a JSON file or the prompts.
+ *
+ * @param {Object} options - Generator options
+ * @returns {Promise<Object>} The spec, to normalize
+ */
+async function readSpec(options) {
+  if (options.spec) {
+    try {
+      return JSON.parse(fs.readFileSync(options.spec, 'utf8'));
+    } catch (error) {
+      throw new GeneratorError(`Cannot read ${options.spec}: ${error.message}`);
+    }
+  }
+  if (!process.stdin.isTTY) {
+    throw new GeneratorError('Pass a spec with --spec when not running in a terminal.');
+  }
+  return promptSpec(options.name);
+}
+
+/**
+ * Generate a component from the command line.
+ */
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const spec = normalizeSpec(options.name, await readSpec(options));
+  const files = writeComponent(spec, options);
+
+  process.stdout.write(`Generated ${spec.id}:\n${files.map((file) => `  ${path.relative(process.cwd(), file)}`).join('\n')}\n`);
+  process.stdout.write('Run "drush component:sync" to create its component type.\n');
+}
+
+module.exports = {
+  GeneratorError,
+  parseArgs,
+  machineName,
+  normalizeSpec,
+  renderComponentYml,
+  renderTwig,
+  renderTsx,
+  renderCss,
+  renderStory,
+  renderTest,
+  generateFiles,
+  writeComponent,
+  parseDefault,
+  promptSpec,
+};
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error instanceof GeneratorError ? error.message : error);
+    process.exitCode = 1;
+  });
+}
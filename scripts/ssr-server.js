@@ -0,0 +1,420 @@
+#!/usr/bin/env node
+/**
+ * @file
+ * Server-side rendering worker for Component Entity React components.
+ *
+ * Loads the webpack-built bundles from dist/ into a browser-like sandbox,
+ * renders components with the same props ComponentReactRenderer puts into
+ * drupalSettings and serves the HTML over HTTP or a Unix socket.
+ *
+ * Usage:
+ *   node scripts/ssr-server.js [--port 3001] [--host 127.0.0.1]
+ *   node scripts/ssr-server.js --socket /run/component-ssr.sock
+ *
+ * Protocol:
+ *   POST /render  JSON drupalSettings component entry, plus its "schema"
+ *                 -> text/html
+ *   GET  /health  JSON status and registered components
+ */
+
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { TextDecoder, TextEncoder } = require('util');
+const vm = require('vm');
+
+const React = require('react');
+const ReactDOM = require('react-dom');
+const ReactDOMServer = require('react-dom/server');
+
+const ROOT = path.resolve(__dirname, '..');
+
+/**
+ * Default worker options, overridable by environment and CLI flags.
+ */
+const DEFAULTS = {
+  host: process.env.COMPONENT_SSR_HOST || '127.0.0.1',
+  port: Number(process.env.COMPONENT_SSR_PORT || 3001),
+  socket: process.env.COMPONENT_SSR_SOCKET || '',
+  dist: process.env.COMPONENT_SSR_DIST || path.join(ROOT, 'dist'),
+  timeout: Number(process.env.COMPONENT_SSR_TIMEOUT || 3000),
+  maxBodySize: 1024 * 1024,
+};
+
+/**
+ * Bundles that only make sense in the browser.
+ */
+const BROWSER_ONLY = ['component-renderer.js'];
+
+/**
+ * Modules loaded from js/ rather than dist/.
+ */
+const SOURCE_LOADED = ['component-registry.js', 'component-store.js', 'drupal-react.js'];
+
+/**
+ * Error with an HTTP status code.
+ */
+class SsrError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'SsrError';
+    this.status = status;
+  }
+}
+
+/**
+ * Parse CLI flags into options.
+ *
+ * @param {string[]} argv - Process arguments
+ * @returns {Object}
+ */
+function parseArgs(argv) {
+  const options = { ...DEFAULTS };
+
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i].replace(/^--/, '');
+    if (Object.prototype.hasOwnProperty.call(DEFAULTS, flag) && argv[i + 1] !== undefined) {
+      const value = argv[++i];
+      options[flag] = typeof DEFAULTS[flag] === 'number' ? Number(value) : value;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * List bundle files in load order: runtime first, shared chunks next.
+ *
+ * @param {string} dist - Path to the webpack output directory
+ * @returns {string[]}
+ */
+function listBundles(dist) {
+  const jsDir = path.join(dist, 'js');
+  if (!fs.existsSync(jsDir)) {
+    throw new Error(`No bundles found in ${jsDir}. Run "npm run build" first.`);
+  }
+
+  const read = (dir) => (fs.existsSync(dir) ? fs.readdirSync(dir) : [])
+    .filter((file) => file.endsWith('.js') && !BROWSER_ONLY.includes(file))
+    .map((file) => path.join(dir, file));
+
+  const weight = (file) => {
+    const name = path.basename(file);
+    if (name === 'runtime.js') return 0;
+    if (/^(react-vendor|vendor|common)\./.test(name)) return 1;
+    if (name === 'component-registry.js') return 2;
+    return 3;
+  };
+
+  // Chunks are installed up front so dynamic imports never need a <script>.
+  return [...read(jsDir), ...read(path.join(jsDir, 'chunks'))]
+    .sort((a, b) => weight(a) - weight(b) || a.localeCompare(b));
+}
+
+/**
+ * Create the browser-like global scope the bundles run in.
+ *
+ * @returns {Object} The vm context
+ */
+function createSandbox() {
+  const sandbox = {
+    console,
+    setTimeout,
+    clearTimeout,
+    setInterval,
+    clearInterval,
+    queueMicrotask,
+    URL,
+    URLSearchParams,
+    TextEncoder,
+    TextDecoder,
+    React,
+    ReactDOM,
+    drupalSettings: {},
+    Drupal: {
+      behaviors: {},
+      t: (str, args) => formatString(str, args),
+      formatPlural: (count, singular, plural, args) =>
+        formatString(count === 1 ? singular : plural, { '@count': String(count), ...args }),
+      url: (urlPath) => urlPath,
+    },
+  };
+  sandbox.window = sandbox;
+  sandbox.self = sandbox;
+
+  return vm.createContext(sandbox);
+}
+
+/**
+ * Minimal Drupal.t placeholder replacement.
+ */
+function formatString(str, args = {}) {
+  return Object.keys(args).reduce((result, key) => result.split(key).join(args[key]), str);
+}
+
+/**
+ * Load the registry and every component bundle into a fresh sandbox.
+ *
+ * @param {Object} options - Worker options
+ * @returns {Object} Loaded renderer state
+ */
+function loadBundles(options) {
+  const context = createSandbox();
+
+  // The registry source is loaded directly so the sandbox shares its API
+  // with the browser even when dist/ predates a registry change.
+  const registryFile = path.join(ROOT, 'js', 'component-registry.js');
+  vm.runInContext(fs.readFileSync(registryFile, 'utf8'), context, { filename: registryFile });
+
+  // Shared stores, then DrupalProvider and hooks, the webpack external
+  // component bundles resolve to Drupal.componentEntity.react.
+  const storeFile = path.join(ROOT, 'js', 'component-store.js');
+  vm.runInContext(fs.readFileSync(storeFile, 'utf8'), context, { filename: storeFile });
+  const sharedFile = path.join(ROOT, 'js', 'drupal-react.js');
+  vm.runInContext(fs.readFileSync(sharedFile, 'utf8'), context, { filename: sharedFile });
+
+  const componentEntity = context.Drupal.componentEntity;
+  const registry = componentEntity.registry;
+  componentEntity.register = (name, component, registerOptions) =>
+    registry.register(name, component, registerOptions);
+  componentEntity.getComponent = (name, namespace) => registry.get(name, namespace);
+
+  const bundles = listBundles(options.dist).filter((file) => !SOURCE_LOADED.includes(path.basename(file)));
+  bundles.forEach((file) => {
+    try {
+      vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+    } catch (error) {
+      console.error(`Failed to load bundle ${path.relative(ROOT, file)}:`, error.message);
+    }
+  });
+
+  return { context, registry, bundles };
+}
+
+/**
+ * Build the React element for a drupalSettings component entry.
+ *
+ * @param {Object} state - Loaded renderer state
+ * @param {Object} config - Component entry (type, props, slots, ...)
+ * @returns {React.ReactElement}
+ */
+function createComponentElement(state, config) {
+  if (!config || typeof config.type !== 'string') {
+    throw new SsrError(400, 'Request must include a component "type".');
+  }
+
+  const Component = state.registry.get(config.type);
+  if (!Component) {
+    throw new SsrError(404, `Component not registered: ${config.type}`);
+  }
+
+  // Drupal sends the .component.yml schema along with the entry.
+  if (config.schema) {
+    state.registry.setSchema(config.type, config.schema);
+  }
+
+  // Wrapped in DrupalProvider like every client root.
+  return state.registry.withDrupalProvider(
+    React.createElement(Component, state.registry.buildInstanceProps(config)),
+    state.registry.buildEntityContext(config)
+  );
+}
+
+/**
+ * Render a component entry to an HTML string.
+ *
+ * @param {Object} state - Loaded renderer state
+ * @param {Object} config - Component entry
+ * @returns {string}
+ */
+function renderToString(state, config) {
+  return ReactDOMServer.renderToString(createComponentElement(state, config));
+}
+
+/**
+ * Stream a component entry into an HTTP response once it is fully ready.
+ *
+ * @param {Object} state - Loaded renderer state
+ * @param {Object} config - Component entry
+ * @param {http.ServerResponse} res - Response to write to
+ * @param {number} timeout - Milliseconds before rendering is aborted
+ */
+function renderToResponse(state, config, res, timeout) {
+  const element = createComponentElement(state, config);
+
+  // React 17 has no streaming renderer.
+  if (!ReactDOMServer.renderToPipeableStream) {
+    sendHtml(res, ReactDOMServer.renderToString(element));
+    return;
+  }
+
+  let failed = false;
+  const stream = ReactDOMServer.renderToPipeableStream(element, {
+    // Wait for Suspense boundaries: the markup is used for SEO and hydration.
+    onAllReady() {
+      if (failed) return;
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      stream.pipe(res);
+    },
+    onShellError(error) {
+      failed = true;
+      sendJson(res, 500, { error: error.message });
+    },
+    onError(error) {
+      // Errors inside Suspense boundaries fall back to client rendering.
+      console.error(`Failed to render component ${config.type}:`, error);
+    },
+  });
+
+  const timer = setTimeout(() => stream.abort(), timeout);
+  res.on('close', () => clearTimeout(timer));
+}
+
+/**
+ * Send an HTML response.
+ */
+function sendHtml(res, html) {
+  res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+  res.end(html);
+}
+
+/**
+ * Send a JSON response.
+ */
+function sendJson(res, status, data) {
+  if (res.headersSent) {
+    res.end();
+    return;
+  }
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+/**
+ * Read and parse a JSON request body.
+ *
+ * @param {http.IncomingMessage} req - Request
+ * @param {number} maxBodySize - Maximum body size in bytes
+ * @returns {Promise<Object>}
+ */
+function readJsonBody(req, maxBodySize) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > maxBodySize) {
+        reject(new SsrError(413, 'Request body too large.'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch (error) {
+        reject(new SsrError(400, `Invalid JSON: ${error.message}`));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Create the SSR HTTP server.
+ *
+ * @param {Object} [options] - Worker options
+ * @returns {http.Server} Server with a reload() method
+ */
+function createServer(options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  let state = loadBundles(settings);
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'GET' && url.pathname === '/health') {
+      sendJson(res, 200, {
+        status: 'ok',
+        components: Object.keys(state.registry.getAll()),
+        bundles: state.bundles.map((file) => path.relative(settings.dist, file)),
+      });
+      return;
+    }
+
+    if (req.method !== 'POST' || url.pathname !== '/render') {
+      sendJson(res, 404, { error: 'Not found.' });
+      return;
+    }
+
+    readJsonBody(req, settings.maxBodySize)
+      .then((config) => renderToResponse(state, config, res, settings.timeout))
+      .catch((error) => {
+        if (!(error instanceof SsrError)) {
+          console.error('SSR request failed:', error);
+        }
+        sendJson(res, error.status || 500, { error: error.message });
+      });
+  });
+
+  server.reload = () => {
+    state = loadBundles(settings);
+    return state;
+  };
+
+  return server;
+}
+
+/**
+ * Start the worker from the command line.
+ */
+function start() {
+  const options = parseArgs(process.argv.slice(2));
+  const server = createServer(options);
+
+  const shutdown = () => {
+    server.close(() => {
+      if (options.socket && fs.existsSync(options.socket)) {
+        fs.unlinkSync(options.socket);
+      }
+      process.exit(0);
+    });
+  };
+
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+  // Pick up a fresh build without dropping the socket.
+  process.on('SIGHUP', () => {
+    const { bundles } = server.reload();
+    console.warn(`Reloaded ${bundles.length} bundles.`);
+  });
+
+  if (options.socket) {
+    if (fs.existsSync(options.socket)) {
+      fs.unlinkSync(options.socket);
+    }
+    server.listen(options.socket, () => {
+      fs.chmodSync(options.socket, 0o660);
+      console.warn(`Component SSR worker listening on ${options.socket}`);
+    });
+  } else {
+    server.listen(options.port, options.host, () => {
+      console.warn(`Component SSR worker listening on http://${options.host}:${options.port}`);
+    });
+  }
+}
+
+module.exports = {
+  SsrError,
+  createServer,
+  loadBundles,
+  renderToString,
+};
+
+if (require.main === module) {
+  start();
+}
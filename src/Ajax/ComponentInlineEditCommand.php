@@ -0,0 +1,62 @@
+<?php
+
+namespace Drupal\component_entity\Ajax;
+
+use Drupal\Core\Ajax\CommandInterface;
+
+/**
+ * Reports the outcome of an inline edit to the editor that submitted it.
+ */
+class ComponentInlineEditCommand implements CommandInterface {
+
+  /**
+   * The outcome: 'saved', 'conflict' or 'invalid'.
+   *
+   * @var string
+   */
+  protected $status;
+
+  /**
+   * The rendered component, once saved.
+   *
+   * @var string|null
+   */
+  protected $html;
+
+  /**
+   * The changed time of the saved component.
+   *
+   * @var int|null
+   */
+  protected $changed;
+
+  /**
+   * Constructs a ComponentInlineEditCommand object.
+   *
+   * @param string $status
+   *   'saved', 'conflict' if someone else saved the component since the
+   *   editor was rendered, or 'invalid' if validation failed.
+   * @param string|null $html
+   *   The rendered component, once saved.
+   * @param int|null $changed
+   *   The changed time of the saved component.
+   */
+  public function __construct($status, $html = NULL, $changed = NULL) {
+    $this->status = $status;
+    $this->html = $html;
+    $this->changed = $changed;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function render() {
+    return [
+      'command' => 'componentEntityInlineEdit',
+      'status' => $this->status,
+      'html' => $this->html,
+      'changed' => $this->changed,
+    ];
+  }
+
+}
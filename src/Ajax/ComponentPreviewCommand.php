@@ -0,0 +1,75 @@
+<?php
+
+namespace Drupal\component_entity\Ajax;
+
+use Drupal\Core\Ajax\CommandInterface;
+
+/**
+ * Updates the component preview inside the live preview iframe.
+ *
+ * React previews get new props on their existing root, which keeps component
+ * state; anything else has its markup replaced.
+ */
+class ComponentPreviewCommand implements CommandInterface {
+
+  /**
+   * The selector of the preview container.
+   *
+   * @var string
+   */
+  protected $selector;
+
+  /**
+   * The rendered preview.
+   *
+   * @var string
+   */
+  protected $html;
+
+  /**
+   * The ID of the React root, if the preview is rendered with React.
+   *
+   * @var string|null
+   */
+  protected $componentId;
+
+  /**
+   * The drupalSettings entry of the React root.
+   *
+   * @var array|null
+   */
+  protected $config;
+
+  /**
+   * Constructs a ComponentPreviewCommand object.
+   *
+   * @param string $selector
+   *   The selector of the preview container.
+   * @param string $html
+   *   The rendered preview.
+   * @param string|null $component_id
+   *   The ID of the React root, or NULL for other render methods.
+   * @param array|null $config
+   *   The drupalSettings.componentEntity.components entry of the React root.
+   */
+  public function __construct($selector, $html, $component_id = NULL, ?array $config = NULL) {
+    $this->selector = $selector;
+    $this->html = $html;
+    $this->componentId = $component_id;
+    $this->config = $config;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function render() {
+    return [
+      'command' => 'componentEntityPreview',
+      'selector' => $this->selector,
+      'html' => $this->html,
+      'componentId' => $this->componentId,
+      'config' => $this->config,
+    ];
+  }
+
+}
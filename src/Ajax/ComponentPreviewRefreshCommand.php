@@ -0,0 +1,39 @@
+<?php
+
+namespace Drupal\component_entity\Ajax;
+
+use Drupal\Core\Ajax\CommandInterface;
+
+/**
+ * Has the live preview iframe render the stored form values again.
+ */
+class ComponentPreviewRefreshCommand implements CommandInterface {
+
+  /**
+   * The selector of the preview or the element containing it.
+   *
+   * @var string
+   */
+  protected $selector;
+
+  /**
+   * Constructs a ComponentPreviewRefreshCommand object.
+   *
+   * @param string $selector
+   *   The selector of the preview or the element containing it.
+   */
+  public function __construct($selector) {
+    $this->selector = $selector;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function render() {
+    return [
+      'command' => 'componentEntityPreviewRefresh',
+      'selector' => $this->selector,
+    ];
+  }
+
+}
@@ -0,0 +1,61 @@
+<?php
+
+namespace Drupal\component_entity\Ajax;
+
+use Drupal\Core\Ajax\CommandInterface;
+
+/**
+ * Adds a newly created component to a component reference widget.
+ */
+class ComponentReferenceInsertCommand implements CommandInterface {
+
+  /**
+   * The data-component-reference-field value of the widget.
+   *
+   * @var string
+   */
+  protected $target;
+
+  /**
+   * The value for the autocomplete input, e.g. "Hero (12)".
+   *
+   * @var string
+   */
+  protected $value;
+
+  /**
+   * The label of the component, for the announcement.
+   *
+   * @var string
+   */
+  protected $label;
+
+  /**
+   * Constructs a ComponentReferenceInsertCommand object.
+   *
+   * @param string $target
+   *   The data-component-reference-field value of the widget.
+   * @param string $value
+   *   The value for the autocomplete input.
+   * @param string $label
+   *   The label of the component.
+   */
+  public function __construct($target, $value, $label) {
+    $this->target = $target;
+    $this->value = $value;
+    $this->label = $label;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function render() {
+    return [
+      'command' => 'componentEntityInsertReference',
+      'target' => $this->target,
+      'value' => $this->value,
+      'label' => $this->label,
+    ];
+  }
+
+}
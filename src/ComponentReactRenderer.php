@@ -4,9 +4,14 @@ namespace Drupal\component_entity;
 
 use Drupal\Core\Asset\AssetResolverInterface;
 use Drupal\Core\Asset\AssetCollectionRendererInterface;
+use Drupal\Core\Cache\CacheableMetadata;
 use Drupal\Core\Render\RendererInterface;
+use Drupal\Core\Session\AccountInterface;
+use Drupal\Core\Url;
 use Drupal\Core\Plugin\Component\ComponentPluginManager;
 use Drupal\component_entity\Entity\ComponentEntityInterface;
+use Drupal\component_entity\Service\ComponentAssetManifest;
+use Drupal\component_entity\Service\ServerSideRenderingClient;
 use Symfony\Component\HttpFoundation\RequestStack;
 use Drupal\Core\Entity\EntityTypeManagerInterface;
 
@@ -71,6 +76,27 @@ class ComponentReactRenderer {
    */
   protected $libraryDiscovery;
 
+  /**
+   * The SSR worker client.
+   *
+   * @var \Drupal\component_entity\Service\ServerSideRenderingClient
+   */
+  protected $ssrClient;
+
+  /**
+   * The webpack asset manifest.
+   *
+   * @var \Drupal\component_entity\Service\ComponentAssetManifest
+   */
+  protected $assetManifest;
+
+  /**
+   * The current user.
+   *
+   * @var \Drupal\Core\Session\AccountInterface
+   */
+  protected $currentUser;
+
   /**
    * Constructs a ComponentReactRenderer object.
    */
@@ -83,6 +109,9 @@ class ComponentReactRenderer {
     RequestStack $request_stack,
     EntityTypeManagerInterface $entity_type_manager,
     $library_discovery,
+    ServerSideRenderingClient $ssr_client,
+    ComponentAssetManifest $asset_manifest,
+    AccountInterface $current_user,
   ) {
     $this->renderer = $renderer;
     $this->componentManager = $component_manager;
@@ -92,6 +121,9 @@ class ComponentReactRenderer {
     $this->requestStack = $request_stack;
     $this->entityTypeManager = $entity_type_manager;
     $this->libraryDiscovery = $library_discovery;
+    $this->ssrClient = $ssr_client;
+    $this->assetManifest = $asset_manifest;
+    $this->currentUser = $current_user;
   }
 
   /**
@@ -114,13 +146,33 @@ class ComponentReactRenderer {
     $props = $this->extractProps($entity);
     $slots = $this->extractSlots($entity);
 
+    // Per-component hydration overrides the component type default.
+    $component_type = $this->entityTypeManager
+      ->getStorage('component_type')
+      ->load($bundle);
+    $hydration = $react_config['hydration'] ?? ($component_type ? $component_type->getHydration() : 'full');
+    $hydration_options = $component_type ? $this->getHydrationOptions($component_type->getHydrationOptions()) : [];
+    $update_access = $entity->access('update', NULL, TRUE);
+
+    // The same entry feeds the client renderer and the SSR worker.
+    $component_settings = [
+      'type' => $bundle,
+      'entityId' => $entity->id(),
+      'viewMode' => $view_mode,
+      'props' => $props,
+      'slots' => $slots,
+      'hydration' => $hydration,
+      'hydrationOptions' => $hydration_options,
+      'canEdit' => $update_access->isAllowed(),
+    ];
+
     // Build the React wrapper.
     $build = [
       '#theme' => 'component_react_wrapper',
       '#component_id' => $component_id,
       '#component_type' => $bundle,
       '#entity_id' => $entity->id(),
-      '#hydration_method' => $react_config['hydration'] ?? 'full',
+      '#hydration_method' => $hydration,
       '#props' => $props,
       '#slots' => $slots,
       '#attached' => [
@@ -130,18 +182,40 @@ class ComponentReactRenderer {
         'drupalSettings' => [
           'componentEntity' => [
             'components' => [
-              $component_id => [
-                'type' => $bundle,
-                'props' => $props,
-                'slots' => $slots,
-                'hydration' => $react_config['hydration'] ?? 'full',
-              ],
+              $component_id => $component_settings,
             ],
           ],
         ],
       ],
     ];
 
+    // Client errors are logged through the watchdog endpoint; only
+    // administrators see error details in the fallback.
+    $error_report_url = Url::fromRoute('component_entity.error_report')->toString(TRUE);
+    $build['#attached']['drupalSettings']['componentEntity']['errorReporting'] = [
+      'url' => $error_report_url->getGeneratedUrl(),
+      'showDetails' => $this->currentUser->hasPermission('administer component entity settings'),
+    ];
+
+    // canEdit varies by user, error details by permissions.
+    CacheableMetadata::createFromRenderArray($build)
+      ->merge(CacheableMetadata::createFromObject($update_access))
+      ->merge(CacheableMetadata::createFromObject($error_report_url))
+      ->addCacheContexts(['user.permissions'])
+      ->applyTo($build);
+
+    // The .component.yml schema lets the client deliver props in the shape
+    // the React component declares.
+    $schema = $this->getComponentSchema($bundle);
+    if ($schema) {
+      $build['#attached']['drupalSettings']['componentEntity']['schemas'][$bundle] = $schema;
+    }
+
+    // Lets the client load the bundle on demand when no library provides it.
+    if ($manifest_entry = $this->assetManifest->getEntry($bundle)) {
+      $build['#attached']['drupalSettings']['componentEntity']['manifest'][$bundle] = $manifest_entry;
+    }
+
     // Add React library if configured.
     if (!empty($react_config['library'])) {
       if ($this->libraryExists($react_config['library'])) {
@@ -151,7 +225,7 @@ class ComponentReactRenderer {
 
     // Add server-side rendered content if enabled.
     if (!empty($react_config['ssr'])) {
-      $build['#ssr_content'] = $this->getServerSideRendered($entity, $props, $slots);
+      $build['#ssr_content'] = $this->getServerSideRendered($entity, $component_settings + ['schema' => $schema]);
     }
 
     // Add progressive enhancement fallback.
@@ -405,18 +479,15 @@ class ComponentReactRenderer {
    *
    * @param \Drupal\component_entity\Entity\ComponentEntityInterface $entity
    *   The component entity.
-   * @param array $props
-   *   Component props.
-   * @param array $slots
-   *   Component slots.
+   * @param array $component_settings
+   *   The component entry sent to drupalSettings.
    *
    * @return string
-   *   Server-side rendered HTML.
+   *   Server-side rendered HTML, or an empty string if the SSR worker is
+   *   disabled or unavailable.
    */
-  protected function getServerSideRendered(ComponentEntityInterface $entity, array $props, array $slots) {
-    // This would integrate with a Node.js SSR service.
-    // For now, return empty string.
-    return '';
+  protected function getServerSideRendered(ComponentEntityInterface $entity, array $component_settings) {
+    return $this->ssrClient->render($component_settings);
   }
 
   /**
@@ -474,6 +545,61 @@ class ComponentReactRenderer {
     return $slots;
   }
 
+  /**
+   * Maps stored hydration options to the keys the client strategies read.
+   *
+   * @param array $options
+   *   Options from ComponentTypeInterface::getHydrationOptions().
+   *
+   * @return array
+   *   Non-empty options keyed rootMargin, timeout, media and events.
+   */
+  protected function getHydrationOptions(array $options) {
+    $map = [
+      'root_margin' => 'rootMargin',
+      'timeout' => 'timeout',
+      'media' => 'media',
+      'events' => 'events',
+    ];
+
+    $client_options = [];
+    foreach ($map as $key => $client_key) {
+      if (isset($options[$key]) && $options[$key] !== '' && $options[$key] !== []) {
+        $client_options[$client_key] = $options[$key];
+      }
+    }
+    return $client_options;
+  }
+
+  /**
+   * Gets the props schema and slot names from a bundle's SDC definition.
+   *
+   * @param string $bundle
+   *   The component bundle.
+   *
+   * @return array|null
+   *   An array with 'props' (JSON schema) and 'slots' (slot names), or NULL
+   *   if the bundle has no SDC component.
+   */
+  protected function getComponentSchema($bundle) {
+    $sdc_id = $this->getSdcId($bundle);
+    if (!$sdc_id) {
+      return NULL;
+    }
+
+    try {
+      $component = $this->componentManager->find($sdc_id);
+    }
+    catch (\Exception $e) {
+      return NULL;
+    }
+
+    return [
+      'props' => $component->metadata->schema ?? ['type' => 'object', 'properties' => []],
+      'slots' => array_keys($component->metadata->slots ?? []),
+    ];
+  }
+
   /**
    * Gets the SDC component ID for a bundle.
    *
@@ -498,8 +498,8 @@ class ComponentViewBuilder extends EntityViewBuilder {
   public function view(EntityInterface $entity, $view_mode = 'full', $langcode = NULL) {
     $build = parent::view($entity, $view_mode, $langcode);
 
-    // Add contextual links.
-    if ($entity instanceof ComponentEntityInterface && $entity->access('update')) {
+    // Add contextual links; previews may not be saved yet.
+    if ($entity instanceof ComponentEntityInterface && !$entity->isNew() && !isset($entity->in_preview) && $entity->access('update')) {
       $build['#contextual_links']['component'] = [
         'route_parameters' => ['component' => $entity->id()],
         'metadata' => ['changed' => $entity->getChangedTime()],
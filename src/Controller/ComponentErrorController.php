@@ -0,0 +1,123 @@
+<?php
+
+namespace Drupal\component_entity\Controller;
+
+use Drupal\Component\Utility\Unicode;
+use Drupal\Core\Controller\ControllerBase;
+use Drupal\Core\Flood\FloodInterface;
+use Psr\Log\LoggerInterface;
+use Symfony\Component\DependencyInjection\ContainerInterface;
+use Symfony\Component\HttpFoundation\JsonResponse;
+use Symfony\Component\HttpFoundation\Request;
+use Symfony\Component\HttpFoundation\Response;
+
+/**
+ * Logs errors reported by React components in the browser.
+ */
+class ComponentErrorController extends ControllerBase {
+
+  /**
+   * The flood event name.
+   */
+  const FLOOD_EVENT = 'component_entity.error_report';
+
+  /**
+   * Reports accepted per client IP within the flood window.
+   */
+  const FLOOD_THRESHOLD = 50;
+
+  /**
+   * The flood window in seconds.
+   */
+  const FLOOD_WINDOW = 3600;
+
+  /**
+   * The logger channel.
+   *
+   * @var \Psr\Log\LoggerInterface
+   */
+  protected $logger;
+
+  /**
+   * The flood service.
+   *
+   * @var \Drupal\Core\Flood\FloodInterface
+   */
+  protected $flood;
+
+  /**
+   * Constructs a ComponentErrorController object.
+   *
+   * @param \Psr\Log\LoggerInterface $logger
+   *   The component_entity logger channel.
+   * @param \Drupal\Core\Flood\FloodInterface $flood
+   *   The flood service.
+   */
+  public function __construct(LoggerInterface $logger, FloodInterface $flood) {
+    $this->logger = $logger;
+    $this->flood = $flood;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public static function create(ContainerInterface $container) {
+    return new static(
+      $container->get('logger.channel.component_entity'),
+      $container->get('flood')
+    );
+  }
+
+  /**
+   * Writes a client error report to the log.
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request with a JSON report: type, entityId, message, stack,
+   *   componentStack and url.
+   *
+   * @return \Symfony\Component\HttpFoundation\Response
+   *   An empty 204 response, or a JSON error.
+   */
+  public function report(Request $request) {
+    // Anonymous visitors can report, so cap how much one client can log.
+    if (!$this->flood->isAllowed(self::FLOOD_EVENT, self::FLOOD_THRESHOLD, self::FLOOD_WINDOW)) {
+      return new JsonResponse(['message' => 'Too many error reports.'], 429);
+    }
+    $this->flood->register(self::FLOOD_EVENT, self::FLOOD_WINDOW);
+
+    $report = json_decode($request->getContent(), TRUE);
+    if (!is_array($report) || empty($report['message']) || !is_string($report['message'])) {
+      return new JsonResponse(['message' => 'The report must include a message.'], 400);
+    }
+
+    $this->logger->error('React component %type failed: @message<br>Page: @url<br>Entity: @entity<pre>@stack@component_stack</pre>', [
+      '%type' => $this->clean($report['type'] ?? '', 128) ?: 'unknown',
+      '@message' => $this->clean($report['message'], 1024),
+      '@url' => $this->clean($report['url'] ?? '', 2048),
+      '@entity' => $this->clean($report['entityId'] ?? '', 64) ?: '-',
+      '@stack' => $this->clean($report['stack'] ?? '', 4096),
+      '@component_stack' => $this->clean($report['componentStack'] ?? '', 4096),
+    ]);
+
+    return new Response('', 204);
+  }
+
+  /**
+   * Reduces a reported value to a bounded string.
+   *
+   * @param mixed $value
+   *   The reported value.
+   * @param int $max_length
+   *   The maximum length in characters.
+   *
+   * @return string
+   *   The value as a string, or an empty string for non-scalar values.
+   */
+  protected function clean($value, $max_length) {
+    if (!is_scalar($value)) {
+      return '';
+    }
+    return Unicode::truncate((string) $value, $max_length, FALSE, TRUE);
+  }
+
+}
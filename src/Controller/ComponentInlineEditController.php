@@ -0,0 +1,67 @@
+<?php
+
+namespace Drupal\component_entity\Controller;
+
+use Drupal\component_entity\Entity\ComponentEntityInterface;
+use Drupal\Core\Controller\ControllerBase;
+use Drupal\Core\Entity\EntityDisplayRepositoryInterface;
+use Symfony\Component\DependencyInjection\ContainerInterface;
+use Symfony\Component\HttpKernel\Exception\NotFoundHttpException;
+
+/**
+ * Renders components for the inline editors of component reference fields.
+ */
+class ComponentInlineEditController extends ControllerBase {
+
+  /**
+   * The entity display repository.
+   *
+   * @var \Drupal\Core\Entity\EntityDisplayRepositoryInterface
+   */
+  protected $entityDisplayRepository;
+
+  /**
+   * Constructs a ComponentInlineEditController object.
+   *
+   * @param \Drupal\Core\Entity\EntityDisplayRepositoryInterface $entity_display_repository
+   *   The entity display repository.
+   */
+  public function __construct(EntityDisplayRepositoryInterface $entity_display_repository) {
+    $this->entityDisplayRepository = $entity_display_repository;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public static function create(ContainerInterface $container) {
+    return new static(
+      $container->get('entity_display.repository')
+    );
+  }
+
+  /**
+   * Renders a component in a view mode.
+   *
+   * Requested with Drupal AJAX when an inline edit is cancelled, so the
+   * editor shows the latest version of the component again. Its changed
+   * time goes along in drupalSettings for the next edit.
+   *
+   * @param \Drupal\component_entity\Entity\ComponentEntityInterface $component
+   *   The component.
+   * @param string $view_mode
+   *   The view mode.
+   *
+   * @return array
+   *   The render array of the component.
+   */
+  public function view(ComponentEntityInterface $component, $view_mode) {
+    if (!isset($this->entityDisplayRepository->getViewModeOptions('component')[$view_mode])) {
+      throw new NotFoundHttpException();
+    }
+
+    $build = $this->entityTypeManager()->getViewBuilder('component')->view($component, $view_mode);
+    $build['#attached']['drupalSettings']['componentEntity']['inlineEdit']['changed'][$component->id()] = $component->getChangedTime();
+    return $build;
+  }
+
+}
@@ -0,0 +1,167 @@
+<?php
+
+namespace Drupal\component_entity\Controller;
+
+use Drupal\component_entity\Entity\ComponentTypeInterface;
+use Drupal\component_entity\Form\ComponentDialogForm;
+use Drupal\component_entity\Service\ComponentLibraryIndex;
+use Drupal\Core\Controller\ControllerBase;
+use Drupal\Core\Render\BareHtmlPageRendererInterface;
+use Drupal\Core\Url;
+use Symfony\Component\DependencyInjection\ContainerInterface;
+use Symfony\Component\HttpFoundation\JsonResponse;
+use Symfony\Component\HttpFoundation\Request;
+use Symfony\Component\HttpKernel\Exception\NotFoundHttpException;
+
+/**
+ * The component library browser and the endpoints behind it.
+ */
+class ComponentLibraryController extends ControllerBase {
+
+  /**
+   * The component library index.
+   *
+   * @var \Drupal\component_entity\Service\ComponentLibraryIndex
+   */
+  protected $libraryIndex;
+
+  /**
+   * The bare HTML page renderer.
+   *
+   * @var \Drupal\Core\Render\BareHtmlPageRendererInterface
+   */
+  protected $bareHtmlPageRenderer;
+
+  /**
+   * Constructs a ComponentLibraryController object.
+   *
+   * @param \Drupal\component_entity\Service\ComponentLibraryIndex $library_index
+   *   The component library index.
+   * @param \Drupal\Core\Render\BareHtmlPageRendererInterface $bare_html_page_renderer
+   *   The bare HTML page renderer.
+   */
+  public function __construct(ComponentLibraryIndex $library_index, BareHtmlPageRendererInterface $bare_html_page_renderer) {
+    $this->libraryIndex = $library_index;
+    $this->bareHtmlPageRenderer = $bare_html_page_renderer;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public static function create(ContainerInterface $container) {
+    return new static(
+      $container->get('component_entity.library_index'),
+      $container->get('bare_html_page_renderer')
+    );
+  }
+
+  /**
+   * Builds the library browser page.
+   *
+   * component-library-browser.js fills the browser from the index route.
+   * Opened from a component reference widget, the "target" query parameter
+   * names the widget; choosing a type then opens its add form in a dialog of
+   * the "dialog_type" given, and the new component is added to the widget.
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request.
+   *
+   * @return array
+   *   A render array.
+   */
+  public function overview(Request $request) {
+    $target = (string) $request->query->get('target', '');
+    $dialog_type = $request->query->get('dialog_type') === 'off_canvas' ? 'off_canvas' : 'modal';
+
+    return [
+      '#theme' => 'component_library_browser',
+      '#index_url' => Url::fromRoute('component_entity.library.index')->toString(),
+      '#target_field' => preg_match(ComponentDialogForm::TARGET_PATTERN, $target) ? $target : NULL,
+      '#dialog_type' => $dialog_type,
+      '#attached' => [
+        'library' => ['component_entity/library-browser'],
+      ],
+      '#cache' => [
+        'contexts' => ['url.query_args:target', 'url.query_args:dialog_type'],
+      ],
+    ];
+  }
+
+  /**
+   * Returns the index of component types for the library browser.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   The component types, and the IDs of the current user's favourite and
+   *   recently used types.
+   */
+  public function index() {
+    $uid = $this->currentUser()->id();
+    $types = array_values(array_filter($this->libraryIndex->getTypes(), function ($type) {
+      return $this->entityTypeManager()->getAccessControlHandler('component')->createAccess($type['id']);
+    }));
+
+    return new JsonResponse([
+      'types' => $types,
+      'favorites' => $this->libraryIndex->getFavorites($uid),
+      'recent' => $this->libraryIndex->getRecent($uid),
+    ]);
+  }
+
+  /**
+   * Adds a component type to the current user's favourites, or removes it.
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request with a JSON body: {"favorite": true|false}.
+   * @param \Drupal\component_entity\Entity\ComponentTypeInterface $component_type
+   *   The component type.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   The IDs of the user's favourite types.
+   */
+  public function favorite(Request $request, ComponentTypeInterface $component_type) {
+    $data = json_decode($request->getContent(), TRUE);
+    if (!is_array($data) || !isset($data['favorite']) || !is_bool($data['favorite'])) {
+      return new JsonResponse(['message' => 'The request must include favorite.'], 400);
+    }
+
+    $favorites = $this->libraryIndex->setFavorite($this->currentUser()->id(), $component_type->id(), $data['favorite']);
+    return new JsonResponse(['favorites' => $favorites]);
+  }
+
+  /**
+   * Renders a component type with its example props, for its thumbnail.
+   *
+   * The browser shows the page scaled down in a sandboxed iframe, with the
+   * front-end theme (see
+   * \Drupal\component_entity\Theme\ComponentPreviewThemeNegotiator).
+   *
+   * @param \Drupal\component_entity\Entity\ComponentTypeInterface $component_type
+   *   The component type.
+   *
+   * @return \Drupal\Core\Render\HtmlResponse
+   *   A page with only the component.
+   */
+  public function thumbnail(ComponentTypeInterface $component_type) {
+    $example = $this->libraryIndex->getExample($component_type);
+    if (!$example) {
+      throw new NotFoundHttpException();
+    }
+
+    $content = [
+      '#type' => 'container',
+      '#attributes' => ['class' => ['component-library-thumbnail']],
+      'component' => [
+        '#type' => 'component',
+        '#component' => $example['component'],
+        '#props' => $example['props'],
+        '#slots' => $example['slots'],
+      ],
+      '#cache' => [
+        'tags' => $component_type->getCacheTags(),
+      ],
+    ];
+
+    return $this->bareHtmlPageRenderer->renderBarePage($content, $component_type->label(), 'component_preview_frame');
+  }
+
+}
@@ -0,0 +1,273 @@
+<?php
+
+namespace Drupal\component_entity\Controller;
+
+use Drupal\component_entity\Ajax\ComponentPreviewCommand;
+use Drupal\component_entity\Plugin\ComponentRendererManager;
+use Drupal\Core\Ajax\AjaxResponse;
+use Drupal\Core\Controller\ControllerBase;
+use Drupal\Core\Render\BareHtmlPageRendererInterface;
+use Drupal\Core\Render\BubbleableMetadata;
+use Drupal\Core\Render\Markup;
+use Drupal\Core\Render\RendererInterface;
+use Drupal\Core\TempStore\PrivateTempStoreFactory;
+use Drupal\Core\Url;
+use Symfony\Component\DependencyInjection\ContainerInterface;
+use Symfony\Component\HttpKernel\Exception\NotFoundHttpException;
+
+/**
+ * Renders the live preview of the component edit form inside its iframe.
+ *
+ * The form stores the entity being edited in the private tempstore; the
+ * routes render it with the front-end theme (see
+ * \Drupal\component_entity\Theme\ComponentPreviewThemeNegotiator). The
+ * render comparison of the form loads one compare frame per render method.
+ */
+class ComponentPreviewFrameController extends ControllerBase {
+
+  /**
+   * The tempstore collection holding the previewed entities.
+   */
+  const TEMPSTORE_COLLECTION = 'component_entity_preview';
+
+  /**
+   * The ID of the element the preview is rendered into.
+   */
+  const ROOT_ID = 'component-preview-frame';
+
+  /**
+   * The ID of the element a compare frame renders into.
+   */
+  const COMPARE_ROOT_ID = 'component-render-comparison-frame';
+
+  /**
+   * The private tempstore factory.
+   *
+   * @var \Drupal\Core\TempStore\PrivateTempStoreFactory
+   */
+  protected $tempStoreFactory;
+
+  /**
+   * The bare HTML page renderer.
+   *
+   * @var \Drupal\Core\Render\BareHtmlPageRendererInterface
+   */
+  protected $bareHtmlPageRenderer;
+
+  /**
+   * The renderer service.
+   *
+   * @var \Drupal\Core\Render\RendererInterface
+   */
+  protected $renderer;
+
+  /**
+   * The component renderer plugin manager.
+   *
+   * @var \Drupal\component_entity\Plugin\ComponentRendererManager
+   */
+  protected $componentRendererManager;
+
+  /**
+   * Constructs a ComponentPreviewFrameController object.
+   *
+   * @param \Drupal\Core\TempStore\PrivateTempStoreFactory $temp_store_factory
+   *   The private tempstore factory.
+   * @param \Drupal\Core\Render\BareHtmlPageRendererInterface $bare_html_page_renderer
+   *   The bare HTML page renderer.
+   * @param \Drupal\Core\Render\RendererInterface $renderer
+   *   The renderer service.
+   * @param \Drupal\component_entity\Plugin\ComponentRendererManager $component_renderer_manager
+   *   The component renderer plugin manager.
+   */
+  public function __construct(PrivateTempStoreFactory $temp_store_factory, BareHtmlPageRendererInterface $bare_html_page_renderer, RendererInterface $renderer, ComponentRendererManager $component_renderer_manager) {
+    $this->tempStoreFactory = $temp_store_factory;
+    $this->bareHtmlPageRenderer = $bare_html_page_renderer;
+    $this->renderer = $renderer;
+    $this->componentRendererManager = $component_renderer_manager;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public static function create(ContainerInterface $container) {
+    return new static(
+      $container->get('tempstore.private'),
+      $container->get('bare_html_page_renderer'),
+      $container->get('renderer'),
+      $container->get('plugin.manager.component_renderer')
+    );
+  }
+
+  /**
+   * Builds the page loaded into the preview iframe.
+   *
+   * @param string $preview_key
+   *   The key the form stores the edited entity under.
+   *
+   * @return \Drupal\Core\Render\HtmlResponse
+   *   A page without blocks, with the libraries of the front-end theme.
+   */
+  public function frame($preview_key) {
+    $entity = $this->loadEntity($preview_key);
+
+    $content = [
+      '#type' => 'container',
+      '#attributes' => [
+        'id' => self::ROOT_ID,
+        'class' => ['component-preview-frame'],
+        'data-component-preview-frame' => TRUE,
+        'data-render-url' => Url::fromRoute('component_entity.preview_frame.render', [
+          'preview_key' => $preview_key,
+        ])->toString(),
+      ],
+      '#attached' => [
+        'library' => ['component_entity/preview-frame'],
+      ],
+      'component' => $entity
+        ? $this->buildPreview($entity)
+        : ['#markup' => '<p class="component-preview-frame__placeholder">' . $this->t('The preview appears once you start editing.') . '</p>'],
+    ];
+
+    $response = $this->bareHtmlPageRenderer->renderBarePage($content, $this->t('Component preview'), 'component_preview_frame');
+    // The page shows values that were never saved.
+    $response->setPrivate();
+    $response->headers->addCacheControlDirective('no-store');
+    return $response;
+  }
+
+  /**
+   * Renders the stored entity again for the iframe's AJAX refresh.
+   *
+   * @param string $preview_key
+   *   The key the form stores the edited entity under.
+   *
+   * @return \Drupal\Core\Ajax\AjaxResponse
+   *   A response with a componentEntityPreview command. Libraries the frame
+   *   has not loaded yet are added through the response attachments.
+   */
+  public function render($preview_key) {
+    $entity = $this->loadEntity($preview_key);
+    if (!$entity) {
+      throw new NotFoundHttpException();
+    }
+
+    $build = $this->buildPreview($entity);
+    $html = $this->renderer->renderRoot($build);
+
+    $response = new AjaxResponse();
+    $response->setAttachments($build['#attached'] ?? []);
+
+    $components = $build['#attached']['drupalSettings']['componentEntity']['components'] ?? [];
+    $component_id = $components ? array_key_first($components) : NULL;
+    $response->addCommand(new ComponentPreviewCommand(
+      '#' . self::ROOT_ID,
+      (string) $html,
+      $component_id,
+      $component_id ? $components[$component_id] : NULL
+    ));
+
+    return $response;
+  }
+
+  /**
+   * Builds a compare frame: the stored entity rendered by one renderer.
+   *
+   * The frame reports how long the server took and how large the output
+   * is; component-render-comparison-frame.js adds the client-side timing
+   * and sends it all to the form.
+   *
+   * @param string $preview_key
+   *   The key the form stores the edited entity under.
+   * @param string $renderer
+   *   The ID of the component renderer plugin.
+   *
+   * @return \Drupal\Core\Render\HtmlResponse
+   *   A page without blocks, with the libraries of the front-end theme and
+   *   of the renderer.
+   */
+  public function compare($preview_key, $renderer) {
+    if (!$this->componentRendererManager->hasDefinition($renderer)) {
+      throw new NotFoundHttpException();
+    }
+
+    $entity = $this->loadEntity($preview_key);
+    $attributes = [
+      'id' => self::COMPARE_ROOT_ID,
+      'class' => ['component-render-comparison-frame'],
+      'data-render-comparison-frame' => $renderer,
+    ];
+    $attachments = ['library' => ['component_entity/render-comparison-frame']];
+
+    if (!$entity) {
+      $attributes['data-render-error'] = $this->t('The comparison appears once you start editing.');
+      $output = [];
+    }
+    else {
+      $entity->in_preview = TRUE;
+      try {
+        $start = hrtime(TRUE);
+        $build = $this->componentRendererManager->createInstance($renderer)->render($entity, ['view_mode' => 'default']);
+        $html = (string) $this->renderer->renderRoot($build);
+        $attributes['data-server-time'] = round((hrtime(TRUE) - $start) / 1e6, 2);
+        $attributes['data-server-bytes'] = strlen($html);
+        $attachments = BubbleableMetadata::mergeAttachments($build['#attached'] ?? [], $attachments);
+        $output = ['#markup' => Markup::create($html)];
+      }
+      catch (\Throwable $e) {
+        $this->getLogger('component_entity')->warning('Comparing render methods of @type failed with @renderer: @message', [
+          '@type' => $entity->bundle(),
+          '@renderer' => $renderer,
+          '@message' => $e->getMessage(),
+        ]);
+        $attributes['data-render-error'] = $this->t('The component could not be rendered: @message', ['@message' => $e->getMessage()]);
+        $output = [];
+      }
+    }
+
+    $content = [
+      '#type' => 'container',
+      '#attributes' => $attributes,
+      '#attached' => $attachments,
+      'component' => $output,
+    ];
+
+    $response = $this->bareHtmlPageRenderer->renderBarePage($content, $this->t('Render method comparison'), 'component_preview_frame');
+    // The page shows values that were never saved.
+    $response->setPrivate();
+    $response->headers->addCacheControlDirective('no-store');
+    return $response;
+  }
+
+  /**
+   * Loads the entity stored by the component edit form.
+   *
+   * @param string $preview_key
+   *   The key the form stores the edited entity under.
+   *
+   * @return \Drupal\component_entity\Entity\ComponentEntityInterface|null
+   *   The unsaved entity, or NULL if there is none for the current user.
+   */
+  protected function loadEntity($preview_key) {
+    return $this->tempStoreFactory->get(self::TEMPSTORE_COLLECTION)->get($preview_key);
+  }
+
+  /**
+   * Builds the render array of a previewed entity.
+   *
+   * @param \Drupal\component_entity\Entity\ComponentEntityInterface $entity
+   *   The unsaved entity.
+   *
+   * @return array
+   *   The render array of the default view mode.
+   */
+  protected function buildPreview($entity) {
+    // Keeps the unsaved values out of the render cache.
+    $entity->in_preview = TRUE;
+
+    $build = $this->entityTypeManager()->getViewBuilder('component')->view($entity, 'default');
+    $build['#cache']['max-age'] = 0;
+    return $build;
+  }
+
+}
@@ -0,0 +1,126 @@
+<?php
+
+namespace Drupal\component_entity\Controller;
+
+use Drupal\Component\Datetime\TimeInterface;
+use Drupal\Core\Controller\ControllerBase;
+use Drupal\Core\Entity\FieldableEntityInterface;
+use Drupal\Core\Entity\RevisionLogInterface;
+use Symfony\Component\DependencyInjection\ContainerInterface;
+use Symfony\Component\HttpFoundation\JsonResponse;
+use Symfony\Component\HttpFoundation\Request;
+
+/**
+ * Saves the order of the components in a component reference field.
+ *
+ * Requested by component-reorder.js when editors drag components or move
+ * them with the keyboard, and again when they undo a reorder.
+ */
+class ComponentReorderController extends ControllerBase {
+
+  /**
+   * The time service.
+   *
+   * @var \Drupal\Component\Datetime\TimeInterface
+   */
+  protected $time;
+
+  /**
+   * Constructs a ComponentReorderController object.
+   *
+   * @param \Drupal\Component\Datetime\TimeInterface $time
+   *   The time service.
+   */
+  public function __construct(TimeInterface $time) {
+    $this->time = $time;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public static function create(ContainerInterface $container) {
+    return new static(
+      $container->get('datetime.time')
+    );
+  }
+
+  /**
+   * Reorders the items of a component reference field.
+   *
+   * @param \Symfony\Component\HttpFoundation\Request $request
+   *   The request with a JSON body: entity_type, entity_id and field_name of
+   *   the host entity's field, and order, listing the current delta and
+   *   component ID of every item in their new order.
+   *
+   * @return \Symfony\Component\HttpFoundation\JsonResponse
+   *   The component IDs in their saved order, or an error message.
+   */
+  public function reorder(Request $request) {
+    $data = json_decode($request->getContent(), TRUE);
+    if (!is_array($data) || empty($data['entity_type']) || empty($data['entity_id']) || empty($data['field_name']) || !isset($data['order']) || !is_array($data['order'])) {
+      return new JsonResponse(['message' => 'The request must include entity_type, entity_id, field_name and order.'], 400);
+    }
+
+    if (!is_string($data['entity_type']) || !$this->entityTypeManager()->hasDefinition($data['entity_type'])) {
+      return new JsonResponse(['message' => 'Unknown entity type.'], 404);
+    }
+    $host = $this->entityTypeManager()->getStorage($data['entity_type'])->load($data['entity_id']);
+    if (!$host instanceof FieldableEntityInterface || !is_string($data['field_name']) || !$host->hasField($data['field_name'])) {
+      return new JsonResponse(['message' => 'The field was not found.'], 404);
+    }
+
+    $items = $host->get($data['field_name']);
+    if ($items->getFieldDefinition()->getFieldStorageDefinition()->getSetting('target_type') !== 'component') {
+      return new JsonResponse(['message' => 'The field does not reference components.'], 400);
+    }
+
+    $access = $host->access('update', NULL, TRUE)->andIf($items->access('edit', NULL, TRUE));
+    if (!$access->isAllowed()) {
+      return new JsonResponse(['message' => 'You are not allowed to reorder these components.'], 403);
+    }
+
+    $values = $items->getValue();
+    $deltas = [];
+    foreach ($data['order'] as $entry) {
+      $delta = is_array($entry) && isset($entry['delta']) && is_numeric($entry['delta']) ? (int) $entry['delta'] : NULL;
+      if ($delta === NULL || !isset($values[$delta]) || isset($deltas[$delta])) {
+        return new JsonResponse(['message' => 'The order must list every item exactly once.'], 400);
+      }
+      // Someone else changed the field since the page was loaded.
+      if (!isset($entry['id']) || (string) $values[$delta]['target_id'] !== (string) $entry['id']) {
+        return new JsonResponse(['message' => 'The components were changed by someone else. Reload the page and try again.'], 409);
+      }
+      $deltas[$delta] = TRUE;
+    }
+    if (count($deltas) !== count($values)) {
+      return new JsonResponse(['message' => 'The order must list every item exactly once.'], 400);
+    }
+
+    // Items keep their prop overrides and wrapper attributes.
+    $reordered = [];
+    foreach ($data['order'] as $entry) {
+      $reordered[] = $values[(int) $entry['delta']];
+    }
+    $items->setValue($reordered);
+
+    if ($host->getEntityType()->isRevisionable()) {
+      $host->setNewRevision();
+      if ($host instanceof RevisionLogInterface) {
+        $host->setRevisionUserId($this->currentUser()->id());
+        $host->setRevisionCreationTime($this->time->getRequestTime());
+        $host->setRevisionLogMessage((string) $this->t('Reordered @field.', [
+          '@field' => $items->getFieldDefinition()->getLabel(),
+        ]));
+      }
+    }
+    $host->save();
+
+    return new JsonResponse([
+      'success' => TRUE,
+      'order' => array_map(function ($value) {
+        return $value['target_id'];
+      }, $reordered),
+    ]);
+  }
+
+}
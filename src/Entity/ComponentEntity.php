@@ -34,6 +34,8 @@ use Drupal\user\EntityOwnerTrait;
  *       "default" = "Drupal\component_entity\Form\ComponentEntityForm",
  *       "add" = "Drupal\component_entity\Form\ComponentEntityForm",
  *       "edit" = "Drupal\component_entity\Form\ComponentEntityForm",
+ *       "inline_edit" = "Drupal\component_entity\Form\ComponentInlineEditForm",
+ *       "dialog" = "Drupal\component_entity\Form\ComponentDialogForm",
  *       "delete" = "Drupal\component_entity\Form\ComponentEntityDeleteForm",
  *     },
  *     "route_provider" = {
@@ -99,6 +99,8 @@ class ComponentType extends ConfigEntityBundleBase implements ComponentTypeInter
     'react_enabled' => FALSE,
     'default_method' => 'twig',
     'react_library' => NULL,
+    'hydration' => 'full',
+    'hydration_options' => [],
   ];
 
   /**
@@ -154,6 +156,8 @@ class ComponentType extends ConfigEntityBundleBase implements ComponentTypeInter
       'react_enabled' => FALSE,
       'default_method' => 'twig',
       'react_library' => NULL,
+      'hydration' => 'full',
+      'hydration_options' => [],
     ];
   }
 
@@ -247,6 +251,22 @@ class ComponentType extends ConfigEntityBundleBase implements ComponentTypeInter
     return $this;
   }
 
+  /**
+   * {@inheritdoc}
+   */
+  public function getHydration() {
+    $config = $this->getRenderingConfiguration();
+    return $config['hydration'] ?? 'full';
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function getHydrationOptions() {
+    $config = $this->getRenderingConfiguration();
+    return $config['hydration_options'] ?? [];
+  }
+
   /**
    * {@inheritdoc}
    */
@@ -387,10 +407,7 @@ class ComponentType extends ConfigEntityBundleBase implements ComponentTypeInter
    */
   protected function detectReactLibrary() {
     // Check if a compiled React component exists.
-    $module_path = \Drupal::service('extension.list.module')->getPath('component_entity');
-    $js_file = $module_path . '/dist/js/' . $this->id() . '.component.js';
-
-    if (file_exists($js_file)) {
+    if (\Drupal::service('component_entity.asset_manifest')->has($this->id())) {
       return 'component_entity/component.' . $this->id();
     }
 
@@ -117,6 +117,24 @@ interface ComponentTypeInterface extends ConfigEntityInterface, EntityDescriptio
    */
   public function setReactLibrary($library);
 
+  /**
+   * Gets the default hydration strategy for React rendering.
+   *
+   * @return string
+   *   One of "full", "partial", "visible", "idle", "media", "interaction" or
+   *   "none".
+   */
+  public function getHydration();
+
+  /**
+   * Gets the options for the default hydration strategy.
+   *
+   * @return array
+   *   Strategy options: "root_margin" (visible), "timeout" (idle), "media"
+   *   (media) and "events" (interaction).
+   */
+  public function getHydrationOptions();
+
   /**
    * Gets the checksum for tracking SDC component changes.
    *
@@ -0,0 +1,130 @@
+<?php
+
+namespace Drupal\component_entity\Form;
+
+use Drupal\component_entity\Ajax\ComponentReferenceInsertCommand;
+use Drupal\Core\Ajax\AjaxResponse;
+use Drupal\Core\Ajax\CloseDialogCommand;
+use Drupal\Core\Ajax\ReplaceCommand;
+use Drupal\Core\Entity\Element\EntityAutocomplete;
+use Drupal\Core\EventSubscriber\MainContentViewSubscriber;
+use Drupal\Core\Form\FormStateInterface;
+
+/**
+ * Form for creating a component in a dialog.
+ *
+ * Opened from the component library browser of a ComponentReferenceWidget,
+ * in a modal or off-canvas dialog. Saves are submitted with Drupal AJAX; the
+ * dialog then closes and the new component is added to the widget named by
+ * the "target" query parameter.
+ */
+class ComponentDialogForm extends ComponentEntityForm {
+
+  /**
+   * Pattern of valid widget targets.
+   */
+  const TARGET_PATTERN = '/^[A-Za-z0-9_-]+$/';
+
+  /**
+   * {@inheritdoc}
+   */
+  public function buildForm(array $form, FormStateInterface $form_state) {
+    $form = parent::buildForm($form, $form_state);
+
+    // The dialog is opened with these; the AJAX submissions are not.
+    if (!$form_state->has('component_dialog')) {
+      $request = $this->getRequest();
+      $target = (string) $request->query->get('target', '');
+      $wrapper_format = $request->query->get(MainContentViewSubscriber::WRAPPER_FORMAT);
+      $form_state->set('component_dialog', [
+        'target' => preg_match(self::TARGET_PATTERN, $target) ? $target : '',
+        'selector' => $wrapper_format === 'drupal_dialog.off_canvas' ? '#drupal-off-canvas' : '#drupal-modal',
+      ]);
+    }
+
+    // The dialog has no room for the live preview and render comparison, and
+    // nowhere to go after saving.
+    unset($form['preview_container'], $form['render_comparison'], $form['actions']['ajax_preview'], $form['actions']['preview'], $form['actions']['save_continue']);
+
+    $form['#prefix'] = '<div id="' . $this->getWrapperId() . '" class="component-dialog-form">';
+    $form['#suffix'] = '</div>';
+    $form['#attached']['library'][] = 'component_entity/reference-dialog';
+
+    return $form;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  protected function actions(array $form, FormStateInterface $form_state) {
+    $actions = parent::actions($form, $form_state);
+    $actions['submit']['#ajax'] = [
+      'callback' => '::ajaxSubmit',
+      'progress' => ['type' => 'throbber', 'message' => $this->t('Saving...')],
+    ];
+    return $actions;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function save(array $form, FormStateInterface $form_state) {
+    $status = parent::save($form, $form_state);
+
+    // The dialog closes instead.
+    $form_state->disableRedirect();
+
+    return $status;
+  }
+
+  /**
+   * AJAX callback for the save button.
+   *
+   * @param array $form
+   *   The form.
+   * @param \Drupal\Core\Form\FormStateInterface $form_state
+   *   The form state.
+   *
+   * @return \Drupal\Core\Ajax\AjaxResponse
+   *   Commands closing the dialog and adding the component to the widget, or
+   *   replacing the form with the errors shown.
+   */
+  public function ajaxSubmit(array &$form, FormStateInterface $form_state) {
+    $response = new AjaxResponse();
+
+    if ($form_state->hasAnyErrors()) {
+      $form['status_messages'] = [
+        '#type' => 'status_messages',
+        '#weight' => -1000,
+      ];
+      $form['#sorted'] = FALSE;
+      $response->addCommand(new ReplaceCommand('#' . $this->getWrapperId(), $form));
+      return $response;
+    }
+
+    // Messages were set for a page load that will not happen.
+    $this->messenger()->deleteAll();
+
+    $dialog = $form_state->get('component_dialog');
+    $response->addCommand(new CloseDialogCommand($dialog['selector']));
+    if ($dialog['target'] !== '') {
+      $response->addCommand(new ComponentReferenceInsertCommand(
+        $dialog['target'],
+        EntityAutocomplete::getEntityLabels([$this->entity]),
+        $this->entity->label()
+      ));
+    }
+    return $response;
+  }
+
+  /**
+   * Gets the ID of the element wrapping the form.
+   *
+   * @return string
+   *   The wrapper ID.
+   */
+  protected function getWrapperId() {
+    return 'component-dialog-form-' . $this->entity->bundle();
+  }
+
+}
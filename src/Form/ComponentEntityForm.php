@@ -2,14 +2,22 @@
 
 namespace Drupal\component_entity\Form;
 
+use Drupal\Component\Utility\Crypt;
+use Drupal\Core\Ajax\AjaxResponse;
 use Drupal\Core\Entity\ContentEntityForm;
 use Drupal\Core\Form\FormStateInterface;
 use Drupal\Core\Entity\EntityRepositoryInterface;
 use Drupal\Core\Entity\EntityTypeBundleInfoInterface;
+use Drupal\Core\Entity\EntityTypeManagerInterface;
 use Drupal\Component\Datetime\TimeInterface;
 use Symfony\Component\DependencyInjection\ContainerInterface;
 use Drupal\Core\Messenger\MessengerInterface;
+use Drupal\Core\TempStore\PrivateTempStoreFactory;
+use Drupal\Core\Url;
 use Drupal\Core\Session\AccountProxyInterface;
+use Drupal\component_entity\Ajax\ComponentPreviewRefreshCommand;
+use Drupal\component_entity\Controller\ComponentPreviewFrameController;
+use Drupal\component_entity\Plugin\ComponentRendererManager;
 use Drupal\component_entity\Service\ValidatorInterface;
 use Drupal\component_entity\Service\CacheManagerInterface;
 
@@ -53,6 +61,20 @@ class ComponentEntityForm extends ContentEntityForm {
    */
   protected $entityTypeManager;
 
+  /**
+   * The private tempstore factory.
+   *
+   * @var \Drupal\Core\TempStore\PrivateTempStoreFactory
+   */
+  protected $tempStoreFactory;
+
+  /**
+   * The component renderer plugin manager.
+   *
+   * @var \Drupal\component_entity\Plugin\ComponentRendererManager
+   */
+  protected $componentRendererManager;
+
   /**
    * Constructs a ComponentEntityForm object.
    *
@@ -72,6 +94,10 @@ class ComponentEntityForm extends ContentEntityForm {
    *   The cache manager service.
    * @param \Drupal\Core\Entity\EntityTypeManagerInterface $entity_type_manager
    *   The entity type manager.
+   * @param \Drupal\Core\TempStore\PrivateTempStoreFactory $temp_store_factory
+   *   The private tempstore factory.
+   * @param \Drupal\component_entity\Plugin\ComponentRendererManager $component_renderer_manager
+   *   The component renderer plugin manager.
    */
   public function __construct(
     EntityRepositoryInterface $entity_repository,
@@ -82,6 +108,8 @@ class ComponentEntityForm extends ContentEntityForm {
     ValidatorInterface $validator,
     CacheManagerInterface $cache_manager,
     EntityTypeManagerInterface $entity_type_manager,
+    PrivateTempStoreFactory $temp_store_factory,
+    ComponentRendererManager $component_renderer_manager,
   ) {
     parent::__construct($entity_repository, $entity_type_bundle_info, $time);
     $this->messenger = $messenger;
@@ -89,6 +117,8 @@ class ComponentEntityForm extends ContentEntityForm {
     $this->validator = $validator;
     $this->cacheManager = $cache_manager;
     $this->entityTypeManager = $entity_type_manager;
+    $this->tempStoreFactory = $temp_store_factory;
+    $this->componentRendererManager = $component_renderer_manager;
   }
 
   /**
@@ -103,7 +133,9 @@ class ComponentEntityForm extends ContentEntityForm {
       $container->get('current_user'),
       $container->get('component_entity.validator'),
       $container->get('component_entity.cache_manager'),
-      $container->get('entity_type.manager')
+      $container->get('entity_type.manager'),
+      $container->get('tempstore.private'),
+      $container->get('plugin.manager.component_renderer')
     );
   }
 
@@ -111,6 +143,12 @@ class ComponentEntityForm extends ContentEntityForm {
    * {@inheritdoc}
    */
   public function validateForm(array &$form, FormStateInterface $form_state) {
+    // Previews show whatever has been entered so far; the values are
+    // validated when the component is saved.
+    if ($this->isPreviewRequest($form_state)) {
+      return;
+    }
+
     parent::validateForm($form, $form_state);
 
     /** @var \Drupal\component_entity\Entity\ComponentEntityInterface $entity */
@@ -289,12 +327,8 @@ class ComponentEntityForm extends ContentEntityForm {
         $form['render_settings']['react_settings']['hydration'] = [
           '#type' => 'select',
           '#title' => $this->t('Hydration Method'),
-          '#options' => [
-            'full' => $this->t('Full hydration - Component is immediately interactive'),
-            'partial' => $this->t('Partial hydration - Interactive on user interaction'),
-            'none' => $this->t('No hydration - Static rendering only'),
-          ],
-          '#default_value' => $react_config['hydration'] ?? 'full',
+          '#options' => component_entity_hydration_options(),
+          '#default_value' => $react_config['hydration'] ?? $component_type->getHydration(),
           '#description' => $this->t('Controls how React components are initialized on the client.'),
         ];
 
@@ -352,30 +386,83 @@ class ComponentEntityForm extends ContentEntityForm {
     // Attach library for form enhancements.
     $form['#attached']['library'][] = 'component_entity/admin';
 
-    // Add AJAX preview container if in edit mode.
-    if (!$entity->isNew()) {
-      $form['preview_container'] = [
-        '#type' => 'container',
-        '#weight' => 200,
-        '#attributes' => ['id' => 'component-preview-container'],
-      ];
+    // Live preview of the values being edited, rendered with the front-end
+    // theme in an iframe. component-admin.js requests it through the
+    // "Update Preview" button whenever the form changes; saved components
+    // are previewed straight away.
+    if (!$this->currentUser->hasPermission('preview components')) {
+      return $form;
+    }
 
-      $form['actions']['ajax_preview'] = [
-        '#type' => 'button',
-        '#value' => $this->t('Update Preview'),
-        '#ajax' => [
-          'callback' => '::ajaxPreview',
-          'wrapper' => 'component-preview-container',
-          'progress' => [
-            'type' => 'throbber',
-            'message' => $this->t('Generating preview...'),
-          ],
+    $form['preview_container'] = [
+      '#type' => 'container',
+      '#weight' => 200,
+      '#attributes' => [
+        'id' => 'component-preview-container',
+        'class' => ['component-live-preview'],
+        'data-component-live-preview' => $entity->isNew() ? 'new' : 'saved',
+      ],
+      'preview' => [
+        '#theme' => 'component_preview',
+        '#component_type' => $entity->bundle(),
+        '#render_method' => $entity->get('render_method')->value ?? 'twig',
+        '#frame_url' => Url::fromRoute('component_entity.preview_frame', [
+          'preview_key' => $this->getPreviewKey($form_state),
+        ])->toString(),
+      ],
+    ];
+    $form['#attached']['library'][] = 'component_entity/preview';
+
+    // The same values rendered with every render method, side by side.
+    // component-render-comparison.js loads the frames when the details are
+    // opened, and again whenever the live preview updates.
+    $renderers = array_filter($this->componentRendererManager->getDefinitions(), function ($definition) {
+      return $definition['enabled'] ?? TRUE;
+    });
+    if (count($renderers) > 1) {
+      $methods = [];
+      foreach ($renderers as $renderer_id => $definition) {
+        $methods[] = [
+          'id' => $renderer_id,
+          'label' => $definition['label'] ?? $renderer_id,
+          'method' => $definition['method'] ?? $renderer_id,
+          'url' => Url::fromRoute('component_entity.preview_frame.compare', [
+            'preview_key' => $this->getPreviewKey($form_state),
+            'renderer' => $renderer_id,
+          ])->toString(),
+        ];
+      }
+
+      $form['render_comparison'] = [
+        '#type' => 'details',
+        '#title' => $this->t('Compare render methods'),
+        '#open' => FALSE,
+        '#weight' => 210,
+        '#attributes' => ['class' => ['component-render-comparison-details']],
+        'comparison' => [
+          '#theme' => 'component_render_comparison',
+          '#methods' => $methods,
+          '#render_method' => $entity->get('render_method')->value ?? 'twig',
         ],
-        '#weight' => 4,
-        '#attributes' => ['class' => ['button--small']],
       ];
+      $form['#attached']['library'][] = 'component_entity/render-comparison';
     }
 
+    $form['actions']['ajax_preview'] = [
+      '#type' => 'button',
+      '#value' => $this->t('Update Preview'),
+      '#ajax' => [
+        'callback' => '::ajaxPreview',
+        // The preview marks itself as updating instead.
+        'progress' => ['type' => 'none'],
+      ],
+      '#weight' => 4,
+      '#attributes' => [
+        'class' => ['button--small'],
+        'data-component-preview-trigger' => TRUE,
+      ],
+    ];
+
     return $form;
   }
 
@@ -388,27 +475,72 @@ class ComponentEntityForm extends ContentEntityForm {
   }
 
   /**
-   * AJAX callback for preview.
+   * AJAX callback for the live preview.
+   *
+   * Stores the submitted, unsaved values for the preview iframe, which
+   * renders them through ComponentPreviewFrameController.
+   *
+   * @param array $form
+   *   The form.
+   * @param \Drupal\Core\Form\FormStateInterface $form_state
+   *   The form state.
+   *
+   * @return \Drupal\Core\Ajax\AjaxResponse
+   *   A response with a componentEntityPreviewRefresh command.
    */
   public function ajaxPreview(array &$form, FormStateInterface $form_state) {
+    /** @var \Drupal\component_entity\Entity\ComponentEntityInterface $entity */
     $entity = $this->buildEntity($form, $form_state);
+    if ($form_state->hasValue('render_method')) {
+      $entity->set('render_method', $form_state->getValue('render_method'));
+    }
 
-    // Build preview render array.
-    $view_builder = $this->entityTypeManager->getViewBuilder('component');
-    $preview = $view_builder->view($entity, 'default');
-
-    // Wrap in preview container.
-    $response = [
-      '#theme' => 'component_preview',
-      '#component_render' => $preview,
-      '#component_type' => $entity->bundle(),
-      '#render_method' => $entity->get('render_method')->value ?? 'twig',
-      '#cache_tags' => $entity->getCacheTags(),
-    ];
+    $this->tempStoreFactory
+      ->get(ComponentPreviewFrameController::TEMPSTORE_COLLECTION)
+      ->set($this->getPreviewKey($form_state), $entity);
+
+    // Required fields left empty while typing are not errors yet.
+    $form_state->clearErrors();
+    $this->messenger->deleteByType(MessengerInterface::TYPE_ERROR);
 
+    $response = new AjaxResponse();
+    $response->addCommand(new ComponentPreviewRefreshCommand('#component-preview-container'));
     return $response;
   }
 
+  /**
+   * Gets the key the live preview of this form is stored under.
+   *
+   * Each form gets its own key, so two tabs editing the same component do
+   * not share a preview.
+   *
+   * @param \Drupal\Core\Form\FormStateInterface $form_state
+   *   The form state.
+   *
+   * @return string
+   *   The tempstore key.
+   */
+  protected function getPreviewKey(FormStateInterface $form_state) {
+    if (!$form_state->has('component_preview_key')) {
+      $form_state->set('component_preview_key', Crypt::randomBytesBase64(16));
+    }
+    return $form_state->get('component_preview_key');
+  }
+
+  /**
+   * Checks whether the form was submitted for a live preview.
+   *
+   * @param \Drupal\Core\Form\FormStateInterface $form_state
+   *   The form state.
+   *
+   * @return bool
+   *   TRUE if the preview button triggered the request.
+   */
+  protected function isPreviewRequest(FormStateInterface $form_state) {
+    $triggering_element = $form_state->getTriggeringElement();
+    return isset($triggering_element['#parents']) && in_array('ajax_preview', $triggering_element['#parents']);
+  }
+
   /**
    * {@inheritdoc}
    */
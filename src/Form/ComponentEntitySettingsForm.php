@@ -2,6 +2,7 @@
 
 namespace Drupal\component_entity\Form;
 
+use Drupal\Core\Cache\Cache;
 use Drupal\Core\Form\ConfigFormBase;
 use Drupal\Core\Form\FormStateInterface;
 use Drupal\Core\Extension\ModuleHandlerInterface;
@@ -420,7 +421,7 @@ class ComponentEntitySettingsForm extends ConfigFormBase {
     $form['logging']['debug_mode'] = [
       '#type' => 'checkbox',
       '#title' => $this->t('Debug mode'),
-      '#description' => $this->t('Enable verbose logging for debugging purposes.'),
+      '#description' => $this->t('Enable verbose logging and the checks of the React renderer, such as prop validation, for debugging purposes.'),
       '#default_value' => $config->get('logging.debug_mode'),
     ];
 
@@ -450,10 +451,16 @@ class ComponentEntitySettingsForm extends ConfigFormBase {
     $config->set('cache', $form_state->getValue('cache'));
 
     // Save logging settings.
+    $debug_mode = (bool) $config->get('logging.debug_mode');
     $config->set('logging', $form_state->getValue('logging'));
 
     $config->save();
 
+    // Debug mode adds a dependency to the React renderer library.
+    if ($debug_mode !== (bool) $config->get('logging.debug_mode')) {
+      Cache::invalidateTags(['library_info', 'rendered']);
+    }
+
     parent::submitForm($form, $form_state);
   }
 
@@ -0,0 +1,276 @@
+<?php
+
+namespace Drupal\component_entity\Form;
+
+use Drupal\component_entity\Ajax\ComponentInlineEditCommand;
+use Drupal\component_entity\Service\CacheManagerInterface;
+use Drupal\Component\Datetime\TimeInterface;
+use Drupal\Core\Ajax\AjaxResponse;
+use Drupal\Core\Ajax\ReplaceCommand;
+use Drupal\Core\Entity\ContentEntityForm;
+use Drupal\Core\Entity\EntityDisplayRepositoryInterface;
+use Drupal\Core\Entity\EntityRepositoryInterface;
+use Drupal\Core\Entity\EntityTypeBundleInfoInterface;
+use Drupal\Core\Form\FormStateInterface;
+use Drupal\Core\Render\RendererInterface;
+use Symfony\Component\DependencyInjection\ContainerInterface;
+
+/**
+ * Form for editing a referenced component in place.
+ *
+ * Loaded into the inline editors of ComponentReferenceFormatter by
+ * component-inline-edit.js. Saves are submitted with Drupal AJAX and answered
+ * with a componentEntityInlineEdit command. The form token protects saves
+ * against CSRF; the route itself requires a CSRF token in the URL.
+ */
+class ComponentInlineEditForm extends ContentEntityForm {
+
+  /**
+   * The renderer service.
+   *
+   * @var \Drupal\Core\Render\RendererInterface
+   */
+  protected $renderer;
+
+  /**
+   * The entity display repository.
+   *
+   * @var \Drupal\Core\Entity\EntityDisplayRepositoryInterface
+   */
+  protected $entityDisplayRepository;
+
+  /**
+   * The cache manager service.
+   *
+   * @var \Drupal\component_entity\Service\CacheManagerInterface
+   */
+  protected $cacheManager;
+
+  /**
+   * Constructs a ComponentInlineEditForm object.
+   *
+   * @param \Drupal\Core\Entity\EntityRepositoryInterface $entity_repository
+   *   The entity repository service.
+   * @param \Drupal\Core\Entity\EntityTypeBundleInfoInterface $entity_type_bundle_info
+   *   The entity type bundle service.
+   * @param \Drupal\Component\Datetime\TimeInterface $time
+   *   The time service.
+   * @param \Drupal\Core\Render\RendererInterface $renderer
+   *   The renderer service.
+   * @param \Drupal\Core\Entity\EntityDisplayRepositoryInterface $entity_display_repository
+   *   The entity display repository.
+   * @param \Drupal\component_entity\Service\CacheManagerInterface $cache_manager
+   *   The cache manager service.
+   */
+  public function __construct(
+    EntityRepositoryInterface $entity_repository,
+    EntityTypeBundleInfoInterface $entity_type_bundle_info,
+    TimeInterface $time,
+    RendererInterface $renderer,
+    EntityDisplayRepositoryInterface $entity_display_repository,
+    CacheManagerInterface $cache_manager,
+  ) {
+    parent::__construct($entity_repository, $entity_type_bundle_info, $time);
+    $this->renderer = $renderer;
+    $this->entityDisplayRepository = $entity_display_repository;
+    $this->cacheManager = $cache_manager;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public static function create(ContainerInterface $container) {
+    return new static(
+      $container->get('entity.repository'),
+      $container->get('entity_type.bundle.info'),
+      $container->get('datetime.time'),
+      $container->get('renderer'),
+      $container->get('entity_display.repository'),
+      $container->get('component_entity.cache_manager')
+    );
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function form(array $form, FormStateInterface $form_state) {
+    $form = parent::form($form, $form_state);
+
+    /** @var \Drupal\component_entity\Entity\ComponentEntityInterface $entity */
+    $entity = $this->entity;
+    $request = $this->getRequest();
+
+    // The editor only covers the component's content.
+    foreach (['name', 'status', 'uid', 'created', 'changed', 'revision_log', 'revision_information', 'revision'] as $key) {
+      unset($form[$key]);
+    }
+
+    // The view mode to render the component in once saved.
+    $view_mode = $request->query->get('view_mode', 'default');
+    if (!isset($this->entityDisplayRepository->getViewModeOptions('component')[$view_mode])) {
+      $view_mode = 'default';
+    }
+    $form['view_mode'] = [
+      '#type' => 'value',
+      '#value' => $view_mode,
+    ];
+
+    // The changed time of the version shown to the editor, for optimistic
+    // locking. The editor sends the time it was rendered with, which may be
+    // older than the entity loaded here.
+    $changed = $request->query->get('changed');
+    $form['changed_time'] = [
+      '#type' => 'value',
+      '#value' => is_numeric($changed) ? (int) $changed : $entity->getChangedTime(),
+    ];
+
+    $form['revision_log_message'] = [
+      '#type' => 'textarea',
+      '#title' => $this->t('Revision log message'),
+      '#description' => $this->t('Briefly describe the changes you have made.'),
+      '#rows' => 2,
+      '#weight' => 90,
+    ];
+
+    $form['#prefix'] = '<div id="' . $this->getWrapperId() . '" class="component-inline-edit-form">';
+    $form['#suffix'] = '</div>';
+
+    return $form;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  protected function actions(array $form, FormStateInterface $form_state) {
+    $actions = parent::actions($form, $form_state);
+    unset($actions['delete']);
+
+    $actions['submit']['#value'] = $this->t('Save');
+    $actions['submit']['#attributes']['class'][] = 'button--primary';
+    $actions['submit']['#attributes']['class'][] = 'component-inline-edit__button--save';
+    $actions['submit']['#ajax'] = [
+      'callback' => '::ajaxSubmit',
+      'progress' => ['type' => 'throbber', 'message' => $this->t('Saving...')],
+    ];
+
+    $actions['cancel'] = [
+      '#type' => 'html_tag',
+      '#tag' => 'button',
+      '#value' => $this->t('Cancel'),
+      '#weight' => 10,
+      '#attributes' => [
+        'type' => 'button',
+        'class' => ['button', 'component-inline-edit__button--cancel'],
+      ],
+    ];
+
+    return $actions;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function validateForm(array &$form, FormStateInterface $form_state) {
+    if ($this->hasConflict($form_state)) {
+      $form_state->set('inline_edit_conflict', TRUE);
+      $form_state->setErrorByName('', $this->t('The %label component was changed by someone else after this page was loaded. Cancel and edit it again to work on the latest version.', [
+        '%label' => $this->entity->label(),
+      ]));
+      return $this->entity;
+    }
+
+    return parent::validateForm($form, $form_state);
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function save(array $form, FormStateInterface $form_state) {
+    /** @var \Drupal\component_entity\Entity\ComponentEntityInterface $entity */
+    $entity = $this->entity;
+
+    $entity->setNewRevision();
+    $entity->setRevisionUserId($this->currentUser()->id());
+    $entity->setRevisionCreationTime($this->time->getRequestTime());
+    $revision_log = trim((string) $form_state->getValue('revision_log_message'));
+    if ($revision_log === '') {
+      $revision_log = $this->t('Edited component @name inline', ['@name' => $entity->label()]);
+    }
+    $entity->setRevisionLogMessage($revision_log);
+
+    $status = parent::save($form, $form_state);
+    $this->cacheManager->invalidateComponentCache($entity);
+
+    // The editor shows the saved component; nothing to redirect to.
+    $form_state->disableRedirect();
+
+    return $status;
+  }
+
+  /**
+   * AJAX callback for the save button.
+   *
+   * @param array $form
+   *   The form.
+   * @param \Drupal\Core\Form\FormStateInterface $form_state
+   *   The form state.
+   *
+   * @return \Drupal\Core\Ajax\AjaxResponse
+   *   A componentEntityInlineEdit command with the rendered component, or
+   *   with the reason the save failed followed by the form with its errors.
+   */
+  public function ajaxSubmit(array &$form, FormStateInterface $form_state) {
+    $response = new AjaxResponse();
+
+    if ($form_state->hasAnyErrors()) {
+      $status = $form_state->get('inline_edit_conflict') ? 'conflict' : 'invalid';
+      // The command goes first; it finds the editor through the button the
+      // form replacement removes.
+      $response->addCommand(new ComponentInlineEditCommand($status));
+
+      $form['status_messages'] = [
+        '#type' => 'status_messages',
+        '#weight' => -100,
+      ];
+      $response->addCommand(new ReplaceCommand('#' . $this->getWrapperId(), $form));
+      return $response;
+    }
+
+    /** @var \Drupal\component_entity\Entity\ComponentEntityInterface $entity */
+    $entity = $this->entity;
+    $build = $this->entityTypeManager->getViewBuilder('component')->view($entity, $form_state->getValue('view_mode'));
+    $html = $this->renderer->renderRoot($build);
+    $response->setAttachments($build['#attached'] ?? []);
+
+    // Messages were set for a page load that will not happen.
+    $this->messenger()->deleteAll();
+
+    $response->addCommand(new ComponentInlineEditCommand('saved', (string) $html, $entity->getChangedTime()));
+    return $response;
+  }
+
+  /**
+   * Checks whether the component was saved since the editor was rendered.
+   *
+   * @param \Drupal\Core\Form\FormStateInterface $form_state
+   *   The form state.
+   *
+   * @return bool
+   *   TRUE if a newer version has been saved.
+   */
+  protected function hasConflict(FormStateInterface $form_state) {
+    $stored = $this->entityTypeManager->getStorage('component')->loadUnchanged($this->entity->id());
+    return $stored && $stored->getChangedTime() > (int) $form_state->getValue('changed_time');
+  }
+
+  /**
+   * Gets the ID of the element wrapping the form.
+   *
+   * @return string
+   *   The wrapper ID.
+   */
+  protected function getWrapperId() {
+    return 'component-inline-edit-form-' . $this->entity->id();
+  }
+
+}
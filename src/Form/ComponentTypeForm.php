@@ -186,6 +186,76 @@ class ComponentTypeForm extends EntityForm {
       ],
     ];
 
+    $hydration_options = $component_type->getHydrationOptions();
+
+    $form['rendering']['hydration'] = [
+      '#type' => 'select',
+      '#title' => $this->t('Default hydration'),
+      '#options' => component_entity_hydration_options(),
+      '#default_value' => $component_type->getHydration(),
+      '#description' => $this->t('When React takes over the server-rendered markup. Components can override this individually.'),
+      '#states' => [
+        'visible' => [
+          ':input[name="react_enabled"]' => ['checked' => TRUE],
+        ],
+      ],
+    ];
+
+    $form['rendering']['hydration_root_margin'] = [
+      '#type' => 'textfield',
+      '#title' => $this->t('Viewport margin'),
+      '#default_value' => $hydration_options['root_margin'] ?? '200px',
+      '#description' => $this->t('How far outside the viewport hydration starts, as a CSS margin (e.g., "200px" or "0px 0px 50%").'),
+      '#size' => 20,
+      '#states' => [
+        'visible' => [
+          ':input[name="react_enabled"]' => ['checked' => TRUE],
+          ':input[name="hydration"]' => ['value' => 'visible'],
+        ],
+      ],
+    ];
+
+    $form['rendering']['hydration_timeout'] = [
+      '#type' => 'number',
+      '#title' => $this->t('Idle timeout'),
+      '#default_value' => $hydration_options['timeout'] ?? 2000,
+      '#min' => 0,
+      '#field_suffix' => $this->t('ms'),
+      '#description' => $this->t('Hydrate after this long even if the browser never becomes idle.'),
+      '#states' => [
+        'visible' => [
+          ':input[name="react_enabled"]' => ['checked' => TRUE],
+          ':input[name="hydration"]' => ['value' => 'idle'],
+        ],
+      ],
+    ];
+
+    $form['rendering']['hydration_media'] = [
+      '#type' => 'textfield',
+      '#title' => $this->t('Media query'),
+      '#default_value' => $hydration_options['media'] ?? '(min-width: 768px)',
+      '#description' => $this->t('Hydrate only while this media query matches. Elsewhere the server markup stays static.'),
+      '#states' => [
+        'visible' => [
+          ':input[name="react_enabled"]' => ['checked' => TRUE],
+          ':input[name="hydration"]' => ['value' => 'media'],
+        ],
+      ],
+    ];
+
+    $form['rendering']['hydration_events'] = [
+      '#type' => 'textfield',
+      '#title' => $this->t('Interaction events'),
+      '#default_value' => implode(', ', $hydration_options['events'] ?? ['mouseenter', 'focusin', 'touchstart', 'click']),
+      '#description' => $this->t('Comma-separated DOM events that trigger hydration.'),
+      '#states' => [
+        'visible' => [
+          ':input[name="react_enabled"]' => ['checked' => TRUE],
+          ':input[name="hydration"]' => ['value' => 'interaction'],
+        ],
+      ],
+    ];
+
     // SDC Mapping.
     $form['sdc_mapping'] = [
       '#type' => 'details',
@@ -322,6 +392,14 @@ class ComponentTypeForm extends EntityForm {
       $form_state->setError($form['rendering']['default_method'], $this->t('Cannot set Twig as default when Twig rendering is disabled.'));
     }
 
+    // Validate hydration options.
+    if ($form_state->getValue('hydration') === 'media' && !trim($form_state->getValue('hydration_media'))) {
+      $form_state->setError($form['rendering']['hydration_media'], $this->t('A media query is required for media query hydration.'));
+    }
+    if ($form_state->getValue('hydration') === 'interaction' && !$this->parseHydrationEvents($form_state->getValue('hydration_events'))) {
+      $form_state->setError($form['rendering']['hydration_events'], $this->t('At least one interaction event is required.'));
+    }
+
     // Validate SDC component exists.
     $sdc_id = $form_state->getValue('sdc_id');
     if ($sdc_id) {
@@ -352,6 +430,13 @@ class ComponentTypeForm extends EntityForm {
       'react_enabled' => $form_state->getValue('react_enabled'),
       'default_method' => $form_state->getValue('default_method'),
       'react_library' => $form_state->getValue('react_library'),
+      'hydration' => $form_state->getValue('hydration'),
+      'hydration_options' => [
+        'root_margin' => trim($form_state->getValue('hydration_root_margin')),
+        'timeout' => (int) $form_state->getValue('hydration_timeout'),
+        'media' => trim($form_state->getValue('hydration_media')),
+        'events' => $this->parseHydrationEvents($form_state->getValue('hydration_events')),
+      ],
     ]);
 
     // Set other configurations.
@@ -541,6 +626,19 @@ class ComponentTypeForm extends EntityForm {
     return FALSE;
   }
 
+  /**
+   * Splits a comma-separated list of DOM event names.
+   *
+   * @param string|null $value
+   *   The submitted value.
+   *
+   * @return string[]
+   *   Event names without empty entries.
+   */
+  protected function parseHydrationEvents($value) {
+    return array_values(array_filter(array_map('trim', explode(',', (string) $value))));
+  }
+
   /**
    * Triggers field synchronization for a component type.
    *
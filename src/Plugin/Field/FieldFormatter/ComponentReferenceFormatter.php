@@ -12,6 +12,10 @@ use Drupal\Core\Plugin\ContainerFactoryPluginInterface;
 use Symfony\Component\DependencyInjection\ContainerInterface;
 use Drupal\Core\Render\RendererInterface;
 use Drupal\Core\Cache\Cache;
+use Drupal\Core\Cache\CacheableMetadata;
+use Drupal\Core\Render\BubbleableMetadata;
+use Drupal\Core\Render\Element;
+use Drupal\Core\Url;
 
 /**
  * Plugin implementation of the 'component_reference_rendered' formatter.
@@ -125,6 +129,7 @@ class ComponentReferenceFormatter extends EntityReferenceFormatterBase implement
       'placeholder_text' => 'Loading component...',
       'apply_prop_overrides' => TRUE,
       'merge_wrapper_attributes' => TRUE,
+      'allow_reordering' => FALSE,
     ] + parent::defaultSettings();
   }
 
@@ -240,6 +245,13 @@ class ComponentReferenceFormatter extends EntityReferenceFormatterBase implement
       '#description' => $this->t('Merge wrapper attributes from the reference with the formatter settings.'),
     ];
 
+    $elements['allow_reordering'] = [
+      '#type' => 'checkbox',
+      '#title' => $this->t('Allow reordering'),
+      '#default_value' => $this->getSetting('allow_reordering'),
+      '#description' => $this->t('Let users who may edit the field reorder the components in place, by dragging or with the keyboard.'),
+    ];
+
     return $elements;
   }
 
@@ -274,6 +286,9 @@ class ComponentReferenceFormatter extends EntityReferenceFormatterBase implement
     if ($this->getSetting('apply_prop_overrides')) {
       $features[] = $this->t('Prop overrides');
     }
+    if ($this->getSetting('allow_reordering')) {
+      $features[] = $this->t('Reordering');
+    }
     if (!empty($features)) {
       $summary[] = $this->t('Features: @features', [
         '@features' => implode(', ', $features),
@@ -338,6 +353,11 @@ class ComponentReferenceFormatter extends EntityReferenceFormatterBase implement
 
       // Apply cache settings.
       $this->applyCacheSettings($elements[$delta], $entity);
+
+      // Let editors change the component in place if the field allows it.
+      if ($this->getFieldSetting('allow_inline_editing')) {
+        $elements[$delta] = $this->addInlineEditor($elements[$delta], $entity, $view_mode);
+      }
     }
 
     // Attach necessary libraries.
@@ -351,6 +371,10 @@ class ComponentReferenceFormatter extends EntityReferenceFormatterBase implement
       if ($this->getSetting('enable_progressive_enhancement')) {
         $elements['#attached']['library'][] = 'component_entity/progressive-enhancement';
       }
+
+      if ($this->getSetting('allow_reordering')) {
+        $this->addReordering($elements, $items);
+      }
     }
 
     return $elements;
@@ -408,6 +432,123 @@ class ComponentReferenceFormatter extends EntityReferenceFormatterBase implement
     ];
   }
 
+  /**
+   * Wraps a component in an inline editor for users who may update it.
+   *
+   * component-inline-edit.js loads the edit form into the editor.
+   *
+   * @param array $element
+   *   The wrapped component render array.
+   * @param \Drupal\Core\Entity\EntityInterface $entity
+   *   The component entity.
+   * @param string $view_mode
+   *   The view mode the component is rendered in.
+   *
+   * @return array
+   *   The editor render array, or the element if the user may not edit.
+   */
+  protected function addInlineEditor(array $element, $entity, $view_mode) {
+    $access = $entity->access('update', NULL, TRUE);
+    if (!$access->isAllowed()) {
+      CacheableMetadata::createFromRenderArray($element)
+        ->addCacheableDependency($access)
+        ->applyTo($element);
+      return $element;
+    }
+
+    // The edit route requires a CSRF token. The URL generator adds it as a
+    // placeholder, so the token is not render cached for other sessions.
+    $edit_url = Url::fromRoute('component_entity.inline_edit', [
+      'component' => $entity->id(),
+    ])->toString(TRUE);
+
+    $editor = [
+      '#type' => 'container',
+      '#attributes' => [
+        'class' => ['component-reference-inline-edit'],
+        'data-entity-id' => $entity->id(),
+        'data-view-mode' => $view_mode,
+        'data-changed' => $entity->getChangedTime(),
+        'data-edit-url' => $edit_url->getGeneratedUrl(),
+        'data-view-url' => Url::fromRoute('component_entity.inline_view', [
+          'component' => $entity->id(),
+          'view_mode' => $view_mode,
+        ])->toString(),
+      ],
+      'actions' => [
+        '#type' => 'container',
+        '#attributes' => ['class' => ['component-reference-inline-edit__actions']],
+        'edit' => [
+          '#type' => 'html_tag',
+          '#tag' => 'button',
+          '#value' => $this->t('Edit'),
+          '#attributes' => [
+            'type' => 'button',
+            'class' => [
+              'component-reference-inline-edit__button',
+              'component-inline-edit__button--edit',
+            ],
+            'aria-label' => $this->t('Edit @label', ['@label' => $entity->label()]),
+          ],
+        ],
+      ],
+      'content' => [
+        '#type' => 'container',
+        '#attributes' => ['class' => ['component-reference-inline-edit__content']],
+        'component' => $element,
+      ],
+      '#attached' => [
+        'library' => ['component_entity/inline-edit'],
+      ],
+    ];
+
+    BubbleableMetadata::createFromRenderArray($editor)
+      ->addCacheableDependency($access)
+      ->addCacheableDependency($entity)
+      ->merge($edit_url)
+      ->applyTo($editor);
+
+    return $editor;
+  }
+
+  /**
+   * Lets users who may edit the field reorder its components.
+   *
+   * component_entity_preprocess_field() turns the settings into the
+   * attributes component-reorder.js works with.
+   *
+   * @param array &$elements
+   *   The render arrays of the field items.
+   * @param \Drupal\Core\Field\FieldItemListInterface $items
+   *   The field items.
+   */
+  protected function addReordering(array &$elements, FieldItemListInterface $items) {
+    $host = $items->getEntity();
+    if ($host->isNew()) {
+      return;
+    }
+
+    $access = $host->access('update', NULL, TRUE)->andIf($items->access('edit', NULL, TRUE));
+    CacheableMetadata::createFromRenderArray($elements)
+      ->addCacheableDependency($access)
+      ->addCacheableDependency($host)
+      ->applyTo($elements);
+
+    // The order is saved for the whole field, so every item must be shown.
+    $deltas = Element::children($elements);
+    if (!$access->isAllowed() || count($deltas) < 2 || count($deltas) !== count($items)) {
+      return;
+    }
+
+    $elements['#component_reorder'] = [
+      'url' => Url::fromRoute('component_entity.reorder')->toString(),
+      'entity_type' => $host->getEntityTypeId(),
+      'entity_id' => $host->id(),
+      'field_name' => $this->fieldDefinition->getName(),
+    ];
+    $elements['#attached']['library'][] = 'component_entity/reorder';
+  }
+
   /**
    * Applies prop overrides to the component build.
    *
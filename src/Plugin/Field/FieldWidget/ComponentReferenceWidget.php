@@ -2,6 +2,8 @@
 
 namespace Drupal\component_entity\Plugin\Field\FieldWidget;
 
+use Drupal\Component\Serialization\Json;
+use Drupal\Component\Utility\Html;
 use Drupal\Core\Field\FieldItemListInterface;
 use Drupal\Core\Field\Plugin\Field\FieldWidget\EntityReferenceAutocompleteWidget;
 use Drupal\Core\Form\FormStateInterface;
@@ -11,6 +13,7 @@ use Drupal\Core\Field\FieldDefinitionInterface;
 use Drupal\Core\Plugin\ContainerFactoryPluginInterface;
 use Symfony\Component\DependencyInjection\ContainerInterface;
 use Drupal\Core\Render\RendererInterface;
+use Drupal\Core\Url;
 
 /**
  * Plugin implementation of the 'component_reference_autocomplete' widget.
@@ -113,6 +116,7 @@ class ComponentReferenceWidget extends EntityReferenceAutocompleteWidget impleme
       'collapsible_preview' => TRUE,
       'show_duplicate_button' => FALSE,
       'show_edit_button' => TRUE,
+      'create_dialog' => 'modal',
     ] + parent::defaultSettings();
   }
 
@@ -195,6 +199,16 @@ class ComponentReferenceWidget extends EntityReferenceAutocompleteWidget impleme
       '#default_value' => $this->getSetting('show_edit_button'),
     ];
 
+    $elements['create_dialog'] = [
+      '#type' => 'select',
+      '#title' => $this->t('Create components in'),
+      '#description' => $this->t('Where the component library and the form to create a component open.'),
+      '#options' => $this->getCreateDialogOptions(),
+      '#empty_option' => $this->t('- Do not allow creating components -'),
+      '#empty_value' => '',
+      '#default_value' => $this->getSetting('create_dialog'),
+    ];
+
     return $elements;
   }
 
@@ -231,9 +245,47 @@ class ComponentReferenceWidget extends EntityReferenceAutocompleteWidget impleme
       ]);
     }
 
+    $create_dialog = $this->getSetting('create_dialog');
+    if (isset($this->getCreateDialogOptions()[$create_dialog])) {
+      $summary[] = $this->t('Create components in: @dialog', [
+        '@dialog' => $this->getCreateDialogOptions()[$create_dialog],
+      ]);
+    }
+
     return $summary;
   }
 
+  /**
+   * {@inheritdoc}
+   */
+  public function form(FieldItemListInterface $items, array &$form, FormStateInterface $form_state, $get_delta = NULL) {
+    $elements = parent::form($items, $form, $form_state, $get_delta);
+
+    // Components created in the dialog are added to the widget named here.
+    $target = Html::getId(implode('-', array_merge($form['#parents'], [$this->fieldDefinition->getName()])));
+    $elements['#attributes']['data-component-reference-field'] = $target;
+    $elements['#attached']['library'][] = 'component_entity/reference-dialog';
+
+    $dialog_type = $this->getSetting('create_dialog');
+    if (isset($this->getCreateDialogOptions()[$dialog_type])) {
+      $url = Url::fromRoute('component_entity.library', [], [
+        'query' => ['target' => $target, 'dialog_type' => $dialog_type],
+      ]);
+      $elements['create_component'] = [
+        '#type' => 'link',
+        '#title' => $this->t('Create component'),
+        '#url' => $url,
+        '#access' => $url->access(),
+        '#weight' => 100,
+        '#attributes' => [
+          'class' => ['use-ajax', 'button', 'button--small', 'component-reference-create'],
+        ] + $this->getDialogAttributes($dialog_type),
+      ];
+    }
+
+    return $elements;
+  }
+
   /**
    * {@inheritdoc}
    */
@@ -569,6 +621,41 @@ class ComponentReferenceWidget extends EntityReferenceAutocompleteWidget impleme
     $form_state->setRebuild();
   }
 
+  /**
+   * Gets the options of the create_dialog setting.
+   *
+   * @return array
+   *   Dialog labels keyed by dialog type.
+   */
+  protected function getCreateDialogOptions() {
+    return [
+      'modal' => $this->t('Modal dialog'),
+      'off_canvas' => $this->t('Off-canvas dialog'),
+    ];
+  }
+
+  /**
+   * Gets the attributes that make a use-ajax link open a dialog.
+   *
+   * @param string $dialog_type
+   *   'modal' or 'off_canvas'.
+   *
+   * @return array
+   *   The data-dialog-* attributes.
+   */
+  protected function getDialogAttributes($dialog_type) {
+    if ($dialog_type === 'off_canvas') {
+      return [
+        'data-dialog-type' => 'dialog',
+        'data-dialog-renderer' => 'off_canvas',
+      ];
+    }
+    return [
+      'data-dialog-type' => 'modal',
+      'data-dialog-options' => Json::encode(['width' => 960]),
+    ];
+  }
+
   /**
    * Gets available display mode options.
    *
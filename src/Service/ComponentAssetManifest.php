@@ -0,0 +1,185 @@
+<?php
+
+namespace Drupal\component_entity\Service;
+
+use Drupal\Core\Extension\ModuleExtensionList;
+use Drupal\Core\File\FileUrlGeneratorInterface;
+use Psr\Log\LoggerInterface;
+
+/**
+ * Reads the webpack asset manifest (dist/component-manifest.json).
+ *
+ * The manifest is written by scripts/component-manifest-plugin.js and maps
+ * each component type, and each other library such as the client SDK, to the
+ * JS and CSS files of its bundle, in load order.
+ */
+class ComponentAssetManifest {
+
+  /**
+   * The manifest file name inside dist/.
+   */
+  const FILENAME = 'component-manifest.json';
+
+  /**
+   * The module extension list.
+   *
+   * @var \Drupal\Core\Extension\ModuleExtensionList
+   */
+  protected $moduleExtensionList;
+
+  /**
+   * The file URL generator.
+   *
+   * @var \Drupal\Core\File\FileUrlGeneratorInterface
+   */
+  protected $fileUrlGenerator;
+
+  /**
+   * The logger channel.
+   *
+   * @var \Psr\Log\LoggerInterface
+   */
+  protected $logger;
+
+  /**
+   * The parsed manifest, with 'components' and 'libraries' entries.
+   *
+   * @var array|null
+   */
+  protected $manifest;
+
+  /**
+   * Constructor.
+   */
+  public function __construct(
+    ModuleExtensionList $module_extension_list,
+    FileUrlGeneratorInterface $file_url_generator,
+    LoggerInterface $logger,
+  ) {
+    $this->moduleExtensionList = $module_extension_list;
+    $this->fileUrlGenerator = $file_url_generator;
+    $this->logger = $logger;
+  }
+
+  /**
+   * Gets the dist/ directory relative to the Drupal root.
+   *
+   * @return string
+   *   The directory path, wherever the module is installed.
+   */
+  public function getDistPath() {
+    return $this->moduleExtensionList->getPath('component_entity') . '/dist';
+  }
+
+  /**
+   * Gets all manifest entries with files relative to the Drupal root.
+   *
+   * @return array
+   *   Entries keyed by component type, each with 'entry', 'js' and 'css'.
+   */
+  public function getComponents() {
+    return $this->getManifest()['components'];
+  }
+
+  /**
+   * Gets the non-component bundles, such as the client SDK.
+   *
+   * @return array
+   *   Entries keyed by library name, each with 'entry', 'js' and 'css'
+   *   relative to the Drupal root.
+   */
+  public function getLibraries() {
+    return $this->getManifest()['libraries'];
+  }
+
+  /**
+   * Reads and parses the manifest file once.
+   *
+   * @return array
+   *   The 'components' and 'libraries' entries.
+   */
+  protected function getManifest() {
+    if (!isset($this->manifest)) {
+      $this->manifest = ['components' => [], 'libraries' => []];
+
+      $file = $this->getDistPath() . '/' . self::FILENAME;
+      if (!file_exists($file)) {
+        return $this->manifest;
+      }
+
+      $manifest = json_decode(file_get_contents($file), TRUE);
+      if (!is_array($manifest) || !isset($manifest['components']) || !is_array($manifest['components'])) {
+        $this->logger->error('The component asset manifest @file is invalid. Run "npm run build" to regenerate it.', [
+          '@file' => $file,
+        ]);
+        return $this->manifest;
+      }
+
+      foreach (['components', 'libraries'] as $group) {
+        foreach ($manifest[$group] ?? [] as $name => $entry) {
+          $this->manifest[$group][$name] = [
+            'entry' => $entry['entry'] ?? $name,
+            'js' => $this->prefixFiles($entry['js'] ?? []),
+            'css' => $this->prefixFiles($entry['css'] ?? []),
+          ];
+        }
+      }
+    }
+
+    return $this->manifest;
+  }
+
+  /**
+   * Checks whether a component type has a built bundle.
+   *
+   * @param string $component_type
+   *   The component type ID.
+   *
+   * @return bool
+   *   TRUE if the manifest lists the component.
+   */
+  public function has($component_type) {
+    return isset($this->getComponents()[$component_type]);
+  }
+
+  /**
+   * Gets the manifest entry for a component type with browser URLs.
+   *
+   * @param string $component_type
+   *   The component type ID.
+   *
+   * @return array|null
+   *   The entry for drupalSettings.componentEntity.manifest, with 'entry',
+   *   'js' and 'css' URLs relative to the site root, or NULL if the
+   *   component has no bundle.
+   */
+  public function getEntry($component_type) {
+    $components = $this->getComponents();
+    if (!isset($components[$component_type])) {
+      return NULL;
+    }
+
+    $entry = $components[$component_type];
+    foreach (['js', 'css'] as $type) {
+      $entry[$type] = array_map([$this->fileUrlGenerator, 'generateString'], $entry[$type]);
+    }
+    return $entry;
+  }
+
+  /**
+   * Prefixes manifest paths with the dist/ directory.
+   *
+   * @param array $files
+   *   Paths relative to dist/.
+   *
+   * @return string[]
+   *   Paths relative to the Drupal root.
+   */
+  protected function prefixFiles(array $files) {
+    $dist = $this->getDistPath();
+    return array_map(function ($file) use ($dist) {
+      return $dist . '/' . ltrim($file, '/');
+    }, array_values($files));
+  }
+
+}
@@ -0,0 +1,254 @@
+<?php
+
+namespace Drupal\component_entity\Service;
+
+use Drupal\component_entity\Entity\ComponentTypeInterface;
+use Drupal\Core\Entity\EntityTypeManagerInterface;
+use Drupal\Core\Plugin\Component\ComponentPluginManager;
+use Drupal\Core\Url;
+use Drupal\user\UserDataInterface;
+
+/**
+ * Builds the index behind the component library browser.
+ *
+ * Besides the component types, it keeps the favourite and recently used
+ * types of each user in user data.
+ */
+class ComponentLibraryIndex {
+
+  /**
+   * How many recently used types are kept per user.
+   */
+  const RECENT_LIMIT = 8;
+
+  /**
+   * The category of types without one.
+   */
+  const DEFAULT_CATEGORY = 'Other';
+
+  /**
+   * The entity type manager.
+   *
+   * @var \Drupal\Core\Entity\EntityTypeManagerInterface
+   */
+  protected $entityTypeManager;
+
+  /**
+   * The SDC plugin manager.
+   *
+   * @var \Drupal\Core\Plugin\Component\ComponentPluginManager
+   */
+  protected $componentManager;
+
+  /**
+   * The user data service.
+   *
+   * @var \Drupal\user\UserDataInterface
+   */
+  protected $userData;
+
+  /**
+   * Constructs a ComponentLibraryIndex object.
+   *
+   * @param \Drupal\Core\Entity\EntityTypeManagerInterface $entity_type_manager
+   *   The entity type manager.
+   * @param \Drupal\Core\Plugin\Component\ComponentPluginManager $component_manager
+   *   The SDC plugin manager.
+   * @param \Drupal\user\UserDataInterface $user_data
+   *   The user data service.
+   */
+  public function __construct(EntityTypeManagerInterface $entity_type_manager, ComponentPluginManager $component_manager, UserDataInterface $user_data) {
+    $this->entityTypeManager = $entity_type_manager;
+    $this->componentManager = $component_manager;
+    $this->userData = $user_data;
+  }
+
+  /**
+   * Gets the index entries of all component types.
+   *
+   * @return array
+   *   Entries sorted by label, each with id, label, description, category,
+   *   tags, renderMethods, addUrl, dialogUrl, favoriteUrl and thumbnailUrl
+   *   (NULL for types without an SDC component to render).
+   */
+  public function getTypes() {
+    $types = $this->entityTypeManager->getStorage('component_type')->loadMultiple();
+
+    $entries = [];
+    foreach ($types as $type) {
+      $definition = $this->getSdcDefinition($type);
+
+      $tags = array_merge((array) $type->getSetting('tags', []), (array) ($definition['tags'] ?? []));
+      $tags = array_values(array_unique(array_filter(array_map('trim', array_filter($tags, 'is_string')))));
+
+      $entries[] = [
+        'id' => $type->id(),
+        'label' => (string) $type->label(),
+        'description' => (string) $type->getDescription(),
+        'category' => (string) ($type->getSetting('category') ?: ($definition['group'] ?? '') ?: self::DEFAULT_CATEGORY),
+        'tags' => $tags,
+        'renderMethods' => array_keys($type->getAvailableRenderMethods()),
+        'addUrl' => Url::fromRoute('entity.component.add_form', ['component_type' => $type->id()])->toString(),
+        'dialogUrl' => Url::fromRoute('entity.component.dialog_add_form', ['component_type' => $type->id()])->toString(),
+        'favoriteUrl' => Url::fromRoute('component_entity.library.favorite', ['component_type' => $type->id()])->toString(),
+        'thumbnailUrl' => $definition
+          ? Url::fromRoute('component_entity.library.thumbnail', ['component_type' => $type->id()])->toString()
+          : NULL,
+      ];
+    }
+
+    usort($entries, function ($a, $b) {
+      return strnatcasecmp($a['label'], $b['label']);
+    });
+    return $entries;
+  }
+
+  /**
+   * Builds props and slots for a component type from its SDC examples.
+   *
+   * Each prop gets its first example, then its default; object props are
+   * built from their own properties the same way.
+   *
+   * @param \Drupal\component_entity\Entity\ComponentTypeInterface $type
+   *   The component type.
+   *
+   * @return array|null
+   *   An array with the SDC component ID, 'props' and 'slots', or NULL if
+   *   the type has no SDC component.
+   */
+  public function getExample(ComponentTypeInterface $type) {
+    $definition = $this->getSdcDefinition($type);
+    if (!$definition) {
+      return NULL;
+    }
+
+    $props = $this->buildExampleValue($definition['props'] ?? []);
+
+    $slots = [];
+    foreach ($definition['slots'] ?? [] as $name => $slot) {
+      if (isset($slot['examples'][0]) && is_string($slot['examples'][0])) {
+        $slots[$name] = ['#markup' => $slot['examples'][0]];
+      }
+    }
+
+    return [
+      'component' => $type->getSdcId(),
+      'props' => is_array($props) ? $props : [],
+      'slots' => $slots,
+    ];
+  }
+
+  /**
+   * Gets the favourite component types of a user.
+   *
+   * @param int $uid
+   *   The user ID.
+   *
+   * @return string[]
+   *   Component type IDs.
+   */
+  public function getFavorites($uid) {
+    return array_values((array) $this->userData->get('component_entity', $uid, 'library_favorites'));
+  }
+
+  /**
+   * Adds a component type to the favourites of a user, or removes it.
+   *
+   * @param int $uid
+   *   The user ID.
+   * @param string $type_id
+   *   The component type ID.
+   * @param bool $favorite
+   *   Whether the type is a favourite.
+   *
+   * @return string[]
+   *   The user's favourite component type IDs.
+   */
+  public function setFavorite($uid, $type_id, $favorite) {
+    $favorites = array_diff($this->getFavorites($uid), [$type_id]);
+    if ($favorite) {
+      $favorites[] = $type_id;
+    }
+    $favorites = array_values($favorites);
+    $this->userData->set('component_entity', $uid, 'library_favorites', $favorites);
+    return $favorites;
+  }
+
+  /**
+   * Gets the component types a user used last.
+   *
+   * @param int $uid
+   *   The user ID.
+   *
+   * @return string[]
+   *   Component type IDs, the most recent first.
+   */
+  public function getRecent($uid) {
+    return array_values((array) $this->userData->get('component_entity', $uid, 'library_recent'));
+  }
+
+  /**
+   * Records that a user created a component of a type.
+   *
+   * @param int $uid
+   *   The user ID.
+   * @param string $type_id
+   *   The component type ID.
+   */
+  public function recordUse($uid, $type_id) {
+    if (!$uid) {
+      return;
+    }
+    $recent = array_diff($this->getRecent($uid), [$type_id]);
+    array_unshift($recent, $type_id);
+    $this->userData->set('component_entity', $uid, 'library_recent', array_slice($recent, 0, self::RECENT_LIMIT));
+  }
+
+  /**
+   * Gets the SDC plugin definition of a component type.
+   *
+   * @param \Drupal\component_entity\Entity\ComponentTypeInterface $type
+   *   The component type.
+   *
+   * @return array|null
+   *   The definition, or NULL if the type has no (existing) SDC component.
+   */
+  protected function getSdcDefinition(ComponentTypeInterface $type) {
+    $sdc_id = $type->getSdcId();
+    if (!$sdc_id) {
+      return NULL;
+    }
+    return $this->componentManager->getDefinition($sdc_id, FALSE);
+  }
+
+  /**
+   * Builds an example value from a JSON schema.
+   *
+   * @param array $schema
+   *   The schema of the value.
+   *
+   * @return mixed
+   *   The example, or NULL if the schema has none.
+   */
+  protected function buildExampleValue(array $schema) {
+    if (array_key_exists(0, $schema['examples'] ?? [])) {
+      return $schema['examples'][0];
+    }
+    if (array_key_exists('default', $schema)) {
+      return $schema['default'];
+    }
+    if (empty($schema['properties']) || !is_array($schema['properties'])) {
+      return NULL;
+    }
+
+    $value = [];
+    foreach ($schema['properties'] as $name => $property) {
+      $example = is_array($property) ? $this->buildExampleValue($property) : NULL;
+      if ($example !== NULL) {
+        $value[$name] = $example;
+      }
+    }
+    return $value ?: NULL;
+  }
+
+}
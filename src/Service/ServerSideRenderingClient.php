@@ -0,0 +1,103 @@
+<?php
+
+namespace Drupal\component_entity\Service;
+
+use Drupal\Core\Config\ConfigFactoryInterface;
+use GuzzleHttp\ClientInterface;
+use GuzzleHttp\Exception\GuzzleException;
+use Psr\Log\LoggerInterface;
+
+/**
+ * Client for the Node.js SSR worker (scripts/ssr-server.js).
+ */
+class ServerSideRenderingClient {
+
+  /**
+   * The HTTP client.
+   *
+   * @var \GuzzleHttp\ClientInterface
+   */
+  protected $httpClient;
+
+  /**
+   * The configuration factory.
+   *
+   * @var \Drupal\Core\Config\ConfigFactoryInterface
+   */
+  protected $configFactory;
+
+  /**
+   * The logger channel.
+   *
+   * @var \Psr\Log\LoggerInterface
+   */
+  protected $logger;
+
+  /**
+   * Constructor.
+   */
+  public function __construct(
+    ClientInterface $http_client,
+    ConfigFactoryInterface $config_factory,
+    LoggerInterface $logger,
+  ) {
+    $this->httpClient = $http_client;
+    $this->configFactory = $config_factory;
+    $this->logger = $logger;
+  }
+
+  /**
+   * Checks whether the SSR worker is enabled.
+   *
+   * @return bool
+   *   TRUE if server-side rendering is enabled site-wide.
+   */
+  public function isEnabled() {
+    return (bool) $this->configFactory->get('component_entity.settings')->get('ssr.enabled');
+  }
+
+  /**
+   * Renders a component through the SSR worker.
+   *
+   * @param array $component
+   *   The component entry as sent to drupalSettings.componentEntity.components
+   *   (type, props, slots, entityId, viewMode, hydration), plus the
+   *   component's 'schema' so the worker normalises props like the client.
+   *
+   * @return string
+   *   The rendered HTML, or an empty string when the worker is unavailable so
+   *   the client falls back to a full client-side render.
+   */
+  public function render(array $component) {
+    if (!$this->isEnabled()) {
+      return '';
+    }
+
+    $config = $this->configFactory->get('component_entity.settings');
+    $socket = $config->get('ssr.socket');
+    $endpoint = $socket ? 'http://localhost' : rtrim($config->get('ssr.endpoint') ?: 'http://127.0.0.1:3001', '/');
+
+    $options = [
+      'json' => $component,
+      'timeout' => (float) ($config->get('ssr.timeout') ?: 2),
+      'connect_timeout' => 1,
+      'http_errors' => TRUE,
+    ];
+    if ($socket) {
+      $options['curl'] = [CURLOPT_UNIX_SOCKET_PATH => $socket];
+    }
+
+    try {
+      $response = $this->httpClient->request('POST', $endpoint . '/render', $options);
+      return (string) $response->getBody();
+    }
+    catch (GuzzleException $e) {
+      $this->logger->warning('Server-side rendering of @type failed: @message', [
+        '@type' => $component['type'] ?? 'unknown',
+        '@message' => $e->getMessage(),
+      ]);
+      return '';
+    }
+  }
+
+}
@@ -0,0 +1,54 @@
+<?php
+
+namespace Drupal\component_entity\Theme;
+
+use Drupal\Core\Config\ConfigFactoryInterface;
+use Drupal\Core\Routing\RouteMatchInterface;
+use Drupal\Core\Theme\ThemeNegotiatorInterface;
+
+/**
+ * Renders the live preview and render comparison iframes and library
+ * thumbnails with the front-end theme.
+ *
+ * The component edit form and library use the admin theme, but components
+ * should be previewed with the styles and libraries they get on the site.
+ */
+class ComponentPreviewThemeNegotiator implements ThemeNegotiatorInterface {
+
+  /**
+   * The config factory.
+   *
+   * @var \Drupal\Core\Config\ConfigFactoryInterface
+   */
+  protected $configFactory;
+
+  /**
+   * Constructs a ComponentPreviewThemeNegotiator object.
+   *
+   * @param \Drupal\Core\Config\ConfigFactoryInterface $config_factory
+   *   The config factory.
+   */
+  public function __construct(ConfigFactoryInterface $config_factory) {
+    $this->configFactory = $config_factory;
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function applies(RouteMatchInterface $route_match) {
+    return in_array($route_match->getRouteName(), [
+      'component_entity.preview_frame',
+      'component_entity.preview_frame.render',
+      'component_entity.preview_frame.compare',
+      'component_entity.library.thumbnail',
+    ], TRUE);
+  }
+
+  /**
+   * {@inheritdoc}
+   */
+  public function determineActiveTheme(RouteMatchInterface $route_match) {
+    return $this->configFactory->get('system.theme')->get('default');
+  }
+
+}
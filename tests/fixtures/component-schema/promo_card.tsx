@@ -0,0 +1,39 @@
+import type { FC, ReactNode } from 'react';
+
+export interface PromoCardProps {
+  /** Title: Main heading of the card */
+  title: string;
+  /**
+   * Short text below the title.
+   * @example "Save 20% this week"
+   */
+  summary?: string;
+  variant?: 'default' | 'featured';
+  /** @default 3 */
+  columns?: 1 | 2 | 3;
+  highlighted?: boolean;
+  tags?: string[];
+  /** Image */
+  image?: {
+    src: string;
+    alt?: string;
+  };
+  drupal_context?: {
+    entity_id: string | number;
+  };
+  onDismiss?: () => void;
+  className?: string;
+  slots?: {
+    /** Card body */
+    content: ReactNode;
+    footer?: ReactNode;
+  };
+}
+
+const PromoCard: FC<PromoCardProps> = ({ title, variant = 'default', highlighted = false }) => (
+  <article className={`promo-card promo-card--${variant}${highlighted ? ' is-highlighted' : ''}`}>
+    <h2 className="promo-card__title">{title}</h2>
+  </article>
+);
+
+export default PromoCard;
@@ -0,0 +1,21 @@
+/**
+ * @file
+ * Pre-built component bundle used by the SSR worker tests.
+ */
+
+(function () {
+  'use strict';
+
+  const h = window.React.createElement;
+
+  function TestComponent(props) {
+    return h(
+      'section',
+      { className: 'test-component', 'data-entity-id': props.drupalContext.entityId },
+      h('h2', null, props.title),
+      props.slots.content
+    );
+  }
+
+  window.Drupal.componentEntity.register('test_component', TestComponent);
+})();
@@ -3,7 +3,9 @@
  * Tests for the Component Entity renderer.
  */
 
-import { ComponentRenderer } from '../js/component-renderer';
+/* global React, ReactDOM */
+
+import { ComponentRenderer } from '../../js/component-registry';
 
 // Mock DOM elements
 const createMockElement = (type = 'hero_banner', props = {}) => {
@@ -31,10 +33,13 @@ describe('ComponentRenderer', () => {
     };
     
     global.ReactDOM = {
-      render: jest.fn(),
-      hydrate: jest.fn(),
       createRoot: jest.fn(() => ({
         render: jest.fn(),
+        unmount: jest.fn(),
+      })),
+      hydrateRoot: jest.fn(() => ({
+        render: jest.fn(),
+        unmount: jest.fn(),
       })),
     };
   });
@@ -75,6 +80,23 @@ describe('ComponentRenderer', () => {
       expect(components).toHaveProperty('component_1');
       expect(components).toHaveProperty('component_2');
     });
+
+    it('should forget the schema of an unregistered component', () => {
+      renderer.register('test_component', () => null, { schema: { props: {} } });
+
+      expect(renderer.unregister('test_component')).toBe(true);
+      expect(renderer.has('test_component')).toBe(false);
+      expect(renderer.getSchema('test_component')).toBeNull();
+    });
+
+    it('should reject components awaited when they are unregistered', async () => {
+      const registered = renderer.whenRegistered('test_component');
+
+      renderer.unregister('test_component');
+      renderer.register('test_component', () => null);
+
+      await expect(registered).rejects.toThrow('Component test_component was unregistered');
+    });
   });
 
   describe('Component Rendering', () => {
@@ -140,7 +162,7 @@ describe('ComponentRenderer', () => {
       
       renderer.hydrate(element, { title: 'Hydrated' });
       
-      expect(ReactDOM.hydrate).toHaveBeenCalled();
+      expect(ReactDOM.hydrateRoot).toHaveBeenCalled();
     });
 
     it('should use partial hydration when specified', () => {
@@ -165,8 +187,490 @@ describe('ComponentRenderer', () => {
       
       renderer.hydrate(element, { title: 'Static' });
       
-      expect(ReactDOM.hydrate).not.toHaveBeenCalled();
-      expect(ReactDOM.render).toHaveBeenCalled();
+      expect(ReactDOM.hydrateRoot).not.toHaveBeenCalled();
+      expect(ReactDOM.createRoot).toHaveBeenCalledWith(element);
+    });
+
+    it('should hydrate with hydrateRoot', () => {
+      const TestComponent = jest.fn(() => null);
+      renderer.register('test_component', TestComponent);
+      
+      const element = createMockElement('test_component');
+      element.dataset.hydration = 'full';
+      
+      renderer.hydrate(element, { title: 'Hydrated' });
+      
+      expect(ReactDOM.hydrateRoot).toHaveBeenCalledWith(
+        element,
+        undefined,
+        expect.objectContaining({ onRecoverableError: expect.any(Function) })
+      );
+      expect(renderer.isMounted(element)).toBe(true);
+    });
+
+    it('should report recoverable hydration errors', () => {
+      const TestComponent = jest.fn(() => null);
+      renderer.register('test_component', TestComponent);
+      
+      const element = createMockElement('test_component');
+      const listener = jest.fn();
+      element.addEventListener('component:hydration-error', listener);
+      const consoleSpy = jest.spyOn(console, 'warn').mockImplementation();
+      
+      renderer.hydrate(element);
+      const { onRecoverableError } = ReactDOM.hydrateRoot.mock.calls[0][2];
+      onRecoverableError(new Error('Text content does not match'), { componentStack: '\n    at TestComponent' });
+      
+      expect(consoleSpy).toHaveBeenCalledWith(
+        expect.stringContaining('Hydration mismatch in component test_component'),
+        expect.any(Error),
+        expect.stringContaining('TestComponent')
+      );
+      expect(listener).toHaveBeenCalled();
+      
+      consoleSpy.mockRestore();
+    });
+  });
+
+  describe('Hydration Strategies', () => {
+    const createServerRenderedElement = (strategy, options) => {
+      const element = createMockElement('test_component');
+      element.innerHTML = '<section>Server markup</section>';
+      element.dataset.hydration = strategy;
+      if (options) {
+        element.dataset.hydrationOptions = JSON.stringify(options);
+      }
+      return element;
+    };
+
+    beforeEach(() => {
+      renderer.register('test_component', jest.fn(() => null));
+    });
+
+    it('should hydrate visible components when they intersect', () => {
+      let trigger;
+      const observer = { observe: jest.fn(), disconnect: jest.fn() };
+      window.IntersectionObserver.mockImplementationOnce((callback) => {
+        trigger = callback;
+        return observer;
+      });
+      
+      const element = createServerRenderedElement('visible', { rootMargin: '50px' });
+      renderer.hydrate(element);
+      
+      expect(window.IntersectionObserver).toHaveBeenLastCalledWith(expect.any(Function), { rootMargin: '50px' });
+      expect(observer.observe).toHaveBeenCalledWith(element);
+      expect(ReactDOM.hydrateRoot).not.toHaveBeenCalled();
+      
+      trigger([{ isIntersecting: true }]);
+      
+      expect(observer.disconnect).toHaveBeenCalled();
+      expect(ReactDOM.hydrateRoot).toHaveBeenCalledTimes(1);
+    });
+
+    it('should hydrate idle components once the browser is idle', () => {
+      window.requestIdleCallback = jest.fn(() => 7);
+      window.cancelIdleCallback = jest.fn();
+      
+      const element = createServerRenderedElement('idle', { timeout: 500 });
+      renderer.hydrate(element);
+      
+      expect(window.requestIdleCallback).toHaveBeenCalledWith(expect.any(Function), { timeout: 500 });
+      expect(ReactDOM.hydrateRoot).not.toHaveBeenCalled();
+      
+      window.requestIdleCallback.mock.calls[0][0]();
+      expect(ReactDOM.hydrateRoot).toHaveBeenCalledTimes(1);
+      
+      delete window.requestIdleCallback;
+      delete window.cancelIdleCallback;
+    });
+
+    it('should hydrate idle components within the timeout without requestIdleCallback', () => {
+      jest.useFakeTimers();
+
+      const element = createServerRenderedElement('idle', { timeout: 100 });
+      renderer.hydrate(element);
+
+      jest.advanceTimersByTime(99);
+      expect(ReactDOM.hydrateRoot).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(1);
+      expect(ReactDOM.hydrateRoot).toHaveBeenCalledTimes(1);
+
+      jest.useRealTimers();
+    });
+
+    it('should hydrate media components only when the query matches', () => {
+      const query = { matches: false, addEventListener: jest.fn(), removeEventListener: jest.fn() };
+      window.matchMedia.mockReturnValueOnce(query);
+      
+      const element = createServerRenderedElement('media', { media: '(min-width: 768px)' });
+      renderer.hydrate(element);
+      
+      expect(window.matchMedia).toHaveBeenCalledWith('(min-width: 768px)');
+      expect(ReactDOM.hydrateRoot).not.toHaveBeenCalled();
+      
+      const onChange = query.addEventListener.mock.calls[0][1];
+      onChange({ matches: true });
+      
+      expect(query.removeEventListener).toHaveBeenCalledWith('change', onChange);
+      expect(ReactDOM.hydrateRoot).toHaveBeenCalledTimes(1);
+    });
+
+    it('should hydrate interaction components on a configured event', () => {
+      const element = createServerRenderedElement('interaction', { events: ['click'] });
+      renderer.hydrate(element);
+      
+      element.dispatchEvent(new Event('mouseenter'));
+      expect(ReactDOM.hydrateRoot).not.toHaveBeenCalled();
+      
+      element.dispatchEvent(new Event('click'));
+      element.dispatchEvent(new Event('click'));
+      expect(ReactDOM.hydrateRoot).toHaveBeenCalledTimes(1);
+    });
+
+    it('should cancel pending hydration on unmount', () => {
+      const element = createServerRenderedElement('interaction');
+      renderer.hydrate(element);
+      
+      renderer.unmount(element);
+      element.dispatchEvent(new Event('focusin'));
+      
+      expect(ReactDOM.hydrateRoot).not.toHaveBeenCalled();
+    });
+
+    it('should fall back to full hydration for unknown strategies', () => {
+      const consoleSpy = jest.spyOn(console, 'warn').mockImplementation();
+      
+      renderer.hydrate(createServerRenderedElement('eventually'));
+      
+      expect(consoleSpy).toHaveBeenCalledWith(expect.stringContaining('Unknown hydration strategy "eventually"'));
+      expect(ReactDOM.hydrateRoot).toHaveBeenCalledTimes(1);
+      
+      consoleSpy.mockRestore();
+    });
+  });
+
+  describe('Root Tracking', () => {
+    it('should reuse the root when rendering an element again', () => {
+      const TestComponent = jest.fn(() => null);
+      renderer.register('test_component', TestComponent);
+      
+      const element = createMockElement('test_component');
+      renderer.render(element);
+      renderer.render(element, { title: 'Updated' });
+      
+      expect(ReactDOM.createRoot).toHaveBeenCalledTimes(1);
+      expect(ReactDOM.createRoot.mock.results[0].value.render).toHaveBeenCalledTimes(2);
+    });
+
+    it('should wrap roots in DrupalProvider when the shared package is loaded', () => {
+      const DrupalProvider = jest.fn(({ children }) => children);
+      Drupal.componentEntity.react = { DrupalProvider };
+      const TestComponent = jest.fn(() => null);
+      renderer.register('test_component', TestComponent);
+      
+      const element = createMockElement('test_component');
+      element.dataset.entityId = '42';
+      renderer.render(element);
+      
+      expect(React.createElement).toHaveBeenLastCalledWith(
+        DrupalProvider,
+        { entity: expect.objectContaining({ entityId: '42', bundle: 'test_component', viewMode: 'default' }) },
+        undefined
+      );
+      
+      delete Drupal.componentEntity.react;
+    });
+
+    it('should pass the store scope of the region to DrupalProvider', () => {
+      const DrupalProvider = jest.fn(({ children }) => children);
+      Drupal.componentEntity.react = { DrupalProvider };
+      Drupal.componentEntity.stores = { getScope: jest.fn(() => 'sidebar') };
+      renderer.register('test_component', jest.fn(() => null));
+      
+      const element = createMockElement('test_component');
+      renderer.render(element);
+      
+      expect(Drupal.componentEntity.stores.getScope).toHaveBeenCalledWith(element);
+      expect(React.createElement).toHaveBeenLastCalledWith(
+        DrupalProvider,
+        { entity: expect.any(Object), scope: 'sidebar' },
+        undefined
+      );
+      
+      delete Drupal.componentEntity.react;
+      delete Drupal.componentEntity.stores;
+    });
+
+    it('should unmount tracked roots', () => {
+      const unmount = jest.fn();
+      ReactDOM.createRoot = jest.fn(() => ({ render: jest.fn(), unmount }));
+      const TestComponent = jest.fn(() => null);
+      renderer.register('test_component', TestComponent);
+      
+      const element = createMockElement('test_component');
+      renderer.render(element);
+      
+      expect(renderer.unmount(element)).toBe(true);
+      expect(unmount).toHaveBeenCalled();
+      expect(renderer.isMounted(element)).toBe(false);
+      expect(renderer.unmount(element)).toBe(false);
+    });
+  });
+
+  describe('Prop Normalisation', () => {
+    const schema = {
+      props: {
+        type: 'object',
+        properties: {
+          title: { type: 'string' },
+          alignment: { type: 'string', enum: ['left', 'center', 'right'], default: 'center' },
+          overlay_opacity: { type: 'number', default: 0.4 },
+          cta_button: {
+            type: 'object',
+            properties: {
+              text: { type: 'string' },
+              variant: { type: 'string', default: 'primary' },
+            },
+          },
+          drupal_context: { type: 'object' },
+        },
+      },
+      slots: ['content', 'footer'],
+    };
+
+    const config = {
+      type: 'hero_banner',
+      entityId: '7',
+      viewMode: 'teaser',
+      canEdit: true,
+      props: { title: 'Hello', overlayOpacity: '0.6', ctaButton: { text: 'Go' } },
+      slots: { content: '<p>Body</p>', footer: '' },
+    };
+
+    beforeEach(() => {
+      React.createElement = jest.fn((type, props) => ({ type, props }));
+    });
+
+    it('should deliver the context in the case the schema declares', () => {
+      renderer.setSchema('hero_banner', schema);
+      
+      const props = renderer.buildInstanceProps(config);
+      
+      expect(props.drupalContext).toBeUndefined();
+      expect(props.drupal_context).toEqual({
+        entity_id: '7',
+        entity_type: 'component',
+        bundle: 'hero_banner',
+        view_mode: 'teaser',
+        can_edit: true,
+      });
+    });
+
+    it('should rename props, coerce scalars and apply defaults', () => {
+      renderer.setSchema('hero_banner', schema);
+      
+      const props = renderer.buildInstanceProps(config);
+      
+      expect(props.overlay_opacity).toBe(0.6);
+      expect(props.alignment).toBe('center');
+      expect(props.cta_button).toEqual({ text: 'Go', variant: 'primary' });
+      expect(props).not.toHaveProperty('overlayOpacity');
+    });
+
+    it('should not create optional objects from defaults', () => {
+      renderer.setSchema('hero_banner', schema);
+      
+      const props = renderer.buildInstanceProps({ ...config, props: {} });
+      
+      expect(props).not.toHaveProperty('cta_button');
+    });
+
+    it('should convert slot HTML into React nodes', () => {
+      const props = renderer.buildInstanceProps({ ...config, slots: { content: { html: '<p>Body</p>' }, footer: '' } });
+      
+      expect(props.slots.content).toEqual({
+        type: 'div',
+        props: { className: 'component-slot', dangerouslySetInnerHTML: { __html: '<p>Body</p>' } },
+      });
+      expect(props.slots.footer).toBeNull();
+    });
+
+    it('should keep camelCase context without a schema', () => {
+      const props = renderer.buildInstanceProps(config);
+      
+      expect(props.drupalContext).toEqual(expect.objectContaining({ entityId: '7', canEdit: true }));
+      expect(props.overlayOpacity).toBe('0.6');
+    });
+
+    it('should accept a schema when registering', () => {
+      renderer.register('hero_banner', jest.fn(() => null), { schema });
+      
+      expect(renderer.getSchema('hero_banner')).toBe(schema);
+    });
+  });
+
+  describe('Prop Validation', () => {
+    const schema = {
+      props: {
+        type: 'object',
+        required: ['title'],
+        properties: {
+          title: { type: 'string' },
+          overlay_opacity: { type: 'number', minimum: 0, maximum: 1 },
+          attributes: { type: 'Drupal\\Core\\Template\\Attribute' },
+          cta_button: {
+            type: 'object',
+            properties: {
+              variant: { type: 'string', enum: ['primary', 'secondary', 'outline'] },
+            },
+          },
+          tags: { type: 'array', items: { type: 'string' } },
+        },
+      },
+    };
+
+    beforeEach(() => {
+      renderer.setSchema('hero_banner', schema);
+    });
+
+    it('should report the failing path and expected enum', () => {
+      const errors = renderer.validateProps('hero_banner', {
+        title: 'Hello',
+        cta_button: { variant: 'ghost' },
+      });
+      
+      expect(errors).toEqual([{
+        path: 'cta_button.variant',
+        message: 'expected one of "primary", "secondary", "outline", got "ghost"',
+        expected: ['primary', 'secondary', 'outline'],
+        value: 'ghost',
+      }]);
+    });
+
+    it('should report types, ranges and required props', () => {
+      const errors = renderer.validateProps('hero_banner', {
+        overlay_opacity: 1.5,
+        tags: ['news', 3],
+      });
+      
+      expect(errors.map((error) => `${error.path}: ${error.message}`)).toEqual([
+        'title: is required',
+        'overlay_opacity: expected at most 1, got 1.5',
+        'tags[1]: expected string, got number',
+      ]);
+    });
+
+    it('should accept valid props and types JSON schema does not define', () => {
+      expect(renderer.validateProps('hero_banner', {
+        title: 'Hello',
+        overlay_opacity: 0.4,
+        attributes: {},
+      })).toEqual([]);
+      expect(renderer.validateProps('unknown_component', { title: 1 })).toEqual([]);
+    });
+
+    it('should not validate in production builds', () => {
+      global.__DEV__ = false;
+      jest.isolateModules(() => {
+        const { ComponentRenderer: ProductionRenderer } = require('../../js/component-registry');
+        const production = new ProductionRenderer();
+        production.setSchema('hero_banner', schema);
+        
+        expect(production.validateProps('hero_banner', {})).toEqual([]);
+      });
+      global.__DEV__ = true;
+    });
+
+    it('should validate in Drupal\'s debug mode', () => {
+      global.__DEV__ = false;
+      global.drupalSettings.componentEntity = { debug: true };
+      jest.isolateModules(() => {
+        const { ComponentRenderer: SourceRenderer } = require('../../js/component-registry');
+        const source = new SourceRenderer();
+        source.setSchema('hero_banner', schema);
+
+        expect(source.validateProps('hero_banner', {}).map((error) => error.path)).toContain('title');
+      });
+      delete global.drupalSettings.componentEntity;
+      global.__DEV__ = true;
+    });
+  });
+
+  describe('Bundle Loading', () => {
+    const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+    const findAsset = (selector, url) => document.head.querySelector(`${selector}="${url}"]`);
+
+    it('should load scripts in order and preload stylesheets', async () => {
+      const TestComponent = jest.fn(() => null);
+      const loaded = renderer.load('ordered_component', {
+        entry: 'ordered.ordered_component',
+        js: ['/dist/js/runtime-a.js', '/dist/js/ordered.js'],
+        css: ['/dist/css/ordered.css'],
+      });
+      await flush();
+      
+      const stylesheet = findAsset('link[href', '/dist/css/ordered.css');
+      expect(stylesheet.rel).toBe('preload');
+      expect(stylesheet.as).toBe('style');
+      expect(findAsset('script[src', '/dist/js/ordered.js')).toBeNull();
+      
+      findAsset('script[src', '/dist/js/runtime-a.js').dispatchEvent(new Event('load'));
+      await flush();
+      renderer.register('ordered_component', TestComponent);
+      findAsset('script[src', '/dist/js/ordered.js').dispatchEvent(new Event('load'));
+      stylesheet.dispatchEvent(new Event('load'));
+      
+      await expect(loaded).resolves.toBe(TestComponent);
+      expect(stylesheet.rel).toBe('stylesheet');
+    });
+
+    it('should retry failed scripts with backoff', async () => {
+      const TestComponent = jest.fn(() => null);
+      window.Drupal.componentEntity['retry.retry_component'] = TestComponent;
+      
+      const loaded = renderer.load('retry_component', {
+        entry: 'retry.retry_component',
+        js: ['/dist/js/retry.js'],
+      }, { retryDelay: 1 });
+      await flush();
+      
+      findAsset('script[src', '/dist/js/retry.js').dispatchEvent(new Event('error'));
+      expect(findAsset('script[src', '/dist/js/retry.js')).toBeNull();
+      
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      findAsset('script[src', '/dist/js/retry.js').dispatchEvent(new Event('load'));
+      
+      await expect(loaded).resolves.toBe(TestComponent);
+      expect(renderer.get('retry_component')).toBe(TestComponent);
+      
+      delete window.Drupal.componentEntity['retry.retry_component'];
+    });
+
+    it('should reject once retries are exhausted', async () => {
+      const loaded = renderer.load('broken_component', {
+        entry: 'broken.broken_component',
+        js: ['/dist/js/broken.js'],
+      }, { retries: 0 });
+      await flush();
+      
+      findAsset('script[src', '/dist/js/broken.js').dispatchEvent(new Event('error'));
+      
+      await expect(loaded).rejects.toThrow('Failed to load script /dist/js/broken.js');
+      expect(renderer.loading.has('broken_component')).toBe(false);
+    });
+
+    it('should reject components missing from the manifest', async () => {
+      await expect(renderer.load('unknown_component', undefined))
+        .rejects.toThrow('No asset manifest entry for component unknown_component');
+    });
+
+    it('should resolve registered components without loading', async () => {
+      const TestComponent = jest.fn(() => null);
+      renderer.register('test_component', TestComponent);
+      
+      await expect(renderer.load('test_component')).resolves.toBe(TestComponent);
     });
   });
 
@@ -178,6 +682,9 @@ describe('ComponentRenderer', () => {
       
       renderer.register('error_component', ErrorComponent);
       
+      // Simulate the root rethrowing the component's render error.
+      ReactDOM.createRoot.mockImplementation(() => ({ render: () => ErrorComponent() }));
+      
       const element = createMockElement('error_component');
       document.body.appendChild(element);
       
@@ -243,6 +750,26 @@ describe('ComponentRenderer', () => {
       expect(React.createElement).toHaveBeenCalled();
     });
 
+    it('should render with React packages set outside Drupal', () => {
+      const TestComponent = jest.fn(() => null);
+      const root = { render: jest.fn(), unmount: jest.fn() };
+      const packages = {
+        React: { createElement: jest.fn((type, props, child) => ({ type, props, child })) },
+        ReactDOM: { createRoot: jest.fn(() => root) },
+        shared: { DrupalProvider: 'DrupalProvider' },
+      };
+      renderer.setReact(packages);
+      renderer.register('test_component', TestComponent);
+
+      const element = createMockElement('test_component');
+      renderer.render(element);
+
+      expect(React.createElement).not.toHaveBeenCalled();
+      expect(ReactDOM.createRoot).not.toHaveBeenCalled();
+      expect(packages.ReactDOM.createRoot).toHaveBeenCalledWith(element);
+      expect(root.render).toHaveBeenCalledWith(expect.objectContaining({ type: 'DrupalProvider' }));
+    });
+
     it('should preserve Drupal settings', () => {
       global.drupalSettings = {
         componentEntity: {
@@ -300,8 +827,7 @@ describe('ComponentRenderer', () => {
       element.dataset.lazy = 'true';
       
       // Mock IntersectionObserver
-      const observerCallback = jest.fn();
-      global.IntersectionObserver = jest.fn((callback) => ({
+      global.IntersectionObserver = jest.fn(() => ({
         observe: jest.fn(),
         unobserve: jest.fn(),
         disconnect: jest.fn(),
@@ -0,0 +1,378 @@
+/**
+ * @file
+ * Tests for the Component Entity client SDK.
+ */
+
+import {
+  AccessDeniedError,
+  ComponentEntityClient,
+  NetworkError,
+  NotFoundError,
+  ValidationError,
+  applySchema,
+  createClient,
+  entityToProps,
+  propsToFields,
+} from '@component-entity/client';
+
+type Reply = { status?: number; body?: unknown };
+
+/**
+ * Mock fetch answering requests from a route table.
+ */
+const mockFetch = (routes: Record<string, Reply | Reply[] | ((init: RequestInit) => Reply)>) => {
+  return jest.fn((url: string, init: RequestInit = {}) => {
+    const { pathname, search } = new URL(url, 'https://example.com');
+    const key = `${init.method || 'GET'} ${pathname}`;
+    let reply = routes[`${key}${search}`] || routes[key];
+    if (typeof reply === 'function') {
+      reply = reply(init);
+    }
+    if (Array.isArray(reply)) {
+      reply = reply.length > 1 ? reply.shift() as Reply : reply[0];
+    }
+    const { status = 200, body = null } = (reply || { status: 404, body: { message: `No route for ${key}` } }) as Reply;
+    return Promise.resolve({
+      ok: status >= 200 && status < 300,
+      status,
+      text: () => Promise.resolve(typeof body === 'string' ? body : body === null ? '' : JSON.stringify(body)),
+    } as Response);
+  });
+};
+
+const heroType = {
+  id: 'hero_banner',
+  label: 'Hero Banner',
+  description: '',
+  sdc_id: 'component_entity:hero_banner',
+  rendering: {},
+  fields: {
+    field_title: { label: 'Title', type: 'string', required: true, cardinality: 1, settings: {} },
+    field_show_cta: { label: 'Show CTA', type: 'boolean', required: false, cardinality: 1, settings: {} },
+    field_overlay_opacity: { label: 'Opacity', type: 'decimal', required: false, cardinality: 1, settings: {} },
+    field_cta: { label: 'CTA', type: 'link', required: false, cardinality: 1, settings: {} },
+    field_tags: { label: 'Tags', type: 'entity_reference', required: false, cardinality: -1, settings: {} },
+    field_settings: { label: 'Settings', type: 'json', required: false, cardinality: 1, settings: {} },
+    field_content_slot: { label: 'Content', type: 'text_long', required: false, cardinality: 1, settings: {} },
+  },
+};
+
+const heroEntity = {
+  id: [{ value: 7 }],
+  uuid: [{ value: 'abc-123' }],
+  type: [{ target_id: 'hero_banner' }],
+  name: [{ value: 'Homepage hero' }],
+  status: [{ value: true }],
+  render_method: [{ value: 'react' }],
+  created: [{ value: '2024-01-01T00:00:00+00:00' }],
+  changed: [{ value: 1704067200 }],
+  field_title: [{ value: 'Welcome' }],
+  field_show_cta: [{ value: true }],
+  field_overlay_opacity: [{ value: '0.50' }],
+  field_cta: [{ uri: 'internal:/about', title: 'About us', options: [] }],
+  field_tags: [
+    { target_id: 1, target_type: 'taxonomy_term', target_uuid: 't1', url: '/taxonomy/term/1' },
+    { target_id: 2, target_type: 'taxonomy_term', target_uuid: 't2', url: '/taxonomy/term/2' },
+  ],
+  field_settings: [{ value: '{"align":"left"}' }],
+  field_content_slot: [{ value: '<p>Raw</p>', format: 'basic_html', processed: '<p>Hello</p>' }],
+};
+
+describe('Component Entity client', () => {
+  it('should default the base URL to drupalSettings', () => {
+    expect(createClient().baseUrl).toBe('/');
+    expect(createClient({ baseUrl: 'https://example.com/sub' }).baseUrl).toBe('https://example.com/sub/');
+  });
+
+  it('should send requests to URLs Drupal generated', async () => {
+    const fetch = mockFetch({
+      'GET /sub/session/token': { body: 'token' },
+      'POST /sub/fr/component/reorder': { body: { success: true } },
+    });
+    const client = createClient({ baseUrl: '/sub/', fetch });
+
+    await client.request('POST', '/sub/fr/component/reorder', { body: {} });
+
+    expect(fetch.mock.calls.map(([url]) => url)).toEqual(['/sub/session/token', '/sub/fr/component/reorder?_format=json']);
+  });
+
+  describe('Components', () => {
+    it('should return components with props shaped like the renderer', async () => {
+      const fetch = mockFetch({
+        'GET /api/component/7': { body: heroEntity },
+        'GET /api/component-type/hero_banner': { body: heroType },
+      });
+      const client = createClient({ baseUrl: '/', fetch });
+
+      const component = await client.getComponent('7');
+
+      expect(fetch).toHaveBeenCalledWith('/api/component/7?_format=json', expect.objectContaining({
+        method: 'GET',
+        credentials: 'same-origin',
+      }));
+      expect(component).toEqual(expect.objectContaining({
+        id: '7',
+        uuid: 'abc-123',
+        type: 'hero_banner',
+        name: 'Homepage hero',
+        status: true,
+        renderMethod: 'react',
+        created: 1704067200,
+        changed: 1704067200,
+        slots: { content: '<p>Hello</p>' },
+      }));
+      expect(component.props).toEqual({
+        title: 'Welcome',
+        show_cta: true,
+        overlay_opacity: 0.5,
+        cta: { url: '/about', title: 'About us', options: [] },
+        tags: [
+          { id: '1', uuid: 't1', type: 'taxonomy_term', url: '/taxonomy/term/1' },
+          { id: '2', uuid: 't2', type: 'taxonomy_term', url: '/taxonomy/term/2' },
+        ],
+        settings: { align: 'left' },
+      });
+    });
+
+    it('should rename props to the names in the component schema', async () => {
+      const fetch = mockFetch({
+        'GET /api/component/7': { body: heroEntity },
+        'GET /api/component-type/hero_banner': { body: heroType },
+      });
+      const client = createClient({
+        fetch,
+        schemas: {
+          hero_banner: {
+            props: {
+              properties: {
+                showCta: { type: 'boolean' },
+                overlayOpacity: { type: 'number' },
+              },
+            },
+          },
+        },
+      });
+
+      const { props } = await client.getComponent('7');
+
+      expect(props).toEqual(expect.objectContaining({ showCta: true, overlayOpacity: 0.5 }));
+      expect(props).not.toHaveProperty('show_cta');
+    });
+
+    it('should cache component types', async () => {
+      const fetch = mockFetch({
+        'GET /api/component/7': { body: heroEntity },
+        'GET /api/component-type/hero_banner': { body: heroType },
+      });
+      const client = createClient({ fetch });
+
+      await client.getComponent(7);
+      await client.getComponent(7);
+
+      const typeRequests = fetch.mock.calls.filter(([url]) => url.includes('component-type'));
+      expect(typeRequests).toHaveLength(1);
+    });
+
+    it('should send CSRF tokens with unsafe requests', async () => {
+      const fetch = mockFetch({
+        'GET /session/token': { body: 'token-xyz' },
+        'GET /api/component-type/hero_banner': { body: heroType },
+        'POST /api/component': { status: 201, body: heroEntity },
+      });
+      const client = createClient({ fetch });
+
+      await client.createComponent('hero_banner', {
+        name: 'Homepage hero',
+        props: { title: 'Welcome', showCta: true },
+        slots: { content: '<p>Hello</p>' },
+      });
+
+      const [url, init] = fetch.mock.calls.find(([, request]) => request && request.method === 'POST') as [string, RequestInit];
+      expect(url).toBe('/api/component?_format=json');
+      expect(init.headers).toEqual(expect.objectContaining({
+        'X-CSRF-Token': 'token-xyz',
+        'Content-Type': 'application/json',
+      }));
+      expect(JSON.parse(init.body as string)).toEqual({
+        type: [{ target_id: 'hero_banner' }],
+        name: [{ value: 'Homepage hero' }],
+        field_title: [{ value: 'Welcome' }],
+        field_show_cta: [{ value: true }],
+        field_content_slot: [{ value: '<p>Hello</p>' }],
+      });
+    });
+
+    it('should refresh a rejected CSRF token once', async () => {
+      const fetch = mockFetch({
+        'GET /session/token': [{ body: 'stale' }, { body: 'fresh' }],
+        'DELETE /api/component/7': (init) => (
+          (init.headers as Record<string, string>)['X-CSRF-Token'] === 'fresh'
+            ? { status: 204 }
+            : { status: 403, body: { message: 'X-CSRF-Token request header is invalid' } }
+        ),
+      });
+      const client = createClient({ fetch });
+
+      await expect(client.deleteComponent(7)).resolves.toBeUndefined();
+      expect(fetch.mock.calls.filter(([url]) => url.includes('session/token'))).toHaveLength(2);
+    });
+
+    it('should not send CSRF tokens with bearer authentication', async () => {
+      const fetch = mockFetch({ 'DELETE /api/component/7': { status: 204 } });
+      const client = createClient({ fetch, auth: { type: 'bearer', token: 'jwt' } });
+
+      await client.deleteComponent(7);
+
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(fetch.mock.calls[0][1].headers).toEqual(expect.objectContaining({ Authorization: 'Bearer jwt' }));
+      expect(fetch.mock.calls[0][1].headers).not.toHaveProperty('X-CSRF-Token');
+    });
+  });
+
+  describe('Collections', () => {
+    const page = (offset: number, total: number, ids: number[]) => ({
+      body: {
+        total,
+        limit: 2,
+        offset,
+        items: ids.map((id) => ({ id: String(id), type: 'hero_banner' })),
+        links: {},
+      },
+    });
+
+    it('should list one page with filters', async () => {
+      const fetch = mockFetch({ 'GET /api/components': page(0, 3, [1, 2]) });
+      const client = createClient({ fetch });
+
+      const result = await client.listComponents({ type: 'hero_banner', limit: 2 });
+
+      expect(fetch.mock.calls[0][0]).toBe('/api/components?type=hero_banner&limit=2&_format=json');
+      expect(result.hasNext).toBe(true);
+      expect(result.items).toHaveLength(2);
+    });
+
+    it('should page through every component', async () => {
+      const fetch = mockFetch({
+        'GET /api/components?limit=2&offset=0&_format=json': page(0, 3, [1, 2]),
+        'GET /api/components?limit=2&offset=2&_format=json': page(2, 3, [3]),
+      });
+      const client = createClient({ fetch });
+
+      const items = await client.listAllComponents({ limit: 2 });
+
+      expect(items.map((item) => item.id)).toEqual(['1', '2', '3']);
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('Rendering', () => {
+    it('should render with query options', async () => {
+      const fetch = mockFetch({ 'GET /api/component/7/render': { body: { id: '7', html: '<div></div>' } } });
+      const client = createClient({ fetch });
+
+      const result = await client.renderComponent(7, { viewMode: 'teaser', includeAssets: true, context: { region: 'sidebar' } });
+
+      expect(result.html).toBe('<div></div>');
+      expect(fetch.mock.calls[0][0]).toBe('/api/component/7/render?view_mode=teaser&include_assets=1&context_region=sidebar&_format=json');
+    });
+
+    it('should POST props overrides', async () => {
+      const fetch = mockFetch({
+        'GET /session/token': { body: 'token' },
+        'POST /api/component/7/render': { body: { id: '7', html: '<div>Preview</div>' } },
+      });
+      const client = createClient({ fetch });
+
+      await client.renderComponent(7, { props: { title: 'Preview' } });
+
+      const [, init] = fetch.mock.calls.find(([, request]) => request && request.method === 'POST') as [string, RequestInit];
+      expect(JSON.parse(init.body as string)).toEqual(expect.objectContaining({ props: { title: 'Preview' }, slots: {} }));
+    });
+  });
+
+  describe('Bulk operations', () => {
+    it('should split large operations and offset result indexes', async () => {
+      const fetch = mockFetch({
+        'GET /session/token': { body: 'token' },
+        'POST /api/components/bulk': (init) => {
+          const { components } = JSON.parse(init.body as string);
+          return {
+            body: {
+              success: components.slice(1).map((id: number, index: number) => ({ index: index + 1, id, action: 'publish' })),
+              errors: [{ index: 0, id: components[0], message: 'Component not found.' }],
+            },
+          };
+        },
+      });
+      const client = createClient({ fetch });
+      const ids = Array.from({ length: 150 }, (_, index) => index + 1);
+
+      const result = await client.bulkPublish(ids);
+
+      expect(fetch.mock.calls.filter(([url]) => url.includes('bulk'))).toHaveLength(2);
+      expect(result.success).toHaveLength(148);
+      expect(result.errors).toEqual([
+        { index: 0, id: 1, message: 'Component not found.' },
+        { index: 100, id: 101, message: 'Component not found.' },
+      ]);
+    });
+  });
+
+  describe('Errors', () => {
+    it('should throw typed errors with the Drupal message', async () => {
+      const fetch = mockFetch({
+        'GET /api/component/8': { status: 404, body: { message: 'Component entity not found.' } },
+        'GET /api/components': { status: 400, body: { message: 'Invalid limit parameter. Must be between 1 and 100.' } },
+        'GET /api/component/9': { status: 403, body: { message: '' } },
+      });
+      const client = createClient({ fetch });
+
+      await expect(client.getComponent(8)).rejects.toEqual(expect.any(NotFoundError));
+      await expect(client.getComponent(8)).rejects.toThrow('Component entity not found.');
+      await expect(client.listComponents({ limit: 500 })).rejects.toEqual(expect.objectContaining({
+        name: 'ValidationError',
+        status: 400,
+      }));
+      await expect(client.getComponent(9)).rejects.toBeInstanceOf(AccessDeniedError);
+    });
+
+    it('should wrap network failures', async () => {
+      const client = createClient({ fetch: jest.fn(() => Promise.reject(new TypeError('Failed to fetch'))) });
+
+      const error = await client.getComponent(7).catch((caught) => caught);
+
+      expect(error).toBeInstanceOf(NetworkError);
+      expect(error.message).toBe('GET api/component/7 failed: Failed to fetch');
+    });
+
+    it('should keep typed errors distinguishable', () => {
+      expect(new ValidationError('Invalid')).toBeInstanceOf(Error);
+      expect(new ComponentEntityClient()).toBeInstanceOf(ComponentEntityClient);
+    });
+  });
+
+  describe('Prop shaping', () => {
+    it('should guess field shapes without definitions', () => {
+      const { props } = entityToProps({
+        field_link: [{ uri: 'https://example.com', title: 'Example' }],
+        field_items: [{ value: 'a' }, { value: 'b' }],
+      });
+
+      expect(props).toEqual({
+        link: { url: 'https://example.com', title: 'Example', options: {} },
+        items: ['a', 'b'],
+      });
+    });
+
+    it('should leave undeclared props alone', () => {
+      expect(applySchema({ extra: '1' }, { props: { properties: { count: { type: 'integer' } } } })).toEqual({ extra: '1' });
+    });
+
+    it('should encode JSON and multi-value fields', () => {
+      expect(propsToFields({ settings: { align: 'left' }, tags: [{ id: 1 }, { id: 2 }] }, {}, heroType.fields)).toEqual({
+        field_settings: [{ value: '{"align":"left"}' }],
+        field_tags: [{ target_id: 1 }, { target_id: 2 }],
+      });
+    });
+  });
+});
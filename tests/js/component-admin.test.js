@@ -0,0 +1,151 @@
+/**
+ * @file
+ * Tests for the live preview on the component edit form.
+ */
+
+import { fireEvent } from '@testing-library/react';
+
+// The live preview only needs jQuery's Event and when().
+jQuery.Event = jest.fn((type) => ({ type }));
+jQuery.when = jest.fn((jqxhr) => ({ always: (callback) => jqxhr.callbacks.push(callback) }));
+require('../../js/component-admin');
+
+/**
+ * Render the edit form and attach the behavior.
+ *
+ * @param {string} [state] - Value of data-component-live-preview
+ */
+const attach = (state = '') => {
+  document.body.innerHTML = `
+    <form>
+      <input type="text" name="field_title" value="Summer sale">
+      <select name="field_theme"><option value="light">Light</option><option value="dark">Dark</option></select>
+      <input type="submit" data-component-preview-trigger value="Update Preview">
+      <div data-component-live-preview="${state}">
+        <input type="range" class="component-preview__width-input" value="1280">
+      </div>
+    </form>
+  `;
+  Drupal.behaviors.componentEntityLivePreview.attach(document);
+};
+
+/**
+ * Get the live preview container.
+ *
+ * @returns {HTMLElement}
+ */
+const container = () => document.querySelector('[data-component-live-preview]');
+
+describe('component-admin', () => {
+  let ajax;
+  let requests;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    attach();
+
+    // Each submit starts a request that finishes when the test says so.
+    requests = [];
+    ajax = {
+      element: document.querySelector('[data-component-preview-trigger]'),
+      event: 'mousedown',
+      ajaxing: false,
+      eventResponse: jest.fn(() => requests.push({ callbacks: [] })),
+      $form: { data: () => requests[requests.length - 1] },
+    };
+    Drupal.ajax = { instances: [null, ajax] };
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  /**
+   * Finish the oldest running request.
+   */
+  const finish = () => {
+    requests.shift().callbacks.forEach((callback) => callback());
+  };
+
+  it('should preview the values once the edits stop', () => {
+    const title = document.querySelector('[name="field_title"]');
+
+    fireEvent.input(title, { target: { value: 'Autumn sale' } });
+    jest.advanceTimersByTime(300);
+    fireEvent.input(title, { target: { value: 'Winter sale' } });
+    fireEvent.change(document.querySelector('[name="field_theme"]'), { target: { value: 'dark' } });
+    jest.advanceTimersByTime(300);
+
+    expect(ajax.eventResponse).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(100);
+
+    expect(ajax.eventResponse).toHaveBeenCalledTimes(1);
+    expect(ajax.eventResponse).toHaveBeenCalledWith(ajax.element, { type: 'mousedown' });
+    expect(container()).toHaveClass('is-updating');
+
+    finish();
+
+    expect(container()).not.toHaveClass('is-updating');
+  });
+
+  it('should ignore the controls of the preview', () => {
+    fireEvent.input(container().querySelector('input'), { target: { value: '375' } });
+    fireEvent.change(container().querySelector('input'), { target: { value: '375' } });
+    jest.advanceTimersByTime(1000);
+
+    expect(ajax.eventResponse).not.toHaveBeenCalled();
+  });
+
+  it('should send edits made during a request once it finishes', () => {
+    const title = document.querySelector('[name="field_title"]');
+
+    fireEvent.input(title, { target: { value: 'Autumn sale' } });
+    jest.advanceTimersByTime(400);
+    fireEvent.input(title, { target: { value: 'Winter sale' } });
+    jest.advanceTimersByTime(400);
+    fireEvent.input(title, { target: { value: 'Spring sale' } });
+    jest.advanceTimersByTime(400);
+
+    expect(ajax.eventResponse).toHaveBeenCalledTimes(1);
+
+    finish();
+
+    expect(ajax.eventResponse).toHaveBeenCalledTimes(2);
+    expect(container()).toHaveClass('is-updating');
+
+    finish();
+
+    expect(ajax.eventResponse).toHaveBeenCalledTimes(2);
+    expect(container()).not.toHaveClass('is-updating');
+  });
+
+  it('should try again while the button runs its own request', () => {
+    ajax.ajaxing = true;
+
+    fireEvent.input(document.querySelector('[name="field_title"]'), { target: { value: 'Autumn sale' } });
+    jest.advanceTimersByTime(400);
+
+    expect(ajax.eventResponse).not.toHaveBeenCalled();
+
+    ajax.ajaxing = false;
+    jest.advanceTimersByTime(400);
+
+    expect(ajax.eventResponse).toHaveBeenCalledTimes(1);
+  });
+
+  it('should preview saved components straight away', () => {
+    attach('saved');
+    ajax.element = document.querySelector('[data-component-preview-trigger]');
+
+    jest.advanceTimersByTime(400);
+
+    expect(ajax.eventResponse).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not preview new components before they are edited', () => {
+    jest.advanceTimersByTime(1000);
+
+    expect(ajax.eventResponse).not.toHaveBeenCalled();
+  });
+});
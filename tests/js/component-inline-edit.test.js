@@ -0,0 +1,196 @@
+/**
+ * @file
+ * Tests for inline editing of referenced components.
+ */
+
+import { fireEvent, waitFor } from '@testing-library/react';
+
+Drupal.AjaxCommands = function () {};
+require('../../js/component-inline-edit');
+
+const FORM = `
+  <form class="component-inline-edit-form">
+    <input type="hidden" name="changed" value="100">
+    <input type="text" name="field_title" value="Summer sale">
+    <input type="submit" class="component-inline-edit__button--save" value="Save">
+    <a href="#" class="component-inline-edit__button--cancel">Cancel</a>
+  </form>
+`;
+
+/**
+ * Mock Drupal.ajax, answering with the markup of the requested path.
+ *
+ * @param {Object} pages - Markup keyed by path
+ * @returns {jest.Mock}
+ */
+const mockAjax = (pages) => jest.fn((settings) => ({
+  execute: () => {
+    const path = settings.url.split('?')[0];
+    if (!(path in pages)) {
+      return Promise.reject(new Error(`No page for ${path}`));
+    }
+    document.getElementById(settings.wrapper).innerHTML = pages[path];
+    return Promise.resolve();
+  },
+}));
+
+/**
+ * Get the inline editor.
+ *
+ * @returns {HTMLElement}
+ */
+const editor = () => document.querySelector('.component-reference-inline-edit');
+
+/**
+ * Open the edit form and wait for it.
+ */
+const edit = async () => {
+  fireEvent.click(editor().querySelector('.component-inline-edit__button--edit'));
+  await waitFor(() => expect(editor()).toHaveClass('is-editing'));
+};
+
+/**
+ * Run the command ComponentInlineEditForm answers saves with.
+ *
+ * @param {Object} response - The command data
+ */
+const command = (response) => {
+  const ajax = { element: editor().querySelector('.component-inline-edit__button--save') };
+  Drupal.AjaxCommands.prototype.componentEntityInlineEdit(ajax, response);
+};
+
+describe('component-inline-edit', () => {
+  beforeEach(() => {
+    Drupal.announce.mockClear();
+    Drupal.attachBehaviors.mockClear();
+    Drupal.detachBehaviors.mockClear();
+    Drupal.ajax = mockAjax({
+      '/component/7/inline-edit': FORM,
+      '/component/7/view/teaser': '<div class="component">Winter sale</div>',
+    });
+    delete drupalSettings.componentEntity;
+
+    document.body.innerHTML = `
+      <div class="component-reference-inline-edit" data-entity-id="7" data-view-mode="teaser" data-changed="100" data-edit-url="/component/7/inline-edit?token=abc" data-view-url="/component/7/view/teaser">
+        <div class="component-reference-inline-edit__actions">
+          <button type="button" class="component-inline-edit__button--edit">Edit</button>
+        </div>
+        <div class="component-reference-inline-edit__content"><div class="component">Summer sale</div></div>
+      </div>
+    `;
+    Drupal.behaviors.componentEntityInlineEdit.attach(document);
+  });
+
+  it('should open the edit form of the version on the page', async () => {
+    await edit();
+
+    const content = editor().querySelector('.component-reference-inline-edit__content');
+    expect(content.id).toMatch(/^component-inline-edit-7-\d+$/);
+    expect(Drupal.ajax).toHaveBeenCalledWith(expect.objectContaining({
+      url: '/component/7/inline-edit?token=abc&view_mode=teaser&changed=100',
+      wrapper: content.id,
+      method: 'html',
+    }));
+    expect(content.querySelector('form')).not.toBeNull();
+    expect(document.activeElement).toBe(content.querySelector('[name="field_title"]'));
+  });
+
+  it('should open the edit form once', async () => {
+    const button = editor().querySelector('.component-inline-edit__button--edit');
+
+    fireEvent.click(button);
+    fireEvent.click(button);
+    await waitFor(() => expect(editor()).toHaveClass('is-editing'));
+    fireEvent.click(button);
+
+    expect(Drupal.ajax).toHaveBeenCalledTimes(1);
+  });
+
+  it('should say when the edit form could not be loaded', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    Drupal.ajax = mockAjax({});
+
+    fireEvent.click(editor().querySelector('.component-inline-edit__button--edit'));
+
+    await waitFor(() => expect(Drupal.announce).toHaveBeenCalledWith('The edit form could not be loaded.', 'assertive'));
+    expect(editor()).not.toHaveClass('is-editing');
+    expect(editor()).not.toHaveClass('is-loading');
+    console.error.mockRestore();
+  });
+
+  it('should ask before discarding unsaved changes', async () => {
+    const confirm = jest.spyOn(window, 'confirm').mockReturnValue(false);
+    await edit();
+
+    fireEvent.input(editor().querySelector('[name="field_title"]'), { target: { value: 'Autumn sale' } });
+    expect(editor()).toHaveClass('is-dirty');
+
+    const unload = new Event('beforeunload', { cancelable: true });
+    window.dispatchEvent(unload);
+    expect(unload.defaultPrevented).toBe(true);
+
+    fireEvent.click(editor().querySelector('.component-inline-edit__button--cancel'));
+    expect(confirm).toHaveBeenCalledWith('Discard your unsaved changes to this component?');
+    expect(editor()).toHaveClass('is-editing');
+
+    confirm.mockReturnValue(true);
+    fireEvent.click(editor().querySelector('.component-inline-edit__button--cancel'));
+
+    expect(editor()).not.toHaveClass('is-dirty');
+    await waitFor(() => expect(editor()).not.toHaveClass('is-editing'));
+    confirm.mockRestore();
+  });
+
+  it('should show the latest version after cancelling', async () => {
+    await edit();
+    drupalSettings.componentEntity = { inlineEdit: { changed: { 7: 150 } } };
+
+    fireEvent.click(editor().querySelector('.component-inline-edit__button--cancel'));
+
+    await waitFor(() => expect(editor()).not.toHaveClass('is-editing'));
+    expect(editor().querySelector('.component').textContent).toBe('Winter sale');
+    expect(editor().dataset.changed).toBe('150');
+    expect(document.activeElement).toBe(editor().querySelector('.component-inline-edit__button--edit'));
+  });
+
+  it('should replace the component once saved', async () => {
+    await edit();
+    fireEvent.input(editor().querySelector('[name="field_title"]'), { target: { value: 'Autumn sale' } });
+    const content = editor().querySelector('.component-reference-inline-edit__content');
+
+    command({ status: 'saved', html: '<div class="component">Autumn sale</div>', changed: 200 });
+
+    expect(content.innerHTML).toBe('<div class="component">Autumn sale</div>');
+    expect(Drupal.detachBehaviors).toHaveBeenCalledWith(content, drupalSettings, 'unload');
+    expect(Drupal.attachBehaviors).toHaveBeenCalledWith(content, drupalSettings);
+    expect(editor().dataset.changed).toBe('200');
+    expect(editor()).not.toHaveClass('is-editing');
+    expect(editor()).not.toHaveClass('is-dirty');
+    expect(document.activeElement).toBe(editor().querySelector('.component-inline-edit__button--edit'));
+    expect(Drupal.announce).toHaveBeenCalledWith('Component saved.');
+  });
+
+  it('should keep the form when someone else changed the component', async () => {
+    await edit();
+
+    command({ status: 'conflict', html: null, changed: null });
+
+    expect(editor()).toHaveClass('is-editing');
+    expect(editor()).toHaveClass('has-conflict');
+    expect(editor().dataset.changed).toBe('100');
+    expect(Drupal.announce).toHaveBeenCalledWith('This component was changed by someone else. Cancel and edit it again to work on the latest version.', 'assertive');
+
+    fireEvent.click(editor().querySelector('.component-inline-edit__button--cancel'));
+
+    await waitFor(() => expect(editor()).not.toHaveClass('has-conflict'));
+  });
+
+  it('should keep the form when it has errors', async () => {
+    await edit();
+
+    command({ status: 'invalid', html: null, changed: null });
+
+    expect(editor()).toHaveClass('is-editing');
+    expect(Drupal.announce).toHaveBeenCalledWith('The component could not be saved. Check the form for errors.', 'assertive');
+  });
+});
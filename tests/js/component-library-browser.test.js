@@ -0,0 +1,279 @@
+/**
+ * @file
+ * Tests for the component library browser.
+ */
+
+import { fireEvent, waitFor } from '@testing-library/react';
+
+import client from '@component-entity/client';
+
+Drupal.componentEntity.client = client;
+require('../../js/component-library-search');
+require('../../js/component-library-browser');
+
+const index = {
+  types: [
+    {
+      id: 'hero_banner',
+      label: 'Hero Banner',
+      description: 'A full-width hero banner with background image and CTA',
+      category: 'Layout',
+      tags: ['marketing', 'media'],
+      addUrl: '/component/add/hero_banner',
+      dialogUrl: '/component/add/hero_banner/dialog',
+      favoriteUrl: '/admin/structure/component-types/library/favorite/hero_banner',
+    },
+    {
+      id: 'card',
+      label: 'Card',
+      description: 'A teaser with an image, title and link',
+      category: 'Content',
+      tags: ['media'],
+      addUrl: '/component/add/card',
+      dialogUrl: '/component/add/card/dialog',
+      favoriteUrl: '/admin/structure/component-types/library/favorite/card',
+    },
+    {
+      id: 'cta',
+      label: 'Call to action',
+      description: 'A prominent button with supporting text',
+      category: 'Content',
+      tags: ['marketing'],
+      addUrl: '/component/add/cta',
+      dialogUrl: '/component/add/cta/dialog',
+      favoriteUrl: '/admin/structure/component-types/library/favorite/cta',
+      thumbnailUrl: '/admin/structure/component-types/library/thumbnail/cta',
+    },
+  ],
+  favorites: ['card'],
+  recent: ['cta', 'hero_banner'],
+};
+
+/**
+ * Mock fetch answering the CSRF token, index and favourite requests.
+ *
+ * @param {number} favoriteStatus - Status of the favourite responses
+ * @returns {jest.Mock}
+ */
+const mockFetch = (favoriteStatus = 200) => jest.fn((url, init) => {
+  const { pathname } = new URL(url, 'https://example.com');
+  let status = 200;
+  let body = { status: 'ok' };
+  if (pathname.endsWith('session/token')) {
+    body = 'token';
+  }
+  else if (pathname.endsWith('/library/index')) {
+    body = index;
+  }
+  else if (pathname.includes('/library/favorite/')) {
+    status = favoriteStatus;
+    body = { favorite: JSON.parse(init.body).favorite };
+  }
+  return Promise.resolve({
+    ok: status >= 200 && status < 300,
+    status,
+    text: () => Promise.resolve(typeof body === 'string' ? body : JSON.stringify(body)),
+  });
+});
+
+/**
+ * Get the component types of a list in their order.
+ *
+ * @param {string} name - 'favorites', 'recent' or 'results'
+ * @returns {string[]}
+ */
+const list = (name) => Array.from(document.querySelectorAll(`[data-list="${name}"] .component-browser__item`))
+  .map((item) => item.dataset.componentType);
+
+/**
+ * Get a tag facet button.
+ *
+ * @param {string} tag - The tag
+ * @returns {HTMLElement}
+ */
+const tagButton = (tag) => document.querySelector(`.component-browser__tag[data-tag="${tag}"]`);
+
+/**
+ * Get the favourite button of a type in the results.
+ *
+ * @param {string} id - The component type ID
+ * @returns {HTMLElement}
+ */
+const favoriteButton = (id) => document.querySelector(`[data-list="results"] [data-component-type="${id}"] .component-browser__favorite`);
+
+/**
+ * Render a browser and wait for its index.
+ *
+ * @param {string} [attributes] - Extra attributes of the browser
+ */
+const attach = async (attributes = '') => {
+  document.body.innerHTML = `
+    <div class="component-library-browser component-browser" data-index-url="/admin/structure/component-types/library/index"${attributes}>
+      <input type="search" class="component-browser__search">
+      <select class="component-browser__category"><option value="">- Any -</option></select>
+      <fieldset class="component-browser__tags" hidden><div class="component-browser__tag-list"></div></fieldset>
+      <section class="component-browser__section" hidden><ul class="component-browser__list" data-list="favorites"></ul></section>
+      <section class="component-browser__section" hidden><ul class="component-browser__list" data-list="recent"></ul></section>
+      <section class="component-browser__section">
+        <p class="component-browser__count"></p>
+        <ul class="component-browser__list" data-list="results"></ul>
+      </section>
+    </div>
+  `;
+  Drupal.behaviors.componentLibraryBrowser.attach(document);
+  await waitFor(() => expect(list('results')).toHaveLength(3));
+};
+
+describe('component-library-browser', () => {
+  beforeEach(() => {
+    Drupal.t = (string, args = {}) => Object.keys(args).reduce((result, key) => result.replace(key, args[key]), string);
+    Drupal.formatPlural = (count, singular, plural) => (count === 1 ? singular : plural.replace('@count', count));
+    Drupal.announce.mockClear();
+    Drupal.ajax = jest.fn(() => ({ execute: jest.fn() }));
+    global.fetch = mockFetch();
+  });
+
+  it('should render the types of the index', async () => {
+    await attach();
+
+    expect(global.fetch).toHaveBeenCalledWith('/admin/structure/component-types/library/index?_format=json', expect.objectContaining({ method: 'GET' }));
+    expect(list('results')).toEqual(['cta', 'card', 'hero_banner']);
+    expect(document.querySelector('.component-browser__count').textContent).toBe('3 components');
+    expect(document.querySelector('[data-component-type="cta"] iframe').getAttribute('sandbox')).toBe('allow-same-origin');
+    expect(document.querySelector('[data-component-type="card"] .component-browser__thumbnail').textContent).toBe('C');
+  });
+
+  it('should list favourites and recently used types in their order', async () => {
+    await attach();
+
+    expect(list('favorites')).toEqual(['card']);
+    expect(list('recent')).toEqual(['cta', 'hero_banner']);
+    expect(document.querySelector('[data-list="recent"]').closest('section').hidden).toBe(false);
+  });
+
+  it('should hide the shortcuts while searching', async () => {
+    await attach();
+
+    fireEvent.input(document.querySelector('.component-browser__search'), { target: { value: 'banner' } });
+
+    expect(list('results')).toEqual(['hero_banner']);
+    expect(list('recent')).toEqual([]);
+    expect(document.querySelector('[data-list="recent"]').closest('section').hidden).toBe(true);
+
+    fireEvent.input(document.querySelector('.component-browser__search'), { target: { value: 'carousel' } });
+
+    expect(list('results')).toEqual([]);
+    expect(document.querySelector('.component-browser__count').textContent).toBe('No components match your search.');
+  });
+
+  it('should combine the category and tag facets with AND', async () => {
+    await attach();
+    const category = document.querySelector('.component-browser__category');
+
+    expect(Array.from(category.options).map((option) => option.textContent)).toEqual(['- Any -', 'Content (2)', 'Layout (1)']);
+
+    fireEvent.change(category, { target: { value: 'Content' } });
+
+    expect(list('results')).toEqual(['cta', 'card']);
+    expect(tagButton('marketing').textContent).toBe('marketing (1)');
+
+    fireEvent.click(tagButton('marketing'));
+
+    expect(list('results')).toEqual(['cta']);
+    expect(tagButton('marketing').getAttribute('aria-pressed')).toBe('true');
+    expect(document.activeElement).toBe(tagButton('marketing'));
+    expect(Array.from(category.options).map((option) => option.textContent)).toEqual(['- Any -', 'Content (1)', 'Layout (1)']);
+
+    fireEvent.change(category, { target: { value: '' } });
+    fireEvent.click(tagButton('media'));
+
+    expect(list('results')).toEqual(['hero_banner']);
+    expect(document.querySelector('.component-browser__count').textContent).toBe('1 component');
+    expect(Array.from(category.options).map((option) => option.textContent)).toEqual(['- Any -', 'Layout (1)']);
+  });
+
+  it('should save favourites with a CSRF token', async () => {
+    await attach();
+
+    fireEvent.click(favoriteButton('hero_banner'));
+
+    expect(list('favorites')).toEqual(['card', 'hero_banner']);
+    expect(document.activeElement).toBe(favoriteButton('hero_banner'));
+    await waitFor(() => expect(Drupal.announce).toHaveBeenCalledWith('Hero Banner added to favourites.'));
+
+    const [url, init] = global.fetch.mock.calls.find(([, request]) => request.method === 'POST');
+    expect(url).toBe('/admin/structure/component-types/library/favorite/hero_banner?_format=json');
+    expect(init.headers['X-CSRF-Token']).toBe('token');
+    expect(JSON.parse(init.body)).toEqual({ favorite: true });
+  });
+
+  it('should revert favourites that could not be saved', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    global.fetch = mockFetch(403);
+    await attach();
+
+    fireEvent.click(favoriteButton('card'));
+
+    expect(list('favorites')).toEqual([]);
+    await waitFor(() => expect(Drupal.announce).toHaveBeenCalledWith('Your favourites could not be saved.', 'assertive'));
+    expect(list('favorites')).toEqual(['card']);
+    expect(favoriteButton('card').getAttribute('aria-pressed')).toBe('true');
+    console.error.mockRestore();
+  });
+
+  it('should insert components into the widget it was opened from', async () => {
+    await attach(' data-target-field="field_components" data-dialog-type="off_canvas"');
+
+    const link = document.querySelector('[data-list="results"] [data-component-type="cta"] .component-browser__link');
+    const event = new MouseEvent('click', { bubbles: true, cancelable: true });
+    link.dispatchEvent(event);
+
+    expect(event.defaultPrevented).toBe(true);
+    expect(Drupal.ajax).toHaveBeenCalledWith({
+      url: '/component/add/cta/dialog?target=field_components',
+      progress: { type: 'fullscreen' },
+      dialogType: 'dialog',
+      dialogRenderer: 'off_canvas',
+    });
+  });
+
+  it('should link to the add form otherwise', async () => {
+    await attach();
+
+    let prevented;
+    // jsdom cannot follow the link.
+    document.addEventListener('click', (event) => {
+      prevented = event.defaultPrevented;
+      event.preventDefault();
+    }, { once: true });
+    const link = document.querySelector('[data-list="results"] [data-component-type="cta"] .component-browser__link');
+    fireEvent.click(link);
+
+    expect(link.getAttribute('href')).toBe('/component/add/cta');
+    expect(prevented).toBe(false);
+    expect(Drupal.ajax).not.toHaveBeenCalled();
+  });
+
+  it('should move between cards with the arrow keys', async () => {
+    await attach();
+    const links = document.querySelectorAll('[data-list="results"] .component-browser__link');
+
+    fireEvent.keyDown(document.querySelector('.component-browser__search'), { key: 'ArrowDown' });
+    expect(document.activeElement).toBe(links[0]);
+
+    fireEvent.keyDown(links[0], { key: 'End' });
+    expect(document.activeElement).toBe(links[2]);
+    expect(Array.from(links).map((link) => link.tabIndex)).toEqual([-1, -1, 0]);
+  });
+
+  it('should say when the index could not be loaded', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    global.fetch = jest.fn(() => Promise.reject(new Error('Offline')));
+    document.body.innerHTML = '<div class="component-library-browser" data-index-url="/index"><p class="component-browser__count"></p></div>';
+
+    Drupal.behaviors.componentLibraryBrowser.attach(document);
+
+    await waitFor(() => expect(document.querySelector('.component-browser__count').textContent).toBe('The component library could not be loaded.'));
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * @file
+ * Tests for searching the component library index.
+ */
+
+import {
+  fuzzyScore,
+  getFacets,
+  normalize,
+  search,
+} from '../../js/component-library-search';
+
+const types = [
+  {
+    id: 'hero_banner',
+    label: 'Hero Banner',
+    description: 'A full-width hero banner with background image and CTA',
+    category: 'Layout',
+    tags: ['marketing', 'media'],
+  },
+  {
+    id: 'card',
+    label: 'Card',
+    description: 'A teaser with an image, title and link',
+    category: 'Content',
+    tags: ['media'],
+  },
+  {
+    id: 'cta',
+    label: 'Call to action',
+    description: 'A prominent button with supporting text',
+    category: 'Content',
+    tags: ['marketing'],
+  },
+  {
+    id: 'accordion',
+    label: 'Accordion',
+    description: 'Collapsible sections',
+    category: 'Layout',
+    tags: [],
+  },
+];
+
+const ids = (results) => results.map((type) => type.id);
+
+describe('component-library-search', () => {
+  it('should expose the API on Drupal.componentEntity', () => {
+    expect(window.Drupal.componentEntity.librarySearch.search).toBe(search);
+  });
+
+  describe('normalize', () => {
+    it('should lowercase and strip accents', () => {
+      expect(normalize('  Café Menü ')).toBe('cafe menu');
+      expect(normalize(null)).toBe('');
+    });
+  });
+
+  describe('fuzzyScore', () => {
+    it('should rank exact, prefix and word matches above other substrings', () => {
+      const exact = fuzzyScore('card', 'card');
+      const prefix = fuzzyScore('card', 'cards list');
+      const word = fuzzyScore('card', 'teaser card');
+      const inner = fuzzyScore('card', 'postcard');
+
+      expect(exact).toBeGreaterThan(prefix);
+      expect(prefix).toBeGreaterThan(word);
+      expect(word).toBeGreaterThan(inner);
+      expect(inner).toBeGreaterThan(0);
+    });
+
+    it('should match characters in order', () => {
+      expect(fuzzyScore('hrbn', 'hero banner')).toBeGreaterThan(0);
+      expect(fuzzyScore('nbrh', 'hero banner')).toBe(0);
+    });
+
+    it('should not match characters scattered over long text', () => {
+      expect(fuzzyScore('hero', 'the header, its row and other options')).toBe(0);
+    });
+
+    it('should tolerate one typo in longer terms', () => {
+      expect(fuzzyScore('acordion', 'accordion')).toBeGreaterThan(0);
+      expect(fuzzyScore('baner', 'hero banner')).toBeGreaterThan(0);
+      expect(fuzzyScore('bnaner', 'hero banner')).toBeGreaterThan(0);
+      expect(fuzzyScore('cardx', 'accordion')).toBe(0);
+    });
+  });
+
+  describe('search', () => {
+    it('should list every type by label without a query', () => {
+      expect(ids(search(types))).toEqual(['accordion', 'cta', 'card', 'hero_banner']);
+    });
+
+    it('should rank label matches first', () => {
+      expect(ids(search(types, { query: 'banner' }))[0]).toBe('hero_banner');
+      expect(ids(search(types, { query: 'card' }))[0]).toBe('card');
+    });
+
+    it('should match machine names, tags and descriptions', () => {
+      expect(ids(search(types, { query: 'hero_banner' }))).toContain('hero_banner');
+      expect(ids(search(types, { query: 'marketing' }))).toEqual(expect.arrayContaining(['hero_banner', 'cta']));
+      expect(ids(search(types, { query: 'collapsible' }))).toEqual(['accordion']);
+    });
+
+    it('should require every term to match', () => {
+      expect(ids(search(types, { query: 'image teaser' }))).toEqual(['card']);
+      expect(search(types, { query: 'image xylophone' })).toEqual([]);
+    });
+
+    it('should combine the category and tag facets with AND', () => {
+      expect(ids(search(types, { category: 'Content' }))).toEqual(['cta', 'card']);
+      expect(ids(search(types, { category: 'Content', tags: ['media'] }))).toEqual(['card']);
+      expect(ids(search(types, { tags: ['marketing', 'media'] }))).toEqual(['hero_banner']);
+      expect(search(types, { category: 'Layout', tags: ['marketing'], query: 'card' })).toEqual([]);
+    });
+  });
+
+  describe('getFacets', () => {
+    it('should count categories and tags', () => {
+      expect(getFacets(types)).toEqual({
+        categories: [
+          { value: 'Content', count: 2 },
+          { value: 'Layout', count: 2 },
+        ],
+        tags: [
+          { value: 'marketing', count: 2 },
+          { value: 'media', count: 2 },
+        ],
+      });
+    });
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * @file
+ * Tests for the webpack component asset manifest plugin.
+ */
+
+import { buildManifest } from '../../scripts/component-manifest-plugin';
+
+const createEntrypoint = (files) => ({
+  getFiles: () => files,
+});
+
+describe('ComponentManifestPlugin', () => {
+  it('should map component types to entrypoint files in load order', () => {
+    const entrypoints = new Map([
+      ['hero-banner.hero_banner', createEntrypoint([
+        'js/runtime.js',
+        'js/vendor.js',
+        'js/hero-banner.hero_banner.js',
+        'js/hero-banner.hero_banner.js.map',
+        'css/hero-banner.hero_banner.css',
+      ])],
+      ['component-renderer', createEntrypoint(['js/runtime.js', 'js/component-renderer.js'])],
+    ]);
+
+    const manifest = buildManifest(entrypoints, { 'hero-banner.hero_banner': 'hero_banner' });
+
+    expect(manifest).toEqual({
+      components: {
+        hero_banner: {
+          entry: 'hero-banner.hero_banner',
+          js: ['js/runtime.js', 'js/vendor.js', 'js/hero-banner.hero_banner.js'],
+          css: ['css/hero-banner.hero_banner.css'],
+        },
+      },
+    });
+  });
+
+  it('should skip hot updates and missing entrypoints', () => {
+    const entrypoints = new Map([
+      ['card.card', createEntrypoint(['js/card.card.js', 'js/card.card.1a2b3c.hot-update.js'])],
+    ]);
+
+    const manifest = buildManifest(entrypoints, { 'card.card': 'card', 'cta.cta': 'cta' });
+
+    expect(Object.keys(manifest.components)).toEqual(['card']);
+    expect(manifest.components.card.js).toEqual(['js/card.card.js']);
+  });
+
+  it('should list other entrypoints as libraries', () => {
+    const entrypoints = new Map([
+      ['client', createEntrypoint(['js/runtime.js', 'js/vendor.js', 'js/client.js'])],
+    ]);
+
+    const manifest = buildManifest(entrypoints, {}, { client: 'client' });
+
+    expect(manifest).toEqual({
+      components: {},
+      libraries: {
+        client: {
+          entry: 'client',
+          js: ['js/runtime.js', 'js/vendor.js', 'js/client.js'],
+          css: [],
+        },
+      },
+    });
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * @file
+ * Tests for the page inside the live preview iframe.
+ */
+
+Drupal.AjaxCommands = function () {};
+require('../../js/component-preview-frame');
+
+describe('component-preview-frame', () => {
+  let form;
+  let parent;
+
+  /**
+   * Send a message from the component edit form to the frame.
+   *
+   * @param {Object} data - The message
+   * @param {Object} [init] - Other properties of the event
+   */
+  const fromForm = (data, init = {}) => {
+    window.dispatchEvent(new MessageEvent('message', { data, origin: window.location.origin, source: form, ...init }));
+  };
+
+  /**
+   * Get the messages the frame sent to the form.
+   *
+   * @returns {Object[]}
+   */
+  const sent = () => form.postMessage.mock.calls.map(([message]) => message);
+
+  beforeEach(() => {
+    // The window of the form is another frame's, as jsdom has one window.
+    const iframe = document.createElement('iframe');
+    document.head.appendChild(iframe);
+    form = iframe.contentWindow;
+    jest.spyOn(form, 'postMessage').mockImplementation(() => {});
+    parent = jest.spyOn(window, 'parent', 'get').mockReturnValue(form);
+
+    // Refreshes finish when the test calls their callbacks.
+    Drupal.ajax = jest.fn(() => {
+      const ajax = {
+        callbacks: [],
+        execute: jest.fn(() => ({
+          always: (callback) => ajax.callbacks.push(callback),
+        })),
+      };
+      return ajax;
+    });
+    Drupal.attachBehaviors.mockClear();
+    Drupal.detachBehaviors.mockClear();
+    delete Drupal.componentEntity.registry;
+    delete Drupal.componentEntity.runtime;
+    delete drupalSettings.componentEntity;
+
+    document.body.innerHTML = `
+      <main class="component-preview-frame-page">
+        <div id="component-preview-frame" data-component-preview-frame data-render-url="/component/preview-frame/abc/render">
+          <p>Summer sale <a href="/sale">Shop now</a></p>
+        </div>
+      </main>
+    `;
+    Drupal.behaviors.componentEntityPreviewFrame.attach(document);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    document.head.innerHTML = '';
+  });
+
+  it('should tell the form it is ready and how high it is', () => {
+    expect(sent()).toEqual([
+      { type: 'componentEntity:ready' },
+      { type: 'componentEntity:resize', height: document.documentElement.scrollHeight },
+    ]);
+    expect(form.postMessage).toHaveBeenCalledWith(expect.anything(), window.location.origin);
+    expect(Drupal.ajax).toHaveBeenCalledWith(expect.objectContaining({ url: '/component/preview-frame/abc/render' }));
+  });
+
+  it('should do nothing outside a frame', () => {
+    parent.mockReturnValue(window);
+    Drupal.ajax.mockClear();
+    document.body.innerHTML = '<div data-component-preview-frame data-render-url="/render"></div>';
+
+    Drupal.behaviors.componentEntityPreviewFrame.attach(document);
+
+    expect(Drupal.ajax).not.toHaveBeenCalled();
+  });
+
+  it('should render the edited entity again, one request at a time', () => {
+    const { execute, callbacks } = Drupal.ajax.mock.results[0].value;
+
+    fromForm({ type: 'componentEntity:refresh' });
+    fromForm({ type: 'componentEntity:refresh' });
+    fromForm({ type: 'componentEntity:refresh' });
+
+    expect(execute).toHaveBeenCalledTimes(1);
+
+    callbacks.shift()();
+
+    expect(execute).toHaveBeenCalledTimes(2);
+
+    callbacks.shift()();
+
+    expect(execute).toHaveBeenCalledTimes(2);
+  });
+
+  it('should switch the color scheme', () => {
+    fromForm({ type: 'componentEntity:colorScheme', scheme: 'dark' });
+
+    expect(document.documentElement.dataset.colorScheme).toBe('dark');
+    expect(document.documentElement.style.colorScheme).toBe('dark');
+
+    fromForm({ type: 'componentEntity:colorScheme', scheme: 'light' });
+
+    expect(document.documentElement.dataset.colorScheme).toBe('light');
+  });
+
+  it('should only take messages from the form', () => {
+    const { execute } = Drupal.ajax.mock.results[0].value;
+
+    fromForm({ type: 'componentEntity:refresh' }, { origin: 'https://example.com' });
+    fromForm({ type: 'componentEntity:refresh' }, { source: window });
+
+    expect(execute).not.toHaveBeenCalled();
+  });
+
+  it('should not follow links', () => {
+    const link = document.querySelector('a');
+    const event = new MouseEvent('click', { bubbles: true, cancelable: true });
+
+    link.dispatchEvent(event);
+
+    expect(event.defaultPrevented).toBe(true);
+  });
+
+  describe('componentEntityPreview command', () => {
+    it('should replace the markup of the preview', () => {
+      const container = document.getElementById('component-preview-frame');
+      form.postMessage.mockClear();
+
+      Drupal.AjaxCommands.prototype.componentEntityPreview({}, {
+        selector: '#component-preview-frame',
+        html: '<p>Winter sale</p>',
+        componentId: null,
+        config: null,
+      });
+
+      expect(container.innerHTML).toBe('<p>Winter sale</p>');
+      expect(Drupal.detachBehaviors).toHaveBeenCalledWith(container, drupalSettings, 'unload');
+      expect(Drupal.attachBehaviors).toHaveBeenCalledWith(container, drupalSettings);
+      expect(sent()).toEqual([{ type: 'componentEntity:resize', height: document.documentElement.scrollHeight }]);
+    });
+
+    it('should give a mounted React component the new props', () => {
+      const container = document.getElementById('component-preview-frame');
+      container.innerHTML = '<div id="component-1" class="component-react-root"></div>';
+      const update = jest.fn(() => Promise.resolve());
+      Drupal.componentEntity.registry = { isMounted: () => true };
+      Drupal.componentEntity.runtime = { getRuntime: () => ({ update }) };
+      const config = { type: 'hero_banner', props: { title: 'Winter sale' } };
+
+      Drupal.AjaxCommands.prototype.componentEntityPreview({}, {
+        selector: '#component-preview-frame',
+        html: '<div id="component-1" class="component-react-root"><h1>Winter sale</h1></div>',
+        componentId: 'component-1',
+        config,
+      });
+
+      expect(update).toHaveBeenCalledWith(document.getElementById('component-1'), config);
+      expect(drupalSettings.componentEntity.components['component-1']).toBe(config);
+      expect(container.innerHTML).toBe('<div id="component-1" class="component-react-root"></div>');
+      expect(Drupal.attachBehaviors).not.toHaveBeenCalled();
+    });
+
+    it('should render components that are not mounted yet', () => {
+      const container = document.getElementById('component-preview-frame');
+      Drupal.componentEntity.registry = { isMounted: () => false };
+      const html = '<div id="component-1" class="component-react-root"><h1>Winter sale</h1></div>';
+
+      Drupal.AjaxCommands.prototype.componentEntityPreview({}, {
+        selector: '#component-preview-frame',
+        html,
+        componentId: 'component-1',
+        config: { type: 'hero_banner', props: {} },
+      });
+
+      expect(container.innerHTML).toBe(html);
+      expect(Drupal.attachBehaviors).toHaveBeenCalledWith(container, drupalSettings);
+    });
+  });
+});
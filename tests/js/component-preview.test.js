@@ -0,0 +1,233 @@
+/**
+ * @file
+ * Tests for the component preview on the component edit form.
+ */
+
+import { fireEvent, waitFor } from '@testing-library/react';
+
+Drupal.AjaxCommands = function () {};
+require('../../js/component-preview');
+
+/**
+ * Get an element of the preview.
+ *
+ * @param {string} selector - Selector below the preview
+ * @returns {HTMLElement}
+ */
+const $ = (selector) => document.querySelector(`.component-preview ${selector}`);
+
+/**
+ * Render a preview and attach the behavior.
+ *
+ * @param {string} frame - Markup of the frame
+ */
+const attach = (frame = '<iframe class="component-preview__frame" src="about:blank" title="Component preview"></iframe>') => {
+  document.body.innerHTML = `
+    <div id="preview-wrapper">
+      <div class="component-preview" data-component-type="hero_banner">
+        <button type="button" class="component-preview__toggle" data-preview-mode="desktop" data-preview-width="1280" aria-pressed="true">Desktop</button>
+        <button type="button" class="component-preview__toggle" data-preview-mode="tablet" data-preview-width="768" aria-pressed="false">Tablet</button>
+        <button type="button" class="component-preview__toggle" data-preview-mode="mobile" data-preview-width="375" aria-pressed="false">Mobile</button>
+        <input type="range" class="component-preview__width-input" min="320" max="1920" value="1280">
+        <output class="component-preview__width-value">1280px</output>
+        <select class="component-preview__zoom-select">
+          <option value="fit" selected>Fit</option>
+          <option value="1">100%</option>
+          <option value="0.5">50%</option>
+        </select>
+        <button type="button" class="component-preview__scheme" aria-pressed="false">Dark</button>
+        <button type="button" class="component-preview__refresh" data-refresh-url="/component/7/preview">Refresh</button>
+        <div class="component-preview__container" data-preview-mode="desktop">
+          <div class="component-preview__viewport">${frame}</div>
+        </div>
+      </div>
+    </div>
+  `;
+  Drupal.behaviors.componentEntityPreview.attach(document);
+};
+
+/**
+ * Send a message from the preview frame to the page.
+ *
+ * @param {Object} data - The message
+ * @param {string} [origin] - The origin of the frame
+ */
+const fromFrame = (data, origin = window.location.origin) => {
+  window.dispatchEvent(new MessageEvent('message', { data, origin, source: $('iframe').contentWindow }));
+};
+
+/**
+ * Get the messages the page sent to the frame.
+ *
+ * @returns {Object[]}
+ */
+const sent = () => $('iframe').contentWindow.postMessage.mock.calls.map(([message]) => message);
+
+describe('component-preview', () => {
+  beforeEach(() => {
+    attach();
+    jest.spyOn($('iframe').contentWindow, 'postMessage').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Viewport width', () => {
+    it('should start with the desktop width', () => {
+      expect($('iframe').style.width).toBe('1280px');
+      expect($('.component-preview__container').dataset.previewMode).toBe('desktop');
+    });
+
+    it('should switch between device widths', () => {
+      fireEvent.click($('[data-preview-mode="tablet"]'));
+
+      expect($('iframe').style.width).toBe('768px');
+      expect($('.component-preview__container').dataset.previewMode).toBe('tablet');
+      expect($('[data-preview-mode="tablet"]').getAttribute('aria-pressed')).toBe('true');
+      expect($('[data-preview-mode="desktop"]').getAttribute('aria-pressed')).toBe('false');
+      expect($('.component-preview__width-input').value).toBe('768');
+      expect($('.component-preview__width-value').textContent).toBe('768px');
+    });
+
+    it('should take custom widths from the slider', () => {
+      fireEvent.input($('.component-preview__width-input'), { target: { value: '500' } });
+
+      expect($('iframe').style.width).toBe('500px');
+      expect($('.component-preview__container').dataset.previewMode).toBe('custom');
+      expect($('.component-preview__width-value').textContent).toBe('500px');
+      expect(document.querySelectorAll('.component-preview__toggle[aria-pressed="true"]')).toHaveLength(0);
+
+      fireEvent.input($('.component-preview__width-input'), { target: { value: '375' } });
+
+      expect($('.component-preview__container').dataset.previewMode).toBe('mobile');
+    });
+
+    it('should only limit the width of inline previews', () => {
+      attach('<div class="component-preview__frame"><p>Preview</p></div>');
+      fireEvent.click($('[data-preview-mode="mobile"]'));
+
+      expect($('.component-preview__frame').style.width).toBe('375px');
+      expect($('.component-preview__frame').style.maxWidth).toBe('100%');
+      expect($('.component-preview__frame').style.transform).toBe('');
+    });
+  });
+
+  describe('Zoom', () => {
+    it('should scale the frame and size its viewport', () => {
+      fromFrame({ type: 'componentEntity:resize', height: 400.4 });
+
+      fireEvent.change($('.component-preview__zoom-select'), { target: { value: '0.5' } });
+
+      expect($('iframe').style.transform).toBe('scale(0.5)');
+      expect($('iframe').style.height).toBe('401px');
+      expect($('.component-preview__viewport').style.width).toBe('640px');
+      expect($('.component-preview__viewport').style.height).toBe('201px');
+
+      fireEvent.change($('.component-preview__zoom-select'), { target: { value: '1' } });
+
+      expect($('iframe').style.transform).toBe('');
+      expect($('.component-preview__viewport').style.width).toBe('1280px');
+    });
+
+    it('should fit wide viewports into the available space', () => {
+      jest.spyOn($('.component-preview__container'), 'clientWidth', 'get').mockReturnValue(960);
+
+      window.dispatchEvent(new Event('resize'));
+
+      expect($('iframe').style.transform).toBe('scale(0.75)');
+      expect($('.component-preview__viewport').style.width).toBe('960px');
+
+      fireEvent.click($('[data-preview-mode="tablet"]'));
+
+      expect($('iframe').style.transform).toBe('');
+    });
+  });
+
+  describe('Color scheme', () => {
+    it('should follow the preference of the browser', () => {
+      window.matchMedia.mockImplementationOnce((query) => ({ matches: query === '(prefers-color-scheme: dark)' }));
+      attach();
+
+      expect($('.component-preview__scheme').getAttribute('aria-pressed')).toBe('true');
+      expect($('iframe').style.colorScheme).toBe('dark');
+    });
+
+    it('should switch the color scheme of the frame', () => {
+      fromFrame({ type: 'componentEntity:ready' });
+
+      fireEvent.click($('.component-preview__scheme'));
+
+      expect($('.component-preview__scheme').getAttribute('aria-pressed')).toBe('true');
+      expect($('iframe').style.colorScheme).toBe('dark');
+      expect(sent()).toEqual([
+        { type: 'componentEntity:colorScheme', scheme: 'light' },
+        { type: 'componentEntity:colorScheme', scheme: 'dark' },
+      ]);
+      expect($('iframe').contentWindow.postMessage).toHaveBeenCalledWith(expect.anything(), window.location.origin);
+    });
+  });
+
+  describe('Messages', () => {
+    it('should wait for the frame before sending messages', () => {
+      fireEvent.click($('.component-preview__scheme'));
+      fireEvent.click($('.component-preview__refresh'));
+
+      expect(sent()).toEqual([]);
+
+      fromFrame({ type: 'componentEntity:ready' });
+
+      expect(sent()).toEqual([
+        { type: 'componentEntity:colorScheme', scheme: 'dark' },
+        { type: 'componentEntity:refresh' },
+      ]);
+    });
+
+    it('should ignore messages from other origins and windows', () => {
+      fromFrame({ type: 'componentEntity:ready' }, 'https://example.com');
+      window.dispatchEvent(new MessageEvent('message', { data: { type: 'componentEntity:ready' }, origin: window.location.origin, source: window }));
+      fireEvent.click($('.component-preview__refresh'));
+
+      expect(sent()).toEqual([]);
+    });
+
+    it('should refresh the frame when the form stored the entity', () => {
+      const listener = jest.fn();
+      document.getElementById('preview-wrapper').addEventListener('componentEntity:previewRefresh', listener);
+      fromFrame({ type: 'componentEntity:ready' });
+
+      Drupal.AjaxCommands.prototype.componentEntityPreviewRefresh({}, { selector: '#preview-wrapper' });
+
+      expect(sent()).toContainEqual({ type: 'componentEntity:refresh' });
+      expect(listener).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Inline previews', () => {
+    it('should load the preview again from the refresh URL', async () => {
+      attach('<div class="component-preview__frame"><p>Preview</p></div>');
+      global.fetch = jest.fn(() => Promise.resolve({ ok: true, text: () => Promise.resolve('<p>Updated</p>') }));
+      Drupal.attachBehaviors.mockClear();
+
+      fireEvent.click($('.component-preview__refresh'));
+
+      expect($('.component-preview__frame')).toHaveClass('is-loading');
+      await waitFor(() => expect($('.component-preview__frame')).not.toHaveClass('is-loading'));
+
+      expect(global.fetch).toHaveBeenCalledWith('/component/7/preview', expect.objectContaining({ method: 'GET' }));
+      expect($('.component-preview__frame').innerHTML).toBe('<p>Updated</p>');
+      expect(Drupal.attachBehaviors).toHaveBeenCalledWith($('.component-preview__frame'));
+    });
+
+    it('should say when the preview could not be loaded', async () => {
+      attach('<div class="component-preview__frame"><p>Preview</p></div>');
+      global.fetch = jest.fn(() => Promise.resolve({ ok: false, status: 500 }));
+
+      fireEvent.click($('.component-preview__refresh'));
+
+      await waitFor(() => expect($('.component-preview__frame')).not.toHaveClass('is-loading'));
+
+      expect($('.component-preview__frame .component-error').textContent).toBe('The preview could not be refreshed.');
+    });
+  });
+});
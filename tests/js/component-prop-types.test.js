@@ -0,0 +1,149 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * @file
+ * Tests for the component prop type generator.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import ComponentPropTypesPlugin, { compileComponent, generatePropTypes } from '../../scripts/component-prop-types';
+
+const definition = {
+  name: 'Promo Card',
+  props: {
+    type: 'object',
+    required: ['title'],
+    properties: {
+      title: { type: 'string', title: 'Title', description: 'Main heading' },
+      variant: { type: 'string', enum: ['default', 'featured'], default: 'default' },
+      count: { type: 'integer', required: true },
+      image: {
+        type: 'object',
+        required: ['src'],
+        properties: {
+          src: { type: 'string' },
+          'data-id': { type: ['string', 'null'] },
+        },
+      },
+      tags: { type: 'array', items: { type: 'string' } },
+      meta: { type: 'object' },
+      drupal_context: { type: 'object', title: 'Drupal Context' },
+    },
+  },
+  slots: {
+    content: { title: 'Content', required: true },
+    footer: {},
+  },
+};
+
+describe('component-prop-types', () => {
+  describe('compileComponent', () => {
+    const declaration = compileComponent('promo_card', definition, 'components/promo_card/promo_card.component.yml');
+
+    it('should compile props into an interface', () => {
+      expect(declaration).toContain([
+        'export interface PromoCardProps {',
+        '  /** Title: Main heading */',
+        '  title: string;',
+        '  /** @default \'default\' */',
+        "  variant?: 'default' | 'featured';",
+        '  count: number;',
+        '  image?: {',
+        '    src: string;',
+        "    'data-id'?: string | null;",
+        '  };',
+        '  tags?: string[];',
+        '  meta?: Record<string, unknown>;',
+      ].join('\n'));
+    });
+
+    it('should type the entity context and slots', () => {
+      expect(declaration).toContain([
+        '  /** Drupal Context */',
+        '  drupal_context?: {',
+        '    entity_id: string | number;',
+        '    entity_type: string;',
+        '    bundle: string;',
+        '    view_mode: string;',
+        '    can_edit: boolean;',
+        '  };',
+        '  slots?: PromoCardSlots;',
+        '}',
+      ].join('\n'));
+      expect(declaration).toContain("import type { ReactNode } from 'react';");
+      expect(declaration).toContain('  content: ReactNode;\n  footer?: ReactNode;');
+    });
+
+    it('should leave out slots when there are none', () => {
+      const result = compileComponent('card', { props: { type: 'object', properties: { drupalContext: { type: 'object' } } } });
+
+      expect(result).not.toContain('ReactNode');
+      expect(result).toContain('  drupalContext?: {\n    entityId: string | number;');
+    });
+  });
+
+  describe('generatePropTypes', () => {
+    let dir;
+    let options;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'component-prop-types-'));
+      options = { components: path.join(dir, 'components'), output: path.join(dir, 'types') };
+      fs.mkdirSync(path.join(dir, 'components/promo-card'), { recursive: true });
+      fs.mkdirSync(path.join(dir, 'components/card'));
+      fs.writeFileSync(path.join(dir, 'components/promo-card/promo_card.component.yml'), 'name: Promo Card\nprops:\n  type: object\n  properties:\n    title:\n      type: string\n');
+      fs.writeFileSync(path.join(dir, 'components/card/card.component.yml'), '');
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should write a declaration per component and skip placeholders', () => {
+      const result = generatePropTypes(options);
+
+      expect(result.sources).toHaveLength(2);
+      expect(result.written).toEqual([path.join(dir, 'types/promo_card.d.ts')]);
+      expect(fs.readFileSync(result.written[0], 'utf8')).toContain('  title?: string;');
+    });
+
+    it('should leave unchanged declarations alone', () => {
+      generatePropTypes(options);
+
+      expect(generatePropTypes(options).written).toEqual([]);
+    });
+
+    it('should name the definition that does not parse', () => {
+      fs.writeFileSync(path.join(dir, 'components/card/card.component.yml'), 'props: [');
+
+      expect(() => generatePropTypes(options)).toThrow(/card\.component\.yml/);
+    });
+  });
+
+  describe('ComponentPropTypesPlugin', () => {
+    it('should generate declarations and watch the definitions', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'component-prop-types-'));
+      fs.mkdirSync(path.join(dir, 'components'));
+      fs.writeFileSync(path.join(dir, 'components/card.component.yml'), 'name: Card\n');
+
+      let tap;
+      const compiler = {
+        webpack: { WebpackError: Error },
+        hooks: { thisCompilation: { tap: (name, callback) => { tap = callback; } } },
+      };
+      const compilation = { fileDependencies: new Set(), errors: [] };
+      new ComponentPropTypesPlugin({ components: path.join(dir, 'components'), output: path.join(dir, 'types') }).apply(compiler);
+      tap(compilation);
+
+      expect(compilation.errors).toEqual([]);
+      expect(Array.from(compilation.fileDependencies)).toEqual([path.join(dir, 'components/card.component.yml')]);
+      expect(fs.existsSync(path.join(dir, 'types/card.d.ts'))).toBe(true);
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+  });
+});
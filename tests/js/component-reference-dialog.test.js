@@ -0,0 +1,153 @@
+/**
+ * @file
+ * Tests for creating components from a component reference widget.
+ */
+
+import { fireEvent } from '@testing-library/react';
+
+/**
+ * Handlers the behavior registers on the window through jQuery.
+ */
+const windowHandlers = {};
+
+Drupal.AjaxCommands = function () {};
+global.jQuery = jest.fn(() => ({
+  on: (event, handler) => {
+    windowHandlers[event] = handler;
+  },
+}));
+// jsdom has no CSS.escape(); the field names in these tests need none.
+global.CSS = global.CSS || { escape: (value) => value };
+require('../../js/focus-manager');
+require('../../js/component-reference-dialog');
+
+/**
+ * Render a widget with the given autocomplete values and attach behaviors.
+ *
+ * @param {string[]} values - Values of the autocomplete inputs
+ */
+const attach = (values) => {
+  document.body.innerHTML = `
+    <div data-component-reference-field="edit-field-components">
+      ${values.map((value, delta) => `<input type="text" class="form-autocomplete" name="field_components[${delta}][target_id]" value="${value}">`).join('')}
+      <input type="submit" class="field-add-more-submit" value="Add another item">
+      <a href="/component/library?target=edit-field-components" class="use-ajax button component-reference-create">Create component</a>
+    </div>
+  `;
+  Drupal.behaviors.componentReferenceDialog.attach(document);
+};
+
+/**
+ * Open the dialog from the widget's create link.
+ */
+const openDialog = () => {
+  const link = document.querySelector('.component-reference-create');
+  link.focus();
+  fireEvent.click(link);
+  // The dialog takes focus.
+  link.blur();
+};
+
+/**
+ * Run the command ComponentDialogForm answers saves with.
+ */
+const insert = () => {
+  Drupal.AjaxCommands.prototype.componentEntityInsertReference({}, {
+    target: 'edit-field-components',
+    value: 'Summer sale (42)',
+    label: 'Summer sale',
+  });
+};
+
+describe('component-reference-dialog', () => {
+  beforeEach(() => {
+    Drupal.t = (string, args = {}) => Object.keys(args).reduce((result, key) => result.replace(key, args[key]), string);
+    Drupal.announce.mockClear();
+  });
+
+  describe('componentEntityInsertReference command', () => {
+    it('should add the new component to the first empty item', () => {
+      attach(['Hero (7)', '', '']);
+      const change = jest.fn();
+      document.body.addEventListener('change', change);
+      openDialog();
+
+      insert();
+
+      const inputs = document.querySelectorAll('input.form-autocomplete');
+      expect(inputs[0].value).toBe('Hero (7)');
+      expect(inputs[1].value).toBe('Summer sale (42)');
+      expect(inputs[2].value).toBe('');
+      expect(change).toHaveBeenCalledTimes(1);
+      expect(change.mock.calls[0][0].target).toBe(inputs[1]);
+    });
+
+    it('should return focus to the create link', () => {
+      attach(['']);
+      openDialog();
+
+      insert();
+
+      expect(document.activeElement).toBe(document.querySelector('.component-reference-create'));
+    });
+
+    it('should announce the new component', () => {
+      attach(['']);
+
+      insert();
+
+      expect(Drupal.announce).toHaveBeenCalledWith('Summer sale was created and added.');
+    });
+
+    it('should add another item when every item is filled', () => {
+      attach(['Hero (7)']);
+      const mousedown = jest.fn();
+      document.querySelector('.field-add-more-submit').addEventListener('mousedown', mousedown);
+      openDialog();
+
+      insert();
+
+      expect(mousedown).toHaveBeenCalledTimes(1);
+      expect(Drupal.announce).not.toHaveBeenCalled();
+
+      // Drupal AJAX rebuilds the widget with an empty item.
+      attach(['Hero (7)', '']);
+      Drupal.behaviors.componentReferenceDialog.attach(document.querySelector('[data-component-reference-field]'));
+
+      const inputs = document.querySelectorAll('input.form-autocomplete');
+      expect(inputs[1].value).toBe('Summer sale (42)');
+      expect(document.activeElement).toBe(document.querySelector('.component-reference-create'));
+      expect(Drupal.announce).toHaveBeenCalledWith('Summer sale was created and added.');
+    });
+
+    it('should say when the field has no room', () => {
+      attach(['Hero (7)']);
+      document.querySelector('.field-add-more-submit').disabled = true;
+
+      insert();
+
+      expect(Drupal.announce).toHaveBeenCalledWith('Summer sale was created, but the field has no room for it.', 'assertive');
+    });
+  });
+
+  describe('Closing the dialog', () => {
+    it('should return focus to the create link when nothing has it', () => {
+      attach(['']);
+      openDialog();
+
+      windowHandlers['dialog:afterclose']();
+
+      expect(document.activeElement).toBe(document.querySelector('.component-reference-create'));
+    });
+
+    it('should detach the behaviors of the library and the create form', () => {
+      const dialog = document.createElement('div');
+      dialog.innerHTML = '<div class="component-dialog-form"></div>';
+      Drupal.detachBehaviors.mockClear();
+
+      windowHandlers['dialog:beforeclose']({}, {}, { get: () => dialog });
+
+      expect(Drupal.detachBehaviors).toHaveBeenCalledWith(dialog, drupalSettings, 'unload');
+    });
+  });
+});
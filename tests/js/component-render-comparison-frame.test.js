@@ -0,0 +1,89 @@
+/**
+ * @file
+ * Tests for the frames of the render method comparison.
+ */
+
+require('../../js/render-comparison');
+require('../../js/component-render-comparison-frame');
+
+describe('component-render-comparison-frame', () => {
+  let postMessage;
+
+  /**
+   * Render a frame and attach the behavior.
+   *
+   * @param {string} output - The output of the renderer
+   */
+  const attach = (output = '<h1>Summer sale</h1>') => {
+    document.body.innerHTML = `
+      <div data-render-comparison-frame="react_renderer" data-server-time="12.5" data-server-bytes="512">
+        <div class="component-react-root">${output}</div>
+      </div>
+    `;
+    Drupal.behaviors.componentRenderComparisonFrame.attach(document);
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    postMessage = jest.spyOn(window.parent, 'postMessage').mockImplementation(() => {});
+    jest.spyOn(performance, 'now').mockReturnValue(180.4);
+    performance.getEntriesByType = jest.fn((type) => (type === 'navigation'
+      ? [{ encodedBodySize: 2048 }]
+      : [{ encodedBodySize: 10240 }, { encodedBodySize: 0 }, {}]));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  it('should report its timings, sizes and output once rendered', () => {
+    attach();
+
+    expect(postMessage).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(250);
+
+    expect(postMessage).toHaveBeenCalledTimes(1);
+    expect(postMessage).toHaveBeenCalledWith({
+      type: 'componentEntityRenderComparison',
+      renderer: 'react_renderer',
+      error: null,
+      serverTime: 12.5,
+      serverBytes: 512,
+      clientTime: 180,
+      totalBytes: 12288,
+      tree: [{ tag: 'h1', attributes: {}, children: [{ text: 'Summer sale' }] }],
+    }, window.location.origin);
+  });
+
+  it('should wait for the output to stop changing', async () => {
+    attach();
+    jest.advanceTimersByTime(200);
+
+    performance.now.mockReturnValue(420);
+    document.querySelector('h1').textContent = 'Winter sale';
+    // Mutation observers are called in a microtask.
+    await Promise.resolve();
+    jest.advanceTimersByTime(200);
+
+    expect(postMessage).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(50);
+
+    expect(postMessage).toHaveBeenCalledTimes(1);
+    expect(postMessage.mock.calls[0][0]).toMatchObject({
+      clientTime: 420,
+      tree: [{ tag: 'h1', attributes: {}, children: [{ text: 'Winter sale' }] }],
+    });
+  });
+
+  it('should report the error of the renderer', () => {
+    attach('');
+    document.querySelector('[data-render-comparison-frame]').dataset.renderError = 'Cannot render HeroBanner';
+
+    jest.advanceTimersByTime(250);
+
+    expect(postMessage.mock.calls[0][0]).toMatchObject({ error: 'Cannot render HeroBanner', tree: [] });
+  });
+});
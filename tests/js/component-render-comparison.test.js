@@ -0,0 +1,222 @@
+/**
+ * @file
+ * Tests for the render method comparison on the component edit form.
+ */
+
+import { fireEvent } from '@testing-library/react';
+
+import { serializeChildren } from '../../js/render-comparison';
+
+require('../../js/component-render-comparison');
+
+/**
+ * Serialize markup the way the frames do.
+ *
+ * @param {string} html - The output of a render method
+ * @returns {Object[]}
+ */
+const tree = (html) => {
+  const container = document.createElement('div');
+  container.innerHTML = html;
+  return serializeChildren(container);
+};
+
+/**
+ * Get the section of a render method.
+ *
+ * @param {string} method - The render method
+ * @returns {HTMLElement}
+ */
+const section = (method) => document.querySelector(`[data-method="${method}"]`);
+
+/**
+ * Get the values of the metrics of a render method.
+ *
+ * @param {string} method - The render method
+ * @returns {Object}
+ */
+const metrics = (method) => Object.fromEntries(Array.from(section(method).querySelectorAll('[data-metric]'))
+  .map((metric) => [metric.dataset.metric, metric.textContent]));
+
+/**
+ * Get the status line.
+ *
+ * @returns {string}
+ */
+const status = () => document.querySelector('.component-render-comparison__status').textContent;
+
+/**
+ * Report results from the frame of a render method.
+ *
+ * @param {string} method - The render method
+ * @param {Object} result - The report
+ */
+const report = (method, result) => {
+  window.dispatchEvent(new MessageEvent('message', {
+    data: { type: 'componentEntityRenderComparison', tree: [], ...result },
+    origin: window.location.origin,
+    source: section(method).querySelector('iframe').contentWindow,
+  }));
+};
+
+describe('component-render-comparison', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    const format = (string, args = {}) => Object.keys(args).reduce((result, key) => result.replace(key, args[key]), string);
+    Drupal.t = format;
+    Drupal.formatPlural = (count, singular, plural, args = {}) => format(count === 1 ? singular : plural, { ...args, '@count': count });
+    Drupal.checkPlain = (string) => string.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+    document.body.innerHTML = `
+      <form>
+        <select name="render_method">
+          <option value="twig" selected>Twig</option>
+          <option value="react">React</option>
+        </select>
+        <details open>
+          <summary>Compare render methods</summary>
+          <div class="component-render-comparison" data-render-method="twig">
+            <div class="component-render-comparison__toolbar">
+              <p class="component-render-comparison__status" aria-live="polite"></p>
+              <button type="button" class="component-render-comparison__run">Compare again</button>
+            </div>
+            ${['twig', 'react'].map((method) => `
+              <section class="component-render-comparison__method" data-renderer="${method}_renderer" data-method="${method}" data-frame-url="/component/preview-frame/abc/compare/${method}_renderer">
+                <h3 class="component-render-comparison__title">${method === 'twig' ? 'Twig' : 'React'}</h3>
+                <div class="component-render-comparison__viewport">
+                  <iframe class="component-render-comparison__frame" title="Output"></iframe>
+                </div>
+                <dl>
+                  <dd data-metric="serverTime">–</dd>
+                  <dd data-metric="clientTime">–</dd>
+                  <dd data-metric="serverBytes">–</dd>
+                  <dd data-metric="totalBytes">–</dd>
+                </dl>
+                <div class="component-render-comparison__diff"></div>
+              </section>
+            `).join('')}
+          </div>
+        </details>
+      </form>
+    `;
+    Drupal.behaviors.componentRenderComparison.attach(document);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should load a frame for each render method', () => {
+    expect(section('twig').querySelector('iframe').getAttribute('src')).toBe('/component/preview-frame/abc/compare/twig_renderer');
+    expect(section('react').querySelector('iframe').getAttribute('src')).toBe('/component/preview-frame/abc/compare/react_renderer');
+    expect(section('twig')).toHaveClass('is-loading');
+    expect(status()).toBe('Rendering with each render method...');
+  });
+
+  it('should wait until the comparison is opened', () => {
+    const details = document.querySelector('details');
+    details.open = false;
+    const frame = section('twig').querySelector('iframe');
+    frame.removeAttribute('src');
+
+    document.dispatchEvent(new CustomEvent('componentEntity:previewRefresh'));
+
+    expect(frame.hasAttribute('src')).toBe(false);
+
+    details.open = true;
+    details.dispatchEvent(new Event('toggle'));
+
+    expect(frame.getAttribute('src')).toBe('/component/preview-frame/abc/compare/twig_renderer');
+  });
+
+  it('should show the timing and size each frame reports', () => {
+    report('react', { serverTime: 12.5, clientTime: 240, serverBytes: 512, totalBytes: 153600 });
+
+    expect(section('react')).not.toHaveClass('is-loading');
+    expect(metrics('react')).toEqual({
+      serverTime: '12.5 ms',
+      clientTime: '240 ms',
+      serverBytes: '512 B',
+      totalBytes: '150 KB',
+    });
+    expect(metrics('twig').serverTime).toBe('–');
+  });
+
+  it('should only take reports from its frames', () => {
+    window.dispatchEvent(new MessageEvent('message', {
+      data: { type: 'componentEntityRenderComparison', serverTime: 12.5, tree: [] },
+      origin: 'https://example.com',
+      source: section('react').querySelector('iframe').contentWindow,
+    }));
+    window.dispatchEvent(new MessageEvent('message', {
+      data: { type: 'componentEntityRenderComparison', serverTime: 12.5, tree: [] },
+      origin: window.location.origin,
+      source: window,
+    }));
+
+    expect(section('react')).toHaveClass('is-loading');
+    expect(metrics('react').serverTime).toBe('–');
+  });
+
+  it('should list how the output differs from the render method of the component', () => {
+    report('twig', { tree: tree('<div class="hero"><h1>Summer sale</h1><a href="/sale">Shop now</a></div>') });
+    report('react', { tree: tree('<div class="hero"><h1>Winter sale</h1><a href="/shop">Shop now</a></div>') });
+
+    expect(section('twig')).toHaveClass('is-baseline');
+    expect(section('twig').querySelector('.component-render-comparison__message')).toHaveClass('is-baseline');
+    expect(section('react').querySelector('.component-render-comparison__message').textContent).toBe('2 differences from Twig:');
+    const differences = Array.from(section('react').querySelectorAll('.component-render-comparison__differences li'));
+    expect(differences.map((item) => item.textContent)).toEqual([
+      expect.stringContaining('Text "Winter sale" instead of "Summer sale"'),
+      expect.stringContaining('href="/shop" instead of "/sale"'),
+    ]);
+    expect(status()).toBe('1 render method differs from Twig.');
+  });
+
+  it('should say when the output matches', () => {
+    report('twig', { tree: tree('<p>Summer sale</p>') });
+    report('react', { tree: tree('<p>Summer sale</p>') });
+
+    expect(section('react').querySelector('.component-render-comparison__message')).toHaveClass('is-match');
+    expect(status()).toBe('Every render method matches Twig.');
+  });
+
+  it('should compare against the render method chosen on the form', () => {
+    report('twig', { tree: tree('<p>Summer sale</p>') });
+    report('react', { tree: tree('<p>Winter sale</p>') });
+
+    fireEvent.change(document.querySelector('[name="render_method"]'), { target: { value: 'react' } });
+
+    expect(section('react')).toHaveClass('is-baseline');
+    expect(section('twig').querySelector('.component-render-comparison__message').textContent).toBe('1 difference from React:');
+    expect(status()).toBe('1 render method differs from React.');
+  });
+
+  it('should report frames that do not finish rendering', () => {
+    report('twig', { tree: tree('<p>Summer sale</p>') });
+
+    jest.advanceTimersByTime(15000);
+
+    expect(section('react').querySelector('.component-render-comparison__message').textContent).toBe('The frame did not finish rendering.');
+    expect(section('react').querySelector('.component-render-comparison__message')).toHaveClass('is-error');
+    expect(status()).toBe('1 render method differs from Twig.');
+  });
+
+  it('should escape the errors of the frames', () => {
+    report('twig', { tree: tree('<p>Summer sale</p>') });
+    report('react', { error: 'Cannot render <HeroBanner>' });
+
+    expect(section('react').querySelector('.component-render-comparison__message').textContent).toBe('Cannot render <HeroBanner>');
+  });
+
+  it('should load the frames again when asked', () => {
+    report('twig', { tree: tree('<p>Summer sale</p>') });
+    report('react', { tree: tree('<p>Summer sale</p>') });
+
+    fireEvent.click(document.querySelector('.component-render-comparison__run'));
+
+    expect(section('react')).toHaveClass('is-loading');
+    expect(metrics('react').serverTime).toBe('–');
+    expect(section('react').querySelector('.component-render-comparison__diff').textContent).toBe('');
+  });
+});
@@ -0,0 +1,220 @@
+/**
+ * @file
+ * Tests for reordering component reference fields.
+ */
+
+import { fireEvent, waitFor } from '@testing-library/react';
+
+import client from '@component-entity/client';
+
+Drupal.componentEntity.client = client;
+global.Sortable = jest.fn();
+require('../../js/component-reorder');
+
+/**
+ * Mock fetch answering the CSRF token and reorder requests.
+ *
+ * @param {number} status - Status of the reorder responses
+ * @returns {jest.Mock}
+ */
+const mockFetch = (status = 200) => jest.fn((url) => Promise.resolve({
+  ok: status >= 200 && status < 300,
+  status,
+  text: () => Promise.resolve(url.includes('session/token') ? 'token' : JSON.stringify(status === 200 ? { saved: true } : { message: 'Conflict' })),
+}));
+
+/**
+ * Get the orders the reorder requests saved.
+ *
+ * @returns {Array[]}
+ */
+const savedOrders = () => global.fetch.mock.calls
+  .filter(([, init]) => init.method === 'POST')
+  .map(([, init]) => JSON.parse(init.body).order);
+
+/**
+ * Get the labels of the items in their order on the page.
+ *
+ * @returns {string[]}
+ */
+const labels = () => Array.from(document.querySelectorAll('.component-reorder__item'))
+  .map((item) => item.dataset.componentLabel);
+
+/**
+ * Get an item by its label.
+ *
+ * @param {string} label - Component label
+ * @returns {HTMLElement}
+ */
+const item = (label) => document.querySelector(`[data-component-label="${label}"]`);
+
+/**
+ * Let the debounced save run and its request finish.
+ */
+const save = async () => {
+  await jest.advanceTimersByTimeAsync(500);
+  await waitFor(() => expect(document.querySelector('.component-reorder.is-saving')).toBeNull());
+};
+
+describe('component-reorder', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    Drupal.t = (string, args = {}) => Object.keys(args).reduce((result, key) => result.replace(key, args[key]), string);
+    Drupal.announce.mockClear();
+    Sortable.mockClear();
+    global.fetch = mockFetch();
+
+    document.body.innerHTML = `
+      <div class="component-reorder" data-reorder-url="/component/reorder" data-host-entity-type="node" data-host-entity-id="5" data-field-name="field_components">
+        <div class="field__items">
+          <div class="component-reorder__item" data-delta="0" data-target-id="11" data-component-label="Hero"></div>
+          <div class="component-reorder__item" data-delta="1" data-target-id="12" data-component-label="Card"></div>
+          <div class="component-reorder__item" data-delta="2" data-target-id="13" data-component-label="Quote"></div>
+        </div>
+      </div>
+    `;
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should move components with the keyboard', async () => {
+    Drupal.behaviors.componentEntityReorder.attach(document);
+    const down = item('Hero').querySelector('.component-reorder__move--down');
+    down.focus();
+
+    fireEvent.click(down);
+
+    expect(labels()).toEqual(['Card', 'Hero', 'Quote']);
+    expect(item('Card').querySelector('.component-reorder__move--up').disabled).toBe(true);
+    expect(item('Hero').querySelector('.component-reorder__move--up').disabled).toBe(false);
+    expect(document.activeElement).toBe(down);
+    expect(Drupal.announce).toHaveBeenCalledWith('Hero moved to position 2 of 3.');
+
+    await save();
+
+    expect(savedOrders()).toEqual([[{ delta: 1, id: '12' }, { delta: 0, id: '11' }, { delta: 2, id: '13' }]]);
+    const [url, init] = global.fetch.mock.calls.find(([, request]) => request.method === 'POST');
+    expect(url).toBe('/component/reorder?_format=json');
+    expect(init.headers['X-CSRF-Token']).toBe('token');
+    expect(JSON.parse(init.body)).toMatchObject({ entity_type: 'node', entity_id: '5', field_name: 'field_components' });
+    expect(Drupal.announce).toHaveBeenCalledWith('Component order saved.');
+  });
+
+  it('should keep focus on a usable button at the end of the list', () => {
+    Drupal.behaviors.componentEntityReorder.attach(document);
+    const down = item('Card').querySelector('.component-reorder__move--down');
+
+    fireEvent.click(down);
+
+    expect(labels()).toEqual(['Hero', 'Quote', 'Card']);
+    expect(down.disabled).toBe(true);
+    expect(document.activeElement).toBe(item('Card').querySelector('.component-reorder__move--up'));
+  });
+
+  it('should save the moves made before the save once', async () => {
+    Drupal.behaviors.componentEntityReorder.attach(document);
+
+    fireEvent.click(item('Quote').querySelector('.component-reorder__move--up'));
+    fireEvent.click(item('Quote').querySelector('.component-reorder__move--up'));
+    await save();
+
+    expect(labels()).toEqual(['Quote', 'Hero', 'Card']);
+    expect(savedOrders()).toEqual([[{ delta: 2, id: '13' }, { delta: 0, id: '11' }, { delta: 1, id: '12' }]]);
+  });
+
+  it('should move components by dragging with Sortable.js', async () => {
+    Drupal.behaviors.componentEntityReorder.attach(document);
+    const [[, options]] = Sortable.mock.calls;
+
+    expect(Sortable).toHaveBeenCalledWith(item('Hero').parentElement, expect.objectContaining({ handle: '.component-reorder__handle' }));
+    expect(item('Hero').querySelector('.component-reorder__handle')).not.toBeNull();
+
+    options.onStart();
+    item('Hero').parentElement.appendChild(item('Hero'));
+    options.onEnd({ oldIndex: 0, newIndex: 2, item: item('Hero') });
+
+    expect(item('Hero').querySelector('.component-reorder__move--down').disabled).toBe(true);
+    expect(Drupal.announce).toHaveBeenCalledWith('Hero moved to position 3 of 3.');
+
+    await save();
+
+    expect(savedOrders()).toEqual([[{ delta: 1, id: '12' }, { delta: 2, id: '13' }, { delta: 0, id: '11' }]]);
+  });
+
+  it('should not save drops in the same place', async () => {
+    Drupal.behaviors.componentEntityReorder.attach(document);
+    const [[, options]] = Sortable.mock.calls;
+
+    options.onStart();
+    options.onEnd({ oldIndex: 1, newIndex: 1, item: item('Card') });
+    await jest.advanceTimersByTimeAsync(500);
+
+    expect(global.fetch).not.toHaveBeenCalled();
+    expect(Drupal.announce).not.toHaveBeenCalled();
+  });
+
+  it('should undo the last reorder', async () => {
+    Drupal.behaviors.componentEntityReorder.attach(document);
+    fireEvent.click(item('Hero').querySelector('.component-reorder__move--down'));
+    await save();
+
+    const toast = document.querySelector('.component-reorder__toast');
+    expect(toast.querySelector('.component-reorder__toast-message').textContent).toBe('Component order saved.');
+
+    fireEvent.click(toast.querySelector('.component-reorder__undo'));
+
+    expect(labels()).toEqual(['Hero', 'Card', 'Quote']);
+    expect(document.querySelector('.component-reorder__toast')).toBeNull();
+
+    await save();
+
+    expect(savedOrders()[1]).toEqual([{ delta: 1, id: '11' }, { delta: 0, id: '12' }, { delta: 2, id: '13' }]);
+    expect(Drupal.announce).toHaveBeenLastCalledWith('Reorder undone.');
+  });
+
+  it('should hide the undo toast after a while unless it has focus', async () => {
+    Drupal.behaviors.componentEntityReorder.attach(document);
+    fireEvent.click(item('Hero').querySelector('.component-reorder__move--down'));
+    await save();
+
+    fireEvent.focusIn(document.querySelector('.component-reorder__undo'));
+    jest.advanceTimersByTime(10000);
+    expect(document.querySelector('.component-reorder__toast')).not.toBeNull();
+
+    fireEvent.focusOut(document.querySelector('.component-reorder__undo'));
+    jest.advanceTimersByTime(10000);
+    expect(document.querySelector('.component-reorder__toast')).toBeNull();
+  });
+
+  it('should put the components back when someone else changed them', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    global.fetch = mockFetch(409);
+    Drupal.behaviors.componentEntityReorder.attach(document);
+
+    fireEvent.click(item('Hero').querySelector('.component-reorder__move--down'));
+    await save();
+
+    const message = 'The components were changed by someone else. Reload the page and try again.';
+    expect(labels()).toEqual(['Hero', 'Card', 'Quote']);
+    expect(item('Hero').querySelector('.component-reorder__move--up').disabled).toBe(true);
+    expect(Drupal.announce).toHaveBeenCalledWith(message, 'assertive');
+    expect(document.querySelector('.component-reorder__toast-message').textContent).toBe(message);
+    expect(document.querySelector('.component-reorder__undo')).toBeNull();
+    console.error.mockRestore();
+  });
+
+  it('should report other failures', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    global.fetch = mockFetch(500);
+    Drupal.behaviors.componentEntityReorder.attach(document);
+
+    fireEvent.click(item('Hero').querySelector('.component-reorder__move--down'));
+    await save();
+
+    expect(labels()).toEqual(['Hero', 'Card', 'Quote']);
+    expect(Drupal.announce).toHaveBeenCalledWith('The new order could not be saved.', 'assertive');
+    console.error.mockRestore();
+  });
+});
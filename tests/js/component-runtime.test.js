@@ -0,0 +1,328 @@
+/**
+ * @file
+ * Tests for the headless component runtime.
+ */
+
+import { act, render, screen } from '@testing-library/react';
+import React from 'react';
+import * as ReactDOMClient from 'react-dom/client';
+import * as ReactDOMServer from 'react-dom/server.node';
+
+import { registerErrorFallback, setErrorReporter } from '@component-entity/drupal-react';
+import { ComponentEntity, ComponentRuntime } from '@component-entity/runtime';
+
+const { ComponentRenderer } = require('../../js/component-registry');
+
+const h = React.createElement;
+
+const schema = {
+  props: {
+    type: 'object',
+    required: ['title'],
+    properties: {
+      title: { type: 'string' },
+      showCta: { type: 'boolean' },
+    },
+  },
+  slots: [],
+};
+
+/**
+ * Render resource response as sent for ComponentReactRenderer output.
+ */
+const renderResult = (props = { title: 'Hello', show_cta: '1' }) => ({
+  id: '42',
+  type: 'hero_banner',
+  render_method: 'react',
+  view_mode: 'default',
+  html: '<div id="component-abc" class="component-react-root"></div>',
+  assets: {
+    css: [],
+    js: [],
+    libraries: ['component_entity/react-renderer'],
+    settings: {
+      componentEntity: {
+        components: {
+          'component-abc': {
+            type: 'hero_banner',
+            entityId: '42',
+            viewMode: 'default',
+            props,
+            slots: {},
+            hydration: 'full',
+            hydrationOptions: {},
+            canEdit: false,
+          },
+        },
+        schemas: { hero_banner: schema },
+        errorReporting: { url: '/component-entity/error', showDetails: false },
+      },
+    },
+  },
+});
+
+/**
+ * fetch mock answering with a JSON body.
+ */
+const mockFetch = (body, status = 200) => jest.fn(() => Promise.resolve({
+  ok: status >= 200 && status < 300,
+  status,
+  text: () => Promise.resolve(JSON.stringify(body)),
+}));
+
+const Hero = ({ title, showCta }) => h('h1', { 'data-cta': String(showCta) }, title);
+
+describe('ComponentRuntime', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new ComponentRenderer();
+    registry.register('hero_banner', Hero);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Fetching', () => {
+    it('should request the React rendering with assets', async () => {
+      const fetch = mockFetch(renderResult());
+      const runtime = new ComponentRuntime({ registry, fetch, baseUrl: 'https://example.com/' });
+
+      await runtime.fetchComponent(42, { viewMode: 'teaser', context: { region: 'sidebar' } });
+
+      const [url, init] = fetch.mock.calls[0];
+      const parsed = new URL(url);
+      expect(parsed.origin + parsed.pathname).toBe('https://example.com/api/component/42/render');
+      expect(Object.fromEntries(parsed.searchParams)).toEqual({
+        _format: 'json',
+        render_method: 'react',
+        include_assets: '1',
+        view_mode: 'teaser',
+        context_region: 'sidebar',
+      });
+      expect(init.credentials).toBe('same-origin');
+    });
+
+    it('should read the entry and apply its schema', async () => {
+      const runtime = new ComponentRuntime({ registry, fetch: mockFetch(renderResult()) });
+
+      const { config, settings } = await runtime.fetchComponent(42);
+
+      expect(config).toMatchObject({ id: 'component-abc', type: 'hero_banner', entityId: '42' });
+      expect(registry.getSchema('hero_banner')).toEqual(schema);
+      expect(settings.componentEntity.errorReporting.url).toBe('/component-entity/error');
+    });
+
+    it('should map entries from the React renderer plugin', () => {
+      const runtime = new ComponentRuntime({ registry });
+
+      const { config } = runtime.fromRenderResult({
+        id: '7',
+        type: 'cta',
+        view_mode: 'default',
+        html: '',
+        assets: {
+          settings: {
+            componentEntity: {
+              react: {
+                'react-component-abc': {
+                  componentType: 'cta',
+                  props: { field_label: 'Go' },
+                  slots: {},
+                  hydration: 'idle',
+                },
+              },
+            },
+          },
+        },
+      });
+
+      expect(config).toMatchObject({
+        type: 'cta',
+        entityId: '7',
+        props: { label: 'Go' },
+        hydration: 'idle',
+      });
+    });
+
+    it('should reject with the status of failed requests', async () => {
+      const runtime = new ComponentRuntime({ registry, fetch: mockFetch({ message: 'Not found' }, 404) });
+
+      await expect(runtime.fetchComponent(99)).rejects.toMatchObject({ status: 404 });
+    });
+  });
+
+  describe('Resolving components', () => {
+    it('should use registered components', async () => {
+      const runtime = new ComponentRuntime({ registry });
+
+      await expect(runtime.resolveComponent('hero_banner')).resolves.toBe(Hero);
+    });
+
+    it('should load unregistered components through the manifest', async () => {
+      const entry = { entry: 'cta', js: ['/dist/js/cta.js'] };
+      const runtime = new ComponentRuntime({ registry, manifest: { cta: entry } });
+      jest.spyOn(registry, 'load').mockResolvedValue(Hero);
+
+      await expect(runtime.resolveComponent('cta')).resolves.toBe(Hero);
+      expect(registry.load).toHaveBeenCalledWith('cta', entry);
+    });
+
+    it('should reject unknown components', async () => {
+      const runtime = new ComponentRuntime({ registry });
+
+      await expect(runtime.resolveComponent('missing')).rejects.toThrow('Component not registered: missing');
+    });
+  });
+
+  describe('Preparing props', () => {
+    it('should normalise props and report schema violations', () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const runtime = new ComponentRuntime({ registry, schemas: { hero_banner: schema } });
+
+      const instance = runtime.prepare({ type: 'hero_banner', entityId: '42', props: { show_cta: '1' }, slots: {} });
+
+      expect(instance.props.showCta).toBe(true);
+      expect(instance.entity).toMatchObject({ entityId: '42', bundle: 'hero_banner' });
+      expect(instance.hydration).toBe('full');
+      expect(instance.validationErrors).toEqual([expect.objectContaining({ path: 'title' })]);
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Invalid props for component hero_banner'));
+    });
+  });
+
+  describe('Rendering into elements', () => {
+    let element;
+
+    beforeEach(() => {
+      element = document.createElement('div');
+      document.body.appendChild(element);
+    });
+
+    afterEach(() => {
+      act(() => {
+        registry.unmount(element);
+      });
+      element.remove();
+    });
+
+    it('should fetch, render and announce a component', async () => {
+      const runtime = new ComponentRuntime({
+        registry,
+        ReactDOM: ReactDOMClient,
+        fetch: mockFetch(renderResult()),
+      });
+      const rendered = jest.fn();
+      const onRendered = jest.fn();
+      element.addEventListener('component:rendered', rendered);
+
+      await act(async () => {
+        await runtime.renderComponentEntity(element, 42, { onRendered });
+      });
+
+      expect(element.querySelector('h1')).toHaveTextContent('Hello');
+      expect(element.querySelector('h1')).toHaveAttribute('data-cta', 'true');
+      expect(element.dataset.reactProcessed).toBe('true');
+      expect(rendered).toHaveBeenCalledTimes(1);
+      expect(onRendered).toHaveBeenCalledWith(expect.objectContaining({ type: 'hero_banner', hydration: 'full' }));
+    });
+
+    it('should update a mounted component in place', async () => {
+      const Counter = ({ title }) => {
+        const [count, setCount] = React.useState(0);
+        return h('button', { onClick: () => setCount(count + 1) }, `${title} ${count}`);
+      };
+      registry.register('counter', Counter);
+      const runtime = new ComponentRuntime({ registry, ReactDOM: ReactDOMClient });
+
+      await act(async () => {
+        await runtime.renderConfig(element, { type: 'counter', props: { title: 'Draft' } });
+      });
+      act(() => {
+        element.querySelector('button').click();
+      });
+      await act(async () => {
+        await runtime.update(element, { type: 'counter', props: { title: 'Edited' } });
+      });
+
+      expect(element.querySelector('button')).toHaveTextContent('Edited 1');
+    });
+
+    it('should report output that differs from the server markup', async () => {
+      const runtime = new ComponentRuntime({ registry, ReactDOM: ReactDOMClient, ReactDOMServer });
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const mismatch = jest.fn();
+      element.addEventListener('component:hydration-mismatch', mismatch);
+      element.innerHTML = '<h1 data-cta="true">Hello from Twig</h1>';
+
+      await act(async () => {
+        await runtime.renderConfig(element, { type: 'hero_banner', props: { title: 'Hello', showCta: true } });
+      });
+
+      expect(mismatch.mock.calls[0][0].detail).toEqual({
+        type: 'hero_banner',
+        source: 'ssr',
+        differences: [{ type: 'text', path: 'h1 > text()', expected: 'Hello from Twig', actual: 'Hello' }],
+      });
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('Component hero_banner renders differently from its server-rendered markup'));
+      expect(element.querySelector('.component-error--hydration')).toHaveTextContent('h1 > text(): text "Hello" instead of "Hello from Twig"');
+    });
+
+    it('should respect the hydration strategy', async () => {
+      const runtime = new ComponentRuntime({ registry, ReactDOM: ReactDOMClient });
+      const scheduled = jest.spyOn(registry, 'scheduleHydration').mockImplementation(() => {});
+
+      await runtime.renderConfig(element, { type: 'hero_banner', props: { title: 'Later' }, hydration: 'visible' });
+
+      expect(scheduled).toHaveBeenCalledWith(element, 'visible', {}, expect.any(Function));
+      expect(element.querySelector('h1')).toBeNull();
+    });
+  });
+
+  describe('<ComponentEntity>', () => {
+    let previousReporter;
+
+    beforeEach(() => {
+      previousReporter = setErrorReporter(null);
+    });
+
+    afterEach(() => {
+      setErrorReporter(previousReporter);
+      registerErrorFallback('hero_banner', null);
+    });
+
+    it('should render the fetched component inside the host tree', async () => {
+      const runtime = new ComponentRuntime({ registry, fetch: mockFetch(renderResult()) });
+
+      render(h(ComponentEntity, { id: 42, runtime, loading: h('p', null, 'Loading') }));
+
+      expect(screen.getByText('Loading')).toBeInTheDocument();
+      expect(await screen.findByRole('heading')).toHaveTextContent('Hello');
+    });
+
+    it('should show the error fallback when loading fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const runtime = new ComponentRuntime({ registry, fetch: mockFetch({}, 403) });
+      const Fallback = ({ error }) => h('p', { role: 'alert' }, error.message);
+
+      render(h(ComponentEntity, { id: 42, runtime, fallback: Fallback }));
+
+      expect(await screen.findByRole('alert')).toHaveTextContent('GET api/component/42/render failed with status 403');
+    });
+
+    it('should use the fallback registered for the component type', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const Broken = () => {
+        throw new Error('Broken');
+      };
+      registry.register('hero_banner', Broken, { replace: true });
+      registerErrorFallback('hero_banner', () => h('p', { role: 'alert' }, 'Hero unavailable'));
+      const runtime = new ComponentRuntime({ registry, fetch: mockFetch(renderResult()) });
+
+      render(h(ComponentEntity, { id: 42, runtime }));
+
+      expect(await screen.findByRole('alert')).toHaveTextContent('Hero unavailable');
+    });
+  });
+});
@@ -0,0 +1,172 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * @file
+ * Tests for the component.yml schema deriver.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import yaml from 'js-yaml';
+
+import { deriveDefinition, mergeDefinition, parseArgs, updateComponentYml } from '../../scripts/component-schema';
+
+const fixture = path.resolve(__dirname, '../fixtures/component-schema/promo_card.tsx');
+
+describe('component-schema', () => {
+  describe('parseArgs', () => {
+    it('should read files and flags', () => {
+      expect(parseArgs(['promo_card.tsx', '--force'])).toMatchObject({ files: [path.resolve('promo_card.tsx')], force: true, check: false });
+      expect(() => parseArgs(['--watch'])).toThrow('Unknown argument: --watch');
+    });
+  });
+
+  describe('deriveDefinition', () => {
+    const { id, definition, notes } = deriveDefinition(fixture);
+
+    it('should map the props interface to JSON Schema', () => {
+      expect(id).toBe('promo_card');
+      expect(definition.props.required).toEqual(['title']);
+      expect(definition.props.properties).toEqual({
+        title: { type: 'string', title: 'Title', description: 'Main heading of the card' },
+        summary: { type: 'string', description: 'Short text below the title.', examples: ['Save 20% this week'] },
+        variant: { type: 'string', enum: ['default', 'featured'], default: 'default' },
+        columns: { type: 'number', enum: [1, 2, 3], default: 3 },
+        highlighted: { type: 'boolean', default: false },
+        tags: { type: 'array', items: { type: 'string' } },
+        image: {
+          type: 'object',
+          title: 'Image',
+          required: ['src'],
+          properties: { src: { type: 'string' }, alt: { type: 'string' } },
+        },
+        drupal_context: { type: 'object', title: 'Drupal Context', description: 'Drupal-specific metadata' },
+      });
+    });
+
+    it('should derive slots and report what was left out', () => {
+      expect(definition.slots).toEqual({
+        content: { title: 'Card body', required: true },
+        footer: { title: 'Footer' },
+      });
+      expect(notes).toEqual([
+        'className: React-only prop, left out.',
+        "onDismiss: no JSON Schema type (callbacks can't come from Drupal), left out.",
+      ]);
+    });
+  });
+
+  describe('mergeDefinition', () => {
+    const derived = {
+      props: {
+        type: 'object',
+        required: ['title'],
+        properties: {
+          title: { type: 'string', title: 'Title' },
+          count: { type: 'number' },
+          variant: { type: 'string', enum: ['a', 'b'] },
+        },
+      },
+    };
+
+    it('should keep what the YAML owns and add what it lacks', () => {
+      const current = {
+        name: 'Card',
+        props: {
+          type: 'object',
+          required: ['title'],
+          properties: { title: { type: 'string', title: 'Heading', maxLength: 80 }, count: { type: 'integer' } },
+        },
+      };
+
+      const { definition, conflicts } = mergeDefinition(current, derived);
+
+      expect(conflicts).toEqual([]);
+      expect(definition.props.properties.title).toEqual({ type: 'string', title: 'Heading', maxLength: 80 });
+      expect(definition.props.properties.count).toEqual({ type: 'integer' });
+      expect(definition.props.properties.variant).toEqual({ type: 'string', enum: ['a', 'b'] });
+    });
+
+    it('should report contradictions and props only in the YAML', () => {
+      const current = {
+        props: {
+          type: 'object',
+          properties: {
+            title: { type: 'string' },
+            variant: { type: 'string', enum: ['a', 'c'] },
+            legacy: { type: 'string' },
+          },
+        },
+      };
+
+      const { definition, conflicts } = mergeDefinition(current, derived);
+
+      expect(conflicts.map((conflict) => [conflict.path, conflict.key])).toEqual([
+        ['variant', 'enum'],
+        ['legacy', null],
+      ]);
+      expect(definition.props.properties.legacy).toEqual({ type: 'string' });
+      expect(mergeDefinition(current, derived, { force: true }).definition.props.properties).toEqual(derived.props.properties);
+    });
+
+    it('should report props the YAML and TSX disagree on requiring', () => {
+      const current = { props: { type: 'object', properties: { title: { type: 'string', required: false }, count: { type: 'number', required: true } } } };
+
+      expect(mergeDefinition(current, derived).conflicts).toEqual([]);
+      current.props.required = [];
+      expect(mergeDefinition(current, derived).conflicts.map((conflict) => conflict.path)).toEqual(['title', 'count']);
+    });
+  });
+
+  describe('updateComponentYml', () => {
+    let dir;
+    let file;
+    let ymlFile;
+
+    beforeEach(() => {
+      // Inside the repository, so the fixture resolves React's types.
+      dir = fs.mkdtempSync(path.join(path.dirname(fixture), 'tmp-'));
+      file = path.join(dir, 'promo_card.tsx');
+      ymlFile = path.join(dir, 'promo_card.component.yml');
+      fs.copyFileSync(fixture, file);
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should create the definition and leave it alone afterwards', () => {
+      fs.writeFileSync(ymlFile, '');
+
+      expect(updateComponentYml(file).status).toBe('created');
+      const definition = yaml.load(fs.readFileSync(ymlFile, 'utf8'));
+      expect(definition).toMatchObject({ name: 'Promo Card', status: 'stable', rendering: { twig: false, react: true, default: 'react' } });
+      expect(updateComponentYml(file).status).toBe('unchanged');
+    });
+
+    it('should not overwrite hand-edited YAML with conflicts', () => {
+      const source = '# Hand-edited.\nname: Promo Card\nprops:\n  type: object\n  properties:\n    title:\n      type: integer\n';
+      fs.writeFileSync(ymlFile, source);
+
+      const result = updateComponentYml(file);
+      expect(result.status).toBe('conflict');
+      expect(result.conflicts[0]).toMatchObject({ path: 'title', key: 'type', yaml: 'integer', tsx: 'string' });
+      expect(fs.readFileSync(ymlFile, 'utf8')).toBe(source);
+
+      expect(updateComponentYml(file, { force: true }).status).toBe('updated');
+      const updated = fs.readFileSync(ymlFile, 'utf8');
+      expect(updated.startsWith('# Hand-edited.\nname: Promo Card\n')).toBe(true);
+      expect(yaml.load(updated).props.properties.title.type).toBe('string');
+    });
+
+    it('should only report changes when checking', () => {
+      fs.writeFileSync(ymlFile, 'name: Promo Card\n');
+
+      expect(updateComponentYml(file, { check: true }).status).toBe('updated');
+      expect(fs.readFileSync(ymlFile, 'utf8')).toBe('name: Promo Card\n');
+    });
+  });
+});
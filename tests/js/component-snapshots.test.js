@@ -0,0 +1,117 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * @file
+ * Server-rendering snapshots and accessibility checks for every component.
+ *
+ * Each component webpack builds is rendered with every example set of its
+ * component.yml, the same sets its generated Storybook stories show, through
+ * the SSR worker's renderToString(), in Node like the worker. The HTML is
+ * loaded into a jsdom window, snapshotted and checked with axe-core, so new
+ * components are covered without tests of their own. Run `npm test -- -u`
+ * after intended markup changes.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import axe from 'axe-core';
+import yaml from 'js-yaml';
+import { JSDOM } from 'jsdom';
+import React from 'react';
+import * as ReactDOM from 'react-dom/client';
+
+import { buildConfig } from '../../.storybook/component-story';
+import { ComponentRenderer } from '../../js/component-registry';
+import * as shared from '../../js/drupal-react';
+import { findComponentFiles } from '../../scripts/component-files';
+import { storyArgs } from '../../scripts/component-stories';
+import { renderToString } from '../../scripts/ssr-server';
+
+const ROOT = path.resolve(__dirname, '../..');
+
+/**
+ * WCAG A and AA rules. Color contrast needs layout, which jsdom lacks.
+ */
+const AXE_OPTIONS = {
+  runOnly: { type: 'tag', values: ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa'] },
+  rules: { 'color-contrast': { enabled: false } },
+};
+
+/**
+ * Components with their definitions; empty placeholders are left out.
+ */
+const components = findComponentFiles(ROOT).map((relative) => {
+  const file = path.join(ROOT, relative);
+  const id = path.basename(file).replace(/\.(jsx|tsx)$/, '');
+  const source = path.join(path.dirname(file), `${id}.component.yml`);
+  const definition = fs.existsSync(source) ? yaml.load(fs.readFileSync(source, 'utf8')) : null;
+  return { id, file, definition: definition && typeof definition === 'object' ? definition : {} };
+}).filter((component) => fs.readFileSync(component.file, 'utf8').trim());
+
+/**
+ * Describe an axe violation for the failure message.
+ *
+ * @param {Object} violation - axe-core violation
+ * @returns {string}
+ */
+function describeViolation(violation) {
+  const targets = violation.nodes.map((node) => node.target.join(' ')).join(', ');
+  return `${violation.id}: ${violation.help} (${targets})`;
+}
+
+describe.each(components)('$id', ({ id, file, definition }) => {
+  const registry = new ComponentRenderer();
+  registry.setReact({ React, ReactDOM, shared });
+
+  const { args, stories } = storyArgs(definition);
+  const examples = stories.map((values, index) => ({
+    name: index ? `Example${index + 1}` : 'Default',
+    config: { ...buildConfig(id, { ...args, ...values }), entityId: 1, schema: definition },
+  }));
+
+  beforeAll(() => {
+    // Components register themselves with Drupal; the registry here gets the
+    // default export instead.
+    const Component = require(file).default;
+    if (!Component) {
+      throw new Error(`${path.relative(ROOT, file)} has no default export.`);
+    }
+    registry.register(id, Component);
+  });
+
+  /**
+   * Render an example on the server into a jsdom document.
+   *
+   * @param {Object} config - Component entry
+   * @returns {Object} The jsdom window, with the markup in a container
+   */
+  const renderExample = (config) => {
+    const dom = new JSDOM('<!DOCTYPE html><html lang="en"><head><title>Component</title></head><body></body></html>', {
+      runScripts: 'outside-only',
+    });
+    const container = dom.window.document.createElement('div');
+    container.innerHTML = renderToString({ registry }, config);
+    dom.window.document.body.appendChild(container);
+    return { window: dom.window, container };
+  };
+
+  it.each(examples)('should render $name on the server', ({ config }) => {
+    const { window, container } = renderExample(config);
+
+    expect(container).toMatchSnapshot();
+    window.close();
+  });
+
+  it.each(examples)('should have no accessibility violations in $name', async ({ config }) => {
+    const { window, container } = renderExample(config);
+    window.eval(axe.source);
+
+    const { violations } = await window.axe.run(container, AXE_OPTIONS);
+
+    expect(violations.map(describeViolation)).toEqual([]);
+    window.close();
+  });
+});
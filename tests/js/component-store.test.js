@@ -0,0 +1,211 @@
+/**
+ * @file
+ * Tests for the shared component stores.
+ */
+
+import {
+  ComponentStore,
+  GLOBAL_SCOPE,
+  getScope,
+  getStore,
+  getStoreFor,
+  removeStore,
+} from '../../js/component-store';
+
+describe('component-store', () => {
+  afterEach(() => {
+    removeStore(GLOBAL_SCOPE);
+    removeStore('sidebar');
+    document.body.innerHTML = '';
+    jest.restoreAllMocks();
+  });
+
+  it('should expose the stores on Drupal.componentEntity', () => {
+    expect(window.Drupal.componentEntity.stores.getStore).toBe(getStore);
+  });
+
+  describe('State', () => {
+    it('should set and get values', () => {
+      const store = new ComponentStore();
+
+      expect(store.has('filters')).toBe(false);
+      store.set('filters', { color: 'red' });
+
+      expect(store.has('filters')).toBe(true);
+      expect(store.get('filters')).toEqual({ color: 'red' });
+    });
+
+    it('should accept updater functions', () => {
+      const store = new ComponentStore();
+      store.set('count', 1);
+
+      expect(store.set('count', (count) => count + 1)).toBe(2);
+      expect(store.get('count')).toBe(2);
+    });
+
+    it('should replace the state object on change', () => {
+      const store = new ComponentStore();
+      const before = store.getState();
+
+      store.set('count', 1);
+
+      expect(store.getState()).not.toBe(before);
+      expect(store.getState()).toEqual({ count: 1 });
+    });
+
+    it('should notify key and wildcard subscribers', () => {
+      const store = new ComponentStore();
+      const listener = jest.fn();
+      const wildcard = jest.fn();
+      store.subscribe('count', listener);
+      store.subscribe('*', wildcard);
+
+      store.set('count', 1);
+      store.set('other', true);
+
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(listener).toHaveBeenCalledWith(1, 'count', undefined);
+      expect(wildcard).toHaveBeenCalledTimes(2);
+    });
+
+    it('should skip notifications when the value is unchanged', () => {
+      const store = new ComponentStore();
+      const listener = jest.fn();
+      store.set('count', 1);
+      store.subscribe('count', listener);
+
+      store.set('count', 1);
+
+      expect(listener).not.toHaveBeenCalled();
+    });
+
+    it('should unsubscribe', () => {
+      const store = new ComponentStore();
+      const listener = jest.fn();
+      const unsubscribe = store.subscribe('count', listener);
+
+      unsubscribe();
+      store.set('count', 1);
+
+      expect(listener).not.toHaveBeenCalled();
+      expect(store.subscribers.size).toBe(0);
+    });
+
+    it('should delete keys', () => {
+      const store = new ComponentStore();
+      const listener = jest.fn();
+      store.set('count', 1);
+      store.subscribe('count', listener);
+
+      expect(store.delete('count')).toBe(true);
+      expect(store.delete('count')).toBe(false);
+      expect(store.has('count')).toBe(false);
+      expect(listener).toHaveBeenCalledWith(undefined, 'count', 1);
+    });
+
+    it('should reject non-function listeners', () => {
+      const store = new ComponentStore();
+
+      expect(() => store.subscribe('count', 'nope')).toThrow(TypeError);
+    });
+  });
+
+  describe('Events', () => {
+    it('should deliver events to handlers', () => {
+      const store = new ComponentStore();
+      const handler = jest.fn();
+      const wildcard = jest.fn();
+      store.on('cta:click', handler);
+      store.on('*', wildcard);
+
+      store.emit('cta:click', { id: 'hero' });
+
+      expect(handler).toHaveBeenCalledWith({ id: 'hero' }, 'cta:click');
+      expect(wildcard).toHaveBeenCalledWith({ id: 'hero' }, 'cta:click');
+    });
+
+    it('should remove handlers with off and the returned function', () => {
+      const store = new ComponentStore();
+      const first = jest.fn();
+      const second = jest.fn();
+      store.on('cta:click', first);
+      const unsubscribe = store.on('cta:click', second);
+
+      store.off('cta:click', first);
+      unsubscribe();
+      store.emit('cta:click');
+
+      expect(first).not.toHaveBeenCalled();
+      expect(second).not.toHaveBeenCalled();
+    });
+
+    it('should keep calling handlers after one throws', () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const store = new ComponentStore();
+      const handler = jest.fn();
+      store.on('cta:click', () => {
+        throw new Error('Broken handler');
+      });
+      store.on('cta:click', handler);
+
+      store.emit('cta:click');
+
+      expect(handler).toHaveBeenCalled();
+      expect(console.error).toHaveBeenCalledWith(
+        'Listener for event "cta:click" in scope "global" failed:',
+        expect.any(Error)
+      );
+    });
+
+    it('should clear state and listeners on reset', () => {
+      const store = new ComponentStore();
+      const handler = jest.fn();
+      store.set('count', 1);
+      store.on('cta:click', handler);
+
+      store.reset();
+      store.emit('cta:click');
+
+      expect(store.getState()).toEqual({});
+      expect(handler).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Scopes', () => {
+    it('should return one store per scope', () => {
+      expect(getStore()).toBe(getStore(GLOBAL_SCOPE));
+      expect(getStore('sidebar')).toBe(getStore('sidebar'));
+      expect(getStore('sidebar')).not.toBe(getStore());
+      expect(getStore('sidebar').scope).toBe('sidebar');
+    });
+
+    it('should keep state separate between scopes', () => {
+      getStore('sidebar').set('filters', ['red']);
+
+      expect(getStore().has('filters')).toBe(false);
+    });
+
+    it('should find the closest data-component-scope', () => {
+      document.body.innerHTML = `
+        <div data-component-scope="sidebar">
+          <div><div id="scoped" class="component-react-root"></div></div>
+        </div>
+        <div id="unscoped" class="component-react-root"></div>
+      `;
+
+      expect(getScope(document.getElementById('scoped'))).toBe('sidebar');
+      expect(getScope(document.getElementById('unscoped'))).toBe(GLOBAL_SCOPE);
+      expect(getStoreFor(document.getElementById('scoped'))).toBe(getStore('sidebar'));
+    });
+
+    it('should remove stores', () => {
+      const store = getStore('sidebar');
+      store.set('filters', ['red']);
+
+      expect(removeStore('sidebar')).toBe(true);
+      expect(removeStore('sidebar')).toBe(false);
+      expect(getStore('sidebar')).not.toBe(store);
+      expect(getStore('sidebar').has('filters')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * @file
+ * Tests for the Storybook story generator.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { buildConfig } from '../../.storybook/component-story';
+import { findComponentFiles } from '../../scripts/component-files';
+import ComponentStoriesPlugin, { compileStories, generateStories, storyArgs } from '../../scripts/component-stories';
+
+const definition = {
+  name: 'Promo Card',
+  description: 'A teaser with a call to action',
+  props: {
+    type: 'object',
+    properties: {
+      title: { type: 'string', title: 'Title', examples: ['Summer sale', 'Winter sale'] },
+      variant: { type: 'string', enum: ['default', 'featured'], default: 'default' },
+      opacity: { type: 'number', minimum: 0, maximum: 1 },
+      count: { type: 'integer' },
+      link: {
+        type: 'object',
+        title: 'Link',
+        examples: [{ url: '/sale', text: 'Shop now' }],
+        properties: {
+          url: { type: 'string' },
+          text: { type: 'string' },
+          target: { type: 'string', enum: ['_self', '_blank'], default: '_self' },
+        },
+      },
+      drupal_context: { type: 'object' },
+    },
+  },
+  slots: {
+    content: { title: 'Content', examples: ['<p>Ends Sunday.</p>'] },
+  },
+};
+
+describe('component-stories', () => {
+  describe('storyArgs', () => {
+    const { argTypes, args, stories } = storyArgs(definition);
+
+    it('should derive controls from the prop schema', () => {
+      expect(Object.keys(argTypes)).toEqual(['title', 'variant', 'opacity', 'count', 'link__url', 'link__text', 'link__target', 'slots__content']);
+      expect(argTypes.variant).toMatchObject({ control: 'select', options: ['default', 'featured'], table: { defaultValue: { summary: '"default"' } } });
+      expect(argTypes.opacity.control).toEqual({ type: 'range', min: 0, max: 1, step: 0.01 });
+      expect(argTypes.count.control).toEqual({ type: 'number', step: 1 });
+      expect(argTypes.link__target).toMatchObject({ name: 'target', control: 'select', table: { category: 'Link' } });
+      expect(argTypes.slots__content).toMatchObject({ name: 'content', control: 'text', description: 'Content', table: { category: 'Slots' } });
+    });
+
+    it('should make a story per example', () => {
+      expect(args).toEqual({ variant: 'default' });
+      expect(stories).toEqual([
+        { title: 'Summer sale', link__url: '/sale', link__text: 'Shop now', slots__content: '<p>Ends Sunday.</p>' },
+        { title: 'Winter sale', link__url: '/sale', link__text: 'Shop now', slots__content: '<p>Ends Sunday.</p>' },
+      ]);
+    });
+  });
+
+  describe('compileStories', () => {
+    it('should render through the shared render function', () => {
+      const source = compileStories('promo_card', definition, {
+        component: '../../components/promo_card/promo_card',
+        source: 'components/promo_card/promo_card.component.yml',
+      });
+
+      expect(source).toContain("import '../../components/promo_card/promo_card';");
+      expect(source).toContain("import { renderComponent } from '../component-story';");
+      expect(source).toContain('  title: "SDC/Promo Card",\n  render: renderComponent,');
+      expect(source).toContain('"component": "A teaser with a call to action"');
+      expect(source).toContain('export const Default = {');
+      expect(source).toContain('export const Example2 = {\n  args: {\n    "title": "Winter sale",');
+    });
+  });
+
+  describe('generateStories', () => {
+    let dir;
+    let output;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'component-stories-'));
+      output = path.join(dir, '.storybook/generated');
+      fs.mkdirSync(path.join(dir, 'components/promo-card'), { recursive: true });
+      fs.mkdirSync(path.join(dir, 'components/card'));
+      fs.writeFileSync(path.join(dir, 'components/promo-card/promo_card.tsx'), 'export default () => null;\n');
+      fs.writeFileSync(path.join(dir, 'components/promo-card/promo_card.stories.tsx'), 'export default {};\n');
+      fs.writeFileSync(path.join(dir, 'components/promo-card/promo_card.component.yml'), 'name: Promo Card\n');
+      fs.writeFileSync(path.join(dir, 'components/card/card.jsx'), '');
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should find components like webpack does', () => {
+      expect(findComponentFiles(dir)).toEqual(['./components/card/card.jsx', './components/promo-card/promo_card.tsx']);
+    });
+
+    it('should write stories for components and skip placeholders', () => {
+      const result = generateStories({ root: dir, output });
+
+      expect(result.sources).toEqual([path.join(dir, 'components/promo-card/promo_card.component.yml')]);
+      expect(result.written).toEqual([path.join(output, 'promo_card.stories.js')]);
+      expect(fs.readFileSync(result.written[0], 'utf8')).toContain("import '../../components/promo-card/promo_card';");
+      expect(generateStories({ root: dir, output }).written).toEqual([]);
+    });
+
+    it('should remove the stories of removed components', () => {
+      generateStories({ root: dir, output });
+      fs.rmSync(path.join(dir, 'components/promo-card'), { recursive: true });
+
+      expect(generateStories({ root: dir, output }).removed).toEqual([path.join(output, 'promo_card.stories.js')]);
+    });
+
+    it('should generate stories and watch the definitions in builds', () => {
+      let tap;
+      const compiler = {
+        webpack: { WebpackError: Error },
+        hooks: { thisCompilation: { tap: (name, callback) => { tap = callback; } } },
+      };
+      const compilation = { fileDependencies: new Set(), errors: [] };
+      new ComponentStoriesPlugin({ root: dir, output }).apply(compiler);
+      tap(compilation);
+
+      expect(compilation.errors).toEqual([]);
+      expect(Array.from(compilation.fileDependencies)).toEqual([path.join(dir, 'components/promo-card/promo_card.component.yml')]);
+      expect(fs.existsSync(path.join(output, 'promo_card.stories.js'))).toBe(true);
+    });
+  });
+
+  describe('buildConfig', () => {
+    it('should turn story args into a drupalSettings entry', () => {
+      const config = buildConfig('promo_card', {
+        title: 'Summer sale',
+        link__url: '/sale',
+        link__target: '_blank',
+        image__src: undefined,
+        slots__content: '<p>Ends Sunday.</p>',
+        slots__footer: '',
+      });
+
+      expect(config).toMatchObject({
+        type: 'promo_card',
+        props: { title: 'Summer sale', link: { url: '/sale', target: '_blank' } },
+        slots: { content: '<p>Ends Sunday.</p>' },
+        hydration: 'full',
+      });
+    });
+  });
+});
@@ -0,0 +1,375 @@
+/**
+ * @file
+ * Tests for the shared DrupalProvider and hooks.
+ */
+
+import { act, render, screen, waitFor } from '@testing-library/react';
+import React from 'react';
+import { renderToString } from 'react-dom/server.node';
+
+import { getStore, removeStore } from '@component-entity/component-store';
+import {
+  DrupalProvider,
+  ErrorBoundary,
+  createDrupalContext,
+  registerErrorFallback,
+  reportError,
+  setErrorReporter,
+  useAnalytics,
+  useComponentEvent,
+  useCsrfToken,
+  useDrupalSettings,
+  useEntityContext,
+  useSharedState,
+  useTranslation,
+} from '@component-entity/drupal-react';
+
+const h = React.createElement;
+
+const settings = {
+  path: { baseUrl: '/sub/', pathPrefix: 'fr/', currentLanguage: 'fr' },
+  user: { uid: '1', permissionsHash: 'abc123' },
+};
+
+const entity = {
+  entityId: '42',
+  entityType: 'component',
+  bundle: 'hero_banner',
+  viewMode: 'full',
+  canEdit: true,
+};
+
+describe('drupal-react', () => {
+  afterEach(() => {
+    removeStore('global');
+    removeStore('sidebar');
+    jest.restoreAllMocks();
+  });
+
+  it('should expose the shared package on Drupal.componentEntity', () => {
+    expect(window.Drupal.componentEntity.react.DrupalProvider).toBe(DrupalProvider);
+  });
+
+  it('should provide settings and the entity context', () => {
+    const Probe = () => {
+      const language = useDrupalSettings('path.currentLanguage');
+      const context = useEntityContext();
+      return h('p', null, `${language} ${context.bundle} ${context.entityId} ${context.canEdit}`);
+    };
+
+    render(h(DrupalProvider, { settings, entity }, h(Probe)));
+
+    expect(screen.getByText('fr hero_banner 42 true')).toBeInTheDocument();
+  });
+
+  it('should fall back to the globals outside a provider', () => {
+    const Probe = () => {
+      const context = useEntityContext();
+      return h('p', null, `${useDrupalSettings('path.baseUrl')} ${context}`);
+    };
+
+    render(h(Probe));
+
+    expect(screen.getByText('/ null')).toBeInTheDocument();
+  });
+
+  it('should translate through Drupal.t and Drupal.formatPlural', () => {
+    const t = jest.spyOn(window.Drupal, 't').mockImplementation((str) => `[${str}]`);
+    jest.spyOn(window.Drupal, 'formatPlural').mockImplementation((count, singular, plural) => (count === 1 ? singular : plural));
+
+    const Probe = () => {
+      const translation = useTranslation();
+      return h('p', null, `${translation.t('Edit')} ${translation.formatPlural(2, '1 item', '@count items')} ${translation.language}`);
+    };
+
+    render(h(DrupalProvider, { settings }, h(Probe)));
+
+    expect(t).toHaveBeenCalledWith('Edit', undefined, undefined);
+    expect(screen.getByText('[Edit] @count items fr')).toBeInTheDocument();
+  });
+
+  it('should translate literal strings without Drupal', () => {
+    const Probe = () => {
+      const { Drupal } = useTranslation();
+      return h('p', null, `${Drupal.t('Hello @name', { '@name': 'Ada' })} ${Drupal.formatPlural(2, '1 item', '@count items')}`);
+    };
+
+    render(h(DrupalProvider, { value: { ...createDrupalContext({ settings }), Drupal: null } }, h(Probe)));
+
+    expect(screen.getByText('Hello Ada 2 items')).toBeInTheDocument();
+  });
+
+  it('should fetch the CSRF token once from the base path', async () => {
+    global.fetch = jest.fn(() => Promise.resolve({ ok: true, text: () => Promise.resolve('token-xyz') }));
+
+    const Probe = () => h('p', null, useCsrfToken() || 'loading');
+
+    render(h(DrupalProvider, { settings }, h(Probe), h(Probe)));
+
+    await waitFor(() => expect(screen.getAllByText('token-xyz')).toHaveLength(2));
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(global.fetch).toHaveBeenCalledWith('/sub/session/token', expect.objectContaining({ method: 'GET', credentials: 'same-origin' }));
+  });
+
+  it('should use a CSRF token from drupalSettings', () => {
+    global.fetch = jest.fn();
+
+    const Probe = () => h('p', null, useCsrfToken());
+
+    render(h(DrupalProvider, { settings: { ...settings, componentEntity: { csrfToken: 'preset' } } }, h(Probe)));
+
+    expect(screen.getByText('preset')).toBeInTheDocument();
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('should send analytics events to gtag when present', () => {
+    window.gtag = jest.fn();
+    let analytics;
+    const Probe = () => {
+      analytics = useAnalytics();
+      return null;
+    };
+
+    render(h(Probe));
+    analytics.trackEvent('click', { event_category: 'CTA' });
+
+    expect(window.gtag).toHaveBeenCalledWith('event', 'click', { event_category: 'CTA' });
+
+    delete window.gtag;
+    expect(() => analytics.trackEvent('click')).not.toThrow();
+  });
+
+  describe('Shared state', () => {
+    const Counter = ({ label }) => {
+      const [count, setCount] = useSharedState('count', 0);
+      return h('button', { onClick: () => setCount((value) => value + 1) }, `${label} ${count}`);
+    };
+
+    it('should share state between separate roots', () => {
+      render(h(Counter, { label: 'first' }));
+      render(h(Counter, { label: 'second' }));
+
+      act(() => {
+        screen.getByText('first 0').click();
+      });
+
+      expect(screen.getByText('first 1')).toBeInTheDocument();
+      expect(screen.getByText('second 1')).toBeInTheDocument();
+      expect(getStore().get('count')).toBe(1);
+    });
+
+    it('should isolate state between scopes', () => {
+      render(h(DrupalProvider, { scope: 'sidebar' }, h(Counter, { label: 'sidebar' })));
+      render(h(Counter, { label: 'main' }));
+
+      act(() => {
+        screen.getByText('sidebar 0').click();
+      });
+
+      expect(screen.getByText('sidebar 1')).toBeInTheDocument();
+      expect(screen.getByText('main 0')).toBeInTheDocument();
+      expect(getStore('sidebar').get('count')).toBe(1);
+    });
+
+    it('should follow changes made outside React', () => {
+      render(h(Counter, { label: 'counter' }));
+
+      act(() => {
+        getStore().set('count', 5);
+      });
+
+      expect(screen.getByText('counter 5')).toBeInTheDocument();
+    });
+
+    it('should render the initial value on the server', () => {
+      getStore().set('count', 5);
+
+      expect(renderToString(h(Counter, { label: 'server' }))).toContain('server 0');
+    });
+  });
+
+  describe('Events', () => {
+    it('should deliver events between roots in the same scope', () => {
+      const received = jest.fn();
+      let emit;
+      const Sender = () => {
+        emit = useComponentEvent('filter:change');
+        return null;
+      };
+      const Receiver = () => {
+        useComponentEvent('filter:change', received);
+        return null;
+      };
+
+      render(h(Sender));
+      render(h(Receiver));
+      emit({ color: 'red' });
+
+      expect(received).toHaveBeenCalledWith({ color: 'red' }, 'filter:change');
+    });
+
+    it('should not deliver events to other scopes', () => {
+      const received = jest.fn();
+      const Receiver = () => {
+        useComponentEvent('filter:change', received);
+        return null;
+      };
+
+      render(h(DrupalProvider, { scope: 'sidebar' }, h(Receiver)));
+      getStore().emit('filter:change');
+
+      expect(received).not.toHaveBeenCalled();
+    });
+
+    it('should unsubscribe on unmount', () => {
+      const received = jest.fn();
+      const Receiver = () => {
+        useComponentEvent('filter:change', received);
+        return null;
+      };
+
+      const { unmount } = render(h(Receiver));
+      unmount();
+      getStore().emit('filter:change');
+
+      expect(received).not.toHaveBeenCalled();
+      expect(getStore().handlers.size).toBe(0);
+    });
+  });
+
+  describe('Error handling', () => {
+    const Broken = () => {
+      throw new Error('Broken component');
+    };
+
+    const errorSettings = (showDetails) => ({
+      ...settings,
+      componentEntity: {
+        csrfToken: 'preset',
+        errorReporting: { url: '/component-entity/error', showDetails },
+      },
+    });
+
+    let reporter;
+    let previousReporter;
+
+    beforeEach(() => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      reporter = jest.fn();
+      previousReporter = setErrorReporter(reporter);
+    });
+
+    afterEach(() => {
+      setErrorReporter(previousReporter);
+      registerErrorFallback('hero_banner', null);
+    });
+
+    it('should render a translated fallback without details for visitors', () => {
+      jest.spyOn(window.Drupal, 't').mockImplementation((str) => `[${str}]`);
+
+      render(h(DrupalProvider, { settings: errorSettings(false) },
+        h(ErrorBoundary, { type: 'hero_banner' }, h(Broken))
+      ));
+
+      expect(screen.getByRole('alert')).toHaveTextContent('[This component encountered an error and cannot be displayed.]');
+      expect(screen.queryByText('Error: Broken component')).not.toBeInTheDocument();
+    });
+
+    it('should show error details to administrators', () => {
+      render(h(DrupalProvider, { settings: errorSettings(true) },
+        h(ErrorBoundary, { type: 'hero_banner' }, h(Broken))
+      ));
+
+      expect(screen.getByText('Error: Broken component')).toBeInTheDocument();
+    });
+
+    it('should render the fallback registered for the component type', () => {
+      const Fallback = ({ type, reset }) => h('button', { onClick: reset }, `${type} unavailable`);
+      registerErrorFallback('hero_banner', Fallback);
+
+      render(h(ErrorBoundary, { type: 'hero_banner' }, h(Broken)));
+
+      expect(screen.getByText('hero_banner unavailable')).toBeInTheDocument();
+    });
+
+    it('should recover when the reset key changes', () => {
+      const Title = ({ title }) => {
+        if (!title) {
+          throw new Error('Missing title');
+        }
+        return h('h1', null, title);
+      };
+      const props = {};
+
+      const { rerender } = render(h(ErrorBoundary, { type: 'hero_banner', resetKey: props }, h(Title, props)));
+      expect(screen.getByRole('alert')).toBeInTheDocument();
+
+      const fixed = { title: 'Hello' };
+      rerender(h(ErrorBoundary, { type: 'hero_banner', resetKey: fixed }, h(Title, fixed)));
+
+      expect(screen.getByRole('heading')).toHaveTextContent('Hello');
+      expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+    });
+
+    it('should keep component state when schema violations appear', () => {
+      const Counter = () => {
+        const [count, setCount] = React.useState(0);
+        return h('button', { onClick: () => setCount(count + 1) }, `Clicked ${count}`);
+      };
+      const boundary = (validationErrors) => h(ErrorBoundary, { type: 'hero_banner', validationErrors }, h(Counter));
+
+      const { rerender } = render(boundary([]));
+      act(() => {
+        screen.getByRole('button').click();
+      });
+      rerender(boundary([{ path: 'title', message: 'is required' }]));
+
+      expect(screen.getByRole('button')).toHaveTextContent('Clicked 1');
+      expect(screen.getByRole('alert')).toHaveTextContent('title');
+    });
+
+    it('should report errors with the component and entity', () => {
+      render(h(DrupalProvider, { settings, entity },
+        h(ErrorBoundary, { type: 'hero_banner' }, h(Broken))
+      ));
+
+      expect(reporter).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'hero_banner',
+        entity,
+        message: 'Broken component',
+        componentStack: expect.stringContaining('Broken'),
+      }));
+    });
+
+    it('should keep going when the reporter throws', () => {
+      setErrorReporter(() => {
+        throw new Error('Reporter down');
+      });
+
+      expect(() => reportError(new Error('Broken component'), { type: 'hero_banner' })).not.toThrow();
+      expect(console.error).toHaveBeenCalledWith('Error reporter failed:', expect.any(Error));
+    });
+
+    it('should post reports to the watchdog endpoint by default', async () => {
+      setErrorReporter(previousReporter);
+      const response = Promise.resolve({ ok: true, text: () => Promise.resolve('token-xyz') });
+      global.fetch = jest.fn(() => response);
+      window.drupalSettings.componentEntity = errorSettings(false).componentEntity;
+
+      reportError(new Error('Broken component'), { type: 'hero_banner', entity });
+
+      await waitFor(() => expect(global.fetch).toHaveBeenCalledWith('/component-entity/error', expect.objectContaining({
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': 'preset' },
+      })));
+      const request = global.fetch.mock.calls.find(([url]) => url === '/component-entity/error')[1];
+      expect(JSON.parse(request.body)).toEqual(expect.objectContaining({
+        type: 'hero_banner',
+        entityId: '42',
+        message: 'Broken component',
+      }));
+
+      delete window.drupalSettings.componentEntity;
+    });
+  });
+});
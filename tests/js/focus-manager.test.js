@@ -0,0 +1,143 @@
+/**
+ * @file
+ * Tests for the focus manager.
+ */
+
+import {
+  createFocusReturn,
+  focusFirst,
+  getFocusableElements,
+  isFocusable,
+} from '../../js/focus-manager';
+
+const ids = (elements) => elements.map((element) => element.id);
+
+describe('focus-manager', () => {
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('should expose the API on Drupal.componentEntity', () => {
+    expect(window.Drupal.componentEntity.focusManager.focusFirst).toBe(focusFirst);
+  });
+
+  describe('getFocusableElements', () => {
+    it('should find every kind of field, link and tabindex', () => {
+      document.body.innerHTML = `
+        <form id="form">
+          <input id="text" type="text">
+          <input id="email" type="email">
+          <input id="number" type="number">
+          <input id="hidden" type="hidden">
+          <select id="select"><option>A</option></select>
+          <textarea id="textarea"></textarea>
+          <a id="link" href="#">Link</a>
+          <a id="anchor">No href</a>
+          <div id="tabbable" tabindex="0">Tabbable</div>
+          <div id="editable" contenteditable="true">Editable</div>
+          <button id="button" type="button">Button</button>
+        </form>
+      `;
+
+      expect(ids(getFocusableElements(document.getElementById('form')))).toEqual([
+        'text', 'email', 'number', 'select', 'textarea', 'link', 'tabbable', 'editable', 'button',
+      ]);
+    });
+
+    it('should skip disabled, hidden and untabbable elements', () => {
+      document.body.innerHTML = `
+        <div id="container">
+          <input id="disabled" disabled>
+          <fieldset disabled><input id="in-disabled-fieldset"></fieldset>
+          <div hidden><input id="in-hidden"></div>
+          <div style="display: none"><input id="in-display-none"></div>
+          <input id="invisible" style="visibility: hidden">
+          <div inert><input id="in-inert"></div>
+          <button id="untabbable" tabindex="-1">Untabbable</button>
+          <details><summary id="summary">More</summary><input id="in-closed-details"></details>
+          <details open><input id="in-open-details"></details>
+        </div>
+      `;
+
+      expect(ids(getFocusableElements(document.getElementById('container')))).toEqual(['summary', 'in-open-details']);
+    });
+  });
+
+  describe('focusFirst', () => {
+    it('should focus the first field with an error', () => {
+      document.body.innerHTML = `
+        <form id="form">
+          <input id="title">
+          <input id="body" class="error" aria-invalid="true">
+        </form>
+      `;
+
+      expect(focusFirst(document.getElementById('form')).id).toBe('body');
+      expect(document.activeElement.id).toBe('body');
+    });
+
+    it('should focus the first focusable element', () => {
+      document.body.innerHTML = '<div id="dialog"><p>Text</p><button id="ok">OK</button></div>';
+
+      expect(focusFirst(document.getElementById('dialog')).id).toBe('ok');
+    });
+
+    it('should focus the container when nothing in it can take focus', () => {
+      document.body.innerHTML = '<div id="dialog"><p>Nothing to focus</p></div>';
+      const dialog = document.getElementById('dialog');
+
+      expect(focusFirst(dialog)).toBe(dialog);
+      expect(dialog.getAttribute('tabindex')).toBe('-1');
+      expect(document.activeElement).toBe(dialog);
+    });
+  });
+
+  describe('createFocusReturn', () => {
+    it('should return focus to the element that had it', () => {
+      document.body.innerHTML = '<button id="opener">Open</button><input id="field">';
+      document.getElementById('opener').focus();
+
+      const restore = createFocusReturn();
+      document.getElementById('field').focus();
+
+      expect(restore().id).toBe('opener');
+      expect(document.activeElement.id).toBe('opener');
+    });
+
+    it('should prefer the given element', () => {
+      document.body.innerHTML = '<button id="opener">Open</button><input id="inserted">';
+      document.getElementById('opener').focus();
+
+      const restore = createFocusReturn();
+
+      expect(restore(document.getElementById('inserted')).id).toBe('inserted');
+    });
+
+    it('should fall back when the element that had focus is gone', () => {
+      document.body.innerHTML = '<div id="field"><button id="opener">Open</button><input id="input"></div>';
+      document.getElementById('opener').focus();
+
+      const restore = createFocusReturn(document.getElementById('field'));
+      document.getElementById('opener').remove();
+
+      expect(restore().id).toBe('input');
+    });
+
+    it('should return nothing when there is nowhere to go', () => {
+      document.body.innerHTML = '<button id="opener">Open</button>';
+      document.getElementById('opener').focus();
+
+      const restore = createFocusReturn();
+      document.getElementById('opener').remove();
+
+      expect(restore()).toBeNull();
+    });
+  });
+
+  describe('isFocusable', () => {
+    it('should reject detached elements', () => {
+      expect(isFocusable(document.createElement('button'))).toBe(false);
+      expect(isFocusable(null)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * @file
+ * Tests for the component scaffolder.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import yaml from 'js-yaml';
+import prompts from 'prompts';
+
+import {
+  GeneratorError,
+  generateFiles,
+  machineName,
+  normalizeSpec,
+  parseArgs,
+  promptSpec,
+  renderComponentYml,
+  renderTsx,
+  renderTwig,
+  writeComponent,
+} from '../../scripts/generate-component';
+
+const spec = {
+  label: 'Promo Card',
+  description: 'A teaser with a call to action',
+  props: {
+    field_title: { type: 'string', required: true },
+    summary: { type: 'text_long' },
+    variant: { type: 'string', enum: ['default', 'featured'], default: 'default' },
+    link: { type: 'link' },
+  },
+  slots: {
+    field_content_slot: { title: 'Content' },
+  },
+};
+
+describe('generate-component', () => {
+  describe('parseArgs', () => {
+    it('should read the name and flags', () => {
+      const options = parseArgs(['promo_card', '--spec', 'spec.json', '--force']);
+
+      expect(options).toMatchObject({ name: 'promo_card', spec: path.resolve('spec.json'), force: true });
+      expect(options.dir).toBe(path.resolve(__dirname, '../../components'));
+    });
+
+    it('should reject unknown flags', () => {
+      expect(() => parseArgs(['promo_card', '--watch'])).toThrow(GeneratorError);
+    });
+  });
+
+  describe('normalizeSpec', () => {
+    it('should name things like the PHP generators', () => {
+      const normalized = normalizeSpec('Promo Card', spec);
+
+      expect(machineName('component_entity:Promo-Card')).toBe('promo_card');
+      expect(normalized).toMatchObject({ id: 'promo_card', component: 'PromoCard' });
+      expect(normalized.props.map((prop) => [prop.name, prop.type])).toEqual([
+        ['title', 'string'],
+        ['summary', 'string'],
+        ['variant', 'string'],
+        ['link', 'object'],
+      ]);
+      expect(normalized.slots).toEqual([{ name: 'content', title: 'Content', description: '', required: false }]);
+      expect(normalized.rendering).toEqual({ twig: true, react: true, default: 'react' });
+    });
+
+    it('should reject props and slots with the same name', () => {
+      expect(() => normalizeSpec('card', { props: { content: {} }, slots: { content: {} } })).toThrow('The name "content" is taken.');
+      expect(() => normalizeSpec('card', { props: { drupal_context: {} } })).toThrow(GeneratorError);
+    });
+
+    it('should reject a default render method that is not enabled', () => {
+      expect(() => normalizeSpec('card', { rendering: { react: false, default: 'react' } })).toThrow(GeneratorError);
+      expect(normalizeSpec('card', { rendering: { react: false } }).rendering.default).toBe('twig');
+    });
+  });
+
+  describe('rendering', () => {
+    const normalized = normalizeSpec('promo_card', spec);
+
+    it('should write an SDC definition with the Drupal context', () => {
+      const definition = yaml.load(renderComponentYml(normalized));
+
+      expect(definition.props.required).toEqual(['title']);
+      expect(Object.keys(definition.props.properties)).toEqual(['title', 'summary', 'variant', 'link', 'drupal_context']);
+      expect(definition.props.properties.variant).toEqual({ type: 'string', title: 'Variant', enum: ['default', 'featured'], default: 'default' });
+      expect(definition.slots).toEqual({ content: { title: 'Content' } });
+      expect(definition.rendering).toEqual({ twig: true, react: true, default: 'react' });
+    });
+
+    it('should render the same markup in Twig and React', () => {
+      const twig = renderTwig(normalized);
+      const tsx = renderTsx(normalized);
+
+      expect(twig).toContain("'promo-card--' ~ (variant|default('default')),");
+      expect(tsx).toContain('`promo-card--${variant}`,');
+      ['<h2 class="promo-card__title">', '<div class="promo-card__summary">', '<div class="promo-card__content">'].forEach((tag) => {
+        expect(twig).toContain(tag);
+        expect(tsx).toContain(tag.replace('class=', 'className='));
+      });
+      expect(tsx).toContain("window.Drupal.componentEntity.register('promo_card', PromoCard);");
+      expect(tsx).toContain("import type { PromoCardProps } from '../../types/components/promo_card';");
+    });
+
+    it('should leave out React files for Twig-only components', () => {
+      const files = generateFiles(normalizeSpec('promo_card', { ...spec, rendering: { react: false } }));
+
+      expect(Object.keys(files)).toEqual(['promo_card.component.yml', 'promo_card.css', 'promo_card.html.twig']);
+    });
+  });
+
+  describe('writeComponent', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'generate-component-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should write every file into the component directory', () => {
+      const files = writeComponent(normalizeSpec('promo_card', spec), { dir, types: path.join(dir, 'types') });
+
+      expect(files.map((file) => path.relative(dir, file))).toEqual([
+        'promo_card/promo_card.component.yml',
+        'promo_card/promo_card.css',
+        'promo_card/promo_card.html.twig',
+        'promo_card/promo_card.tsx',
+        'promo_card/promo_card.stories.tsx',
+        'promo_card/promo_card.test.tsx',
+        'types/promo_card.d.ts',
+      ]);
+      expect(fs.readFileSync(files[3], 'utf8')).toContain("from '../types/promo_card';");
+      expect(fs.readFileSync(files[6], 'utf8')).toContain('export interface PromoCardProps {');
+    });
+
+    it('should replace empty placeholders but not existing files', () => {
+      fs.mkdirSync(path.join(dir, 'promo_card'));
+      fs.writeFileSync(path.join(dir, 'promo_card/promo_card.css'), '');
+      writeComponent(normalizeSpec('promo_card', spec), { dir, types: path.join(dir, 'types') });
+
+      fs.writeFileSync(path.join(dir, 'promo_card/promo_card.tsx'), 'export {};\n');
+      expect(() => writeComponent(normalizeSpec('promo_card', spec), { dir, types: path.join(dir, 'types') })).toThrow(/promo_card\.tsx/);
+      expect(fs.readFileSync(path.join(dir, 'promo_card/promo_card.tsx'), 'utf8')).toBe('export {};\n');
+
+      writeComponent(normalizeSpec('promo_card', spec), { dir, types: path.join(dir, 'types'), force: true });
+      expect(fs.readFileSync(path.join(dir, 'promo_card/promo_card.tsx'), 'utf8')).toContain('const PromoCard');
+    });
+  });
+
+  describe('promptSpec', () => {
+    it('should build a spec from the answers', async () => {
+      prompts.inject([
+        'Promo Card', 'A teaser', '',
+        'title', 'string', 'Title', '', true, ['default', 'featured'], 'default',
+        'count', 'integer', 'Count', '', false, '3',
+        '',
+        'content', 'Content', '', false,
+        '',
+        ['twig'],
+      ]);
+
+      const answers = await promptSpec('promo_card');
+
+      expect(answers.props).toEqual({
+        title: { type: 'string', title: 'Title', description: '', required: true, enum: ['default', 'featured'], default: 'default' },
+        count: { type: 'integer', title: 'Count', description: '', required: false, enum: [], default: 3 },
+      });
+      expect(answers.slots).toEqual({ content: { title: 'Content', description: '', required: false } });
+      expect(answers.rendering).toEqual({ twig: true, react: false, default: 'twig' });
+    });
+  });
+});
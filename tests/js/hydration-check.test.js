@@ -0,0 +1,149 @@
+/**
+ * @file
+ * Tests for the hydration mismatch check.
+ */
+
+import React from 'react';
+import * as ReactDOMServer from 'react-dom/server.node';
+
+import {
+  check,
+  describe as describeDifference,
+  getServerMarkup,
+  renderOffDom,
+} from '../../js/hydration-check';
+
+const h = React.createElement;
+
+const Card = ({ title, href }) => h('article', { className: 'card' },
+  h('h2', null, title),
+  h('a', { href }, 'Read more')
+);
+
+/**
+ * Component root as rendered by component-react-wrapper.html.twig.
+ */
+const createRoot = (html) => {
+  const element = document.createElement('div');
+  element.className = 'component-react-root';
+  element.innerHTML = html;
+  return element;
+};
+
+describe('hydration-check', () => {
+  it('should expose the API on Drupal.componentEntity', () => {
+    expect(window.Drupal.componentEntity.hydrationCheck.check).toBe(check);
+  });
+
+  describe('getServerMarkup', () => {
+    it('should read server-rendered markup', () => {
+      const element = createRoot('<article class="card"><h2>Title</h2></article>');
+
+      expect(getServerMarkup(element)).toEqual({
+        source: 'ssr',
+        tree: [{ tag: 'article', attributes: { class: 'card' }, children: [
+          { tag: 'h2', attributes: {}, children: [{ text: 'Title' }] },
+        ] }],
+      });
+    });
+
+    it('should read the Twig fallback', () => {
+      const element = createRoot('<noscript><div class="component-fallback" data-twig-fallback><h2>Title</h2></div></noscript>');
+
+      expect(getServerMarkup(element)).toEqual({
+        source: 'twig',
+        tree: [{ tag: 'h2', attributes: {}, children: [{ text: 'Title' }] }],
+      });
+    });
+
+    it('should parse a fallback the browser kept as text', () => {
+      const element = createRoot('');
+      const noscript = document.createElement('noscript');
+      noscript.appendChild(document.createTextNode('<div class="component-fallback" data-twig-fallback><h2>Title</h2></div>'));
+      element.appendChild(noscript);
+
+      expect(getServerMarkup(element)).toMatchObject({ source: 'twig', tree: [{ tag: 'h2' }] });
+    });
+
+    it('should ignore loading placeholders and the no-JS message', () => {
+      const element = createRoot('<div class="component-loading"></div><noscript><div class="component-fallback"><p>This component requires JavaScript to be enabled.</p></div></noscript>');
+
+      expect(getServerMarkup(element)).toBeNull();
+    });
+  });
+
+  describe('renderOffDom', () => {
+    it('should render without touching the document', () => {
+      const count = document.body.childNodes.length;
+
+      const tree = renderOffDom(h(Card, { title: 'Title', href: '/node/1' }), ReactDOMServer);
+
+      expect(tree).toMatchObject([{ tag: 'article', children: [{ tag: 'h2' }, { tag: 'a', attributes: { href: '/node/1' } }] }]);
+      expect(document.body.childNodes).toHaveLength(count);
+    });
+
+    it('should not run effects', () => {
+      const effect = jest.fn();
+      const Tracked = () => {
+        React.useEffect(effect);
+        return h('p', null, 'Text');
+      };
+
+      expect(renderOffDom(h(Tracked), ReactDOMServer)).toEqual([{ tag: 'p', attributes: {}, children: [{ text: 'Text' }] }]);
+      expect(effect).not.toHaveBeenCalled();
+    });
+
+    it('should skip the check without react-dom/server', () => {
+      expect(renderOffDom(h(Card, { title: 'Title' }), undefined)).toBeNull();
+    });
+  });
+
+  describe('check', () => {
+    const run = (element, props) => check(element, h(Card, props), ReactDOMServer);
+
+    it('should find nothing when the outputs match', () => {
+      const element = createRoot('<article class="card">\n  <h2>Title</h2>\n  <a href="/node/1">Read more</a>\n</article>');
+
+      expect(run(element, { title: 'Title', href: '/node/1' })).toEqual({ source: 'ssr', differences: [] });
+    });
+
+    it('should report drift between the Twig fallback and React', () => {
+      const element = createRoot('<noscript><div class="component-fallback" data-twig-fallback><article class="card card--twig"><h2>Old title</h2><p>Teaser</p><a href="/node/1">Read more</a></article></div></noscript>');
+
+      const result = run(element, { title: 'Title', href: '/node/1' });
+
+      expect(result.source).toBe('twig');
+      expect(result.differences).toEqual([
+        { type: 'attribute', path: 'article', name: 'class', expected: 'card card--twig', actual: 'card' },
+        { type: 'text', path: 'article > h2 > text()', expected: 'Old title', actual: 'Title' },
+        { type: 'removed', path: 'article > p', expected: '<p>', actual: null },
+      ]);
+    });
+
+    it('should do nothing without server markup', () => {
+      expect(run(createRoot(''), { title: 'Title' })).toBeNull();
+    });
+
+    it('should only compare in development builds and debug mode', () => {
+      const element = createRoot('<article class="card"><h2>Title</h2><a href="/node/1">Read more</a></article>');
+      global.__DEV__ = false;
+
+      expect(run(element, { title: 'Title', href: '/node/1' })).toBeNull();
+
+      global.drupalSettings.componentEntity = { debug: true };
+      expect(run(element, { title: 'Title', href: '/node/1' })).toEqual({ source: 'ssr', differences: [] });
+
+      delete global.drupalSettings.componentEntity;
+      global.__DEV__ = true;
+    });
+  });
+
+  describe('describe', () => {
+    it('should describe differences for the overlay', () => {
+      expect(describeDifference({ type: 'removed', path: 'article > p', expected: '<p>', actual: null }))
+        .toEqual({ path: 'article > p', message: '<p> missing from the React output' });
+      expect(describeDifference({ type: 'attribute', path: 'a', name: 'href', expected: '/one', actual: '/two' }))
+        .toEqual({ path: 'a', message: 'attribute href="/two" instead of "/one"' });
+    });
+  });
+});
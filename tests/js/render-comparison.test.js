@@ -0,0 +1,99 @@
+/**
+ * @file
+ * Tests for comparing the output of render methods.
+ */
+
+import {
+  diff,
+  formatBytes,
+  serialize,
+  serializeChildren,
+} from '../../js/render-comparison';
+
+const tree = (html) => {
+  const container = document.createElement('div');
+  container.innerHTML = html;
+  return serializeChildren(container);
+};
+
+describe('render-comparison', () => {
+  it('should expose the API on Drupal.componentEntity', () => {
+    expect(window.Drupal.componentEntity.renderComparison.diff).toBe(diff);
+  });
+
+  describe('serialize', () => {
+    it('should normalize whitespace, classes and styles', () => {
+      const container = document.createElement('div');
+      container.innerHTML = '<p class="b  a" style="color:red ;margin: 0">  Hello\n   world </p>';
+
+      expect(serialize(container.firstChild)).toEqual({
+        tag: 'p',
+        attributes: { class: 'a b', style: 'color: red; margin: 0' },
+        children: [{ text: 'Hello world' }],
+      });
+    });
+
+    it('should leave out comments, scripts and bookkeeping attributes', () => {
+      expect(tree('<div data-once="x" data-drupal-selector="y"><!-- c --><script>1</script><noscript>No JS</noscript>Text</div>')).toEqual([
+        { tag: 'div', attributes: {}, children: [{ text: 'Text' }] },
+      ]);
+    });
+
+    it('should merge adjacent text nodes', () => {
+      const container = document.createElement('div');
+      container.appendChild(document.createTextNode('Hello'));
+      container.appendChild(document.createComment('react'));
+      container.appendChild(document.createTextNode('world'));
+
+      expect(serializeChildren(container)).toEqual([{ text: 'Hello world' }]);
+    });
+  });
+
+  describe('diff', () => {
+    it('should find no differences between equivalent markup', () => {
+      expect(diff(
+        tree('<div class="card is-active"><h2>Title</h2>\n<p>Body</p></div>'),
+        tree('<div class="is-active card"><h2> Title </h2><p>Body</p><!-- end --></div>'),
+      )).toEqual([]);
+    });
+
+    it('should report changed text and attributes', () => {
+      expect(diff(
+        tree('<a href="/one" class="link">One</a>'),
+        tree('<a href="/two" title="Two">Two</a>'),
+      )).toEqual([
+        { type: 'attribute', path: 'a', name: 'class', expected: 'link', actual: null },
+        { type: 'attribute', path: 'a', name: 'href', expected: '/one', actual: '/two' },
+        { type: 'attribute', path: 'a', name: 'title', expected: null, actual: 'Two' },
+        { type: 'text', path: 'a > text()', expected: 'One', actual: 'Two' },
+      ]);
+    });
+
+    it('should align children around added and removed elements', () => {
+      const differences = diff(
+        tree('<ul><li>One</li><li>Two</li><li>Three</li></ul>'),
+        tree('<ul><li>One</li><li>Three</li><span>New</span></ul>'),
+      );
+
+      expect(differences.map((item) => item.type)).toEqual(['text', 'removed', 'added']);
+      expect(differences[0]).toMatchObject({ path: 'ul > li:nth-of-type(2) > text()', expected: 'Two', actual: 'Three' });
+      expect(differences[1]).toMatchObject({ path: 'ul > li:nth-of-type(3)', expected: '<li>' });
+      expect(differences[2]).toMatchObject({ path: 'ul > span', actual: '<span>' });
+    });
+
+    it('should report different elements as removed and added', () => {
+      expect(diff(tree('<section>A</section>'), tree('<div>A</div>'))).toEqual([
+        { type: 'removed', path: 'section', expected: '<section>', actual: null },
+        { type: 'added', path: 'div', expected: null, actual: '<div>' },
+      ]);
+    });
+  });
+
+  describe('formatBytes', () => {
+    it('should format sizes', () => {
+      expect(formatBytes(512)).toBe('512 B');
+      expect(formatBytes(1536)).toBe('1.5 KB');
+      expect(formatBytes(3 * 1024 * 1024)).toBe('3 MB');
+    });
+  });
+});
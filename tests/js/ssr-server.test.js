@@ -0,0 +1,115 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * @file
+ * Tests for the server-side rendering worker.
+ */
+
+import http from 'http';
+import path from 'path';
+
+import { SsrError, createServer, loadBundles, renderToString } from '../../scripts/ssr-server';
+
+const dist = path.resolve(__dirname, '../fixtures/ssr');
+
+const config = {
+  type: 'test_component',
+  entityId: '42',
+  viewMode: 'full',
+  props: { title: 'Server rendered' },
+  slots: { content: '<p>Slot <strong>markup</strong></p>' },
+  hydration: 'full',
+};
+
+const request = (server, method, urlPath, body) => new Promise((resolve, reject) => {
+  const { port } = server.address();
+  const req = http.request({ host: '127.0.0.1', port, method, path: urlPath }, (res) => {
+    let data = '';
+    res.on('data', (chunk) => { data += chunk; });
+    res.on('end', () => resolve({ status: res.statusCode, type: res.headers['content-type'], body: data }));
+  });
+  req.on('error', reject);
+  if (body !== undefined) {
+    req.write(typeof body === 'string' ? body : JSON.stringify(body));
+  }
+  req.end();
+});
+
+describe('SSR worker', () => {
+  describe('Bundle loading', () => {
+    it('should register components from built bundles', () => {
+      const state = loadBundles({ dist });
+
+      expect(state.registry.has('test_component')).toBe(true);
+      expect(state.context.Drupal.componentEntity.react.DrupalProvider).toEqual(expect.any(Function));
+    });
+
+    it('should fail clearly when nothing has been built', () => {
+      expect(() => loadBundles({ dist: path.join(dist, 'missing') })).toThrow('npm run build');
+    });
+  });
+
+  describe('Rendering', () => {
+    it('should render with the same props as the client renderer', () => {
+      const html = renderToString(loadBundles({ dist }), config);
+
+      expect(html).toContain('data-entity-id="42"');
+      expect(html).toContain('<h2>Server rendered</h2>');
+      expect(html).toContain('<p>Slot <strong>markup</strong></p>');
+    });
+
+    it('should normalise props with the schema Drupal sends', () => {
+      const schema = { props: { type: 'object', properties: { title: { type: 'string', default: 'Default title' } } } };
+      const html = renderToString(loadBundles({ dist }), { ...config, props: {}, schema });
+
+      expect(html).toContain('<h2>Default title</h2>');
+    });
+
+    it('should reject unknown components', () => {
+      expect(() => renderToString(loadBundles({ dist }), { type: 'missing' })).toThrow(SsrError);
+    });
+  });
+
+  describe('HTTP protocol', () => {
+    let server;
+
+    beforeAll((done) => {
+      server = createServer({ dist });
+      server.listen(0, '127.0.0.1', done);
+    });
+
+    afterAll((done) => {
+      server.close(done);
+    });
+
+    it('should report health and registered components', async () => {
+      const response = await request(server, 'GET', '/health');
+
+      expect(response.status).toBe(200);
+      expect(JSON.parse(response.body).components).toEqual(['test_component']);
+    });
+
+    it('should return rendered HTML', async () => {
+      const response = await request(server, 'POST', '/render', config);
+
+      expect(response.status).toBe(200);
+      expect(response.type).toContain('text/html');
+      expect(response.body).toContain('<h2>Server rendered</h2>');
+    });
+
+    it('should return 404 for unregistered components', async () => {
+      const response = await request(server, 'POST', '/render', { type: 'missing' });
+
+      expect(response.status).toBe(404);
+      expect(JSON.parse(response.body).error).toContain('missing');
+    });
+
+    it('should return 400 for invalid JSON', async () => {
+      const response = await request(server, 'POST', '/render', '{invalid');
+
+      expect(response.status).toBe(400);
+    });
+  });
+});
@@ -14,6 +14,7 @@ global.Drupal = {
     count === 1 ? singular : plural,
   url: (path: string) => path,
   theme: jest.fn(),
+  announce: jest.fn(),
   componentEntity: {
     register: jest.fn(),
     renderAll: jest.fn(),
@@ -39,6 +40,19 @@ global.drupalSettings = {
   },
 };
 
+// Stand-in for core/once: selects the elements not processed with an ID yet.
+global.once = ((id: string, selector: string | Element, context: Document | Element = document) => {
+  const elements = typeof selector === 'string' ? Array.from(context.querySelectorAll(selector)) : [selector];
+  return elements.filter((element) => {
+    const ids = (element.getAttribute('data-once') || '').split(' ').filter(Boolean);
+    if (ids.includes(id)) {
+      return false;
+    }
+    element.setAttribute('data-once', [...ids, id].join(' '));
+    return true;
+  });
+}) as any;
+
 global.jQuery = jest.fn(() => ({
   length: 0,
   each: jest.fn(),
@@ -55,20 +69,22 @@ global.jQuery = jest.fn(() => ({
 // Mock fetch
 global.fetch = jest.fn();
 
-// Mock window.matchMedia
-Object.defineProperty(window, 'matchMedia', {
-  writable: true,
-  value: jest.fn().mockImplementation(query => ({
-    matches: false,
-    media: query,
-    onchange: null,
-    addListener: jest.fn(),
-    removeListener: jest.fn(),
-    addEventListener: jest.fn(),
-    removeEventListener: jest.fn(),
-    dispatchEvent: jest.fn(),
-  })),
-});
+// Mock window.matchMedia (not available in node environment tests)
+if (typeof window !== 'undefined') {
+  Object.defineProperty(window, 'matchMedia', {
+    writable: true,
+    value: jest.fn().mockImplementation(query => ({
+      matches: false,
+      media: query,
+      onchange: null,
+      addListener: jest.fn(),
+      removeListener: jest.fn(),
+      addEventListener: jest.fn(),
+      removeEventListener: jest.fn(),
+      dispatchEvent: jest.fn(),
+    })),
+  });
+}
 
 // Mock IntersectionObserver
 global.IntersectionObserver = jest.fn().mockImplementation(() => ({
@@ -0,0 +1,71 @@
+/**
+ * Props of the Hero Banner component (hero_banner).
+ *
+ * Generated from components/hero-banner/hero_banner.component.yml by
+ * scripts/component-prop-types.js; run `npm run types` after changing it.
+ */
+
+import type { ReactNode } from 'react';
+
+export interface HeroBannerSlots {
+  /** Additional Content: Additional content below subtitle */
+  content?: ReactNode;
+  /** Footer Content: Content at the bottom of the hero */
+  footer?: ReactNode;
+}
+
+export interface HeroBannerProps {
+  /** Title: Main heading text */
+  title: string;
+  /** Subtitle: Supporting text below the title */
+  subtitle?: string;
+  /** Background Image */
+  background_image?: {
+    /** Image URL */
+    src: string;
+    /** Alt Text */
+    alt: string;
+    /** @default 'lazy' */
+    loading?: 'lazy' | 'eager';
+  };
+  /**
+   * Background Color: Fallback color or overlay
+   * @default 'dark'
+   */
+  background_color?: 'primary' | 'secondary' | 'dark' | 'light' | 'brand';
+  /** Call to Action Button */
+  cta_button?: {
+    /** Button Text */
+    text: string;
+    /** Button URL */
+    url: string;
+    /** @default 'primary' */
+    variant?: 'primary' | 'secondary' | 'outline';
+    /** @default '_self' */
+    target?: '_self' | '_blank';
+  };
+  /**
+   * Content Alignment
+   * @default 'center'
+   */
+  alignment?: 'left' | 'center' | 'right';
+  /**
+   * Overlay Opacity
+   * @default 0.4
+   */
+  overlay_opacity?: number;
+  /**
+   * Minimum Height
+   * @default '500px'
+   */
+  min_height?: string;
+  /** Drupal Context: Drupal-specific metadata */
+  drupal_context?: {
+    entity_id: string | number;
+    entity_type: string;
+    bundle: string;
+    view_mode: string;
+    can_edit: boolean;
+  };
+  slots?: HeroBannerSlots;
+}
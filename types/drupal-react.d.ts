@@ -0,0 +1,282 @@
+/**
+ * Types for the shared DrupalProvider and hooks (js/drupal-react.js), the
+ * shared stores (js/component-store.js) and the headless runtime
+ * (js/component-runtime.js).
+ */
+
+declare module '@component-entity/component-store' {
+  export type StoreListener = (value: any, key: string, previous: any) => void;
+  export type EventHandler = (detail: any, event: string) => void;
+
+  export class ComponentStore {
+    constructor(scope?: string);
+    readonly scope: string;
+    has(key: string): boolean;
+    get<T = any>(key: string): T | undefined;
+    getState(): Record<string, any>;
+    set<T = any>(key: string, value: T | ((previous: T | undefined) => T)): T;
+    delete(key: string): boolean;
+    subscribe(key: string, listener: StoreListener): () => void;
+    on(event: string, handler: EventHandler): () => void;
+    off(event: string, handler: EventHandler): void;
+    emit(event: string, detail?: any): void;
+    reset(): void;
+  }
+
+  export const GLOBAL_SCOPE: 'global';
+  export function getStore(scope?: string): ComponentStore;
+  export function getScope(element: Element): string;
+  export function getStoreFor(element: Element): ComponentStore;
+  export function removeStore(scope?: string): boolean;
+}
+
+declare module '@component-entity/drupal-react' {
+  import type { ComponentClass, ComponentType, Context, FC, ReactNode } from 'react';
+
+  import type { ComponentStore } from '@component-entity/component-store';
+
+  export interface EntityContext {
+    entityId: string | number;
+    entityType: string;
+    bundle: string;
+    viewMode: string;
+    canEdit: boolean;
+  }
+
+  export interface DrupalContextValue {
+    Drupal: Record<string, any> | null;
+    settings: Record<string, any>;
+    language: string;
+    basePath: string;
+    pathPrefix: string;
+    permissionsHash: string;
+    entity: EntityContext | null;
+    scope: string;
+  }
+
+  export interface DrupalProviderProps {
+    value?: DrupalContextValue;
+    settings?: Record<string, any>;
+    entity?: EntityContext | null;
+    scope?: string;
+    children?: ReactNode;
+  }
+
+  export interface Translation {
+    /**
+     * Drupal, or a stand-in without it. Pass literal strings to Drupal.t()
+     * and Drupal.formatPlural() so the locale parser finds them.
+     */
+    Drupal: Pick<Translation, 't' | 'formatPlural'>;
+    language: string;
+    t: (str: string, args?: Record<string, string | number>, options?: { context?: string }) => string;
+    formatPlural: (
+      count: number,
+      singular: string,
+      plural: string,
+      args?: Record<string, string | number>,
+      options?: { context?: string }
+    ) => string;
+  }
+
+  export interface Analytics {
+    trackEvent: (action: string, params?: Record<string, unknown>) => void;
+  }
+
+  export const DrupalContext: Context<DrupalContextValue | null>;
+  export const DrupalProvider: FC<DrupalProviderProps>;
+  export function createDrupalContext(options?: {
+    settings?: Record<string, any>;
+    entity?: EntityContext | null;
+    Drupal?: Record<string, any>;
+    scope?: string;
+  }): DrupalContextValue;
+  export function useDrupalContext(): DrupalContextValue;
+  export function useDrupalSettings<T = any>(path?: string): T;
+  export function useTranslation(): Translation;
+  export function useEntityContext(): EntityContext | null;
+  export function useCsrfToken(): string | null;
+  export function useAnalytics(): Analytics;
+  export interface PropValidationError {
+    path: string;
+    message: string;
+    expected: any;
+    value: any;
+  }
+
+  export interface ErrorReport {
+    error: unknown;
+    type: string | null;
+    entity: EntityContext | null;
+    message: string;
+    stack: string;
+    componentStack: string;
+    url: string;
+  }
+
+  export type ErrorReporter = (report: ErrorReport) => void | Promise<unknown>;
+
+  export interface ErrorFallbackProps {
+    error: Error;
+    type?: string;
+    showDetails: boolean;
+    validationErrors: PropValidationError[];
+    reset: () => void;
+  }
+
+  export interface ErrorBoundaryProps {
+    type?: string;
+    entity?: EntityContext | null;
+    validationErrors?: PropValidationError[];
+    fallback?: ComponentType<ErrorFallbackProps>;
+    /** A new value clears a caught error. */
+    resetKey?: unknown;
+    children?: ReactNode;
+  }
+
+  export const ErrorBoundary: ComponentClass<ErrorBoundaryProps>;
+  export const DefaultErrorFallback: FC<ErrorFallbackProps>;
+  export function registerErrorFallback(type: string, Fallback: ComponentType<ErrorFallbackProps> | null): void;
+  export function setErrorReporter(reporter: ErrorReporter | null): ErrorReporter | null;
+  export function reportError(error: unknown, info?: {
+    type?: string;
+    entity?: EntityContext | null;
+    componentStack?: string;
+  }): void;
+  export function useComponentStore(scope?: string): ComponentStore;
+  export function useSharedState<T = any>(
+    key: string,
+    initialValue?: T,
+    options?: { scope?: string }
+  ): [T, (value: T | ((previous: T) => T)) => void];
+  export function useComponentEvent<T = any>(
+    event: string,
+    handler?: (detail: T, event: string) => void,
+    options?: { scope?: string }
+  ): (detail?: T) => void;
+}
+
+declare module '@component-entity/runtime' {
+  import type React from 'react';
+  import type { ComponentType, FC, ReactElement, ReactNode } from 'react';
+
+  import type { ComponentEntityClient } from '@component-entity/client';
+  import type { EntityContext, ErrorFallbackProps, PropValidationError } from '@component-entity/drupal-react';
+
+  export interface ComponentSchema {
+    props?: Record<string, any>;
+    slots?: string[];
+  }
+
+  export interface ComponentManifestEntry {
+    entry: string;
+    js: string[];
+    css?: string[];
+  }
+
+  /**
+   * The ComponentRenderer methods the runtime relies on.
+   */
+  export interface RuntimeRegistry {
+    get(name: string): ComponentType<any> | null;
+    load(name: string, entry?: ComponentManifestEntry): Promise<ComponentType<any>>;
+    setSchema(name: string, schema: ComponentSchema): void;
+    setReact(packages: { React: typeof React; ReactDOM?: Record<string, any>; ReactDOMServer?: Record<string, any>; shared?: Record<string, any> }): void;
+    buildInstanceProps(config: ComponentConfig): Record<string, any>;
+    validateProps(name: string, props: Record<string, any>): PropValidationError[];
+    buildEntityContext(config: ComponentConfig): EntityContext;
+    scheduleHydration(element: HTMLElement, strategy: string, options: Record<string, any>, callback: () => void): void;
+    hasServerMarkup(element: HTMLElement): boolean;
+    mount(reactElement: ReactElement, element: HTMLElement, method?: 'render' | 'hydrate', entity?: EntityContext | null): unknown;
+    unmount(element: HTMLElement): boolean;
+  }
+
+  /**
+   * Entry as in drupalSettings.componentEntity.components.
+   */
+  export interface ComponentConfig {
+    id?: string;
+    type: string;
+    entityId?: string | number;
+    viewMode?: string;
+    props?: Record<string, any>;
+    slots?: Record<string, any>;
+    hydration?: string;
+    hydrationOptions?: Record<string, any>;
+    canEdit?: boolean;
+  }
+
+  export interface ComponentInstance {
+    type: string;
+    props: Record<string, any>;
+    entity: EntityContext;
+    validationErrors: PropValidationError[];
+    hydration: string;
+    hydrationOptions: Record<string, any>;
+  }
+
+  export interface LoadedComponent {
+    config: ComponentConfig;
+    html: string;
+    settings: Record<string, any>;
+  }
+
+  export interface FetchOptions {
+    viewMode?: string;
+    context?: Record<string, string>;
+    signal?: AbortSignal;
+  }
+
+  export interface MountOptions {
+    onRendered?: (detail: { type: string; props: Record<string, any>; hydration: string }) => void;
+  }
+
+  export interface RuntimeOptions {
+    registry?: RuntimeRegistry;
+    ReactDOM?: Record<string, any>;
+    ReactDOMServer?: Record<string, any>;
+    client?: ComponentEntityClient;
+    baseUrl?: string;
+    fetch?: typeof fetch;
+    credentials?: RequestCredentials;
+    headers?: Record<string, string>;
+    schemas?: Record<string, ComponentSchema>;
+    manifest?: Record<string, ComponentManifestEntry>;
+    settings?: Record<string, any>;
+  }
+
+  export class ComponentRuntime {
+    constructor(options?: RuntimeOptions);
+    readonly registry: RuntimeRegistry;
+    readonly client: ComponentEntityClient;
+    applySettings(settings: { schemas?: Record<string, ComponentSchema>; manifest?: Record<string, ComponentManifestEntry> }): void;
+    fetchComponent(id: string | number, options?: FetchOptions): Promise<LoadedComponent>;
+    fromRenderResult(result: Record<string, any>): LoadedComponent;
+    resolveComponent(type: string): Promise<ComponentType<any>>;
+    prepare(config: ComponentConfig): ComponentInstance;
+    createElement(Component: ComponentType<any>, instance: ComponentInstance): ReactElement;
+    mount(element: HTMLElement, Component: ComponentType<any>, config: ComponentConfig, options?: MountOptions): void;
+    renderConfig(element: HTMLElement, config: ComponentConfig, options?: MountOptions): Promise<void>;
+    update(element: HTMLElement, config: ComponentConfig): Promise<void>;
+    renderComponentEntity(element: HTMLElement, id: string | number, options?: FetchOptions & MountOptions): Promise<ComponentConfig>;
+    unmount(element: HTMLElement): boolean;
+  }
+
+  export interface ComponentEntityProps {
+    id: string | number;
+    viewMode?: string;
+    context?: Record<string, string>;
+    runtime?: ComponentRuntime;
+    loading?: ReactNode;
+    fallback?: ComponentType<ErrorFallbackProps>;
+  }
+
+  export const ComponentEntity: FC<ComponentEntityProps>;
+  export function renderComponentEntity(
+    element: HTMLElement,
+    id: string | number,
+    options?: FetchOptions & MountOptions & { runtime?: ComponentRuntime }
+  ): Promise<ComponentConfig>;
+  export function getRuntime(): ComponentRuntime;
+  export function configureRuntime(options?: RuntimeOptions): ComponentRuntime;
+}
@@ -2,6 +2,13 @@
  * Drupal global type definitions
  */
 
+import type React from 'react';
+
+import type ClientSdk from '@component-entity/client';
+import type * as ComponentStores from '@component-entity/component-store';
+import type * as DrupalReact from '@component-entity/drupal-react';
+import type * as Runtime from '@component-entity/runtime';
+
 declare global {
   interface Window {
     Drupal: DrupalInterface;
@@ -12,6 +19,9 @@ declare global {
   const Drupal: DrupalInterface;
   const drupalSettings: DrupalSettings;
   const jQuery: JQueryStatic;
+
+  /** Set by webpack's DefinePlugin; FALSE in production builds. */
+  const __DEV__: boolean;
 }
 
 interface DrupalInterface {
@@ -47,8 +57,122 @@ interface DrupalSettings {
   [key: string]: any;
 }
 
+interface ComponentRegistrationOptions {
+  namespace?: string;
+  version?: string;
+  replace?: boolean;
+  schema?: ComponentSchema;
+}
+
+interface PropValidationError {
+  path: string;
+  message: string;
+  expected: any;
+  value: any;
+}
+
+/**
+ * Props schema and slot names from a .component.yml file.
+ */
+interface ComponentSchema {
+  props?: Record<string, any>;
+  slots?: string[];
+}
+
+/**
+ * React packages the registry renders with (see setReact()).
+ */
+interface ComponentReactPackages {
+  React: typeof React;
+  ReactDOM?: Record<string, any>;
+  ReactDOMServer?: Record<string, any>;
+  shared?: typeof DrupalReact;
+}
+
+interface ComponentDefinition {
+  name: string;
+  namespace: string | null;
+  version: string | null;
+  component: React.ComponentType<any>;
+}
+
+interface ComponentRendererRegistry {
+  register: (name: string, component: React.ComponentType<any>, options?: ComponentRegistrationOptions) => ComponentDefinition;
+  unregister: (name: string, namespace?: string) => boolean;
+  has: (name: string, namespace?: string) => boolean;
+  get: (name: string, namespace?: string) => React.ComponentType<any> | null;
+  getDefinition: (name: string, namespace?: string) => ComponentDefinition | null;
+  getAll: () => Record<string, React.ComponentType<any>>;
+  whenRegistered: (name: string, namespace?: string) => Promise<React.ComponentType<any>>;
+  load: (name: string, entry?: ComponentManifestEntry, options?: ComponentLoadOptions) => Promise<React.ComponentType<any>>;
+  setSchema: (name: string, schema: ComponentSchema, namespace?: string) => void;
+  getSchema: (name: string, namespace?: string) => ComponentSchema | null;
+  normalizeProps: (name: string, props: Record<string, any>) => Record<string, any>;
+  validateProps: (name: string, props: Record<string, any>) => PropValidationError[];
+  setReact: (packages: ComponentReactPackages) => void;
+  getReact: () => ComponentReactPackages;
+  htmlToReact: (html: string | { html?: string; markup?: string } | React.ReactNode) => React.ReactNode;
+  renderAll: (context?: Element | Document) => number;
+  render: (element: HTMLElement, props?: Record<string, any>, method?: 'render' | 'hydrate') => boolean;
+  hydrate: (element: HTMLElement, props?: Record<string, any>) => boolean;
+  buildEntityContext: (config: Record<string, any>) => DrupalReact.EntityContext;
+  withDrupalProvider: (reactElement: React.ReactElement, entity?: DrupalReact.EntityContext | null, scope?: string | null) => React.ReactElement;
+  mount: (reactElement: React.ReactElement, element: HTMLElement, method?: 'render' | 'hydrate', entity?: DrupalReact.EntityContext | null) => ComponentRoot;
+  isMounted: (element: HTMLElement) => boolean;
+  unmount: (element: HTMLElement) => boolean;
+  scheduleHydration: (element: HTMLElement, strategy: HydrationStrategyName, options: HydrationOptions, callback: () => void) => void;
+  cancelHydration: (element: HTMLElement) => boolean;
+  hasServerMarkup: (element: HTMLElement) => boolean;
+  hydrationStrategies: Record<string, HydrationStrategy>;
+  roots: Map<HTMLElement, ComponentRoot>;
+  loading: Map<string, Promise<React.ComponentType<any>>>;
+  schemas: Map<string, ComponentSchema>;
+}
+
+interface ComponentManifestEntry {
+  entry: string;
+  js: string[];
+  css?: string[];
+}
+
+interface ComponentLoadOptions {
+  retries?: number;
+  retryDelay?: number;
+}
+
+type HydrationStrategyName = 'full' | 'partial' | 'visible' | 'idle' | 'media' | 'interaction' | 'none';
+
+interface HydrationOptions {
+  rootMargin?: string;
+  timeout?: number;
+  media?: string;
+  events?: string[];
+}
+
+/**
+ * Calls hydrate() when the component should hydrate and returns a function
+ * cancelling anything still pending.
+ */
+type HydrationStrategy = (element: HTMLElement, options: HydrationOptions, hydrate: () => void) => (() => void) | null | void;
+
+interface ComponentRoot {
+  render: (element: React.ReactElement) => void;
+  unmount: () => void;
+}
+
 interface ComponentEntityRegistry {
-  register: (componentId: string, component: React.ComponentType<any>) => void;
+  register: (componentId: string, component: React.ComponentType<any>, options?: ComponentRegistrationOptions) => void;
+  getComponent?: (name: string, namespace?: string) => React.ComponentType<any> | null;
+  load?: (name: string) => Promise<React.ComponentType<any>>;
+  registry?: ComponentRendererRegistry;
+  react?: typeof DrupalReact;
+  stores?: typeof ComponentStores;
+  runtime?: typeof Runtime;
+  client?: typeof ClientSdk;
+  isDebug?: () => boolean;
+  getStore?: (scope?: string) => ComponentStores.ComponentStore;
+  registerErrorFallback?: (type: string, Fallback: React.ComponentType<DrupalReact.ErrorFallbackProps> | null) => void;
+  setErrorReporter?: (reporter: DrupalReact.ErrorReporter | null) => DrupalReact.ErrorReporter | null;
   renderAll: (context?: Element) => void;
   render: (element: Element, props?: Record<string, any>) => void;
   hydrate: (element: Element, props?: Record<string, any>) => void;
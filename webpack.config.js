@@ -1,5 +1,4 @@
 const path = require('path');
-const glob = require('glob');
 const webpack = require('webpack');
 const { CleanWebpackPlugin } = require('clean-webpack-plugin');
 const MiniCssExtractPlugin = require('mini-css-extract-plugin');
@@ -8,31 +7,33 @@ const TerserPlugin = require('terser-webpack-plugin');
 const CopyWebpackPlugin = require('copy-webpack-plugin');
 const ReactRefreshWebpackPlugin = require('@pmmmwh/react-refresh-webpack-plugin');
 const { BundleAnalyzerPlugin } = require('webpack-bundle-analyzer');
+const ComponentManifestPlugin = require('./scripts/component-manifest-plugin');
+const ComponentPropTypesPlugin = require('./scripts/component-prop-types');
+const { findComponentFiles } = require('./scripts/component-files');
 
 const isDevelopment = process.env.NODE_ENV !== 'production';
 const shouldAnalyze = process.env.ANALYZE === 'true';
 
 // Auto-discover all component JSX/TSX files
 const componentEntries = {};
-const componentFiles = glob.sync('./components/**/*.{jsx,tsx}', {
-  ignore: [
-    '**/node_modules/**',
-    '**/*.test.{jsx,tsx}',
-    '**/*.spec.{jsx,tsx}',
-    '**/*.stories.{jsx,tsx}'
-  ]
-});
+const componentFiles = findComponentFiles(__dirname);
+
+// Entry name => component type, for the asset manifest
+const componentTypes = {};
 
 componentFiles.forEach(file => {
   const name = path.basename(file).replace(/\.(jsx|tsx)$/, '');
   const dir = path.dirname(file).split('/').pop();
   componentEntries[`${dir}.${name}`] = file;
+  componentTypes[`${dir}.${name}`] = name;
 });
 
 // Main renderer entry point
 const entries = {
   'component-renderer': './js/component-renderer.js',
   'component-registry': './js/component-registry.js',
+  // Client SDK for the component REST resources
+  'client': './js/client/index.ts',
   ...componentEntries
 };
 
@@ -198,6 +199,17 @@ module.exports = {
       ]
     }),
     
+    // Keep types/components/*.d.ts in step with the component.yml files
+    new ComponentPropTypesPlugin(),
+
+    // Map component types to their JS and CSS for lazy loading
+    new ComponentManifestPlugin({
+      components: componentTypes,
+      libraries: {
+        'client': 'client'
+      }
+    }),
+    
     // Bundle analyzer
     shouldAnalyze && new BundleAnalyzerPlugin({
       analyzerMode: 'static',
@@ -282,7 +294,35 @@ module.exports = {
     'react-dom': 'ReactDOM',
     'drupal': 'Drupal',
     'drupalSettings': 'drupalSettings',
-    'jquery': 'jQuery'
+    'jquery': 'jQuery',
+    // DrupalProvider and hooks, shared by every component bundle
+    '@component-entity/drupal-react': {
+      root: ['Drupal', 'componentEntity', 'react'],
+      commonjs: '@component-entity/drupal-react',
+      commonjs2: '@component-entity/drupal-react',
+      amd: '@component-entity/drupal-react'
+    },
+    // Shared stores for state and events across React roots
+    '@component-entity/component-store': {
+      root: ['Drupal', 'componentEntity', 'stores'],
+      commonjs: '@component-entity/component-store',
+      commonjs2: '@component-entity/component-store',
+      amd: '@component-entity/component-store'
+    },
+    // Headless runtime: <ComponentEntity> and renderComponentEntity()
+    '@component-entity/runtime': {
+      root: ['Drupal', 'componentEntity', 'runtime'],
+      commonjs: '@component-entity/runtime',
+      commonjs2: '@component-entity/runtime',
+      amd: '@component-entity/runtime'
+    },
+    // Client SDK, loaded by the component_entity/client library
+    '@component-entity/client': {
+      root: ['Drupal', 'componentEntity', 'client'],
+      commonjs: '@component-entity/client',
+      commonjs2: '@component-entity/client',
+      amd: '@component-entity/client'
+    }
   },
   
   performance: {